@@ -0,0 +1,740 @@
+const request = require("supertest");
+const express = require("express");
+const jwt = require("jsonwebtoken");
+
+const mockUser = {
+  find: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  countDocuments: jest.fn(),
+};
+
+const mockMedicine = {
+  updateMany: jest.fn(),
+};
+
+const mockRefreshToken = {
+  updateMany: jest.fn(),
+};
+
+const mockSession = {
+  create: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockAuditEvent = {
+  OUTCOMES: ["success", "failure", "denied"],
+  create: jest.fn(),
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+  deleteMany: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockPharmacyStaff = {
+  find: jest.fn(),
+};
+
+const mockApiKey = {
+  updateMany: jest.fn(),
+};
+
+const mockPharmacy = {
+  VERIFICATION_STATUSES: ["pending", "approved", "rejected", "suspended"],
+  find: jest.fn(),
+  findById: jest.fn(),
+  countDocuments: jest.fn(),
+};
+
+jest.mock("../models/user.model", () => mockUser);
+jest.mock("../models/pharmacy.model", () => mockPharmacy);
+jest.mock("../models/medicine.model", () => mockMedicine);
+jest.mock("../models/refresh.token.model", () => mockRefreshToken);
+jest.mock("../models/session.model", () => mockSession);
+jest.mock("../models/audit.event.model", () => mockAuditEvent);
+jest.mock("../models/pharmacy.staff.model", () => mockPharmacyStaff);
+jest.mock("../models/api.key.model", () => mockApiKey);
+
+const authMiddlewareMock = {
+  _userRole: "admin",
+
+  setUserRole: function (role) {
+    this._userRole = role;
+  },
+
+  reset: function () {
+    this._userRole = "admin";
+  },
+};
+
+jest.mock("../middleware/auth.middleware", () => {
+  const authenticate = (req, res, next) => {
+    req.user = {
+      _id: "admin123",
+      role: authMiddlewareMock._userRole,
+      email: `${authMiddlewareMock._userRole}@test.com`,
+    };
+    next();
+  };
+  return authenticate;
+});
+
+const User = require("../models/user.model");
+const Pharmacy = require("../models/pharmacy.model");
+const Medicine = require("../models/medicine.model");
+const RefreshToken = require("../models/refresh.token.model");
+const Session = require("../models/session.model");
+const AuditEvent = require("../models/audit.event.model");
+const PharmacyStaff = require("../models/pharmacy.staff.model");
+const ApiKey = require("../models/api.key.model");
+const auditService = require("../services/audit.service");
+const mailService = require("../services/mail.service");
+const adminRoutes = require("../routes/admin.route");
+const STATUS_CODES = require("../utilities/response.codes.util");
+
+const app = express();
+app.use(express.json());
+app.use("/api/admin", adminRoutes);
+
+describe("Admin Integration Tests", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authMiddlewareMock.reset();
+  });
+
+  describe("PATCH /api/admin/users/:id/unlock", () => {
+    it("should clear the lockout state of an account", async () => {
+      User.findByIdAndUpdate.mockResolvedValue({
+        _id: "user123",
+        email: "locked@test.com",
+      });
+
+      const res = await request(app).patch("/api/admin/users/user123/unlock");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(User.findByIdAndUpdate).toHaveBeenCalledWith(
+        "user123",
+        { failedLoginAttempts: 0, lockCount: 0, $unset: { lockUntil: 1 } },
+        { new: true }
+      );
+    });
+
+    it("should return 404 for an unknown user", async () => {
+      User.findByIdAndUpdate.mockResolvedValue(null);
+
+      const res = await request(app).patch("/api/admin/users/missing/unlock");
+
+      expect(res.statusCode).toBe(STATUS_CODES.NOT_FOUND);
+    });
+
+    it("should reject non-admin users", async () => {
+      authMiddlewareMock.setUserRole("pharmacy");
+
+      const res = await request(app).patch("/api/admin/users/user123/unlock");
+
+      expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+      expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Pharmacy verification", () => {
+    const buildPharmacy = (status) => {
+      const pharmacy = {
+        _id: "pharmacy123",
+        email: "pharmacy@test.com",
+        fullName: "Pharmacy Owner",
+        pharmacyName: "Test Pharmacy",
+        verificationStatus: status,
+        verificationHistory: [],
+        save: jest.fn().mockResolvedValue(true),
+      };
+      pharmacy.setVerificationStatus = jest.fn((next, reviewer, note) => {
+        pharmacy.verificationStatus = next;
+        pharmacy.verificationNotes = note;
+        pharmacy.verificationHistory.push({ status: next, note, reviewedBy: reviewer });
+      });
+      return pharmacy;
+    };
+
+    beforeEach(() => {
+      mailService.getTransport().clear();
+    });
+
+    it("should list the pending queue by default", async () => {
+      const query = {
+        populate: jest.fn().mockReturnThis(),
+        clone: jest.fn().mockReturnThis(),
+        skip: jest.fn().mockReturnThis(),
+        limit: jest.fn().mockReturnThis(),
+        sort: jest.fn().mockReturnThis(),
+        getFilter: jest.fn().mockReturnValue({}),
+        exec: jest.fn().mockResolvedValue([buildPharmacy("pending")]),
+      };
+      Pharmacy.find.mockReturnValue(query);
+      Pharmacy.countDocuments.mockResolvedValue(1);
+
+      const res = await request(app).get("/api/admin/pharmacies");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(Pharmacy.find).toHaveBeenCalledWith({
+        verificationStatus: { $in: ["pending", null] },
+      });
+      expect(query.populate).not.toHaveBeenCalled();
+      expect(res.body.data.pagination.totalItems).toBe(1);
+    });
+
+    it("should reject an unknown status filter", async () => {
+      const res = await request(app).get("/api/admin/pharmacies?status=nope");
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(Pharmacy.find).not.toHaveBeenCalled();
+    });
+
+    it("should approve a pending pharmacy and notify it", async () => {
+      const pharmacy = buildPharmacy("pending");
+      Pharmacy.findById.mockResolvedValue(pharmacy);
+
+      const res = await request(app)
+        .patch("/api/admin/pharmacies/pharmacy123/approve")
+        .send({});
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(pharmacy.setVerificationStatus).toHaveBeenCalledWith(
+        "approved",
+        "admin123",
+        undefined
+      );
+      expect(pharmacy.save).toHaveBeenCalled();
+      expect(Medicine.updateMany).toHaveBeenCalledWith(
+        { pharmacyId: "pharmacy123" },
+        { pharmacyApproved: true }
+      );
+      expect(res.body.data.verificationStatus).toBe("approved");
+      expect(mailService.getTransport().outbox[0].to).toBe("pharmacy@test.com");
+    });
+
+    it("should keep a suspended account's medicines hidden when approving it", async () => {
+      const pharmacy = { ...buildPharmacy("pending"), status: "suspended" };
+      Pharmacy.findById.mockResolvedValue(pharmacy);
+
+      await request(app).patch("/api/admin/pharmacies/pharmacy123/approve").send({});
+
+      expect(Medicine.updateMany).toHaveBeenCalledWith(
+        { pharmacyId: "pharmacy123" },
+        { pharmacyApproved: false }
+      );
+    });
+
+    it("should require a reason to reject", async () => {
+      const res = await request(app)
+        .patch("/api/admin/pharmacies/pharmacy123/reject")
+        .send({});
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(res.body.errors).toHaveProperty("reason");
+      expect(Pharmacy.findById).not.toHaveBeenCalled();
+    });
+
+    it("should reject a pending pharmacy with reviewer notes", async () => {
+      const pharmacy = buildPharmacy("pending");
+      Pharmacy.findById.mockResolvedValue(pharmacy);
+
+      const res = await request(app)
+        .patch("/api/admin/pharmacies/pharmacy123/reject")
+        .send({ reason: "License photo is unreadable" });
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(res.body.data.verificationNotes).toBe("License photo is unreadable");
+      expect(res.body.data.verificationHistory).toHaveLength(1);
+      expect(mailService.getTransport().outbox[0].text).toMatch(
+        /License photo is unreadable/
+      );
+    });
+
+    it("should suspend an approved pharmacy", async () => {
+      const pharmacy = buildPharmacy("approved");
+      Pharmacy.findById.mockResolvedValue(pharmacy);
+
+      const res = await request(app)
+        .patch("/api/admin/pharmacies/pharmacy123/suspend")
+        .send({ reason: "Complaints from customers" });
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(pharmacy.verificationStatus).toBe("suspended");
+      expect(Medicine.updateMany).toHaveBeenCalledWith(
+        { pharmacyId: "pharmacy123" },
+        { pharmacyApproved: false }
+      );
+    });
+
+    it("should refuse transitions that make no sense", async () => {
+      const pharmacy = buildPharmacy("pending");
+      Pharmacy.findById.mockResolvedValue(pharmacy);
+
+      const res = await request(app)
+        .patch("/api/admin/pharmacies/pharmacy123/suspend")
+        .send({ reason: "Not yet approved" });
+
+      expect(res.statusCode).toBe(STATUS_CODES.CONFLICT);
+      expect(pharmacy.save).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for an unknown pharmacy", async () => {
+      Pharmacy.findById.mockResolvedValue(null);
+
+      const res = await request(app)
+        .patch("/api/admin/pharmacies/missing/approve")
+        .send({});
+
+      expect(res.statusCode).toBe(STATUS_CODES.NOT_FOUND);
+    });
+  });
+
+  describe("User management", () => {
+    const buildQuery = (result) => ({
+      populate: jest.fn().mockReturnThis(),
+      clone: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      getFilter: jest.fn().mockReturnValue({}),
+      exec: jest.fn().mockResolvedValue(result),
+    });
+
+    const buildUser = (overrides = {}) => ({
+      _id: "user123",
+      email: "user@test.com",
+      fullName: "Some User",
+      role: "customer",
+      status: "active",
+      save: jest.fn().mockResolvedValue(true),
+      createPasswordResetToken: jest.fn().mockReturnValue("reset-token"),
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      RefreshToken.updateMany.mockResolvedValue({ modifiedCount: 1 });
+      mailService.getTransport().clear();
+    });
+
+    it("should list users with filters and escaped search", async () => {
+      User.find.mockReturnValue(buildQuery([buildUser()]));
+      User.countDocuments.mockResolvedValue(1);
+
+      const res = await request(app).get(
+        "/api/admin/users?role=customer&kind=Customer&status=active&search=a.b%2B&createdFrom=2024-01-01"
+      );
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      const filter = User.find.mock.calls[0][0];
+      expect(filter.role).toBe("customer");
+      expect(filter.kind).toBe("Customer");
+      expect(filter.status).toEqual({ $in: ["active", null] });
+      expect(filter.createdAt.$gte).toEqual(new Date("2024-01-01"));
+      expect(filter.$or[0].fullName.source).toBe("a\\.b\\+");
+      expect(res.body.data.pagination.totalItems).toBe(1);
+    });
+
+    it("should filter locked accounts", async () => {
+      User.find.mockReturnValue(buildQuery([]));
+      User.countDocuments.mockResolvedValue(0);
+
+      await request(app).get("/api/admin/users?status=locked");
+
+      expect(User.find.mock.calls[0][0].lockUntil.$gt).toBeInstanceOf(Date);
+    });
+
+    it("should reject invalid filters", async () => {
+      const res = await request(app).get(
+        "/api/admin/users?role=root&createdTo=yesterday"
+      );
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(res.body.errors).toHaveProperty("role");
+      expect(res.body.errors).toHaveProperty("createdTo");
+      expect(User.find).not.toHaveBeenCalled();
+    });
+
+    it("should return a user's details", async () => {
+      User.findById.mockResolvedValue({ _id: "user123", email: "user@test.com" });
+
+      const res = await request(app).get("/api/admin/users/user123");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(res.body.data.user.email).toBe("user@test.com");
+    });
+
+    it("should suspend a user and end their sessions", async () => {
+      const user = buildUser();
+      User.findById.mockResolvedValue(user);
+
+      const res = await request(app)
+        .patch("/api/admin/users/user123/suspend")
+        .send({ reason: "Fraudulent orders" });
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(user.status).toBe("suspended");
+      expect(user.suspendedReason).toBe("Fraudulent orders");
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ user: "user123" }),
+        expect.objectContaining({ revokedReason: "admin-revoked" })
+      );
+      expect(AuditEvent.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "admin.user.suspend",
+          actor: "admin123",
+          target: { type: "User", id: "user123" },
+          metadata: { email: "user@test.com", reason: "Fraudulent orders" },
+        })
+      );
+    });
+
+    it("should take a suspended pharmacy's medicines out of public listings", async () => {
+      const pharmacy = buildUser({
+        _id: "pharmacy123",
+        role: "pharmacy",
+        verificationStatus: "approved",
+      });
+      User.findById.mockResolvedValue(pharmacy);
+
+      await request(app)
+        .patch("/api/admin/users/pharmacy123/suspend")
+        .send({ reason: "Selling expired stock" });
+
+      expect(Medicine.updateMany).toHaveBeenCalledWith(
+        { pharmacyId: "pharmacy123" },
+        { pharmacyApproved: false }
+      );
+    });
+
+    it("should not suspend the last active admin", async () => {
+      const admin = buildUser({ _id: "admin456", role: "admin" });
+      User.findById.mockResolvedValue(admin);
+      User.countDocuments.mockResolvedValue(0);
+
+      const res = await request(app)
+        .patch("/api/admin/users/admin456/suspend")
+        .send({ reason: "Test" });
+
+      expect(res.statusCode).toBe(STATUS_CODES.CONFLICT);
+      expect(admin.save).not.toHaveBeenCalled();
+    });
+
+    it("should not let admins suspend themselves", async () => {
+      const res = await request(app)
+        .patch("/api/admin/users/admin123/suspend")
+        .send({ reason: "Test" });
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+
+    it("should reactivate a suspended user", async () => {
+      const user = buildUser({
+        status: "suspended",
+        suspendedAt: new Date(),
+        suspendedReason: "Fraudulent orders",
+      });
+      User.findById.mockResolvedValue(user);
+
+      const res = await request(app).patch("/api/admin/users/user123/reactivate");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(user.status).toBe("active");
+      expect(user.suspendedAt).toBeUndefined();
+      expect(user.suspendedReason).toBeUndefined();
+      expect(user.save).toHaveBeenCalled();
+    });
+
+    it("should list a reactivated pharmacy's medicines again once it is approved", async () => {
+      const pharmacy = buildUser({
+        _id: "pharmacy123",
+        role: "pharmacy",
+        status: "suspended",
+        verificationStatus: "approved",
+      });
+      User.findById.mockResolvedValue(pharmacy);
+
+      await request(app).patch("/api/admin/users/pharmacy123/reactivate");
+
+      expect(Medicine.updateMany).toHaveBeenCalledWith(
+        { pharmacyId: "pharmacy123" },
+        { pharmacyApproved: true }
+      );
+    });
+
+    it("should not bring a deleted account back", async () => {
+      const user = buildUser({ status: "deleted" });
+      User.findById.mockResolvedValue(user);
+
+      const res = await request(app).patch("/api/admin/users/user123/reactivate");
+
+      expect(res.statusCode).toBe(STATUS_CODES.CONFLICT);
+      expect(user.status).toBe("deleted");
+      expect(user.save).not.toHaveBeenCalled();
+    });
+
+    it("should force a password reset and email a link", async () => {
+      const user = buildUser();
+      User.findById.mockResolvedValue(user);
+
+      const res = await request(app).post(
+        "/api/admin/users/user123/force-password-reset"
+      );
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(user.passwordResetRequired).toBe(true);
+      expect(user.save).toHaveBeenCalled();
+      expect(RefreshToken.updateMany).toHaveBeenCalled();
+      expect(mailService.getTransport().outbox[0].text).toMatch(
+        /reset-password\/reset-token/
+      );
+    });
+
+    describe("deleting", () => {
+      beforeEach(() => {
+        Medicine.updateMany.mockResolvedValue({ modifiedCount: 3 });
+        ApiKey.updateMany.mockResolvedValue({ modifiedCount: 1 });
+        AuditEvent.updateMany.mockResolvedValue({ modifiedCount: 0 });
+        Session.updateMany.mockResolvedValue({ modifiedCount: 0 });
+        PharmacyStaff.find.mockResolvedValue([]);
+      });
+
+      it("should anonymize a pharmacy with its staff and take its listings down", async () => {
+        const pharmacy = buildUser({ _id: "pharmacy123", role: "pharmacy" });
+        const staff = buildUser({ _id: "staff456", role: "staff", email: "staff@test.com" });
+        User.findById.mockResolvedValue(pharmacy);
+        PharmacyStaff.find.mockResolvedValueOnce([staff]);
+
+        const res = await request(app).delete("/api/admin/users/pharmacy123");
+
+        expect(res.statusCode).toBe(STATUS_CODES.OK);
+        expect(pharmacy.status).toBe("deleted");
+        expect(pharmacy.email).toBe("deleted-pharmacy123@deleted.invalid");
+        expect(staff.status).toBe("deleted");
+        expect(Medicine.updateMany).toHaveBeenCalledWith(
+          { pharmacyId: "pharmacy123", isActive: true },
+          { isActive: false }
+        );
+        expect(ApiKey.updateMany).toHaveBeenCalledWith(
+          { pharmacy: "pharmacy123", revokedAt: null },
+          { revokedAt: expect.any(Date) }
+        );
+        expect(res.body.data).toEqual({ _id: "pharmacy123", status: "deleted" });
+      });
+
+      it("should not delete an account twice", async () => {
+        const user = buildUser({ status: "deleted" });
+        User.findById.mockResolvedValue(user);
+
+        const res = await request(app).delete("/api/admin/users/user123");
+
+        expect(res.statusCode).toBe(STATUS_CODES.CONFLICT);
+        expect(user.save).not.toHaveBeenCalled();
+      });
+
+      it("should not delete the last active admin", async () => {
+        const admin = buildUser({ _id: "admin456", role: "admin" });
+        User.findById.mockResolvedValue(admin);
+        User.countDocuments.mockResolvedValue(0);
+
+        const res = await request(app).delete("/api/admin/users/admin456");
+
+        expect(res.statusCode).toBe(STATUS_CODES.CONFLICT);
+        expect(admin.save).not.toHaveBeenCalled();
+      });
+
+      it("should delete an admin when another active admin remains", async () => {
+        const admin = buildUser({ _id: "admin456", role: "admin" });
+        User.findById.mockResolvedValue(admin);
+        User.countDocuments.mockResolvedValue(1);
+
+        const res = await request(app).delete("/api/admin/users/admin456");
+
+        expect(res.statusCode).toBe(STATUS_CODES.OK);
+        expect(User.countDocuments).toHaveBeenCalledWith({
+          role: "admin",
+          status: { $nin: ["suspended", "deleted"] },
+          _id: { $ne: "admin456" },
+        });
+        expect(admin.status).toBe("deleted");
+      });
+    });
+  });
+
+  describe("DELETE /api/admin/users/:id/sessions", () => {
+    it("should revoke every session and refresh token of the user", async () => {
+      User.findById.mockResolvedValue({ _id: "user123", email: "user@test.com" });
+      RefreshToken.updateMany.mockResolvedValue({ modifiedCount: 2 });
+      Session.updateMany.mockResolvedValue({ modifiedCount: 2 });
+
+      const res = await request(app).delete("/api/admin/users/user123/sessions");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(Session.updateMany).toHaveBeenCalledWith(
+        { user: "user123", revokedAt: null },
+        expect.objectContaining({ revokedReason: "admin-revoked" })
+      );
+    });
+
+    it("should return 404 for an unknown user", async () => {
+      User.findById.mockResolvedValue(null);
+
+      const res = await request(app).delete("/api/admin/users/missing/sessions");
+
+      expect(res.statusCode).toBe(STATUS_CODES.NOT_FOUND);
+      expect(Session.updateMany).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("POST /api/admin/impersonate/:userId", () => {
+    const pharmacy = {
+      _id: "pharmacy123",
+      fullName: "Nile Pharmacy",
+      email: "pharmacy@test.com",
+      role: "pharmacy",
+      status: "active",
+    };
+
+    it("should issue a short-lived token marked with the admin id", async () => {
+      const expiresAt = new Date(Date.now() + 15 * 60 * 1000);
+      User.findById.mockResolvedValue(pharmacy);
+      Session.create.mockResolvedValue({ _id: "session123", expiresAt });
+
+      const res = await request(app).post("/api/admin/impersonate/pharmacy123");
+
+      expect(res.statusCode).toBe(STATUS_CODES.CREATED);
+      expect(Session.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          user: "pharmacy123",
+          impersonatedBy: "admin123",
+          expiresAt: expect.any(Date),
+        })
+      );
+      expect(res.body.data.impersonator).toEqual({
+        _id: "admin123",
+        email: "admin@test.com",
+      });
+      expect(res.body.data.user.email).toBe("pharmacy@test.com");
+
+      const decoded = jwt.verify(res.body.data.token, process.env.JWT_SECRET);
+      expect(decoded).toMatchObject({
+        id: "pharmacy123",
+        sid: "session123",
+        impersonatorId: "admin123",
+      });
+      expect(decoded.exp - decoded.iat).toBe(15 * 60);
+      expect(AuditEvent.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "impersonation.start",
+          actor: "admin123",
+          target: { type: "User", id: "pharmacy123" },
+        })
+      );
+    });
+
+    it("should refuse to impersonate another admin", async () => {
+      User.findById.mockResolvedValue({ ...pharmacy, role: "admin" });
+
+      const res = await request(app).post("/api/admin/impersonate/admin456");
+
+      expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+      expect(Session.create).not.toHaveBeenCalled();
+    });
+
+    it("should refuse suspended accounts", async () => {
+      User.findById.mockResolvedValue({ ...pharmacy, status: "suspended" });
+
+      const res = await request(app).post("/api/admin/impersonate/pharmacy123");
+
+      expect(res.statusCode).toBe(STATUS_CODES.CONFLICT);
+      expect(Session.create).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for an unknown user", async () => {
+      User.findById.mockResolvedValue(null);
+
+      const res = await request(app).post("/api/admin/impersonate/missing");
+
+      expect(res.statusCode).toBe(STATUS_CODES.NOT_FOUND);
+    });
+
+    it("should be limited to admins", async () => {
+      authMiddlewareMock.setUserRole("pharmacy");
+
+      const res = await request(app).post("/api/admin/impersonate/customer123");
+
+      expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+      expect(User.findById).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("GET /api/admin/audit", () => {
+    const buildQuery = (result) => ({
+      clone: jest.fn().mockReturnThis(),
+      skip: jest.fn().mockReturnThis(),
+      limit: jest.fn().mockReturnThis(),
+      sort: jest.fn().mockReturnThis(),
+      getFilter: jest.fn().mockReturnValue({}),
+      exec: jest.fn().mockResolvedValue(result),
+    });
+
+    it("should filter events and list the newest first", async () => {
+      const query = buildQuery([{ action: "auth.login", outcome: "failure" }]);
+      AuditEvent.find.mockReturnValue(query);
+      AuditEvent.countDocuments.mockResolvedValue(1);
+
+      const res = await request(app).get(
+        "/api/admin/audit?action=auth.login,auth.signup&outcome=failure&actor=user123&from=2024-01-01"
+      );
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(AuditEvent.find).toHaveBeenCalledWith({
+        action: { $in: ["auth.login", "auth.signup"] },
+        outcome: "failure",
+        actor: "user123",
+        createdAt: { $gte: new Date("2024-01-01") },
+      });
+      expect(query.sort).toHaveBeenCalledWith({ createdAt: -1 });
+      expect(res.body.data.events).toHaveLength(1);
+      expect(res.body.data.pagination.totalItems).toBe(1);
+    });
+
+    it("should reject invalid filters", async () => {
+      const res = await request(app).get("/api/admin/audit?outcome=maybe&to=later");
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(res.body.errors).toHaveProperty("outcome");
+      expect(res.body.errors).toHaveProperty("to");
+      expect(AuditEvent.find).not.toHaveBeenCalled();
+    });
+
+    it("should be limited to admins", async () => {
+      authMiddlewareMock.setUserRole("pharmacy");
+
+      const res = await request(app).get("/api/admin/audit");
+
+      expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+      expect(AuditEvent.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Audit retention", () => {
+    afterEach(() => {
+      delete process.env.AUDIT_RETENTION_DAYS;
+    });
+
+    it("should delete events older than the retention period", async () => {
+      process.env.AUDIT_RETENTION_DAYS = "30";
+      AuditEvent.deleteMany.mockResolvedValue({ deletedCount: 4 });
+
+      const deleted = await auditService.pruneAuditEvents();
+
+      expect(deleted).toBe(4);
+      const cutoff = AuditEvent.deleteMany.mock.calls[0][0].createdAt.$lt;
+      const expected = Date.now() - 30 * 24 * 60 * 60 * 1000;
+      expect(Math.abs(cutoff.getTime() - expected)).toBeLessThan(5000);
+    });
+  });
+});
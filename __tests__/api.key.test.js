@@ -0,0 +1,185 @@
+const request = require("supertest");
+const express = require("express");
+
+const mockUser = {
+  findById: jest.fn(),
+};
+
+const mockApiKey = {
+  findOne: jest.fn(),
+  updateOne: jest.fn(),
+};
+
+jest.mock("../models/user.model", () => mockUser);
+jest.mock("../models/api.key.model", () => mockApiKey);
+jest.mock("../models/session.model", () => ({}));
+jest.mock("../models/refresh.token.model", () => ({}));
+jest.mock("../models/audit.event.model", () => ({ create: jest.fn() }));
+
+const User = require("../models/user.model");
+const ApiKey = require("../models/api.key.model");
+const authenticate = require("../middleware/auth.middleware");
+const requirePermission = require("../middleware/permission.middleware");
+const apiKeyService = require("../services/api.key.service");
+const { hashToken } = require("../services/token.service");
+const STATUS_CODES = require("../utilities/response.codes.util");
+
+const app = express();
+app.set("trust proxy", true);
+app.post(
+  "/medicines",
+  authenticate.allowApiKey,
+  requirePermission("medicine:create"),
+  (req, res) => res.json({ user: req.user.email, key: req.apiKey.prefix })
+);
+
+const pharmacy = {
+  _id: "pharmacy123",
+  role: "pharmacy",
+  email: "pharmacy@test.com",
+};
+
+const activeKey = (overrides = {}) => ({
+  _id: "key123",
+  pharmacy: "pharmacy123",
+  prefix: "cl_1a2b3c4d",
+  scopes: ["medicine:create"],
+  allowedIps: [],
+  ...overrides,
+});
+
+const mockLookups = (apiKey, user = pharmacy) => {
+  ApiKey.findOne.mockResolvedValue(apiKey);
+  User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+};
+
+describe("API key authentication", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    ApiKey.updateOne.mockResolvedValue({ modifiedCount: 1 });
+  });
+
+  it("should authenticate as the owning pharmacy", async () => {
+    mockLookups(activeKey());
+
+    const res = await request(app)
+      .post("/medicines")
+      .set("X-API-Key", "cl_1a2b3c4d_secret");
+
+    expect(res.statusCode).toBe(STATUS_CODES.OK);
+    expect(res.body).toEqual({ user: "pharmacy@test.com", key: "cl_1a2b3c4d" });
+    expect(ApiKey.findOne).toHaveBeenCalledWith({
+      keyHash: hashToken("cl_1a2b3c4d_secret"),
+      revokedAt: null,
+    });
+    expect(User.findById).toHaveBeenCalledWith("pharmacy123");
+  });
+
+  it("should record when and where the key was last used", async () => {
+    mockLookups(activeKey());
+
+    await request(app)
+      .post("/medicines")
+      .set("X-API-Key", "cl_1a2b3c4d_secret")
+      .set("X-Forwarded-For", "203.0.113.10");
+
+    expect(ApiKey.updateOne).toHaveBeenCalledWith(
+      { _id: "key123" },
+      { lastUsedAt: expect.any(Date), lastUsedIp: "203.0.113.10" }
+    );
+  });
+
+  it("should not write lastUsedAt again within a minute", async () => {
+    mockLookups(activeKey({ lastUsedAt: new Date() }));
+
+    await request(app).post("/medicines").set("X-API-Key", "cl_1a2b3c4d_secret");
+
+    expect(ApiKey.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("should reject unknown or revoked keys", async () => {
+    mockLookups(null);
+
+    const res = await request(app)
+      .post("/medicines")
+      .set("X-API-Key", "cl_bogus_secret");
+
+    expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+    expect(User.findById).not.toHaveBeenCalled();
+  });
+
+  it("should refuse requests outside the key's scopes", async () => {
+    mockLookups(activeKey({ scopes: ["medicine:update"] }));
+
+    const res = await request(app)
+      .post("/medicines")
+      .set("X-API-Key", "cl_1a2b3c4d_secret");
+
+    expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+  });
+
+  it("should enforce the IP allowlist", async () => {
+    mockLookups(activeKey({ allowedIps: ["10.0.0.0/24"] }));
+
+    const allowed = await request(app)
+      .post("/medicines")
+      .set("X-API-Key", "cl_1a2b3c4d_secret")
+      .set("X-Forwarded-For", "10.0.0.42");
+    const denied = await request(app)
+      .post("/medicines")
+      .set("X-API-Key", "cl_1a2b3c4d_secret")
+      .set("X-Forwarded-For", "10.0.1.42");
+
+    expect(allowed.statusCode).toBe(STATUS_CODES.OK);
+    expect(denied.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+    expect(denied.body.message).toMatch(/IP address/);
+  });
+
+  it("should reject keys of suspended pharmacies", async () => {
+    mockLookups(activeKey(), { ...pharmacy, status: "suspended" });
+
+    const res = await request(app)
+      .post("/medicines")
+      .set("X-API-Key", "cl_1a2b3c4d_secret");
+
+    expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+    expect(res.body.message).toMatch(/suspended/);
+  });
+
+  it("should fall back to bearer tokens without an API key", async () => {
+    const res = await request(app).post("/medicines");
+
+    expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+    expect(res.body.message).toMatch(/provide a valid token/);
+    expect(ApiKey.findOne).not.toHaveBeenCalled();
+  });
+});
+
+describe("API key service", () => {
+  it("should generate distinct keys that start with their prefix", () => {
+    const first = apiKeyService.generateApiKey();
+    const second = apiKeyService.generateApiKey();
+
+    expect(first.key.startsWith(`${first.prefix}_`)).toBe(true);
+    expect(first.keyHash).toBe(hashToken(first.key));
+    expect(first.key).not.toBe(second.key);
+  });
+
+  it.each([
+    [[], "198.51.100.7", true],
+    [["198.51.100.7"], "198.51.100.7", true],
+    [["198.51.100.7"], "::ffff:198.51.100.7", true],
+    [["198.51.100.7"], "198.51.100.8", false],
+    [["198.51.100.0/24"], "198.51.100.250", true],
+    [["2001:db8::/32"], "2001:db8::1", true],
+    [["2001:db8::/32"], "198.51.100.7", false],
+  ])("allowlist %j admits %s: %s", (allowedIps, ip, expected) => {
+    expect(apiKeyService.isIpAllowed({ allowedIps }, ip)).toBe(expected);
+  });
+
+  it("should report entries that are not IPs or CIDR ranges", () => {
+    expect(
+      apiKeyService.invalidAllowedIps(["10.0.0.1", "10.0.0.0/8", "10.0.0.0/33", "x", "::1/129"])
+    ).toEqual(["10.0.0.0/33", "x", "::1/129"]);
+  });
+});
@@ -1,6 +1,21 @@
 const request = require("supertest");
 const express = require("express");
 const cookieParser = require("cookie-parser");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+// Keep pharmacy documents uploaded by these tests out of the project tree
+const privateUploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "cure-link-auth-"));
+process.env.PRIVATE_UPLOAD_DIR = privateUploadDir;
+const storedDocumentCount = () => {
+    const folder = path.join(privateUploadDir, "pharmacy-documents");
+    return fs.existsSync(folder) ? fs.readdirSync(folder).length : 0;
+};
+const pngImage = Buffer.from(
+    "89504e470d0a1a0a0000000d4948445200000001000000010806000000",
+    "hex"
+);
 
 // Mock mongoose before requiring models
 const mongoose = require("mongoose");
@@ -16,7 +31,11 @@ jest.mock("mongoose", () => ({
 
 // Mock the models with proper discriminator behavior
 const mockUser = {
+  find: jest.fn(),
   findOne: jest.fn(),
+  findById: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
   create: jest.fn(),
   discriminator: jest.fn(),
 };
@@ -29,27 +48,107 @@ const mockPharmacy = {
   create: jest.fn(),
 };
 
+const mockPharmacyStaff = {
+  find: jest.fn(),
+  findOne: jest.fn(),
+};
+
+const mockRefreshToken = {
+  create: jest.fn(),
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockSession = {
+  create: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+  findById: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockPhoneOtp = {
+  findOne: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  updateOne: jest.fn(),
+  deleteOne: jest.fn(),
+};
+
+const mockSetting = {
+  getValue: jest.fn(),
+  setValue: jest.fn(),
+};
+
+const mockAuditEvent = {
+  create: jest.fn(),
+  find: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockMedicine = {
+  find: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockApiKey = {
+  updateMany: jest.fn(),
+};
+
 // Mock the model files
 jest.mock("../models/user.model", () => mockUser);
+jest.mock("../models/setting.model", () => mockSetting);
+jest.mock("../models/phone.otp.model", () => mockPhoneOtp);
+jest.mock("../models/refresh.token.model", () => mockRefreshToken);
+jest.mock("../models/session.model", () => mockSession);
 jest.mock("../models/customer.model", () => mockCustomer);
 jest.mock("../models/pharmacy.model", () => mockPharmacy);
+jest.mock("../models/pharmacy.staff.model", () => mockPharmacyStaff);
+jest.mock("../models/audit.event.model", () => mockAuditEvent);
+jest.mock("../models/medicine.model", () => mockMedicine);
+jest.mock("../models/api.key.model", () => mockApiKey);
 
 // Mock middleware
-jest.mock("../middleware/auth.middleware", () => (req, res, next) => {
-    req.user = { role: "admin", email: "admin@test.com" };
-    next();
-});
-jest.mock("../middleware/role.middleware", () => (role) => (req, res, next) => {
-    if (req.user && req.user.role === role) {
+let mockAuthUserOverrides = {};
+let mockAuthSessionOverrides = {};
+jest.mock("../middleware/auth.middleware", () => {
+    const authenticate = (req, res, next) => {
+        req.user = {
+            _id: "admin123",
+            role: "admin",
+            email: "admin@test.com",
+            phone: "+201000000099",
+            ...mockAuthUserOverrides,
+        };
+        req.authSession = { _id: "session123", ...mockAuthSessionOverrides };
         next();
-    } else {
-        res.status(403).json({ message: "Access denied" });
-    }
+    };
+    authenticate.twoFactorSetup = authenticate;
+    return authenticate;
 });
 
 const User = require("../models/user.model");
 const Customer = require("../models/customer.model");
 const Pharmacy = require("../models/pharmacy.model");
+const PharmacyStaff = require("../models/pharmacy.staff.model");
+const RefreshToken = require("../models/refresh.token.model");
+const Session = require("../models/session.model");
+const { hashToken } = require("../services/token.service");
+const mailService = require("../services/mail.service");
+const smsService = require("../services/sms.service");
+const PhoneOtp = require("../models/phone.otp.model");
+const { hashCode } = require("../services/otp.service");
+const Setting = require("../models/setting.model");
+const AuditEvent = require("../models/audit.event.model");
+const Medicine = require("../models/medicine.model");
+const ApiKey = require("../models/api.key.model");
+const accountService = require("../services/account.service");
+const rateLimitStore = require("../services/rate.limit.store");
+const { generateTotp, generateSecret } = require("../utilities/totp.util");
+const { signChallengeToken } = require("../services/token.service");
+const jwt = require("jsonwebtoken");
 
 const authRoutes = require("../routes/auth.route");
 const STATUS_CODES = require("../utilities/response.codes.util");
@@ -61,8 +160,21 @@ app.use(cookieParser());
 app.use("/api/auth", authRoutes);
 
 describe("Auth Integration Tests (Comprehensive)", () => {
+    afterAll(() => {
+        fs.rmSync(privateUploadDir, { recursive: true, force: true });
+    });
+
     beforeEach(() => {
         jest.clearAllMocks();
+        RefreshToken.create.mockResolvedValue({});
+        RefreshToken.updateMany.mockResolvedValue({ modifiedCount: 0 });
+        Session.create.mockResolvedValue({ _id: "session123", family: "family-123" });
+        Session.findOneAndUpdate.mockResolvedValue({ _id: "session123", family: "family-123" });
+        Session.updateOne.mockResolvedValue({ modifiedCount: 0 });
+        Session.updateMany.mockResolvedValue({ modifiedCount: 0 });
+        Setting.getValue.mockResolvedValue(false);
+        rateLimitStore.getStore().clear();
+        mockAuthUserOverrides = {};
     });
 
     describe("POST /api/auth/signup", () => {
@@ -91,7 +203,7 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 .send({
                     fullName: "Test Customer",
                     email: "customer@test.com",
-                    password: "12345678",
+                    password: "Tr4vel!Nile9",
                     phone: "+201000000001",
                     role: "customer",
                     location: { latitude: 30, longitude: 31 },
@@ -134,27 +246,77 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 }),
             });
 
+            const res = await request(app)
+                .post("/api/auth/signup")
+                .field("fullName", "Pharmacy Owner")
+                .field("email", "pharmacy@test.com")
+                .field("password", "Tr4vel!Nile9")
+                .field("phone", "+201000000002")
+                .field("role", "pharmacy")
+                .field("location", JSON.stringify({ latitude: 30.1, longitude: 31.1 }))
+                .field("pharmacyName", "Test Pharmacy")
+                .field("licenseNumber", "LIC123456")
+                .attach("pharmacyLicensePhoto", pngImage, "license.png")
+                .attach("ownerIdFront", pngImage, "front.png")
+                .attach("ownerIdBack", pngImage, "back.png");
+
+            expect(res.statusCode).toBe(STATUS_CODES.CREATED);
+            expect(res.body.data).toHaveProperty("token");
+            expect(res.body.data.user.role).toBe("pharmacy");
+            expect(res.body.data.user.pharmacyName).toBe("Test Pharmacy");
+            expect(res.body.data.user.licenseNumber).toBe("LIC123456");
+
+            const created = Pharmacy.create.mock.calls[0][0];
+            expect(created.location).toEqual({ latitude: 30.1, longitude: 31.1 });
+            ["pharmacyLicensePhoto", "ownerIdFront", "ownerIdBack"].forEach((field) => {
+                expect(created[field]).toMatch(/^pharmacy-documents\/.+\.png$/);
+                expect(fs.existsSync(path.join(privateUploadDir, created[field]))).toBe(true);
+            });
+        });
+
+        it("should require the pharmacy documents as uploaded files", async () => {
             const res = await request(app)
                 .post("/api/auth/signup")
                 .send({
                     fullName: "Pharmacy Owner",
                     email: "pharmacy@test.com",
-                    password: "12345678",
+                    password: "Tr4vel!Nile9",
                     phone: "+201000000002",
                     role: "pharmacy",
                     location: { latitude: 30.1, longitude: 31.1 },
                     pharmacyName: "Test Pharmacy",
                     licenseNumber: "LIC123456",
-                    pharmacyLicensePhoto: "license.jpg",
+                    pharmacyLicensePhoto: "pharmacy-documents/someone-else.png",
                     ownerIdFront: "front.jpg",
                     ownerIdBack: "back.jpg",
                 });
 
-            expect(res.statusCode).toBe(STATUS_CODES.CREATED);
-            expect(res.body.data).toHaveProperty("token");
-            expect(res.body.data.user.role).toBe("pharmacy");
-            expect(res.body.data.user.pharmacyName).toBe("Test Pharmacy");
-            expect(res.body.data.user.licenseNumber).toBe("LIC123456");
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.errors).toHaveProperty("pharmacyLicensePhoto");
+            expect(Pharmacy.create).not.toHaveBeenCalled();
+        });
+
+        it("should remove uploaded documents when signup fails", async () => {
+            User.findOne.mockResolvedValue({ _id: "existing" });
+            const before = storedDocumentCount();
+
+            const res = await request(app)
+                .post("/api/auth/signup")
+                .field("fullName", "Pharmacy Owner")
+                .field("email", "taken@test.com")
+                .field("password", "Tr4vel!Nile9")
+                .field("phone", "+201000000003")
+                .field("role", "pharmacy")
+                .field("location", JSON.stringify({ latitude: 30.1, longitude: 31.1 }))
+                .field("pharmacyName", "Test Pharmacy")
+                .field("licenseNumber", "LIC123456")
+                .attach("pharmacyLicensePhoto", pngImage, "license.png")
+                .attach("ownerIdFront", pngImage, "front.png")
+                .attach("ownerIdBack", pngImage, "back.png");
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            await new Promise((resolve) => setTimeout(resolve, 50));
+            expect(storedDocumentCount()).toBe(before);
         });
 
         // Validation Tests
@@ -163,7 +325,7 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 .post("/api/auth/signup")
                 .send({
                     email: "customer@test.com",
-                    password: "12345678",
+                    password: "Tr4vel!Nile9",
                     // missing fullName, phone, location
                 });
 
@@ -177,7 +339,7 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 .send({
                     fullName: "Pharmacy Owner",
                     email: "pharmacy@test.com",
-                    password: "12345678",
+                    password: "Tr4vel!Nile9",
                     phone: "+201000000002",
                     role: "pharmacy",
                     location: { latitude: 30.1, longitude: 31.1 },
@@ -199,7 +361,7 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 .send({
                     fullName: "Test Customer",
                     email: "existing@test.com",
-                    password: "12345678",
+                    password: "Tr4vel!Nile9",
                     phone: "+201000000003",
                     role: "customer",
                     location: { latitude: 30, longitude: 31 },
@@ -215,7 +377,7 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 .send({
                     fullName: "Test User",
                     email: "user@test.com",
-                    password: "12345678",
+                    password: "Tr4vel!Nile9",
                     phone: "+201000000004",
                     role: "invalid_role",
                     location: { latitude: 30, longitude: 31 },
@@ -249,7 +411,7 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 .send({
                     fullName: "Default Customer",
                     email: "default@test.com",
-                    password: "12345678",
+                    password: "Tr4vel!Nile9",
                     phone: "+201000000005",
                     location: { latitude: 30, longitude: 31 },
                     // role not provided
@@ -268,6 +430,7 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 email: "login@test.com",
                 password: "$2a$12$hashedpassword",
                 correctPassword: jest.fn().mockResolvedValue(true),
+                isLocked: jest.fn().mockReturnValue(false),
                 toObject: jest.fn().mockReturnValue({
                     _id: "789",
                     email: "login@test.com",
@@ -301,6 +464,8 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 email: "fail@test.com",
                 password: "$2a$12$hashedpassword",
                 correctPassword: jest.fn().mockResolvedValue(false),
+                isLocked: jest.fn().mockReturnValue(false),
+                registerFailedLogin: jest.fn().mockResolvedValue(),
                 toObject: jest.fn().mockReturnValue({
                     _id: "456",
                     email: "fail@test.com",
@@ -359,6 +524,7 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 email: "pharmacy@test.com",
                 password: "$2a$12$hashedpassword",
                 correctPassword: jest.fn().mockResolvedValue(true),
+                isLocked: jest.fn().mockReturnValue(false),
                 toObject: jest.fn().mockReturnValue({
                     _id: "pharmacy789",
                     email: "pharmacy@test.com",
@@ -386,6 +552,124 @@ describe("Auth Integration Tests (Comprehensive)", () => {
         });
     });
 
+    describe("Audit events", () => {
+        const buildLoginUser = (overrides = {}) => ({
+            _id: "audit123",
+            email: "audit@test.com",
+            role: "customer",
+            password: "$2a$12$hashedpassword",
+            correctPassword: jest.fn().mockResolvedValue(true),
+            isLocked: jest.fn().mockReturnValue(false),
+            registerFailedLogin: jest.fn().mockResolvedValue(),
+            toObject: jest.fn().mockReturnValue({
+                _id: "audit123",
+                email: "audit@test.com",
+                role: "customer",
+            }),
+            ...overrides,
+        });
+
+        const mockLoginLookup = (user) => {
+            User.findOne.mockReturnValue({
+                select: jest.fn().mockResolvedValue(user),
+            });
+        };
+
+        it("should record successful logins with the client details", async () => {
+            mockLoginLookup(buildLoginUser());
+
+            await request(app)
+                .post("/api/auth/login")
+                .set("User-Agent", "AuditTest/1.0")
+                .send({ email: "audit@test.com", password: "12345678" });
+
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: "auth.login",
+                    outcome: "success",
+                    actor: "audit123",
+                    actorEmail: "audit@test.com",
+                    actorRole: "customer",
+                    userAgent: "AuditTest/1.0",
+                    ip: expect.any(String),
+                })
+            );
+        });
+
+        it("should record failed logins for unknown emails", async () => {
+            mockLoginLookup(null);
+
+            await request(app)
+                .post("/api/auth/login")
+                .send({ email: "ghost@test.com", password: "12345678" });
+
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: "auth.login",
+                    outcome: "failure",
+                    actor: null,
+                    actorEmail: "ghost@test.com",
+                    metadata: { reason: "unknown-email" },
+                })
+            );
+        });
+
+        it("should record wrong passwords against the account", async () => {
+            mockLoginLookup(
+                buildLoginUser({ correctPassword: jest.fn().mockResolvedValue(false) })
+            );
+
+            await request(app)
+                .post("/api/auth/login")
+                .send({ email: "audit@test.com", password: "wrongpass" });
+
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: "auth.login",
+                    outcome: "failure",
+                    actor: "audit123",
+                    metadata: { reason: "invalid-credentials" },
+                })
+            );
+        });
+
+        it("should still log the user in when the audit write fails", async () => {
+            mockLoginLookup(buildLoginUser());
+            AuditEvent.create.mockRejectedValueOnce(new Error("write concern timeout"));
+
+            const res = await request(app)
+                .post("/api/auth/login")
+                .send({ email: "audit@test.com", password: "12345678" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+        });
+
+        it("should record admin creation with the new admin as target", async () => {
+            User.findOne.mockResolvedValue(null);
+            User.create.mockResolvedValue({
+                _id: "newadmin123",
+                email: "new-admin@test.com",
+                role: "admin",
+            });
+
+            await request(app)
+                .post("/api/auth/add-admin")
+                .send({
+                    fullName: "New Admin",
+                    email: "new-admin@test.com",
+                    password: "Tr4vel!Nile9",
+                });
+
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    action: "admin.create",
+                    actor: "admin123",
+                    target: { type: "User", id: "newadmin123" },
+                })
+            );
+        });
+    });
+
     describe("POST /api/auth/add-admin", () => {
         it("should create admin successfully when requested by existing admin", async () => {
             User.findOne.mockResolvedValue(null);
@@ -411,7 +695,7 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 .send({
                     fullName: "New Admin",
                     email: "newadmin@test.com",
-                    password: "adminpass123",
+                    password: "Sup3r!Secure",
                     phone: "+201000000008",
                 });
 
@@ -428,7 +712,7 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 body: {
                     fullName: "New Admin",
                     email: "newadmin@test.com",
-                    password: "adminpass123",
+                    password: "Sup3r!Secure",
                 }
             };
 
@@ -487,7 +771,7 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 body: {
                     fullName: "New Admin",
                     email: "existing@test.com",
-                    password: "adminpass123",
+                    password: "Sup3r!Secure",
                 }
             };
 
@@ -542,7 +826,7 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 .send({
                     fullName: "Secure User",
                     email: "secure@test.com",
-                    password: "12345678",
+                    password: "Tr4vel!Nile9",
                     phone: "+201000000009",
                     role: "customer",
                     location: { latitude: 30, longitude: 31 },
@@ -561,6 +845,7 @@ describe("Auth Integration Tests (Comprehensive)", () => {
                 email: "cookie@test.com",
                 password: "$2a$12$hashedpassword",
                 correctPassword: jest.fn().mockResolvedValue(true),
+                isLocked: jest.fn().mockReturnValue(false),
                 toObject: jest.fn().mockReturnValue({
                     _id: "cookie123",
                     email: "cookie@test.com",
@@ -588,6 +873,1830 @@ describe("Auth Integration Tests (Comprehensive)", () => {
             expect(cookie[0]).toMatch(/jwt=/);
             expect(cookie[0]).toMatch(/HttpOnly/);
             expect(cookie[0]).toMatch(/SameSite=Strict/);
+
+            // Cookie-authenticated clients get a CSRF token with their login
+            const csrfCookie = cookie.find((c) => c.startsWith("csrfToken="));
+            expect(csrfCookie).toBeDefined();
+            expect(csrfCookie).not.toMatch(/HttpOnly/);
+        });
+
+        it("should issue a CSRF token on request", async () => {
+            const res = await request(app).get("/api/auth/csrf-token");
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(res.body.data.csrfToken).toMatch(/^[0-9a-f]{64}$/);
+            expect(res.headers["set-cookie"][0]).toContain(
+                `csrfToken=${res.body.data.csrfToken}`
+            );
+        });
+
+        it("should clear the CSRF cookie on logout", async () => {
+            RefreshToken.findOne.mockResolvedValue(null);
+
+            const res = await request(app).post("/api/auth/logout");
+
+            const cookies = res.headers["set-cookie"].join(";");
+            expect(cookies).toMatch(/csrfToken=;/);
+        });
+    });
+
+    describe("Refresh tokens and logout", () => {
+        const loginAs = (id, email) => {
+            const user = {
+                _id: id,
+                email,
+                password: "$2a$12$hashedpassword",
+                correctPassword: jest.fn().mockResolvedValue(true),
+                isLocked: jest.fn().mockReturnValue(false),
+                toObject: jest.fn().mockReturnValue({
+                    _id: id,
+                    email,
+                    role: "customer",
+                    fullName: "Refresh User",
+                }),
+            };
+            User.findOne.mockReturnValue({
+                select: jest.fn().mockResolvedValue(user),
+            });
+            return request(app)
+                .post("/api/auth/login")
+                .send({ email, password: "12345678" });
+        };
+
+        it("should issue a stored refresh token and cookie on login", async () => {
+            const res = await loginAs("refresh123", "refresh@test.com");
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(res.body.data).toHaveProperty("refreshToken");
+            expect(RefreshToken.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    user: "refresh123",
+                    tokenHash: hashToken(res.body.data.refreshToken),
+                    family: expect.any(String),
+                    expiresAt: expect.any(Date),
+                })
+            );
+            // The raw token is never persisted
+            expect(RefreshToken.create.mock.calls[0][0]).not.toHaveProperty(
+                "token"
+            );
+
+            const cookies = res.headers["set-cookie"].join(";");
+            expect(cookies).toMatch(/refreshToken=/);
+            expect(cookies).toMatch(/Path=\/api\/auth/);
+        });
+
+        it("should rotate a valid refresh token within the same family", async () => {
+            RefreshToken.findOneAndUpdate.mockResolvedValue({
+                user: "refresh123",
+                family: "family-1",
+            });
+            User.findById.mockResolvedValue({
+                _id: "refresh123",
+                email: "refresh@test.com",
+            });
+
+            const res = await request(app)
+                .post("/api/auth/refresh")
+                .send({ refreshToken: "old-refresh-token" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(res.body.data).toHaveProperty("token");
+            expect(res.body.data.refreshToken).not.toBe("old-refresh-token");
+            expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    tokenHash: hashToken("old-refresh-token"),
+                    revokedAt: null,
+                }),
+                expect.objectContaining({
+                    revokedReason: "rotated",
+                    replacedBy: hashToken(res.body.data.refreshToken),
+                })
+            );
+            expect(RefreshToken.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    user: "refresh123",
+                    family: "family-1",
+                })
+            );
+        });
+
+        it("should accept the refresh token from the cookie", async () => {
+            RefreshToken.findOneAndUpdate.mockResolvedValue({
+                user: "refresh123",
+                family: "family-1",
+            });
+            User.findById.mockResolvedValue({
+                _id: "refresh123",
+                email: "refresh@test.com",
+            });
+
+            const res = await request(app)
+                .post("/api/auth/refresh")
+                .set("Cookie", "refreshToken=cookie-refresh-token");
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(RefreshToken.findOneAndUpdate).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    tokenHash: hashToken("cookie-refresh-token"),
+                }),
+                expect.anything()
+            );
+        });
+
+        it("should revoke the whole family when a used token is presented again", async () => {
+            RefreshToken.findOneAndUpdate.mockResolvedValue(null);
+            RefreshToken.findOne.mockResolvedValue({
+                user: "refresh123",
+                family: "family-1",
+                revokedAt: new Date(),
+            });
+
+            const res = await request(app)
+                .post("/api/auth/refresh")
+                .send({ refreshToken: "stolen-refresh-token" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { family: "family-1", revokedAt: null },
+                expect.objectContaining({ revokedReason: "reuse-detected" })
+            );
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+        });
+
+        it("should reject a missing refresh token", async () => {
+            const res = await request(app).post("/api/auth/refresh").send({});
+
+            expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+            expect(RefreshToken.findOneAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it("should revoke the token family and clear cookies on logout", async () => {
+            RefreshToken.findOne.mockResolvedValue({
+                user: "refresh123",
+                family: "family-2",
+            });
+
+            const res = await request(app)
+                .post("/api/auth/logout")
+                .send({ refreshToken: "current-refresh-token" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { family: "family-2", revokedAt: null },
+                expect.objectContaining({ revokedReason: "logout" })
+            );
+            const cookies = res.headers["set-cookie"].join(";");
+            expect(cookies).toMatch(/jwt=;/);
+            expect(cookies).toMatch(/refreshToken=;/);
+        });
+
+        it("should revoke every refresh token of the user on logout-all", async () => {
+            const res = await request(app)
+                .post("/api/auth/logout-all")
+                .set("Authorization", "Bearer mock-jwt-token");
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { user: "admin123", revokedAt: null },
+                expect.objectContaining({ revokedReason: "logout-all" })
+            );
+        });
+    });
+
+    describe("Password reset", () => {
+        beforeEach(() => {
+            mailService.getTransport().clear();
+        });
+
+        it("should email a reset link for an existing account", async () => {
+            const user = {
+                _id: "reset123",
+                email: "reset@test.com",
+                fullName: "Reset User",
+                createPasswordResetToken: jest.fn().mockReturnValue("raw-reset-token"),
+                save: jest.fn().mockResolvedValue(true),
+            };
+            User.findOne.mockResolvedValue(user);
+
+            const res = await request(app)
+                .post("/api/auth/forgot-password")
+                .send({ email: "Reset@Test.com" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(User.findOne).toHaveBeenCalledWith({ email: "reset@test.com" });
+            expect(user.save).toHaveBeenCalledWith({ validateBeforeSave: false });
+
+            const { outbox } = mailService.getTransport();
+            expect(outbox).toHaveLength(1);
+            expect(outbox[0].to).toBe("reset@test.com");
+            expect(outbox[0].text).toContain("reset-password/raw-reset-token");
+        });
+
+        it("should build the reset link from CLIENT_URL, not the Host header", async () => {
+            User.findOne.mockResolvedValue({
+                _id: "reset123",
+                email: "reset@test.com",
+                createPasswordResetToken: jest.fn().mockReturnValue("raw-reset-token"),
+                save: jest.fn().mockResolvedValue(true),
+            });
+
+            await request(app)
+                .post("/api/auth/forgot-password")
+                .set("Host", "attacker.example")
+                .send({ email: "reset@test.com" });
+
+            const [mail] = mailService.getTransport().outbox;
+            expect(mail.text).toContain("http://localhost:3000/reset-password/raw-reset-token");
+            expect(mail.text).not.toContain("attacker.example");
+        });
+
+        it("should send no link when CLIENT_URL is not configured", async () => {
+            const clientUrl = process.env.CLIENT_URL;
+            delete process.env.CLIENT_URL;
+            const user = {
+                _id: "reset123",
+                email: "reset@test.com",
+                createPasswordResetToken: jest.fn().mockReturnValue("raw-reset-token"),
+                save: jest.fn().mockResolvedValue(true),
+            };
+            User.findOne.mockResolvedValue(user);
+
+            try {
+                const res = await request(app)
+                    .post("/api/auth/forgot-password")
+                    .set("Host", "attacker.example")
+                    .send({ email: "reset@test.com" });
+
+                expect(res.statusCode).toBe(STATUS_CODES.INTERNAL_SERVER_ERROR);
+                expect(mailService.getTransport().outbox).toHaveLength(0);
+                expect(user.passwordResetToken).toBeUndefined();
+            } finally {
+                process.env.CLIENT_URL = clientUrl;
+            }
+        });
+
+        it("should not fall back to a local mail transport in production", () => {
+            const nodeEnv = process.env.NODE_ENV;
+            process.env.NODE_ENV = "production";
+            try {
+                jest.isolateModules(() => {
+                    const freshMailService = require("../services/mail.service");
+
+                    expect(() => freshMailService.getTransport()).toThrow(/No mail transport/);
+                });
+            } finally {
+                process.env.NODE_ENV = nodeEnv;
+            }
+        });
+
+        it("should answer the same way for an unknown email", async () => {
+            User.findOne.mockResolvedValue(null);
+
+            const res = await request(app)
+                .post("/api/auth/forgot-password")
+                .send({ email: "nobody@test.com" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(res.body.message).toMatch(/If an account exists/);
+            expect(mailService.getTransport().outbox).toHaveLength(0);
+        });
+
+        it("should require an email", async () => {
+            const res = await request(app)
+                .post("/api/auth/forgot-password")
+                .send({});
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+        });
+
+        it("should reset the password with a valid token and revoke refresh tokens", async () => {
+            const user = {
+                _id: "reset123",
+                email: "reset@test.com",
+                passwordResetToken: "hash",
+                passwordResetExpires: Date.now() + 60000,
+                save: jest.fn().mockResolvedValue(true),
+                toObject: () => ({
+                    _id: "reset123",
+                    email: "reset@test.com",
+                    role: "customer",
+                }),
+            };
+            User.findOne.mockResolvedValue(user);
+
+            const res = await request(app)
+                .post("/api/auth/reset-password/raw-reset-token")
+                .send({ password: "NewStrongPass123" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(res.body.data).toHaveProperty("token");
+            expect(User.findOne).toHaveBeenCalledWith({
+                passwordResetToken: hashToken("raw-reset-token"),
+                passwordResetExpires: { $gt: expect.any(Number) },
+            });
+            expect(user.password).toBe("NewStrongPass123");
+            expect(user.passwordResetToken).toBeUndefined();
+            expect(user.passwordResetExpires).toBeUndefined();
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { user: "reset123", revokedAt: null },
+                expect.objectContaining({ revokedReason: "password-change" })
+            );
+        });
+
+        it("should reject an invalid or expired reset token", async () => {
+            User.findOne.mockResolvedValue(null);
+
+            const res = await request(app)
+                .post("/api/auth/reset-password/bad-token")
+                .send({ password: "NewStrongPass123" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.message).toMatch(/invalid or has expired/);
         });
     });
-});
\ No newline at end of file
+
+    describe("Password policy", () => {
+        it("should refuse a weak password at signup with every problem listed", async () => {
+            const res = await request(app)
+                .post("/api/auth/signup")
+                .send({
+                    fullName: "Weak Password",
+                    email: "weak@test.com",
+                    password: "weakling",
+                    phone: "+201000000031",
+                    location: { latitude: 30, longitude: 31 },
+                });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.errors.password).toEqual([
+                "Password must contain an uppercase letter",
+                "Password must contain a number",
+                "Password must not contain your email address",
+                "Password must not contain your name",
+            ]);
+            expect(Customer.create).not.toHaveBeenCalled();
+        });
+
+        it("should refuse common passwords when resetting", async () => {
+            const user = {
+                _id: "reset123",
+                email: "reset@test.com",
+                fullName: "Reset User",
+                save: jest.fn().mockResolvedValue(true),
+            };
+            User.findOne.mockResolvedValue(user);
+
+            const res = await request(app)
+                .post("/api/auth/reset-password/raw-reset-token")
+                .send({ password: "Password1" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.errors.password[0]).toMatch(/too common/);
+            expect(user.save).not.toHaveBeenCalled();
+        });
+
+        it("should refuse a new admin password that contains the admin's name", async () => {
+            User.findOne.mockResolvedValue(null);
+
+            const res = await request(app)
+                .post("/api/auth/add-admin")
+                .send({
+                    fullName: "Karim Fathy",
+                    email: "karim@test.com",
+                    password: "Fathy2024!x",
+                });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.errors.password).toEqual([
+                "Password must not contain your name",
+            ]);
+            expect(User.create).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("Email verification", () => {
+        const authController = require("../controllers/auth.controller");
+
+        const mockRes = () => {
+            const res = {
+                status: jest.fn().mockReturnThis(),
+                json: jest.fn(),
+                set: jest.fn(),
+            };
+            return res;
+        };
+
+        beforeEach(() => {
+            mailService.getTransport().clear();
+        });
+
+        it("should email a verification link at signup", async () => {
+            User.findOne.mockResolvedValue(null);
+            const customer = {
+                _id: "verify123",
+                email: "verify@test.com",
+                fullName: "Verify User",
+                role: "customer",
+                createEmailVerificationToken: jest.fn().mockReturnValue("raw-verify-token"),
+                save: jest.fn().mockResolvedValue(true),
+                toObject: () => ({
+                    _id: "verify123",
+                    email: "verify@test.com",
+                    role: "customer",
+                    emailVerified: false,
+                }),
+            };
+            Customer.create.mockResolvedValue(customer);
+
+            const res = await request(app)
+                .post("/api/auth/signup")
+                .send({
+                    fullName: "Verify User",
+                    email: "verify@test.com",
+                    password: "Tr4vel!Nile9",
+                    phone: "+201000000011",
+                    location: { latitude: 30, longitude: 31 },
+                });
+
+            expect(res.statusCode).toBe(STATUS_CODES.CREATED);
+            expect(res.body.data.user.emailVerified).toBe(false);
+            expect(customer.save).toHaveBeenCalledWith({ validateBeforeSave: false });
+
+            const { outbox } = mailService.getTransport();
+            expect(outbox).toHaveLength(1);
+            expect(outbox[0].text).toContain("verify-email/raw-verify-token");
+        });
+
+        it("should verify the email with a valid token", async () => {
+            const user = {
+                email: "verify@test.com",
+                emailVerified: false,
+                emailVerificationToken: "hash",
+                save: jest.fn().mockResolvedValue(true),
+            };
+            User.findOne.mockResolvedValue(user);
+
+            const res = await request(app).get(
+                "/api/auth/verify-email/raw-verify-token"
+            );
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(User.findOne).toHaveBeenCalledWith({
+                emailVerificationToken: hashToken("raw-verify-token"),
+                emailVerificationExpires: { $gt: expect.any(Number) },
+            });
+            expect(user.emailVerified).toBe(true);
+            expect(user.emailVerificationToken).toBeUndefined();
+        });
+
+        it("should reject an invalid verification token", async () => {
+            User.findOne.mockResolvedValue(null);
+
+            const res = await request(app).get("/api/auth/verify-email/bad-token");
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+        });
+
+        it("should enforce the resend cooldown", async () => {
+            const req = {
+                user: {
+                    email: "verify@test.com",
+                    emailVerified: false,
+                    emailVerificationSentAt: new Date(),
+                },
+            };
+            const res = mockRes();
+
+            await authController.resendVerificationEmail(req, res, jest.fn());
+
+            expect(res.status).toHaveBeenCalledWith(STATUS_CODES.TOO_MANY_REQUESTS);
+            expect(res.set).toHaveBeenCalledWith("Retry-After", expect.any(String));
+            expect(mailService.getTransport().outbox).toHaveLength(0);
+        });
+
+        it("should resend the verification email after the cooldown", async () => {
+            const user = {
+                email: "verify@test.com",
+                emailVerified: false,
+                emailVerificationSentAt: new Date(Date.now() - 10 * 60 * 1000),
+                createEmailVerificationToken: jest.fn().mockReturnValue("new-token"),
+                save: jest.fn().mockResolvedValue(true),
+            };
+            const res = mockRes();
+
+            authController.resendVerificationEmail(
+                { user },
+                res,
+                jest.fn()
+            );
+            // catchAsync does not hand back the promise, so let it settle
+            await new Promise((resolve) => setImmediate(resolve));
+
+            expect(res.status).toHaveBeenCalledWith(STATUS_CODES.OK);
+            expect(mailService.getTransport().outbox[0].text).toContain(
+                "verify-email/new-token"
+            );
+        });
+    });
+
+    describe("Phone numbers and OTP verification", () => {
+        const signupBody = {
+            fullName: "Phone User",
+            email: "phone@test.com",
+            password: "Tr4vel!Nile9",
+            location: { latitude: 30, longitude: 31 },
+        };
+
+        beforeEach(() => {
+            smsService.getProvider().clear();
+            PhoneOtp.findOneAndUpdate.mockResolvedValue({});
+            PhoneOtp.updateOne.mockResolvedValue({});
+            PhoneOtp.deleteOne.mockResolvedValue({ deletedCount: 1 });
+        });
+
+        // A pending code that has had `attempts` guesses; the conditional
+        // increment behaves like the database would
+        const mockPendingOtp = (otp) => {
+            PhoneOtp.findOne.mockResolvedValue(otp);
+            PhoneOtp.findOneAndUpdate.mockImplementation(async (filter, update) =>
+                otp.attempts < filter.attempts.$lt
+                    ? { ...otp, attempts: otp.attempts + update.$inc.attempts }
+                    : null
+            );
+        };
+
+        it("should normalize a local phone number to E.164 before the uniqueness check", async () => {
+            User.findOne.mockResolvedValue(null);
+            Customer.create.mockResolvedValue({
+                _id: "phone123",
+                toObject: () => ({ _id: "phone123", role: "customer", phone: "+201000000012" }),
+            });
+
+            const res = await request(app)
+                .post("/api/auth/signup")
+                .send({ ...signupBody, phone: "010 0000 0012" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.CREATED);
+            expect(User.findOne).toHaveBeenCalledWith({ phone: "+201000000012" });
+            expect(Customer.create).toHaveBeenCalledWith(
+                expect.objectContaining({ phone: "+201000000012" })
+            );
+        });
+
+        it("should reject an invalid phone number", async () => {
+            const res = await request(app)
+                .post("/api/auth/signup")
+                .send({ ...signupBody, phone: "12ab" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.errors).toHaveProperty("phone");
+            expect(Customer.create).not.toHaveBeenCalled();
+        });
+
+        it("should reject a phone number that is already registered", async () => {
+            User.findOne
+                .mockResolvedValueOnce(null)
+                .mockResolvedValueOnce({ _id: "other123", phone: "+201000000012" });
+
+            const res = await request(app)
+                .post("/api/auth/signup")
+                .send({ ...signupBody, phone: "+20 100 000 0012" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.message).toMatch(/Phone number already registered/);
+        });
+
+        it("should send a hashed 6-digit code by SMS", async () => {
+            PhoneOtp.findOne.mockResolvedValue(null);
+
+            const res = await request(app)
+                .post("/api/auth/phone/send-otp")
+                .set("Authorization", "Bearer mock-jwt-token");
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+
+            const { outbox } = smsService.getProvider();
+            expect(outbox).toHaveLength(1);
+            expect(outbox[0].to).toBe("+201000000099");
+            const code = outbox[0].body.match(/\d{6}/)[0];
+
+            expect(PhoneOtp.findOneAndUpdate).toHaveBeenCalledWith(
+                { user: "admin123" },
+                expect.objectContaining({
+                    phone: "+201000000099",
+                    codeHash: hashCode("admin123", code),
+                    attempts: 0,
+                }),
+                expect.objectContaining({ upsert: true })
+            );
+        });
+
+        it("should not fall back to a local SMS provider in production", () => {
+            const nodeEnv = process.env.NODE_ENV;
+            process.env.NODE_ENV = "production";
+            try {
+                jest.isolateModules(() => {
+                    const freshSmsService = require("../services/sms.service");
+
+                    expect(() => freshSmsService.getProvider()).toThrow(/No SMS provider/);
+                });
+            } finally {
+                process.env.NODE_ENV = nodeEnv;
+            }
+        });
+
+        it("should throttle resending a code", async () => {
+            PhoneOtp.findOne.mockResolvedValue({ lastSentAt: new Date() });
+
+            const res = await request(app)
+                .post("/api/auth/phone/send-otp")
+                .set("Authorization", "Bearer mock-jwt-token");
+
+            expect(res.statusCode).toBe(STATUS_CODES.TOO_MANY_REQUESTS);
+            expect(res.headers["retry-after"]).toBeDefined();
+            expect(smsService.getProvider().outbox).toHaveLength(0);
+        });
+
+        it("should verify the phone with the correct code", async () => {
+            mockPendingOtp({
+                _id: "otp1",
+                phone: "+201000000099",
+                codeHash: hashCode("admin123", "123456"),
+                expiresAt: new Date(Date.now() + 60000),
+                attempts: 0,
+            });
+
+            const res = await request(app)
+                .post("/api/auth/phone/verify-otp")
+                .set("Authorization", "Bearer mock-jwt-token")
+                .send({ code: "123456" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(User.findByIdAndUpdate).toHaveBeenCalledWith("admin123", {
+                phoneVerified: true,
+            });
+            expect(PhoneOtp.deleteOne).toHaveBeenCalledWith({ _id: "otp1" });
+        });
+
+        it("should count a wrong code as a failed attempt", async () => {
+            mockPendingOtp({
+                _id: "otp1",
+                phone: "+201000000099",
+                codeHash: hashCode("admin123", "123456"),
+                expiresAt: new Date(Date.now() + 60000),
+                attempts: 1,
+            });
+
+            const res = await request(app)
+                .post("/api/auth/phone/verify-otp")
+                .set("Authorization", "Bearer mock-jwt-token")
+                .send({ code: "654321" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.errors.attemptsLeft).toBe(3);
+            expect(PhoneOtp.findOneAndUpdate).toHaveBeenCalledWith(
+                { _id: "otp1", attempts: { $lt: 5 } },
+                { $inc: { attempts: 1 } },
+                { new: true }
+            );
+            expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it("should refuse codes once the attempt limit is reached", async () => {
+            mockPendingOtp({
+                _id: "otp1",
+                phone: "+201000000099",
+                codeHash: hashCode("admin123", "123456"),
+                expiresAt: new Date(Date.now() + 60000),
+                attempts: 5,
+            });
+
+            const res = await request(app)
+                .post("/api/auth/phone/verify-otp")
+                .set("Authorization", "Bearer mock-jwt-token")
+                .send({ code: "123456" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.TOO_MANY_REQUESTS);
+            expect(User.findByIdAndUpdate).not.toHaveBeenCalled();
+        });
+
+        it("should not let parallel guesses past the attempt limit", async () => {
+            const otp = {
+                _id: "otp1",
+                phone: "+201000000099",
+                codeHash: hashCode("admin123", "123456"),
+                expiresAt: new Date(Date.now() + 60000),
+                attempts: 4,
+            };
+            PhoneOtp.findOne.mockResolvedValue(otp);
+            // Each guess read attempts: 4, but the database counts them one by one
+            PhoneOtp.findOneAndUpdate.mockImplementation(async (filter) => {
+                if (otp.attempts >= filter.attempts.$lt) return null;
+                otp.attempts += 1;
+                return { ...otp };
+            });
+
+            const responses = await Promise.all(
+                ["111111", "222222", "333333"].map((code) =>
+                    request(app)
+                        .post("/api/auth/phone/verify-otp")
+                        .set("Authorization", "Bearer mock-jwt-token")
+                        .send({ code })
+                )
+            );
+
+            // Only one guess was compared; the others found the limit reached
+            expect(otp.attempts).toBe(5);
+            const counted = await Promise.all(
+                PhoneOtp.findOneAndUpdate.mock.results.map((result) => result.value)
+            );
+            expect(counted.filter(Boolean)).toHaveLength(1);
+            responses.forEach((res) =>
+                expect(res.statusCode).toBe(STATUS_CODES.TOO_MANY_REQUESTS)
+            );
+        });
+
+        it("should reject an expired code", async () => {
+            PhoneOtp.findOne.mockResolvedValue({
+                _id: "otp1",
+                phone: "+201000000099",
+                codeHash: hashCode("admin123", "123456"),
+                expiresAt: new Date(Date.now() - 1000),
+                attempts: 0,
+            });
+
+            const res = await request(app)
+                .post("/api/auth/phone/verify-otp")
+                .set("Authorization", "Bearer mock-jwt-token")
+                .send({ code: "123456" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.message).toMatch(/expired/);
+        });
+    });
+
+    describe("Two-factor authentication", () => {
+        const secret = generateSecret();
+
+        beforeEach(() => {
+            User.updateOne.mockResolvedValue({ modifiedCount: 1 });
+        });
+
+        const loginWith = (user) => {
+            User.findOne.mockReturnValue({
+                select: jest.fn().mockResolvedValue({
+                    password: "$2a$12$hashedpassword",
+                    correctPassword: jest.fn().mockResolvedValue(true),
+                    isLocked: jest.fn().mockReturnValue(false),
+                    ...user,
+                }),
+            });
+            return request(app)
+                .post("/api/auth/login")
+                .send({ email: user.email, password: "12345678" });
+        };
+
+        const twoFactorUser = (overrides = {}) => ({
+            _id: "tfa123",
+            email: "tfa@test.com",
+            role: "pharmacy",
+            twoFactorEnabled: true,
+            twoFactorSecret: secret,
+            twoFactorBackupCodes: [],
+            isLocked: jest.fn().mockReturnValue(false),
+            registerFailedLogin: jest.fn().mockResolvedValue(),
+            save: jest.fn().mockResolvedValue(true),
+            toObject: () => ({ _id: "tfa123", email: "tfa@test.com", role: "pharmacy" }),
+            ...overrides,
+        });
+
+        it("should answer login with a challenge instead of tokens when 2FA is enabled", async () => {
+            const res = await loginWith({ _id: "tfa123", email: "tfa@test.com", twoFactorEnabled: true });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(res.body.data.twoFactorRequired).toBe(true);
+            expect(res.body.data).toHaveProperty("challengeToken");
+            expect(res.body.data).not.toHaveProperty("token");
+            expect(res.headers["set-cookie"]).toBeUndefined();
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+        });
+
+        it("should require 2FA setup for admins when the policy is on", async () => {
+            Setting.getValue.mockResolvedValue(true);
+
+            const res = await loginWith({ _id: "adm1", email: "adm@test.com", role: "admin" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(res.body.data.twoFactorSetupRequired).toBe(true);
+            expect(res.body.data).not.toHaveProperty("token");
+        });
+
+        it("should complete the login with a valid TOTP code", async () => {
+            User.findById.mockReturnValue({
+                select: jest.fn().mockResolvedValue(twoFactorUser()),
+            });
+
+            const res = await request(app)
+                .post("/api/auth/2fa/verify")
+                .send({
+                    challengeToken: signChallengeToken("tfa123", "2fa-login"),
+                    code: generateTotp(secret),
+                });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(res.body.data).toHaveProperty("token");
+            expect(res.body.data).toHaveProperty("refreshToken");
+        });
+
+        it("should refuse a TOTP code that was already used", async () => {
+            User.findById.mockReturnValue({
+                select: jest.fn().mockResolvedValue(twoFactorUser()),
+            });
+            User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+            const res = await request(app)
+                .post("/api/auth/2fa/verify")
+                .send({
+                    challengeToken: signChallengeToken("tfa123", "2fa-login"),
+                    code: generateTotp(secret),
+                });
+
+            expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+
+            const step = Math.floor(Date.now() / 30000);
+            const [filter, update] = User.updateOne.mock.calls[0];
+            expect(filter).toEqual({
+                _id: "tfa123",
+                $or: [
+                    { twoFactorLastStep: null },
+                    { twoFactorLastStep: { $lt: expect.any(Number) } },
+                ],
+            });
+            expect(Math.abs(update.twoFactorLastStep - step)).toBeLessThanOrEqual(1);
+        });
+
+        it("should accept a backup code only once", async () => {
+            const user = twoFactorUser({
+                twoFactorBackupCodes: [hashToken("a1b2c3d4"), hashToken("ffffffff")],
+            });
+            User.findById.mockReturnValue({
+                select: jest.fn().mockResolvedValue(user),
+            });
+
+            const res = await request(app)
+                .post("/api/auth/2fa/verify")
+                .send({
+                    challengeToken: signChallengeToken("tfa123", "2fa-login"),
+                    backupCode: "A1B2-C3D4",
+                });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(User.updateOne).toHaveBeenCalledWith(
+                { _id: "tfa123", twoFactorBackupCodes: hashToken("a1b2c3d4") },
+                { $pull: { twoFactorBackupCodes: hashToken("a1b2c3d4") } }
+            );
+        });
+
+        it("should refuse a backup code another login spent first", async () => {
+            const user = twoFactorUser({
+                twoFactorBackupCodes: [hashToken("a1b2c3d4"), hashToken("ffffffff")],
+            });
+            User.findById.mockReturnValue({
+                select: jest.fn().mockResolvedValue(user),
+            });
+            // The loaded copy still lists the code, but it is gone from the database
+            User.updateOne.mockResolvedValue({ modifiedCount: 0 });
+
+            const res = await request(app)
+                .post("/api/auth/2fa/verify")
+                .send({
+                    challengeToken: signChallengeToken("tfa123", "2fa-login"),
+                    backupCode: "A1B2-C3D4",
+                });
+
+            expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+        });
+
+        it("should reject an invalid code", async () => {
+            const wrongCode = generateTotp(secret) === "000000" ? "111111" : "000000";
+            User.findById.mockReturnValue({
+                select: jest.fn().mockResolvedValue(twoFactorUser()),
+            });
+
+            const res = await request(app)
+                .post("/api/auth/2fa/verify")
+                .send({
+                    challengeToken: signChallengeToken("tfa123", "2fa-login"),
+                    code: wrongCode,
+                });
+
+            expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+        });
+
+        it("should not accept a setup challenge as a login challenge", async () => {
+            const res = await request(app)
+                .post("/api/auth/2fa/verify")
+                .send({
+                    challengeToken: signChallengeToken("tfa123", "2fa-setup"),
+                    code: generateTotp(secret),
+                });
+
+            expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+            expect(User.findById).not.toHaveBeenCalled();
+        });
+
+        it("should start enrollment with an otpauth URI", async () => {
+            const res = await request(app)
+                .post("/api/auth/2fa/enroll")
+                .set("Authorization", "Bearer mock-jwt-token");
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(res.body.data.otpauthUri).toMatch(
+                /^otpauth:\/\/totp\/Cure-Link%3Aadmin%40test\.com\?secret=/
+            );
+            expect(User.findByIdAndUpdate).toHaveBeenCalledWith("admin123", {
+                twoFactorPendingSecret: res.body.data.secret,
+            });
+        });
+
+        it("should enable 2FA and return hashed backup codes on confirmation", async () => {
+            const user = {
+                email: "admin@test.com",
+                twoFactorPendingSecret: secret,
+                save: jest.fn().mockResolvedValue(true),
+            };
+            User.findById.mockReturnValue({
+                select: jest.fn().mockResolvedValue(user),
+            });
+
+            const res = await request(app)
+                .post("/api/auth/2fa/confirm")
+                .set("Authorization", "Bearer mock-jwt-token")
+                .send({ code: generateTotp(secret) });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(res.body.data.backupCodes).toHaveLength(10);
+            expect(user.twoFactorEnabled).toBe(true);
+            expect(user.twoFactorSecret).toBe(secret);
+            expect(user.twoFactorPendingSecret).toBeUndefined();
+            expect(user.twoFactorLastStep).toBeGreaterThan(0);
+            expect(user.twoFactorBackupCodes).toContain(
+                hashToken(res.body.data.backupCodes[0].replace("-", ""))
+            );
+            expect(user.twoFactorBackupCodes).not.toContain(
+                res.body.data.backupCodes[0]
+            );
+        });
+
+        it("should let admins require 2FA for the admin role", async () => {
+            const res = await request(app)
+                .patch("/api/auth/2fa/policy")
+                .set("Authorization", "Bearer mock-jwt-token")
+                .send({ requireForAdmins: true });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(Setting.setValue).toHaveBeenCalledWith(
+                "security.requireAdminTwoFactor",
+                true,
+                "admin123"
+            );
+        });
+    });
+
+    describe("Brute-force protection", () => {
+        const lockedUntil = () => new Date(Date.now() + 15 * 60 * 1000);
+
+        it("should count a wrong password against the account", async () => {
+            const user = {
+                _id: "bf123",
+                email: "bf@test.com",
+                password: "$2a$12$hashedpassword",
+                correctPassword: jest.fn().mockResolvedValue(false),
+                isLocked: jest.fn().mockReturnValue(false),
+                registerFailedLogin: jest.fn().mockResolvedValue(),
+            };
+            User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+            const res = await request(app)
+                .post("/api/auth/login")
+                .send({ email: "bf@test.com", password: "wrongpass" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+            expect(user.registerFailedLogin).toHaveBeenCalled();
+        });
+
+        it("should lock the account on the failed attempt that reaches the limit", async () => {
+            const user = {
+                _id: "bf123",
+                email: "bf@test.com",
+                password: "$2a$12$hashedpassword",
+                correctPassword: jest.fn().mockResolvedValue(false),
+                isLocked: jest.fn().mockReturnValueOnce(false).mockReturnValue(true),
+                registerFailedLogin: jest.fn().mockImplementation(function () {
+                    user.lockUntil = lockedUntil();
+                    return Promise.resolve();
+                }),
+            };
+            User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+            const res = await request(app)
+                .post("/api/auth/login")
+                .send({ email: "bf@test.com", password: "wrongpass" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.LOCKED);
+            expect(res.headers["retry-after"]).toBeDefined();
+            expect(res.body.errors).toHaveProperty("lockedUntil");
+            expect(res.body.errors.retryAfter).toBeGreaterThan(0);
+        });
+
+        it("should refuse a locked account without checking the password", async () => {
+            const user = {
+                _id: "bf123",
+                email: "bf@test.com",
+                lockUntil: lockedUntil(),
+                correctPassword: jest.fn().mockResolvedValue(true),
+                isLocked: jest.fn().mockReturnValue(true),
+            };
+            User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+            const res = await request(app)
+                .post("/api/auth/login")
+                .send({ email: "bf@test.com", password: "12345678" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.LOCKED);
+            expect(user.correctPassword).not.toHaveBeenCalled();
+            expect(RefreshToken.create).not.toHaveBeenCalled();
+        });
+
+        it("should reset the counters after a successful login", async () => {
+            const user = {
+                _id: "bf123",
+                email: "bf@test.com",
+                failedLoginAttempts: 3,
+                correctPassword: jest.fn().mockResolvedValue(true),
+                isLocked: jest.fn().mockReturnValue(false),
+                resetLoginAttempts: jest.fn().mockResolvedValue(),
+                toObject: () => ({ _id: "bf123", email: "bf@test.com", role: "customer" }),
+            };
+            User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+            const res = await request(app)
+                .post("/api/auth/login")
+                .send({ email: "bf@test.com", password: "12345678" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(user.resetLoginAttempts).toHaveBeenCalled();
+        });
+
+        it("should throttle login attempts per IP", async () => {
+            User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+            for (let i = 0; i < 20; i++) {
+                await request(app)
+                    .post("/api/auth/login")
+                    .send({ email: "nobody@test.com", password: "wrongpass" });
+            }
+
+            const res = await request(app)
+                .post("/api/auth/login")
+                .send({ email: "nobody@test.com", password: "wrongpass" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.TOO_MANY_REQUESTS);
+            expect(res.headers["retry-after"]).toBeDefined();
+            expect(res.body.errors).toHaveProperty("retryAfter");
+        });
+
+        it("should throttle signups per IP", async () => {
+            for (let i = 0; i < 10; i++) {
+                await request(app).post("/api/auth/signup").send({});
+            }
+
+            const res = await request(app).post("/api/auth/signup").send({});
+
+            expect(res.statusCode).toBe(STATUS_CODES.TOO_MANY_REQUESTS);
+        });
+    });
+
+    describe("Account restrictions", () => {
+        const buildUser = (overrides) => ({
+            _id: "restricted123",
+            email: "restricted@test.com",
+            correctPassword: jest.fn().mockResolvedValue(true),
+            isLocked: jest.fn().mockReturnValue(false),
+            toObject: () => ({ _id: "restricted123", role: "customer" }),
+            ...overrides,
+        });
+
+        it("should refuse login for suspended accounts", async () => {
+            User.findOne.mockReturnValue({
+                select: jest.fn().mockResolvedValue(buildUser({ status: "suspended" })),
+            });
+
+            const res = await request(app)
+                .post("/api/auth/login")
+                .send({ email: "restricted@test.com", password: "12345678" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+            expect(res.body.errors).toEqual({ account: "suspended" });
+            expect(res.body.data).toBeUndefined();
+        });
+
+        it("should refuse login until a forced password reset is done", async () => {
+            User.findOne.mockReturnValue({
+                select: jest.fn().mockResolvedValue(
+                    buildUser({ passwordResetRequired: true })
+                ),
+            });
+
+            const res = await request(app)
+                .post("/api/auth/login")
+                .send({ email: "restricted@test.com", password: "12345678" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+            expect(res.body.message).toMatch(/password reset is required/);
+        });
+
+        it("should not refresh tokens of a suspended account", async () => {
+            RefreshToken.findOneAndUpdate.mockResolvedValue({
+                user: "restricted123",
+                family: "family-1",
+            });
+            User.findById.mockResolvedValue(buildUser({ status: "suspended" }));
+
+            const res = await request(app)
+                .post("/api/auth/refresh")
+                .send({ refreshToken: "some-refresh-token" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                expect.objectContaining({ user: "restricted123" }),
+                expect.any(Object)
+            );
+        });
+    });
+
+    describe("Sessions", () => {
+        it("should record the device and bind the access token to a session on login", async () => {
+            User.findOne.mockReturnValue({
+                select: jest.fn().mockResolvedValue({
+                    _id: "device123",
+                    email: "device@test.com",
+                    correctPassword: jest.fn().mockResolvedValue(true),
+                    isLocked: jest.fn().mockReturnValue(false),
+                    toObject: () => ({ _id: "device123", role: "customer" }),
+                }),
+            });
+
+            const res = await request(app)
+                .post("/api/auth/login")
+                .set(
+                    "User-Agent",
+                    "Mozilla/5.0 (Windows NT 10.0; Win64; x64) AppleWebKit/537.36 Chrome/120.0 Safari/537.36"
+                )
+                .send({ email: "device@test.com", password: "12345678" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(Session.create).toHaveBeenCalledWith(
+                expect.objectContaining({
+                    user: "device123",
+                    device: "Chrome on Windows",
+                    ip: expect.any(String),
+                })
+            );
+            expect(RefreshToken.create).toHaveBeenCalledWith(
+                expect.objectContaining({ family: "family-123" })
+            );
+            expect(jwt.decode(res.body.data.token).sid).toBe("session123");
+        });
+
+        it("should refuse to refresh once the session has ended", async () => {
+            RefreshToken.findOneAndUpdate.mockResolvedValue({
+                user: "refresh123",
+                family: "family-1",
+            });
+            User.findById.mockResolvedValue({ _id: "refresh123", email: "refresh@test.com" });
+            Session.findOneAndUpdate.mockResolvedValue(null);
+
+            const res = await request(app)
+                .post("/api/auth/refresh")
+                .send({ refreshToken: "old-refresh-token" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { family: "family-1", revokedAt: null },
+                expect.objectContaining({ revokedReason: "session-revoked" })
+            );
+        });
+
+        it("should list active sessions and flag the current one", async () => {
+            Session.find.mockReturnValue({
+                sort: jest.fn().mockResolvedValue([
+                    { _id: "session123", device: "Chrome on Windows", ip: "1.1.1.1" },
+                    { _id: "session456", device: "Android app", ip: "2.2.2.2" },
+                ]),
+            });
+
+            const res = await request(app).get("/api/auth/sessions");
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(Session.find).toHaveBeenCalledWith(
+                expect.objectContaining({ user: "admin123", revokedAt: null })
+            );
+            expect(res.body.data.sessions).toEqual([
+                expect.objectContaining({ _id: "session123", current: true }),
+                expect.objectContaining({ _id: "session456", current: false }),
+            ]);
+        });
+
+        it("should revoke one of the user's sessions with its refresh tokens", async () => {
+            Session.findOne.mockResolvedValue({ _id: "session456", family: "family-456" });
+
+            const res = await request(app).delete("/api/auth/sessions/session456");
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(Session.findOne).toHaveBeenCalledWith({
+                _id: "session456",
+                user: "admin123",
+                revokedAt: null,
+            });
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { family: "family-456", revokedAt: null },
+                expect.objectContaining({ revokedReason: "session-revoked" })
+            );
+            expect(Session.updateOne).toHaveBeenCalledWith(
+                { family: "family-456", revokedAt: null },
+                expect.objectContaining({ revokedReason: "session-revoked" })
+            );
+        });
+
+        it("should not revoke sessions of other users", async () => {
+            Session.findOne.mockResolvedValue(null);
+
+            const res = await request(app).delete("/api/auth/sessions/someone-elses");
+
+            expect(res.statusCode).toBe(STATUS_CODES.NOT_FOUND);
+            expect(RefreshToken.updateMany).not.toHaveBeenCalled();
+        });
+
+        describe("DELETE /api/auth/impersonation", () => {
+            afterEach(() => {
+                mockAuthSessionOverrides = {};
+            });
+
+            it("should end the impersonation session", async () => {
+                mockAuthSessionOverrides = { impersonatedBy: "support-admin" };
+                Session.findOne.mockResolvedValue({
+                    _id: "session123",
+                    family: "family-imp",
+                });
+
+                const res = await request(app).delete("/api/auth/impersonation");
+
+                expect(res.statusCode).toBe(STATUS_CODES.OK);
+                expect(Session.updateOne).toHaveBeenCalledWith(
+                    { family: "family-imp", revokedAt: null },
+                    expect.objectContaining({ revokedReason: "impersonation-ended" })
+                );
+            });
+
+            it("should refuse normal sessions", async () => {
+                const res = await request(app).delete("/api/auth/impersonation");
+
+                expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+                expect(Session.findOne).not.toHaveBeenCalled();
+            });
+        });
+    });
+
+    describe("Profile (/api/auth/me)", () => {
+        const buildUserDoc = (overrides = {}) => ({
+            _id: "customer123",
+            fullName: "Test Customer",
+            email: "customer@test.com",
+            role: "customer",
+            phone: "+201000000001",
+            phoneVerified: true,
+            location: { latitude: 30, longitude: 31 },
+            save: jest.fn().mockResolvedValue(true),
+            ...overrides,
+        });
+
+        beforeEach(() => {
+            mockAuthUserOverrides = {
+                _id: "customer123",
+                fullName: "Test Customer",
+                email: "customer@test.com",
+                role: "customer",
+                phone: "+201000000001",
+            };
+        });
+
+        it("should return the logged-in user's public profile", async () => {
+            const res = await request(app).get("/api/auth/me");
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(res.body.data.user).toMatchObject({
+                _id: "customer123",
+                email: "customer@test.com",
+                role: "customer",
+            });
+            expect(res.body.data.user).not.toHaveProperty("password");
+        });
+
+        it("should update whitelisted fields", async () => {
+            const user = buildUserDoc();
+            User.findById.mockResolvedValue(user);
+
+            const res = await request(app)
+                .patch("/api/auth/me")
+                .send({
+                    fullName: "New Name",
+                    location: { latitude: 29.9, longitude: 31.2 },
+                });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(user.fullName).toBe("New Name");
+            expect(user.location).toEqual({ latitude: 29.9, longitude: 31.2 });
+            expect(user.save).toHaveBeenCalled();
+        });
+
+        it("should normalize a new phone and reset phone verification", async () => {
+            const user = buildUserDoc();
+            User.findById.mockResolvedValue(user);
+            User.findOne.mockResolvedValue(null);
+
+            const res = await request(app)
+                .patch("/api/auth/me")
+                .send({ phone: "01012345678" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(User.findOne).toHaveBeenCalledWith({
+                phone: "+201012345678",
+                _id: { $ne: "customer123" },
+            });
+            expect(user.phone).toBe("+201012345678");
+            expect(user.phoneVerified).toBe(false);
+        });
+
+        it("should reject a phone that belongs to another account", async () => {
+            User.findById.mockResolvedValue(buildUserDoc());
+            User.findOne.mockResolvedValue({ _id: "other" });
+
+            const res = await request(app)
+                .patch("/api/auth/me")
+                .send({ phone: "+201012345678" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.errors).toHaveProperty("phone");
+        });
+
+        it("should not let a pharmacy edit its license number", async () => {
+            mockAuthUserOverrides = { _id: "pharmacy123", role: "pharmacy" };
+
+            const res = await request(app)
+                .patch("/api/auth/me")
+                .send({ licenseNumber: "LIC-999", fullName: "X" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.errors).toHaveProperty("licenseNumber");
+            expect(User.findById).not.toHaveBeenCalled();
+        });
+
+        it("should not let an admin set a location", async () => {
+            mockAuthUserOverrides = {};
+
+            const res = await request(app)
+                .patch("/api/auth/me")
+                .send({ location: { latitude: 30, longitude: 31 } });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.errors).toHaveProperty("location");
+        });
+
+        it("should reject role or email changes", async () => {
+            const res = await request(app)
+                .patch("/api/auth/me")
+                .send({ role: "admin", email: "x@test.com" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.errors).toHaveProperty("role");
+            expect(res.body.errors).toHaveProperty("email");
+        });
+
+        it("should reject an invalid location", async () => {
+            User.findById.mockResolvedValue(buildUserDoc());
+
+            const res = await request(app)
+                .patch("/api/auth/me")
+                .send({ location: { latitude: 200, longitude: 31 } });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.errors).toHaveProperty("location");
+        });
+
+        it("should change the password when the current one matches", async () => {
+            const user = buildUserDoc({
+                password: "hashed",
+                correctPassword: jest.fn().mockResolvedValue(true),
+            });
+            User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+            const res = await request(app)
+                .patch("/api/auth/me/password")
+                .send({ currentPassword: "oldpassword", newPassword: "Fresh!Passw0rd" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(user.password).toBe("Fresh!Passw0rd");
+            expect(user.save).toHaveBeenCalled();
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                expect.objectContaining({ user: "customer123" }),
+                expect.objectContaining({ revokedReason: "password-change" })
+            );
+            expect(res.body.data).toHaveProperty("token");
+        });
+
+        it("should apply the password policy to the new password", async () => {
+            const user = buildUserDoc({
+                password: "hashed",
+                correctPassword: jest.fn().mockResolvedValue(true),
+            });
+            User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+            const res = await request(app)
+                .patch("/api/auth/me/password")
+                .send({ currentPassword: "oldpassword", newPassword: "short" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.errors.newPassword).toContain(
+                "Password must be at least 8 characters long"
+            );
+            expect(user.save).not.toHaveBeenCalled();
+        });
+
+        it("should refuse the password change with a wrong current password", async () => {
+            const user = buildUserDoc({
+                password: "hashed",
+                correctPassword: jest.fn().mockResolvedValue(false),
+            });
+            User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+            const res = await request(app)
+                .patch("/api/auth/me/password")
+                .send({ currentPassword: "wrong", newPassword: "Fresh!Passw0rd" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+            expect(user.save).not.toHaveBeenCalled();
+        });
+    });
+
+    describe("Account deletion and data export", () => {
+        const buildUserDoc = (overrides = {}) => ({
+            _id: "customer123",
+            fullName: "Test Customer",
+            email: "customer@test.com",
+            role: "customer",
+            phone: "+201000000001",
+            password: "hashed",
+            location: { latitude: 30, longitude: 31 },
+            correctPassword: jest.fn().mockResolvedValue(true),
+            save: jest.fn().mockResolvedValue(true),
+            ...overrides,
+        });
+
+        const sortedResult = (value) => ({
+            sort: jest.fn().mockResolvedValue(value),
+        });
+
+        beforeEach(() => {
+            mockAuthUserOverrides = {
+                _id: "customer123",
+                fullName: "Test Customer",
+                email: "customer@test.com",
+                role: "customer",
+                phone: "+201000000001",
+            };
+            Medicine.updateMany.mockResolvedValue({ modifiedCount: 2 });
+            ApiKey.updateMany.mockResolvedValue({ modifiedCount: 1 });
+            AuditEvent.updateMany.mockResolvedValue({ modifiedCount: 0 });
+            PharmacyStaff.find.mockResolvedValue([]);
+        });
+
+        afterEach(() => {
+            delete process.env.ACCOUNT_DELETION_GRACE_DAYS;
+        });
+
+        it("should schedule the deletion and log out every device", async () => {
+            process.env.ACCOUNT_DELETION_GRACE_DAYS = "14";
+            const user = buildUserDoc();
+            User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+            const res = await request(app)
+                .delete("/api/auth/me")
+                .send({ password: "Tr4vel!Nile9" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            const days = (user.deletionScheduledFor - Date.now()) / (24 * 60 * 60 * 1000);
+            expect(Math.round(days)).toBe(14);
+            expect(res.body.data.scheduledFor).toBe(user.deletionScheduledFor.toISOString());
+            expect(user.save).toHaveBeenCalledWith({ validateBeforeSave: false });
+            expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+                { user: "customer123", revokedAt: null },
+                expect.objectContaining({ revokedReason: "account-deleted" })
+            );
+            expect(res.headers["set-cookie"].join(";")).toMatch(/jwt=;/);
+            expect(Medicine.updateMany).not.toHaveBeenCalled();
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({ action: "account.deletion-requested", outcome: "success" })
+            );
+        });
+
+        it("should take a deleted pharmacy's medicines and API keys down right away", async () => {
+            mockAuthUserOverrides = { _id: "pharmacy123", role: "pharmacy", email: "p@test.com" };
+            User.findById.mockReturnValue({
+                select: jest.fn().mockResolvedValue(
+                    buildUserDoc({ _id: "pharmacy123", role: "pharmacy" })
+                ),
+            });
+
+            const res = await request(app)
+                .delete("/api/auth/me")
+                .send({ password: "Tr4vel!Nile9" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(Medicine.updateMany).toHaveBeenCalledWith(
+                { pharmacyId: "pharmacy123", isActive: true },
+                { isActive: false }
+            );
+            expect(ApiKey.updateMany).toHaveBeenCalledWith(
+                { pharmacy: "pharmacy123", revokedAt: null },
+                { revokedAt: expect.any(Date) }
+            );
+        });
+
+        it("should require the current password", async () => {
+            const user = buildUserDoc({ correctPassword: jest.fn().mockResolvedValue(false) });
+            User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+            const missing = await request(app).delete("/api/auth/me").send({});
+            const wrong = await request(app)
+                .delete("/api/auth/me")
+                .send({ password: "not-it" });
+
+            expect(missing.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(missing.body.errors).toHaveProperty("password");
+            expect(wrong.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+            expect(user.save).not.toHaveBeenCalled();
+        });
+
+        it("should not let admins delete themselves", async () => {
+            mockAuthUserOverrides = {};
+
+            const res = await request(app)
+                .delete("/api/auth/me")
+                .send({ password: "Tr4vel!Nile9" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+            expect(User.findById).not.toHaveBeenCalled();
+        });
+
+        it("should cancel a pending deletion when the user logs in", async () => {
+            const user = buildUserDoc({
+                deletionRequestedAt: new Date(),
+                deletionScheduledFor: new Date(Date.now() + 86400000),
+                isLocked: jest.fn().mockReturnValue(false),
+                toObject: () => ({ _id: "customer123", role: "customer" }),
+            });
+            User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+            const res = await request(app)
+                .post("/api/auth/login")
+                .send({ email: "customer@test.com", password: "Tr4vel!Nile9" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(res.body.data.deletionCancelled).toBe(true);
+            expect(user.deletionScheduledFor).toBeUndefined();
+            expect(user.save).toHaveBeenCalled();
+            expect(AuditEvent.create).toHaveBeenCalledWith(
+                expect.objectContaining({ action: "account.deletion-cancelled" })
+            );
+        });
+
+        it("should export the user's data as an attachment", async () => {
+            Session.find.mockReturnValue(
+                sortedResult([{ device: "Chrome on Windows", ip: "203.0.113.7", family: "secret" }])
+            );
+            AuditEvent.find.mockReturnValue(
+                sortedResult([{ action: "auth.login", outcome: "success", metadata: {} }])
+            );
+
+            const res = await request(app).get("/api/auth/me/export");
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(res.headers["content-disposition"]).toBe(
+                'attachment; filename="cure-link-export-customer123.json"'
+            );
+            expect(res.body.data.profile).toMatchObject({
+                _id: "customer123",
+                email: "customer@test.com",
+            });
+            expect(res.body.data.orders).toEqual([]);
+            expect(res.body.data.favourites).toEqual([]);
+            expect(res.body.data.sessions).toEqual([
+                { device: "Chrome on Windows", ip: "203.0.113.7" },
+            ]);
+            expect(res.body.data.activity).toEqual([
+                { action: "auth.login", outcome: "success" },
+            ]);
+            expect(Session.find).toHaveBeenCalledWith({ user: "customer123" });
+            expect(AuditEvent.find).toHaveBeenCalledWith({ actor: "customer123" });
+            expect(Medicine.find).not.toHaveBeenCalled();
+        });
+
+        it("should include a pharmacy's medicine listings in the export", async () => {
+            mockAuthUserOverrides = { _id: "pharmacy123", role: "pharmacy", email: "p@test.com" };
+            Session.find.mockReturnValue(sortedResult([]));
+            AuditEvent.find.mockReturnValue(sortedResult([]));
+            Medicine.find.mockResolvedValue([
+                { _id: "med1", name: "Panadol", price: 30, quantity: 5, isActive: true },
+            ]);
+
+            const res = await request(app).get("/api/auth/me/export");
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(Medicine.find).toHaveBeenCalledWith({ pharmacyId: "pharmacy123" });
+            expect(res.body.data.medicines).toEqual([
+                { _id: "med1", name: "Panadol", price: 30, quantity: 5, isActive: true },
+            ]);
+        });
+
+        it("should anonymize a pharmacy and remove its documents", async () => {
+            const folder = path.join(privateUploadDir, "pharmacy-documents");
+            fs.mkdirSync(folder, { recursive: true });
+            fs.writeFileSync(path.join(folder, "license-gone.png"), pngImage);
+            const pharmacy = buildUserDoc({
+                _id: "pharmacy123",
+                role: "pharmacy",
+                pharmacyName: "Nile Pharmacy",
+                licenseNumber: "LIC-1",
+                pharmacyLicensePhoto: "pharmacy-documents/license-gone.png",
+                twoFactorEnabled: true,
+                twoFactorSecret: "secret",
+                deletionScheduledFor: new Date(),
+            });
+
+            await accountService.anonymizeUser(pharmacy);
+
+            expect(pharmacy).toMatchObject({
+                fullName: "Deleted user",
+                email: "deleted-pharmacy123@deleted.invalid",
+                phone: "deleted-pharmacy123",
+                pharmacyName: "Nile Pharmacy",
+                status: "deleted",
+                twoFactorEnabled: false,
+            });
+            expect(pharmacy.licenseNumber).toBeUndefined();
+            expect(pharmacy.pharmacyLicensePhoto).toBeUndefined();
+            expect(pharmacy.location).toBeUndefined();
+            expect(pharmacy.twoFactorSecret).toBeUndefined();
+            expect(pharmacy.password).not.toBe("hashed");
+            expect(pharmacy.anonymizedAt).toBeInstanceOf(Date);
+            expect(pharmacy.save).toHaveBeenCalledWith({ validateBeforeSave: false });
+            expect(fs.existsSync(path.join(folder, "license-gone.png"))).toBe(false);
+            expect(Medicine.updateMany).toHaveBeenCalledWith(
+                { pharmacyId: "pharmacy123", isActive: true },
+                { isActive: false }
+            );
+        });
+
+        it("should scrub the user's email and network traces from the audit log", async () => {
+            const user = buildUserDoc();
+
+            await accountService.anonymizeUser(user);
+
+            expect(AuditEvent.updateMany).toHaveBeenCalledWith(
+                { $or: [{ actor: "customer123" }, { actorEmail: "customer@test.com" }] },
+                {
+                    $set: { actorEmail: "deleted-customer123@deleted.invalid" },
+                    $unset: { ip: "", userAgent: "", "metadata.email": "" },
+                }
+            );
+            expect(AuditEvent.updateMany).toHaveBeenCalledWith(
+                { "target.id": "customer123" },
+                { $unset: { "metadata.email": "" } }
+            );
+            expect(Session.updateMany).toHaveBeenCalledWith(
+                { user: "customer123" },
+                { $unset: { ip: "", userAgent: "" } }
+            );
+        });
+
+        it("should anonymize the staff accounts of a deleted pharmacy", async () => {
+            const member = buildUserDoc({
+                _id: "staff123",
+                role: "staff",
+                email: "staff@test.com",
+                inviteToken: "pending-invite",
+            });
+            PharmacyStaff.find.mockResolvedValue([member]);
+
+            await accountService.anonymizeUser(buildUserDoc({ _id: "pharmacy123", role: "pharmacy" }));
+
+            expect(PharmacyStaff.find).toHaveBeenCalledWith({
+                pharmacy: "pharmacy123",
+                status: { $ne: "deleted" },
+            });
+            expect(member).toMatchObject({
+                email: "deleted-staff123@deleted.invalid",
+                status: "deleted",
+            });
+            expect(member.inviteToken).toBeUndefined();
+            expect(AuditEvent.updateMany).toHaveBeenCalledWith(
+                { $or: [{ actor: "staff123" }, { actorEmail: "staff@test.com" }] },
+                expect.any(Object)
+            );
+        });
+
+        it("should anonymize every account past its grace period", async () => {
+            const due = [buildUserDoc(), buildUserDoc({ _id: "customer456" })];
+            User.find.mockResolvedValue(due);
+
+            const count = await accountService.anonymizeDueAccounts();
+
+            expect(count).toBe(2);
+            expect(User.find).toHaveBeenCalledWith({
+                deletionScheduledFor: { $lte: expect.any(Date) },
+                status: { $ne: "deleted" },
+            });
+            due.forEach((user) => expect(user.status).toBe("deleted"));
+        });
+
+        it("should refuse logins to anonymized accounts", async () => {
+            const user = buildUserDoc({
+                status: "deleted",
+                isLocked: jest.fn().mockReturnValue(false),
+            });
+            User.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+
+            const res = await request(app)
+                .post("/api/auth/login")
+                .send({ email: "customer@test.com", password: "whatever" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+            expect(res.body.message).toMatch(/deleted/);
+        });
+    });
+
+    describe("Staff invitations", () => {
+        it("should accept an invite, set the password and log the staff member in", async () => {
+            const staff = {
+                _id: "staff123",
+                email: "staff@test.com",
+                pharmacy: "pharmacy123",
+                inviteToken: "hash",
+                inviteExpires: Date.now() + 60000,
+                save: jest.fn().mockResolvedValue(true),
+                toObject: () => ({
+                    _id: "staff123",
+                    email: "staff@test.com",
+                    role: "staff",
+                    pharmacy: "pharmacy123",
+                    permissions: ["inventory:write"],
+                }),
+            };
+            PharmacyStaff.findOne.mockResolvedValue(staff);
+
+            const res = await request(app)
+                .post("/api/auth/staff/accept-invite/raw-invite-token")
+                .send({ password: "CounterShift2024" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.OK);
+            expect(PharmacyStaff.findOne).toHaveBeenCalledWith({
+                inviteToken: hashToken("raw-invite-token"),
+                inviteExpires: { $gt: expect.any(Number) },
+            });
+            expect(staff.password).toBe("CounterShift2024");
+            expect(staff.inviteToken).toBeUndefined();
+            expect(staff.emailVerified).toBe(true);
+            expect(staff.inviteAcceptedAt).toBeDefined();
+            expect(res.body.data.user).toMatchObject({
+                role: "staff",
+                pharmacy: "pharmacy123",
+                permissions: ["inventory:write"],
+            });
+        });
+
+        it("should reject an invalid or expired invite", async () => {
+            PharmacyStaff.findOne.mockResolvedValue(null);
+
+            const res = await request(app)
+                .post("/api/auth/staff/accept-invite/bad-token")
+                .send({ password: "CounterShift2024" });
+
+            expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+            expect(res.body.message).toMatch(/invalid or has expired/);
+        });
+    });
+});
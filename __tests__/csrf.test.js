@@ -0,0 +1,116 @@
+const request = require("supertest");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+
+jest.mock("../models/refresh.token.model", () => ({}));
+jest.mock("../models/session.model", () => ({}));
+
+const csrfProtection = require("../middleware/csrf.middleware");
+const { issueCsrfToken } = require("../services/csrf.service");
+const { getRefreshTokenTtlMs } = require("../services/token.service");
+const STATUS_CODES = require("../utilities/response.codes.util");
+
+const app = express();
+app.use(cookieParser());
+app.use(csrfProtection);
+app.get("/token", (req, res) => res.json({ csrfToken: issueCsrfToken(res) }));
+app.all("/resource", (req, res) => res.json({ ok: true }));
+
+describe("CSRF protection", () => {
+  it("should let safe methods through without a token", async () => {
+    const res = await request(app).get("/resource").set("Cookie", "jwt=access");
+
+    expect(res.statusCode).toBe(STATUS_CODES.OK);
+  });
+
+  it("should let requests without credential cookies through", async () => {
+    const res = await request(app).post("/resource");
+
+    expect(res.statusCode).toBe(STATUS_CODES.OK);
+  });
+
+  it.each(["jwt=access", "refreshToken=refresh"])(
+    "should reject a state-changing request with %s and no token",
+    async (cookie) => {
+      const res = await request(app).post("/resource").set("Cookie", cookie);
+
+      expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+      expect(res.body.message).toMatch(/CSRF token/);
+    }
+  );
+
+  it.each(["PUT", "PATCH", "DELETE"])("should protect %s requests", async (method) => {
+    const res = await request(app)
+      [method.toLowerCase()]("/resource")
+      .set("Cookie", "jwt=access");
+
+    expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+  });
+
+  it("should accept a header that matches the cookie", async () => {
+    const res = await request(app)
+      .post("/resource")
+      .set("Cookie", "jwt=access; csrfToken=abc123")
+      .set("X-CSRF-Token", "abc123");
+
+    expect(res.statusCode).toBe(STATUS_CODES.OK);
+  });
+
+  it("should reject a header that does not match the cookie", async () => {
+    const res = await request(app)
+      .post("/resource")
+      .set("Cookie", "jwt=access; csrfToken=abc123")
+      .set("X-CSRF-Token", "abc124");
+
+    expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+  });
+
+  it("should reject a header without the cookie", async () => {
+    const res = await request(app)
+      .post("/resource")
+      .set("Cookie", "jwt=access")
+      .set("X-CSRF-Token", "abc123");
+
+    expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+  });
+
+  it("should not require a token with a bearer header or API key", async () => {
+    const bearer = await request(app)
+      .post("/resource")
+      .set("Cookie", "jwt=access")
+      .set("Authorization", "Bearer access");
+    const apiKey = await request(app)
+      .post("/resource")
+      .set("Cookie", "jwt=access")
+      .set("X-API-Key", "cl_1a2b3c4d_secret");
+
+    expect(bearer.statusCode).toBe(STATUS_CODES.OK);
+    expect(apiKey.statusCode).toBe(STATUS_CODES.OK);
+  });
+
+  it("should issue a readable token cookie that passes the check", async () => {
+    const issued = await request(app).get("/token");
+    const cookie = issued.headers["set-cookie"][0];
+
+    expect(cookie).toMatch(/^csrfToken=/);
+    expect(cookie).not.toMatch(/HttpOnly/);
+    expect(cookie).toMatch(/SameSite=Strict/);
+
+    const res = await request(app)
+      .post("/resource")
+      .set("Cookie", `jwt=access; csrfToken=${issued.body.csrfToken}`)
+      .set("X-CSRF-Token", issued.body.csrfToken);
+
+    expect(res.statusCode).toBe(STATUS_CODES.OK);
+  });
+
+  it("should keep the token cookie for as long as the refresh token", async () => {
+    const issued = await request(app).get("/token");
+    const expires = Date.parse(
+      issued.headers["set-cookie"][0].match(/Expires=([^;]+)/)[1]
+    );
+
+    // The Expires attribute only has second precision
+    expect(Math.abs(expires - (Date.now() + getRefreshTokenTtlMs()))).toBeLessThan(5000);
+  });
+});
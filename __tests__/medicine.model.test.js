@@ -0,0 +1,91 @@
+// Runs the real Medicine model hooks; only the database calls are faked
+jest.unmock("mongoose");
+
+const mongoose = require("mongoose");
+const Medicine = require("../models/medicine.model");
+const { syncListings } = require("../services/catalog.service");
+const {
+  buildSearchKeywords,
+  buildTextSearch,
+} = require("../utilities/search.text.util");
+
+const matches = (doc, filter) =>
+  Object.entries(filter).every(([field, value]) =>
+    value && value.$in
+      ? value.$in.map(String).includes(String(doc[field]))
+      : String(doc[field]) === String(value)
+  );
+
+// Whether a $text search for `query` would hit one of the stored words
+const isFoundBy = (doc, query) => {
+  const stored = [doc.name, ...doc.searchKeywords, ...doc.fuzzyKeywords];
+  return buildTextSearch(query)
+    .split(" ")
+    .some((term) => stored.some((word) => word.toLowerCase() === term));
+};
+
+describe("Medicine search keywords", () => {
+  let stored;
+
+  beforeEach(() => {
+    stored = [];
+
+    jest.spyOn(Medicine, "find").mockImplementation((filter) => ({
+      distinct: async (field) =>
+        stored.filter((doc) => matches(doc, filter)).map((doc) => doc[field]),
+      select: () => ({
+        lean: async () => stored.filter((doc) => matches(doc, filter)),
+      }),
+    }));
+    jest.spyOn(Medicine.collection, "updateMany").mockImplementation(async (filter, update) => {
+      const updated = stored.filter((doc) => matches(doc, filter));
+      updated.forEach((doc) => Object.assign(doc, update.$set));
+      return { acknowledged: true, matchedCount: updated.length, modifiedCount: updated.length };
+    });
+    jest.spyOn(Medicine, "bulkWrite").mockImplementation(async (operations) => {
+      operations.forEach(({ updateOne }) => {
+        Object.assign(stored.find((doc) => matches(doc, updateOne.filter)), updateOne.update.$set);
+      });
+    });
+  });
+
+  afterEach(() => {
+    jest.restoreAllMocks();
+  });
+
+  it("should refresh keywords of listings moved by a product merge", async () => {
+    const duplicate = { _id: new mongoose.Types.ObjectId() };
+    const survivor = {
+      _id: new mongoose.Types.ObjectId(),
+      genericName: "Ibuprofen",
+      brandName: "Brufen",
+      strength: "400mg",
+      description: "Anti-inflammatory pain reliever",
+    };
+    stored.push({
+      _id: new mongoose.Types.ObjectId(),
+      product: duplicate._id,
+      name: "Profen 400mg",
+      description: "Pain reliever",
+      genericName: "Ibuprofen",
+      brandName: "Profen",
+      ...buildSearchKeywords(["Profen 400mg", "Pain reliever", "Ibuprofen", "Profen"]),
+    });
+
+    await syncListings(survivor, { product: duplicate._id });
+
+    const [listing] = stored;
+    expect(String(listing.product)).toBe(String(survivor._id));
+    expect(Medicine.bulkWrite).toHaveBeenCalledTimes(1);
+    expect(isFoundBy(listing, "brufen")).toBe(true);
+    expect(isFoundBy(listing, "بروفين")).toBe(true);
+    expect(listing.searchKeywords).not.toContain("profen");
+  });
+
+  it("should leave keywords alone when no search field changes", async () => {
+    await Medicine.updateMany({ isActive: true }, { price: 12 });
+
+    expect(Medicine.find).not.toHaveBeenCalled();
+    expect(Medicine.bulkWrite).not.toHaveBeenCalled();
+  });
+});
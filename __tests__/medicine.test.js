@@ -22,31 +22,73 @@ const mockMedicine = {
   find: jest.fn(),
   findOne: jest.fn(),
   findById: jest.fn(),
-  findByIdAndUpdate: jest.fn(),
+  findOneAndUpdate: jest.fn(),
+  exists: jest.fn(),
   create: jest.fn(),
   save: jest.fn(),
 };
 
 jest.mock("../models/medicine.model", () => mockMedicine);
 
+const mockPharmacy = {
+  exists: jest.fn(),
+  findById: jest.fn(),
+  find: jest.fn(),
+};
+
+jest.mock("../models/pharmacy.model", () => mockPharmacy);
+
+const mockProduct = {
+  findById: jest.fn(),
+  findOne: jest.fn(),
+};
+
+jest.mock("../models/product.model", () => mockProduct);
+jest.mock("../models/audit.event.model", () => ({ create: jest.fn() }));
+
 // Mock middleware - create a mutable object for testing
 const authMiddlewareMock = {
   _userRole: "pharmacy",
   _userEmail: "pharmacy@test.com",
+  _emailVerified: true,
+  _verificationStatus: "approved",
+  _fields: {},
   
   setUserRole: function(role, email) {
     this._userRole = role;
     this._userEmail = email || `${role}@test.com`;
   },
+
+  setEmailVerified: function(verified) {
+    this._emailVerified = verified;
+  },
+
+  setVerificationStatus: function(status) {
+    this._verificationStatus = status;
+  },
+
+  setUserFields: function(fields) {
+    this._fields = fields;
+  },
   
   reset: function() {
     this._userRole = "pharmacy";
     this._userEmail = "pharmacy@test.com";
+    this._emailVerified = true;
+    this._verificationStatus = "approved";
+    this._fields = {};
   }
 };
 
 const authMiddleware = (req, res, next) => {
-  req.user = { role: authMiddlewareMock._userRole, email: authMiddlewareMock._userEmail };
+  req.user = {
+    _id: `${authMiddlewareMock._userRole}123`,
+    role: authMiddlewareMock._userRole,
+    email: authMiddlewareMock._userEmail,
+    emailVerified: authMiddlewareMock._emailVerified,
+    verificationStatus: authMiddlewareMock._verificationStatus,
+    ...authMiddlewareMock._fields
+  };
   next();
 };
 
@@ -56,23 +98,24 @@ authMiddleware.optional = (req, res, next) => {
 };
 
 authMiddleware.required = (req, res, next) => {
-  req.user = { role: authMiddlewareMock._userRole, email: authMiddlewareMock._userEmail };
+  req.user = {
+    _id: `${authMiddlewareMock._userRole}123`,
+    role: authMiddlewareMock._userRole,
+    email: authMiddlewareMock._userEmail,
+    emailVerified: authMiddlewareMock._emailVerified,
+    verificationStatus: authMiddlewareMock._verificationStatus,
+    ...authMiddlewareMock._fields
+  };
   next();
 };
 
+authMiddleware.allowApiKey = authMiddleware;
+
 // Store the mock object so tests can modify it
 authMiddleware._mock = authMiddlewareMock;
 
 jest.mock("../middleware/auth.middleware", () => authMiddleware);
 
-jest.mock("../middleware/role.middleware", () => (roles) => (req, res, next) => {
-  if (req.user && roles.includes(req.user.role)) {
-    next();
-  } else {
-    res.status(403).json({ message: "Access denied" });
-  }
-});
-
 jest.mock("../middleware/upload.middleware", () => {
   const multer = require('multer');
   const upload = multer({ 
@@ -239,8 +282,18 @@ jest.mock("../utilities/catch.async.util", () => (fn) => (req, res, next) => {
 });
 
 const Medicine = require("../models/medicine.model");
+const Pharmacy = require("../models/pharmacy.model");
+const Product = require("../models/product.model");
+const logger = require("../utilities/logger.util");
 const STATUS_CODES = require("../utilities/response.codes.util");
 
+// The coming Monday (or today) at `time` UTC, inside the week openAt may ask about
+const nextMondayAt = (time) => {
+  const date = new Date(`${new Date().toISOString().slice(0, 10)}T${time}:00Z`);
+  date.setUTCDate(date.getUTCDate() + ((8 - date.getUTCDay()) % 7));
+  return date;
+};
+
 // Mock error handler
 jest.mock("../middleware/errorHandler.middleware", () => (err, req, res, next) => {
   const status = err.statusCode || 500;
@@ -289,6 +342,9 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
     });
     
     Medicine.findOne.mockResolvedValue(null);
+    Medicine.exists.mockResolvedValue(null);
+
+    Pharmacy.exists.mockResolvedValue({ _id: "pharmacy123" });
     
     Medicine.countDocuments = jest.fn().mockResolvedValue(0);
     
@@ -349,6 +405,19 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
       }
     });
 
+    it("should only list approved pharmacies' stock without pagination", async () => {
+      const { getAllMedicines } = require("../controllers/medicine.controller");
+      Medicine.find.mockResolvedValue([]);
+      const res = { status: jest.fn().mockReturnThis(), json: jest.fn() };
+
+      getAllMedicines({}, res, jest.fn());
+      // catchAsync does not hand back the promise, so let it settle
+      await new Promise((resolve) => setImmediate(resolve));
+
+      expect(Medicine.find).toHaveBeenCalledWith({ isActive: true, pharmacyApproved: true });
+      expect(res.status).toHaveBeenCalledWith(STATUS_CODES.SUCCESS);
+    });
+
     it("should return empty array when no active medicines found", async () => {
       Medicine.countDocuments.mockResolvedValue(0);
       Medicine.find.mockReturnValue({
@@ -397,6 +466,107 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
       expect(res.body.data.medicines).toHaveLength(1);
       expect(res.body.data.medicines[0].isActive).toBe(true);
     });
+
+    it("should only list medicines of approved pharmacies", async () => {
+      await request(app)
+        .get("/api/medicines")
+        .expect(STATUS_CODES.SUCCESS);
+
+      expect(Medicine.find).toHaveBeenCalledWith({
+        isActive: true,
+        pharmacyApproved: true
+      });
+    });
+
+    describe("opening hours", () => {
+      const mockListings = (listings) => {
+        Medicine.countDocuments.mockResolvedValue(listings.length);
+        Medicine.find.mockReturnValue({
+          exec: jest.fn().mockResolvedValue(listings),
+          getFilter: jest.fn().mockReturnValue({ isActive: true })
+        });
+      };
+
+      beforeEach(() => {
+        Pharmacy.find.mockReturnValue({
+          distinct: jest.fn().mockResolvedValue(["allNight1"])
+        });
+      });
+
+      it("should only list medicines of pharmacies open now with openNow=true", async () => {
+        await request(app)
+          .get("/api/medicines?openNow=true")
+          .expect(STATUS_CODES.SUCCESS);
+
+        const [pharmacyFilter] = Pharmacy.find.mock.calls[0];
+        expect(pharmacyFilter).toMatchObject({ verificationStatus: "approved" });
+        expect(pharmacyFilter.openingWindows.$elemMatch).toEqual({
+          opensAt: { $lte: expect.any(Date) },
+          closesAt: { $gt: expect.any(Date) }
+        });
+        expect(Medicine.find).toHaveBeenCalledWith({
+          isActive: true,
+          pharmacyApproved: true,
+          pharmacyId: { $in: ["allNight1"] }
+        });
+      });
+
+      it("should reject an openAt that is not a date", async () => {
+        const res = await request(app)
+          .get("/api/medicines?openAt=tomorrow-ish")
+          .expect(STATUS_CODES.BAD_REQUEST);
+
+        expect(res.body.errors).toHaveProperty("openAt");
+        expect(Medicine.find).not.toHaveBeenCalled();
+      });
+
+      it("should say whether each listing's pharmacy is open", async () => {
+        mockListings([
+          {
+            _id: "med1",
+            name: "Paracetamol 500mg",
+            pharmacyId: { _id: "allNight1", openingHours: { alwaysOpen: true } }
+          },
+          {
+            _id: "med2",
+            name: "Ibuprofen 400mg",
+            pharmacyId: { _id: "pharmacy123" }
+          }
+        ]);
+
+        const res = await request(app)
+          .get("/api/medicines")
+          .expect(STATUS_CODES.SUCCESS);
+
+        expect(res.body.data.medicines[0]).toMatchObject({ isOpen: true, closesAt: null });
+        expect(res.body.data.medicines[1]).toMatchObject({ isOpen: null, closesAt: null });
+      });
+
+      it("should report the status at openAt", async () => {
+        mockListings([
+          {
+            _id: "med1",
+            name: "Paracetamol 500mg",
+            pharmacyId: {
+              _id: "pharmacy123",
+              openingHours: {
+                timezone: "UTC",
+                weekly: { monday: [{ open: "09:00", close: "17:00" }] }
+              }
+            }
+          }
+        ]);
+
+        const res = await request(app)
+          .get(`/api/medicines?openAt=${nextMondayAt("10:30").toISOString()}`)
+          .expect(STATUS_CODES.SUCCESS);
+
+        expect(res.body.data.medicines[0]).toMatchObject({
+          isOpen: true,
+          closesAt: nextMondayAt("17:00").toISOString()
+        });
+      });
+    });
   });
 
   describe("GET /api/medicines/:id (Public - Optional Auth)", () => {
@@ -453,6 +623,27 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
 
       expect(res.body.success).toBe(false);
     });
+
+    it("should return 404 when the medicine's pharmacy is not approved", async () => {
+      Medicine.findOne.mockReset();
+      Medicine.findOne.mockResolvedValue({
+        _id: "med123",
+        name: "Hidden Medicine",
+        pharmacyId: "pendingPharmacy",
+        isActive: true
+      });
+      Pharmacy.exists.mockResolvedValue(null);
+
+      const res = await request(app)
+        .get("/api/medicines/med123")
+        .expect(STATUS_CODES.NOT_FOUND);
+
+      expect(res.body.success).toBe(false);
+      expect(Pharmacy.exists).toHaveBeenCalledWith({
+        _id: "pendingPharmacy",
+        verificationStatus: "approved"
+      });
+    });
   });
 
   describe("POST /api/medicines (Pharmacy Only)", () => {
@@ -487,7 +678,11 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
       expect(res.body.data.isActive).toBe(true);
       expect(Medicine.create).toHaveBeenCalledWith({
         ...medicineData,
-        isActive: true
+        pharmacyId: "pharmacy123",
+        isActive: true,
+        pharmacyApproved: true,
+        createdBy: "pharmacy123",
+        updatedBy: "pharmacy123"
       });
     });
 
@@ -585,6 +780,50 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
       // Restore original role
       authMiddleware._mock.reset();
     });
+
+    it("should reject medicine creation from pharmacies with unverified email", async () => {
+      const authMiddleware = require("../middleware/auth.middleware");
+      authMiddleware._mock.setEmailVerified(false);
+
+      const res = await request(app)
+        .post("/api/medicines")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .send({
+          name: "Unverified Medicine",
+          description: "Unverified pharmacy trying to create",
+          price: 15.99,
+          quantity: 100,
+          image: "unverified.jpg"
+        })
+        .expect(STATUS_CODES.FORBIDDEN);
+
+      expect(res.body.message).toMatch(/verify your email/);
+      expect(Medicine.create).not.toHaveBeenCalled();
+
+      authMiddleware._mock.reset();
+    });
+
+    it("should reject medicine creation from pharmacies awaiting approval", async () => {
+      const authMiddleware = require("../middleware/auth.middleware");
+      authMiddleware._mock.setVerificationStatus("pending");
+
+      const res = await request(app)
+        .post("/api/medicines")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .send({
+          name: "Pending Medicine",
+          description: "Pending pharmacy trying to create",
+          price: 15.99,
+          quantity: 100,
+          image: "pending.jpg"
+        })
+        .expect(STATUS_CODES.FORBIDDEN);
+
+      expect(res.body.message).toMatch(/awaiting verification/);
+      expect(Medicine.create).not.toHaveBeenCalled();
+
+      authMiddleware._mock.reset();
+    });
   });
 
   describe("PUT /api/medicines/:id (Pharmacy Only)", () => {
@@ -607,7 +846,7 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
         updatedAt: new Date()
       };
 
-      Medicine.findByIdAndUpdate.mockResolvedValue(updatedMedicine);
+      Medicine.findOneAndUpdate.mockResolvedValue(updatedMedicine);
 
       const res = await request(app)
         .put("/api/medicines/med123")
@@ -618,9 +857,9 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
       expect(res.body.success).toBe(true);
       expect(res.body.data.name).toBe("Updated Medicine");
       expect(res.body.data.price).toBe(35.99);
-      expect(Medicine.findByIdAndUpdate).toHaveBeenCalledWith(
-        "med123",
-        updateData,
+      expect(Medicine.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "med123", pharmacyId: "pharmacy123" },
+        { ...updateData, updatedBy: "pharmacy123" },
         { new: true, runValidators: true }
       );
     });
@@ -655,7 +894,7 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
         isActive: true
       };
 
-      Medicine.findByIdAndUpdate.mockResolvedValue(updatedMedicine);
+      Medicine.findOneAndUpdate.mockResolvedValue(updatedMedicine);
 
       const res = await request(app)
         .put("/api/medicines/med123")
@@ -673,7 +912,7 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
         name: "Updated Name"
       };
 
-      Medicine.findByIdAndUpdate.mockResolvedValue(null);
+      Medicine.findOneAndUpdate.mockResolvedValue(null);
 
       const res = await request(app)
         .put("/api/medicines/nonexistent123")
@@ -686,6 +925,201 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
     });
   });
 
+  describe("Catalog products", () => {
+    const panadol = {
+      _id: "prod123",
+      genericName: "Paracetamol",
+      brandName: "Panadol",
+      strength: "500mg",
+      description: "Pain reliever and fever reducer",
+      image: "catalog/panadol.jpg",
+      isActive: true,
+      mergedInto: null
+    };
+
+    beforeEach(() => {
+      Medicine.create.mockImplementation(async (data) => ({ _id: "newmed123", ...data }));
+      Medicine.findOneAndUpdate.mockImplementation(async (filter, update) => ({ _id: "med123", ...update }));
+    });
+
+    it("should take name and description from the catalog product", async () => {
+      Product.findById.mockResolvedValue(panadol);
+
+      const res = await request(app)
+        .post("/api/medicines")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .send({ product: "prod123", name: "panadoll 500", price: 30, quantity: 12 })
+        .expect(STATUS_CODES.CREATED);
+
+      expect(Product.findById).toHaveBeenCalledWith("prod123");
+      expect(Medicine.create).toHaveBeenCalledWith(expect.objectContaining({
+        product: "prod123",
+        name: "Panadol 500mg",
+        description: "Pain reliever and fever reducer",
+        image: "catalog/panadol.jpg",
+        price: 30,
+        quantity: 12
+      }));
+      expect(res.body.data.name).toBe("Panadol 500mg");
+    });
+
+    it("should keep the pharmacy's own image", async () => {
+      Product.findById.mockResolvedValue(panadol);
+
+      await request(app)
+        .post("/api/medicines")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .send({ product: "prod123", price: 30, quantity: 12, image: "shelf.jpg" })
+        .expect(STATUS_CODES.CREATED);
+
+      expect(Medicine.create.mock.calls[0][0].image).toBe("shelf.jpg");
+    });
+
+    it("should resolve a barcode, following merged duplicates", async () => {
+      Product.findOne.mockResolvedValue({ ...panadol, _id: "dup123", isActive: false, mergedInto: "prod123" });
+      Product.findById.mockResolvedValue(panadol);
+
+      await request(app)
+        .post("/api/medicines")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .send({ barcode: " 6221000000017 ", price: 30, quantity: 12 })
+        .expect(STATUS_CODES.CREATED);
+
+      expect(Product.findOne).toHaveBeenCalledWith({ barcode: "6221000000017" });
+      expect(Medicine.create.mock.calls[0][0].product).toBe("prod123");
+    });
+
+    it("should reject unknown or inactive catalog products", async () => {
+      Product.findById.mockResolvedValue({ ...panadol, isActive: false });
+
+      const res = await request(app)
+        .post("/api/medicines")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .send({ product: "prod123", price: 30, quantity: 12 })
+        .expect(STATUS_CODES.BAD_REQUEST);
+
+      expect(res.body.message).toBe("Catalog product not found");
+      expect(Medicine.create).not.toHaveBeenCalled();
+    });
+
+    it("should still require price and quantity for catalog listings", async () => {
+      Product.findById.mockResolvedValue(panadol);
+
+      const res = await request(app)
+        .post("/api/medicines")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .send({ product: "prod123", price: 30 })
+        .expect(STATUS_CODES.BAD_REQUEST);
+
+      expect(res.body.message).toMatch(/price and quantity/);
+    });
+
+    it("should link an existing medicine to a catalog product", async () => {
+      Product.findById.mockResolvedValue(panadol);
+
+      await request(app)
+        .put("/api/medicines/med123")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .send({ product: "prod123", price: 28 })
+        .expect(STATUS_CODES.SUCCESS);
+
+      expect(Medicine.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "med123", pharmacyId: "pharmacy123" },
+        {
+          price: 28,
+          product: "prod123",
+          name: "Panadol 500mg",
+          description: "Pain reliever and fever reducer",
+          genericName: "Paracetamol",
+          brandName: "Panadol",
+          updatedBy: "pharmacy123"
+        },
+        { new: true, runValidators: true }
+      );
+    });
+
+    it("should not accept search keywords or catalog names from the request", async () => {
+      await request(app)
+        .put("/api/medicines/med123")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .send({ price: 30, brandName: "Cheapest", searchKeywords: ["panadol", "brufen"] })
+        .expect(STATUS_CODES.SUCCESS);
+
+      expect(Medicine.findOneAndUpdate.mock.calls[0][1]).toEqual({
+        price: 30,
+        updatedBy: "pharmacy123"
+      });
+    });
+
+    it("should not pass update operators or ownership fields through", async () => {
+      await request(app)
+        .put("/api/medicines/med123")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .send({
+          price: 30,
+          pharmacyId: "other-pharmacy",
+          isActive: false,
+          $set: { pharmacyId: "other-pharmacy", searchKeywords: ["brufen"] }
+        })
+        .expect(STATUS_CODES.SUCCESS);
+
+      expect(Medicine.findOneAndUpdate.mock.calls[0][1]).toEqual({
+        price: 30,
+        updatedBy: "pharmacy123"
+      });
+    });
+
+    it("should not rename a catalog-linked medicine", async () => {
+      Medicine.exists.mockResolvedValue({ _id: "med123" });
+
+      const res = await request(app)
+        .put("/api/medicines/med123")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .send({ name: "My Panadol" })
+        .expect(STATUS_CODES.BAD_REQUEST);
+
+      expect(res.body.errors).toHaveProperty("name");
+      expect(Medicine.exists).toHaveBeenCalledWith({
+        _id: "med123",
+        pharmacyId: "pharmacy123",
+        product: { $ne: null }
+      });
+      expect(Medicine.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should not reveal another pharmacy's catalog-linked medicine", async () => {
+      // Linked, but owned by someone else: only an unscoped lookup finds it
+      Medicine.exists.mockImplementation((filter) =>
+        Promise.resolve(filter.pharmacyId ? null : { _id: "med-of-other" })
+      );
+      Medicine.findOneAndUpdate.mockResolvedValue(null);
+
+      const res = await request(app)
+        .put("/api/medicines/med-of-other")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .send({ name: "My Panadol" })
+        .expect(STATUS_CODES.NOT_FOUND);
+
+      expect(res.body.message).toMatch(/Medicine not found/);
+    });
+
+    it("should unlink a medicine when product is cleared", async () => {
+      await request(app)
+        .put("/api/medicines/med123")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .send({ product: null })
+        .expect(STATUS_CODES.SUCCESS);
+
+      expect(Medicine.findOneAndUpdate.mock.calls[0][1]).toEqual({
+        product: null,
+        genericName: null,
+        brandName: null,
+        updatedBy: "pharmacy123"
+      });
+      expect(Product.findById).not.toHaveBeenCalled();
+    });
+  });
+
   describe("GET /api/medicines/pharmacy/all (Pharmacy Only)", () => {
     it("should return all medicines including inactive for pharmacy", async () => {
       const mockMedicines = [
@@ -764,7 +1198,7 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
         updatedAt: new Date()
       };
 
-      Medicine.findByIdAndUpdate.mockResolvedValue(deactivatedMedicine);
+      Medicine.findOneAndUpdate.mockResolvedValue(deactivatedMedicine);
 
       const res = await request(app)
         .patch("/api/medicines/med123/deactivate")
@@ -773,15 +1207,15 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
 
       expect(res.body.success).toBe(true);
       expect(res.body.data.isActive).toBe(false);
-      expect(Medicine.findByIdAndUpdate).toHaveBeenCalledWith(
-        "med123",
-        { isActive: false },
+      expect(Medicine.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "med123", pharmacyId: "pharmacy123" },
+        { isActive: false, updatedBy: "pharmacy123" },
         { new: true }
       );
     });
 
     it("should return 404 when deactivating non-existent medicine", async () => {
-      Medicine.findByIdAndUpdate.mockResolvedValue(null);
+      Medicine.findOneAndUpdate.mockResolvedValue(null);
 
       const res = await request(app)
         .patch("/api/medicines/nonexistent123/deactivate")
@@ -791,6 +1225,21 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
       expect(res.body.success).toBe(false);
       expect(res.body.message).toMatch(/Medicine not found/);
     });
+
+    it("should block suspended pharmacies from changing their medicines", async () => {
+      const authMiddleware = require("../middleware/auth.middleware");
+      authMiddleware._mock.setVerificationStatus("suspended");
+
+      const res = await request(app)
+        .patch("/api/medicines/med123/deactivate")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .expect(STATUS_CODES.FORBIDDEN);
+
+      expect(res.body.message).toMatch(/suspended/);
+      expect(Medicine.findOneAndUpdate).not.toHaveBeenCalled();
+
+      authMiddleware._mock.reset();
+    });
   });
 
   describe("PATCH /api/medicines/:id/activate (Pharmacy Only)", () => {
@@ -807,7 +1256,7 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
         updatedAt: new Date()
       };
 
-      Medicine.findByIdAndUpdate.mockResolvedValue(activatedMedicine);
+      Medicine.findOneAndUpdate.mockResolvedValue(activatedMedicine);
 
       const res = await request(app)
         .patch("/api/medicines/med123/activate")
@@ -816,15 +1265,15 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
 
       expect(res.body.success).toBe(true);
       expect(res.body.data.isActive).toBe(true);
-      expect(Medicine.findByIdAndUpdate).toHaveBeenCalledWith(
-        "med123",
-        { isActive: true },
+      expect(Medicine.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "med123", pharmacyId: "pharmacy123" },
+        { isActive: true, updatedBy: "pharmacy123" },
         { new: true }
       );
     });
 
     it("should return 404 when activating non-existent medicine", async () => {
-      Medicine.findByIdAndUpdate.mockResolvedValue(null);
+      Medicine.findOneAndUpdate.mockResolvedValue(null);
 
       const res = await request(app)
         .patch("/api/medicines/nonexistent123/activate")
@@ -835,6 +1284,236 @@ describe("Medicine Integration Tests (Comprehensive)", () => {
     });
   });
 
+  describe("Medicine ownership", () => {
+    const listQuery = (medicines) => ({
+      exec: jest.fn().mockResolvedValue(medicines),
+      getFilter: jest.fn().mockReturnValue({})
+    });
+
+    it("should return 404 and log when a pharmacy edits another pharmacy's medicine", async () => {
+      Medicine.findOneAndUpdate.mockResolvedValue(null);
+      Medicine.exists.mockResolvedValue({ _id: "med-of-other" });
+
+      const res = await request(app)
+        .put("/api/medicines/med-of-other")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .send({ price: 1 })
+        .expect(STATUS_CODES.NOT_FOUND);
+
+      expect(res.body.message).toMatch(/Medicine not found/);
+      expect(Medicine.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "med-of-other", pharmacyId: "pharmacy123" },
+        expect.anything(),
+        expect.anything()
+      );
+      expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/Cross-tenant medicine update/));
+    });
+
+    it.each(["deactivate", "activate"])(
+      "should not let a pharmacy %s another pharmacy's medicine",
+      async (action) => {
+        Medicine.findOneAndUpdate.mockResolvedValue(null);
+        Medicine.exists.mockResolvedValue({ _id: "med-of-other" });
+
+        await request(app)
+          .patch(`/api/medicines/med-of-other/${action}`)
+          .set('Authorization', 'Bearer pharmacy-token')
+          .expect(STATUS_CODES.NOT_FOUND);
+
+        expect(Medicine.findOneAndUpdate).toHaveBeenCalledWith(
+          { _id: "med-of-other", pharmacyId: "pharmacy123" },
+          expect.anything(),
+          { new: true }
+        );
+        expect(logger.warn).toHaveBeenCalledWith(expect.stringMatching(/Cross-tenant/));
+      }
+    );
+
+    it("should not log a cross-tenant attempt for medicines that do not exist", async () => {
+      Medicine.findOneAndUpdate.mockResolvedValue(null);
+      Medicine.exists.mockResolvedValue(null);
+
+      await request(app)
+        .patch("/api/medicines/missing/deactivate")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .expect(STATUS_CODES.NOT_FOUND);
+
+      expect(logger.warn).not.toHaveBeenCalledWith(expect.stringMatching(/Cross-tenant/));
+    });
+
+    it("should let admins update any pharmacy's medicine", async () => {
+      const authMiddleware = require("../middleware/auth.middleware");
+      authMiddleware._mock.setUserRole("admin", "admin@test.com");
+      Medicine.findOneAndUpdate.mockResolvedValue({ _id: "med-of-other", isActive: false });
+
+      await request(app)
+        .patch("/api/medicines/med-of-other/deactivate")
+        .set('Authorization', 'Bearer admin-token')
+        .expect(STATUS_CODES.SUCCESS);
+
+      expect(Medicine.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "med-of-other" },
+        { isActive: false, updatedBy: "admin123" },
+        { new: true }
+      );
+      expect(logger.info).toHaveBeenCalledWith(expect.stringMatching(/Admin override/));
+    });
+
+    it("should not let admins create medicines without a pharmacy", async () => {
+      const authMiddleware = require("../middleware/auth.middleware");
+      authMiddleware._mock.setUserRole("admin", "admin@test.com");
+
+      await request(app)
+        .post("/api/medicines")
+        .set('Authorization', 'Bearer admin-token')
+        .send({ name: "x", description: "x", price: 1, quantity: 1, image: "x.jpg" })
+        .expect(STATUS_CODES.FORBIDDEN);
+
+      expect(Medicine.create).not.toHaveBeenCalled();
+    });
+
+    it("should only list the calling pharmacy's medicines", async () => {
+      Medicine.find.mockReturnValue(listQuery([]));
+
+      await request(app)
+        .get("/api/medicines/pharmacy/all")
+        .set('Authorization', 'Bearer pharmacy-token')
+        .expect(STATUS_CODES.SUCCESS);
+
+      expect(Medicine.find).toHaveBeenCalledWith({ pharmacyId: "pharmacy123" });
+    });
+
+    it("should list the parent pharmacy's medicines for staff", async () => {
+      const authMiddleware = require("../middleware/auth.middleware");
+      authMiddleware._mock.setUserRole("staff", "staff@test.com");
+      authMiddleware._mock.setUserFields({ _id: "staff123", pharmacy: "pharmacy456", permissions: [] });
+      Pharmacy.findById.mockResolvedValue({ _id: "pharmacy456", role: "pharmacy", verificationStatus: "approved" });
+      Medicine.find.mockReturnValue(listQuery([]));
+
+      await request(app)
+        .get("/api/medicines/pharmacy/all")
+        .set('Authorization', 'Bearer staff-token')
+        .expect(STATUS_CODES.SUCCESS);
+
+      expect(Medicine.find).toHaveBeenCalledWith({ pharmacyId: "pharmacy456" });
+    });
+
+    it("should list every pharmacy's medicines for admins", async () => {
+      const authMiddleware = require("../middleware/auth.middleware");
+      authMiddleware._mock.setUserRole("admin", "admin@test.com");
+      Medicine.find.mockReturnValue(listQuery([]));
+
+      await request(app)
+        .get("/api/medicines/pharmacy/all")
+        .set('Authorization', 'Bearer admin-token')
+        .expect(STATUS_CODES.SUCCESS);
+
+      expect(Medicine.find).toHaveBeenCalledWith({});
+    });
+  });
+
+  describe("Pharmacy staff", () => {
+    const staffUser = (permissions) => {
+      const authMiddleware = require("../middleware/auth.middleware");
+      authMiddleware._mock.setUserRole("staff", "staff@test.com");
+      authMiddleware._mock.setUserFields({
+        _id: "staff123",
+        pharmacy: "pharmacy123",
+        permissions
+      });
+    };
+
+    const approvedPharmacy = {
+      _id: "pharmacy123",
+      role: "pharmacy",
+      status: "active",
+      verificationStatus: "approved"
+    };
+
+    it("should create medicines for the parent pharmacy and record the staff member", async () => {
+      staffUser(["inventory:write"]);
+      Pharmacy.findById.mockResolvedValue(approvedPharmacy);
+      Medicine.create.mockImplementation(async (data) => ({ _id: "newmed123", ...data }));
+
+      const res = await request(app)
+        .post("/api/medicines")
+        .set('Authorization', 'Bearer staff-token')
+        .send({
+          name: "Staff Medicine",
+          description: "Added at the counter",
+          price: 12,
+          quantity: 5,
+          image: "uploads/products/test-image.jpg"
+        })
+        .expect(STATUS_CODES.CREATED);
+
+      expect(Pharmacy.findById).toHaveBeenCalledWith("pharmacy123");
+      expect(Medicine.create).toHaveBeenCalledWith(expect.objectContaining({
+        pharmacyId: "pharmacy123",
+        createdBy: "staff123",
+        updatedBy: "staff123"
+      }));
+      expect(res.body.data.pharmacyId).toBe("pharmacy123");
+    });
+
+    it("should record the staff member on updates", async () => {
+      staffUser(["inventory:write"]);
+      Pharmacy.findById.mockResolvedValue(approvedPharmacy);
+      Medicine.findOneAndUpdate.mockResolvedValue({ _id: "med123", isActive: false });
+
+      await request(app)
+        .patch("/api/medicines/med123/deactivate")
+        .set('Authorization', 'Bearer staff-token')
+        .expect(STATUS_CODES.SUCCESS);
+
+      expect(Medicine.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: "med123", pharmacyId: "pharmacy123" },
+        { isActive: false, updatedBy: "staff123" },
+        { new: true }
+      );
+    });
+
+    it("should reject staff without the inventory:write permission", async () => {
+      staffUser(["reports:read"]);
+      Pharmacy.findById.mockResolvedValue(approvedPharmacy);
+
+      const res = await request(app)
+        .put("/api/medicines/med123")
+        .set('Authorization', 'Bearer staff-token')
+        .send({ name: "Nope" })
+        .expect(STATUS_CODES.FORBIDDEN);
+
+      expect(res.body.message).toMatch(/Access denied/);
+      expect(Medicine.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should block staff whose pharmacy is not approved", async () => {
+      staffUser(["inventory:write"]);
+      Pharmacy.findById.mockResolvedValue({ ...approvedPharmacy, verificationStatus: "suspended" });
+
+      const res = await request(app)
+        .patch("/api/medicines/med123/activate")
+        .set('Authorization', 'Bearer staff-token')
+        .expect(STATUS_CODES.FORBIDDEN);
+
+      expect(res.body.message).toMatch(/suspended/);
+      expect(Medicine.findOneAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should block staff whose pharmacy account no longer exists", async () => {
+      staffUser(["inventory:write"]);
+      Pharmacy.findById.mockResolvedValue(null);
+
+      await request(app)
+        .post("/api/medicines")
+        .set('Authorization', 'Bearer staff-token')
+        .send({ name: "Orphan", description: "x", price: 1, quantity: 1, image: "x.jpg" })
+        .expect(STATUS_CODES.FORBIDDEN);
+
+      expect(Medicine.create).not.toHaveBeenCalled();
+    });
+  });
+
   describe("Error Handling and Edge Cases", () => {
     it("should handle database errors gracefully", async () => {
       Medicine.find.mockReturnValue({
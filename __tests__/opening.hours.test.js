@@ -0,0 +1,208 @@
+const {
+  getOpeningStatus,
+  buildOpeningWindows,
+  validateOpeningHours,
+  parseOpenFilter,
+} = require("../utilities/opening.hours.util");
+
+// Cairo is on summer time (UTC+3) until the end of October 2026
+const cairo = (weekly, extra = {}) => ({ timezone: "Africa/Cairo", weekly, ...extra });
+
+describe("Opening hours", () => {
+  it("should be open inside an interval and say when it closes", () => {
+    const hours = cairo({ monday: [{ open: "09:00", close: "17:00" }] });
+
+    expect(getOpeningStatus(hours, new Date("2026-10-19T10:15:30Z"))).toEqual({
+      isOpen: true,
+      closesAt: new Date("2026-10-19T14:00:00Z"),
+    });
+    expect(getOpeningStatus(hours, new Date("2026-10-19T14:00:00Z"))).toEqual({
+      isOpen: false,
+      closesAt: null,
+    });
+  });
+
+  it("should use the pharmacy's time zone", () => {
+    const hours = cairo({ monday: [{ open: "09:00", close: "17:00" }] });
+    // 08:30 UTC is 11:30 in Cairo but still closed in UTC
+    const at = new Date("2026-10-19T08:30:00Z");
+
+    expect(getOpeningStatus(hours, at).isOpen).toBe(true);
+    expect(getOpeningStatus({ ...hours, timezone: "UTC" }, at).isOpen).toBe(false);
+  });
+
+  it("should handle intervals that run past midnight", () => {
+    const hours = cairo({ friday: [{ open: "22:00", close: "02:00" }] });
+
+    // Saturday 01:00 in Cairo
+    expect(getOpeningStatus(hours, new Date("2026-10-16T22:00:00Z"))).toEqual({
+      isOpen: true,
+      closesAt: new Date("2026-10-16T23:00:00Z"),
+    });
+  });
+
+  it("should join back-to-back intervals across days", () => {
+    const hours = cairo({
+      saturday: [{ open: "17:00", close: "24:00" }],
+      sunday: [{ open: "00:00", close: "03:00" }],
+    });
+
+    expect(getOpeningStatus(hours, new Date("2026-10-17T20:00:00Z")).closesAt).toEqual(
+      new Date("2026-10-18T00:00:00Z")
+    );
+  });
+
+  it("should treat 24-hour pharmacies as open without a closing time", () => {
+    expect(getOpeningStatus(cairo({}, { alwaysOpen: true }))).toEqual({
+      isOpen: true,
+      closesAt: null,
+    });
+  });
+
+  it("should let exceptions override the weekly hours", () => {
+    const hours = cairo(
+      { monday: [{ open: "09:00", close: "17:00" }] },
+      {
+        alwaysOpen: false,
+        exceptions: [
+          { date: "2026-10-19", closed: true },
+          { date: "2026-10-26", intervals: [{ open: "10:00", close: "12:00" }] },
+        ],
+      }
+    );
+
+    expect(getOpeningStatus(hours, new Date("2026-10-19T10:00:00Z")).isOpen).toBe(false);
+    // Monday 26 October, 11:00 in Cairo
+    expect(getOpeningStatus(hours, new Date("2026-10-26T08:00:00Z"))).toEqual({
+      isOpen: true,
+      closesAt: new Date("2026-10-26T09:00:00Z"),
+    });
+  });
+
+  it("should close 24-hour pharmacies on closed exceptions", () => {
+    const hours = cairo({}, { alwaysOpen: true, exceptions: [{ date: "2026-10-19", closed: true }] });
+
+    expect(getOpeningStatus(hours, new Date("2026-10-19T10:00:00Z")).isOpen).toBe(false);
+    expect(getOpeningStatus(hours, new Date("2026-10-18T10:00:00Z")).closesAt).toEqual(
+      new Date("2026-10-18T21:00:00Z")
+    );
+  });
+
+  it("should report unknown status without published hours", () => {
+    expect(getOpeningStatus(undefined)).toEqual({ isOpen: null, closesAt: null });
+  });
+});
+
+describe("Opening hours validation", () => {
+  it("should default the time zone and fill in closed days", () => {
+    const { value, errors } = validateOpeningHours({
+      weekly: { monday: [{ open: "09:00", close: "17:00" }] },
+    });
+
+    expect(errors).toBeUndefined();
+    expect(value.timezone).toBe("Africa/Cairo");
+    expect(value.alwaysOpen).toBe(false);
+    expect(Object.keys(value.weekly)).toHaveLength(7);
+    expect(value.weekly.sunday).toEqual([]);
+  });
+
+  it("should reject overlapping intervals, including ones past midnight", () => {
+    const { errors } = validateOpeningHours({
+      weekly: {
+        friday: [
+          { open: "20:00", close: "02:00" },
+          { open: "23:00", close: "23:30" },
+        ],
+      },
+    });
+
+    expect(errors).toEqual({ "weekly.friday": "intervals must not overlap" });
+  });
+
+  it.each([
+    [{ weekly: { funday: [] } }, "weekly.funday"],
+    [{ weekly: { monday: { open: "09:00" } } }, "weekly.monday"],
+    [{ weekly: { monday: [{ open: "24:00", close: "02:00" }] } }, "weekly.monday[0]"],
+    [{ alwaysOpen: "yes" }, "alwaysOpen"],
+    [{ exceptions: [{ date: "2026-02-30" }] }, "exceptions[0].date"],
+    [
+      { exceptions: [{ date: "2026-10-06" }, { date: "2026-10-06", closed: true }] },
+      "exceptions[1].date",
+    ],
+    [[], "openingHours"],
+  ])("should reject %j", (input, field) => {
+    expect(validateOpeningHours(input).errors).toHaveProperty([field]);
+  });
+});
+
+describe("Opening windows", () => {
+  const window = (opensAt, closesAt) => ({
+    opensAt: new Date(opensAt),
+    closesAt: new Date(closesAt),
+  });
+
+  it("should cover the days around `from` in UTC", () => {
+    const hours = cairo({ monday: [{ open: "09:00", close: "17:00" }] });
+
+    expect(buildOpeningWindows(hours, new Date("2026-10-19T10:00:00Z"))).toEqual([
+      window("2026-10-19T06:00:00Z", "2026-10-19T14:00:00Z"),
+      window("2026-10-26T06:00:00Z", "2026-10-26T14:00:00Z"),
+      // Cairo is back on UTC+2 from 30 October
+      window("2026-11-02T07:00:00Z", "2026-11-02T15:00:00Z"),
+    ]);
+  });
+
+  it("should merge intervals that run into each other across midnight", () => {
+    const hours = cairo({
+      tuesday: [{ open: "20:00", close: "04:00" }],
+      wednesday: [{ open: "00:00", close: "02:00" }, { open: "04:00", close: "06:00" }],
+    });
+
+    const windows = buildOpeningWindows(hours, new Date("2026-10-19T10:00:00Z"));
+
+    expect(windows[0]).toEqual(window("2026-10-20T17:00:00Z", "2026-10-21T03:00:00Z"));
+  });
+
+  it("should leave out holiday closures and keep 24-hour pharmacies open", () => {
+    const hours = cairo(
+      { monday: [{ open: "09:00", close: "17:00" }] },
+      { exceptions: [{ date: "2026-10-26", closed: true }] }
+    );
+    const from = new Date("2026-10-19T10:00:00Z");
+
+    expect(buildOpeningWindows(hours, from).map((w) => w.opensAt)).not.toContainEqual(
+      new Date("2026-10-26T06:00:00Z")
+    );
+    expect(buildOpeningWindows({ timezone: "UTC", alwaysOpen: true }, from)).toEqual([
+      window("2026-10-17T00:00:00Z", "2026-11-03T00:00:00Z"),
+    ]);
+    expect(buildOpeningWindows(undefined, from)).toEqual([]);
+  });
+});
+
+describe("Open filter", () => {
+  const inAnHour = () => new Date(Math.floor(Date.now() / 1000) * 1000 + 60 * 60 * 1000);
+
+  it("should read openAt before openNow", () => {
+    const at = inAnHour();
+
+    expect(parseOpenFilter({ openNow: "true", openAt: at.toISOString() })).toEqual({ at });
+  });
+
+  it.each([
+    ["more than a week ahead", 8 * 24],
+    ["more than a day back", -25],
+  ])("should reject an openAt %s", (label, hours) => {
+    const at = new Date(Date.now() + hours * 60 * 60 * 1000);
+
+    expect(parseOpenFilter({ openAt: at.toISOString() }).errors).toHaveProperty("openAt");
+  });
+
+  it("should filter on the current time with openNow=true", () => {
+    const { at } = parseOpenFilter({ openNow: "true" });
+
+    expect(Math.abs(at - Date.now())).toBeLessThan(1000);
+    expect(parseOpenFilter({ openNow: "false" })).toEqual({ at: null });
+    expect(parseOpenFilter({})).toEqual({ at: null });
+  });
+});
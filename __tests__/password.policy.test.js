@@ -0,0 +1,89 @@
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const loadService = () => {
+  let service;
+  jest.isolateModules(() => {
+    service = require("../services/password.policy.service");
+  });
+  return service;
+};
+
+describe("Password policy", () => {
+  afterEach(() => {
+    delete process.env.PASSWORD_POLICY;
+    delete process.env.PASSWORD_BLOCKLIST_FILE;
+  });
+
+  const { validatePassword, isCommonPassword } = loadService();
+
+  it("should accept a password that meets every rule", () => {
+    expect(validatePassword("Tr4vel!Nile9")).toEqual([]);
+  });
+
+  it("should list every rule a password breaks", () => {
+    expect(validatePassword("abc")).toEqual([
+      "Password must be at least 8 characters long",
+      "Password must contain an uppercase letter",
+      "Password must contain a number",
+    ]);
+  });
+
+  it("should cap the length", () => {
+    expect(validatePassword(`Aa1${"x".repeat(70)}`)).toEqual([
+      "Password must be at most 64 characters long",
+    ]);
+  });
+
+  it("should require a password", () => {
+    expect(validatePassword(undefined)).toEqual(["Password is required"]);
+    expect(validatePassword({ $ne: "" })).toEqual(["Password is required"]);
+  });
+
+  it("should reject the user's email or name inside the password", () => {
+    const user = { email: "mona.said@test.com", fullName: "Mona Said" };
+
+    expect(validatePassword("Mona.Said2024", user)).toEqual([
+      "Password must not contain your email address",
+      "Password must not contain your name",
+    ]);
+    expect(validatePassword("xMONAx!2024", user)).toEqual([
+      "Password must not contain your name",
+    ]);
+  });
+
+  it("should ignore very short name parts", () => {
+    expect(validatePassword("Tr4vel!Nile9", { fullName: "Al Tr" })).toEqual([]);
+  });
+
+  it("should reject common and breached passwords regardless of case", () => {
+    expect(isCommonPassword("P@ssw0rd")).toBe(true);
+    expect(validatePassword("Password123")).toEqual([
+      "This password is too common or has appeared in a data breach. Please choose another one",
+    ]);
+  });
+
+  it("should apply PASSWORD_POLICY overrides", () => {
+    process.env.PASSWORD_POLICY = JSON.stringify({ requireSymbol: true, minLength: 12 });
+
+    expect(validatePassword("Tr4velNile9")).toEqual([
+      "Password must be at least 12 characters long",
+      "Password must contain a symbol",
+    ]);
+  });
+
+  it("should extend the bundled list with PASSWORD_BLOCKLIST_FILE", () => {
+    const file = path.join(os.tmpdir(), `blocklist-${process.pid}.txt`);
+    fs.writeFileSync(file, "# leaked\nTr4vel!Nile9\n");
+    process.env.PASSWORD_BLOCKLIST_FILE = file;
+
+    try {
+      const service = loadService();
+      expect(service.isCommonPassword("tr4vel!nile9")).toBe(true);
+      expect(service.isCommonPassword("password")).toBe(true);
+    } finally {
+      fs.rmSync(file, { force: true });
+    }
+  });
+});
@@ -0,0 +1,218 @@
+const request = require("supertest");
+const express = require("express");
+
+jest.mock("../models/audit.event.model", () => ({ create: jest.fn() }));
+
+const AuditEvent = require("../models/audit.event.model");
+const requirePermission = require("../middleware/permission.middleware");
+const {
+  ROLE_PERMISSIONS,
+  getPermissions,
+  hasPermission,
+} = require("../config/permissions.config");
+const STATUS_CODES = require("../utilities/response.codes.util");
+
+// Every permission a route asks for, and the roles that must get through
+const MATRIX = {
+  "medicine:create": ["pharmacy"],
+  "medicine:update": ["pharmacy"],
+  "medicine:update:any": ["admin"],
+  "medicine:list": ["pharmacy", "staff"],
+  "medicine:list:any": ["admin"],
+  "staff:manage": ["pharmacy"],
+  "api-key:manage": ["pharmacy"],
+  "pharmacy-document:read": ["pharmacy"],
+  "pharmacy-document:read:any": ["admin"],
+  "opening-hours:manage": ["pharmacy"],
+  "admin:create": ["admin"],
+  "user:read": ["admin"],
+  "user:manage": ["admin"],
+  "user:impersonate": ["admin"],
+  "audit:read": ["admin"],
+  "pharmacy:review": ["admin"],
+  "two-factor:enroll": ["admin", "pharmacy"],
+  "two-factor:policy": ["admin"],
+  "account:delete": ["customer", "pharmacy"],
+  "product:manage": ["admin"],
+};
+
+const ROLES = ["customer", "pharmacy", "staff", "admin"];
+
+const cases = Object.entries(MATRIX).flatMap(([permission, allowed]) =>
+  ROLES.map((role) => [role, permission, allowed.includes(role)])
+);
+
+const buildApp = (user, ...middleware) => {
+  const app = express();
+  app.get(
+    "/resource/:id",
+    (req, res, next) => {
+      req.user = user;
+      next();
+    },
+    ...middleware,
+    (req, res) => res.json({ ok: true })
+  );
+  return app;
+};
+
+describe("Permission registry", () => {
+  it.each(cases)("%s -> %s allowed: %s", (role, permission, allowed) => {
+    expect(hasPermission({ role }, permission)).toBe(allowed);
+  });
+
+  it("should not grant permissions that no route asks for", () => {
+    Object.values(ROLE_PERMISSIONS)
+      .flat()
+      .forEach((permission) => expect(MATRIX).toHaveProperty([permission]));
+  });
+
+  it("should grant nothing to unknown roles or missing users", () => {
+    expect(getPermissions({ role: "driver" })).toEqual([]);
+    expect(getPermissions(null)).toEqual([]);
+  });
+
+  it("should extend staff permissions with what the owner granted", () => {
+    const staff = { role: "staff", permissions: ["inventory:write"] };
+
+    expect(hasPermission(staff, "medicine:create")).toBe(true);
+    expect(hasPermission(staff, "medicine:update")).toBe(true);
+    expect(hasPermission(staff, "staff:manage")).toBe(false);
+  });
+
+  it("should ignore grants that do not map to anything", () => {
+    const staff = { role: "staff", permissions: ["reports:read", "root"] };
+
+    expect(getPermissions(staff)).toEqual(["medicine:list"]);
+  });
+
+  it("should only apply staff grants to staff accounts", () => {
+    const customer = { role: "customer", permissions: ["inventory:write"] };
+
+    expect(hasPermission(customer, "medicine:create")).toBe(false);
+  });
+});
+
+// Holding `<permission>:any` also satisfies the plain permission
+const middlewareCases = cases.map(([role, permission, allowed]) => [
+  role,
+  permission,
+  allowed || (MATRIX[`${permission}:any`] || []).includes(role),
+]);
+
+describe("requirePermission middleware", () => {
+  it.each(middlewareCases)(
+    "%s -> %s allowed: %s",
+    async (role, permission, allowed) => {
+      const app = buildApp(
+        { _id: "user123", role, email: `${role}@test.com` },
+        requirePermission(permission)
+      );
+
+      const res = await request(app).get("/resource/user123");
+
+      expect(res.statusCode).toBe(
+        allowed ? STATUS_CODES.OK : STATUS_CODES.FORBIDDEN
+      );
+    }
+  );
+
+  it("should record denials in the audit log", async () => {
+    const app = buildApp(
+      { _id: "customer123", role: "customer", email: "customer@test.com" },
+      requirePermission("user:manage")
+    );
+
+    await request(app).get("/resource/user123");
+
+    expect(AuditEvent.create).toHaveBeenCalledWith(
+      expect.objectContaining({
+        action: "access.denied",
+        outcome: "denied",
+        actor: "customer123",
+        metadata: {
+          permission: "user:manage",
+          method: "GET",
+          path: "/resource/user123",
+        },
+      })
+    );
+  });
+
+  it("should require an authenticated user", async () => {
+    const app = buildApp(undefined, requirePermission("user:read"));
+
+    const res = await request(app).get("/resource/user123");
+
+    expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+  });
+
+  describe("ownership predicates", () => {
+    const documentRead = requirePermission("pharmacy-document:read", {
+      owns: requirePermission.isSelf("id"),
+    });
+
+    it("should let the owner through", async () => {
+      const app = buildApp(
+        { _id: "pharmacy123", role: "pharmacy", email: "p@test.com" },
+        documentRead
+      );
+
+      const res = await request(app).get("/resource/pharmacy123");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+    });
+
+    it("should refuse other users holding the same permission", async () => {
+      const app = buildApp(
+        { _id: "other456", role: "pharmacy", email: "o@test.com" },
+        documentRead
+      );
+
+      const res = await request(app).get("/resource/pharmacy123");
+
+      expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+    });
+
+    it("should skip the predicate for holders of the :any permission", async () => {
+      const owns = jest.fn().mockReturnValue(false);
+      const app = buildApp(
+        { _id: "admin123", role: "admin", email: "a@test.com" },
+        requirePermission("pharmacy-document:read", { owns })
+      );
+
+      const res = await request(app).get("/resource/pharmacy123");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(owns).not.toHaveBeenCalled();
+    });
+
+    it("should not run the predicate without the base permission", async () => {
+      const owns = jest.fn().mockReturnValue(true);
+      const app = buildApp(
+        { _id: "customer123", role: "customer", email: "c@test.com" },
+        requirePermission("pharmacy-document:read", { owns })
+      );
+
+      const res = await request(app).get("/resource/customer123");
+
+      expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+      expect(owns).not.toHaveBeenCalled();
+    });
+
+    it("should support async predicates", async () => {
+      const app = buildApp(
+        { _id: "pharmacy123", role: "pharmacy", email: "p@test.com" },
+        requirePermission("medicine:update", {
+          owns: async (req) => req.params.id === "med-of-pharmacy123",
+        })
+      );
+
+      const allowed = await request(app).get("/resource/med-of-pharmacy123");
+      const denied = await request(app).get("/resource/med-of-someone-else");
+
+      expect(allowed.statusCode).toBe(STATUS_CODES.OK);
+      expect(denied.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+    });
+  });
+});
@@ -0,0 +1,715 @@
+const request = require("supertest");
+const express = require("express");
+const fs = require("fs");
+const os = require("os");
+const path = require("path");
+
+const privateUploadDir = fs.mkdtempSync(path.join(os.tmpdir(), "cure-link-pharmacy-"));
+process.env.PRIVATE_UPLOAD_DIR = privateUploadDir;
+
+const mockPharmacy = {
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  find: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  aggregate: jest.fn(),
+};
+
+jest.mock("../models/pharmacy.model", () => mockPharmacy);
+
+const mockUser = {
+  findOne: jest.fn(),
+};
+
+jest.mock("../models/user.model", () => mockUser);
+
+// Constructed with `new` by the invite endpoint
+const mockPharmacyStaff = jest.fn().mockImplementation((data) => ({
+  _id: "staff123",
+  ...data,
+  createInviteToken: jest.fn().mockReturnValue("raw-invite-token"),
+  save: jest.fn().mockResolvedValue(true),
+}));
+mockPharmacyStaff.PERMISSIONS = ["inventory:write", "orders:fulfil", "reports:read"];
+mockPharmacyStaff.find = jest.fn();
+mockPharmacyStaff.findOne = jest.fn();
+mockPharmacyStaff.findByIdAndDelete = jest.fn();
+
+jest.mock("../models/pharmacy.staff.model", () => mockPharmacyStaff);
+
+const mockRefreshToken = {
+  updateMany: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+};
+
+jest.mock("../models/refresh.token.model", () => mockRefreshToken);
+jest.mock("../models/session.model", () => ({
+  updateMany: jest.fn().mockResolvedValue({ modifiedCount: 1 }),
+}));
+
+const mockApiKey = {
+  SCOPES: ["medicine:create", "medicine:update"],
+  create: jest.fn(),
+  find: jest.fn(),
+  findOne: jest.fn(),
+};
+
+jest.mock("../models/api.key.model", () => mockApiKey);
+jest.mock("../models/audit.event.model", () => ({ create: jest.fn() }));
+
+const mockMedicine = {
+  collection: { name: "medicines" },
+  countDocuments: jest.fn(),
+};
+
+jest.mock("../models/medicine.model", () => mockMedicine);
+
+const authMiddlewareMock = {
+  _user: null,
+
+  setUser: function (user) {
+    this._user = user;
+  },
+
+  reset: function () {
+    this._user = { _id: "pharmacy123", role: "pharmacy", email: "pharmacy@test.com" };
+  },
+};
+
+jest.mock("../middleware/auth.middleware", () => {
+  const authenticate = (req, res, next) => {
+    req.user = authMiddlewareMock._user;
+    next();
+  };
+  authenticate.optional = authenticate;
+  return authenticate;
+});
+
+const Pharmacy = require("../models/pharmacy.model");
+const User = require("../models/user.model");
+const PharmacyStaff = require("../models/pharmacy.staff.model");
+const RefreshToken = require("../models/refresh.token.model");
+const ApiKey = require("../models/api.key.model");
+const Medicine = require("../models/medicine.model");
+const { hashToken } = require("../services/token.service");
+const mailService = require("../services/mail.service");
+const pharmacyRoutes = require("../routes/pharmacy.route");
+const STATUS_CODES = require("../utilities/response.codes.util");
+
+// The coming Monday (or today) at `time` UTC, inside the week openAt may ask about
+const nextMondayAt = (time) => {
+  const date = new Date(`${new Date().toISOString().slice(0, 10)}T${time}:00Z`);
+  date.setUTCDate(date.getUTCDate() + ((8 - date.getUTCDay()) % 7));
+  return date;
+};
+
+const app = express();
+app.use(express.json());
+app.use("/api/pharmacies", pharmacyRoutes);
+
+const mockFindById = (doc) => {
+  Pharmacy.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(doc) });
+};
+
+describe("Pharmacy Integration Tests", () => {
+  beforeAll(() => {
+    fs.mkdirSync(path.join(privateUploadDir, "pharmacy-documents"));
+    fs.writeFileSync(
+      path.join(privateUploadDir, "pharmacy-documents", "license.png"),
+      "license-image"
+    );
+  });
+
+  afterAll(() => {
+    fs.rmSync(privateUploadDir, { recursive: true, force: true });
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authMiddlewareMock.reset();
+  });
+
+  describe("GET /api/pharmacies/:id/documents/:document", () => {
+    it("should let the owning pharmacy download its document", async () => {
+      mockFindById({ pharmacyLicensePhoto: "pharmacy-documents/license.png" });
+
+      const res = await request(app).get(
+        "/api/pharmacies/pharmacy123/documents/pharmacyLicensePhoto"
+      );
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(res.headers["content-type"]).toMatch(/image\/png/);
+      expect(res.headers["cache-control"]).toBe("private, no-store");
+      expect(res.body.toString()).toBe("license-image");
+    });
+
+    it("should let admins download any pharmacy's documents", async () => {
+      authMiddlewareMock.setUser({ _id: "admin123", role: "admin", email: "admin@test.com" });
+      mockFindById({ pharmacyLicensePhoto: "pharmacy-documents/license.png" });
+
+      const res = await request(app).get(
+        "/api/pharmacies/pharmacy123/documents/pharmacyLicensePhoto"
+      );
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+    });
+
+    it("should not let other pharmacies download the documents", async () => {
+      authMiddlewareMock.setUser({ _id: "other456", role: "pharmacy", email: "other@test.com" });
+
+      const res = await request(app).get(
+        "/api/pharmacies/pharmacy123/documents/pharmacyLicensePhoto"
+      );
+
+      expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+      expect(Pharmacy.findById).not.toHaveBeenCalled();
+    });
+
+    it("should reject unknown document names", async () => {
+      const res = await request(app).get(
+        "/api/pharmacies/pharmacy123/documents/password"
+      );
+
+      expect(res.statusCode).toBe(STATUS_CODES.NOT_FOUND);
+      expect(Pharmacy.findById).not.toHaveBeenCalled();
+    });
+
+    it("should never serve files outside the document folder", async () => {
+      mockFindById({ ownerIdFront: "../../etc/passwd" });
+
+      const res = await request(app).get(
+        "/api/pharmacies/pharmacy123/documents/ownerIdFront"
+      );
+
+      expect(res.statusCode).toBe(STATUS_CODES.NOT_FOUND);
+    });
+
+    it("should return 404 when the file is missing on disk", async () => {
+      mockFindById({ ownerIdBack: "pharmacy-documents/missing.png" });
+
+      const res = await request(app).get(
+        "/api/pharmacies/pharmacy123/documents/ownerIdBack"
+      );
+
+      expect(res.statusCode).toBe(STATUS_CODES.NOT_FOUND);
+    });
+  });
+
+  describe("Staff management (/api/pharmacies/staff)", () => {
+    const staffMember = (overrides = {}) => ({
+      _id: "staff123",
+      email: "staff@test.com",
+      pharmacy: "pharmacy123",
+      permissions: ["reports:read"],
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides,
+    });
+
+    beforeEach(() => {
+      mailService.getTransport().clear();
+      User.findOne.mockResolvedValue(null);
+    });
+
+    it("should invite a staff member linked to the owner's pharmacy", async () => {
+      const res = await request(app)
+        .post("/api/pharmacies/staff")
+        .send({
+          fullName: "Counter Staff",
+          email: "staff@test.com",
+          phone: "+201000000050",
+          permissions: ["inventory:write"],
+        });
+
+      expect(res.statusCode).toBe(STATUS_CODES.CREATED);
+      expect(PharmacyStaff).toHaveBeenCalledWith(
+        expect.objectContaining({
+          role: "staff",
+          pharmacy: "pharmacy123",
+          invitedBy: "pharmacy123",
+          permissions: ["inventory:write"],
+        })
+      );
+      expect(res.body.data).not.toHaveProperty("password");
+
+      const outbox = mailService.getTransport().outbox;
+      expect(outbox).toHaveLength(1);
+      expect(outbox[0].to).toBe("staff@test.com");
+      expect(outbox[0].text).toContain("staff/accept-invite/raw-invite-token");
+    });
+
+    it("should reject unknown permissions", async () => {
+      const res = await request(app)
+        .post("/api/pharmacies/staff")
+        .send({
+          fullName: "Counter Staff",
+          email: "staff@test.com",
+          phone: "+201000000050",
+          permissions: ["medicine:delete-everything"],
+        });
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(res.body.errors).toHaveProperty("permissions");
+      expect(PharmacyStaff).not.toHaveBeenCalled();
+    });
+
+    it("should reject an email that is already registered", async () => {
+      User.findOne.mockResolvedValueOnce({ _id: "someone" });
+
+      const res = await request(app)
+        .post("/api/pharmacies/staff")
+        .send({
+          fullName: "Counter Staff",
+          email: "taken@test.com",
+          phone: "+201000000050",
+        });
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(res.body.errors).toHaveProperty("email");
+    });
+
+    it("should only let pharmacy owners manage staff", async () => {
+      authMiddlewareMock.setUser({
+        _id: "staff123",
+        role: "staff",
+        email: "staff@test.com",
+        pharmacy: "pharmacy123",
+      });
+
+      const res = await request(app).get("/api/pharmacies/staff");
+
+      expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+      expect(PharmacyStaff.find).not.toHaveBeenCalled();
+    });
+
+    it("should list only the owner's staff", async () => {
+      PharmacyStaff.find.mockReturnValue({
+        select: jest.fn().mockReturnValue({
+          sort: jest.fn().mockResolvedValue([staffMember()]),
+        }),
+      });
+
+      const res = await request(app).get("/api/pharmacies/staff");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(res.body.data.count).toBe(1);
+      expect(PharmacyStaff.find).toHaveBeenCalledWith({ pharmacy: "pharmacy123" });
+    });
+
+    it("should replace a staff member's permissions", async () => {
+      const staff = staffMember();
+      PharmacyStaff.findOne.mockResolvedValue(staff);
+
+      const res = await request(app)
+        .patch("/api/pharmacies/staff/staff123")
+        .send({ permissions: ["inventory:write", "orders:fulfil"] });
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(PharmacyStaff.findOne).toHaveBeenCalledWith({
+        _id: "staff123",
+        pharmacy: "pharmacy123",
+      });
+      expect(staff.permissions).toEqual(["inventory:write", "orders:fulfil"]);
+      expect(staff.save).toHaveBeenCalled();
+    });
+
+    it("should return 404 for staff of another pharmacy", async () => {
+      PharmacyStaff.findOne.mockResolvedValue(null);
+
+      const res = await request(app).delete("/api/pharmacies/staff/other-staff");
+
+      expect(res.statusCode).toBe(STATUS_CODES.NOT_FOUND);
+      expect(PharmacyStaff.findByIdAndDelete).not.toHaveBeenCalled();
+    });
+
+    it("should remove a staff member and revoke their sessions", async () => {
+      PharmacyStaff.findOne.mockResolvedValue(staffMember());
+      PharmacyStaff.findByIdAndDelete.mockResolvedValue({});
+
+      const res = await request(app).delete("/api/pharmacies/staff/staff123");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(RefreshToken.updateMany).toHaveBeenCalledWith(
+        expect.objectContaining({ user: "staff123" }),
+        expect.objectContaining({ revokedReason: "admin-revoked" })
+      );
+      expect(PharmacyStaff.findByIdAndDelete).toHaveBeenCalledWith("staff123");
+    });
+  });
+
+  describe("API keys (/api/pharmacies/api-keys)", () => {
+    const storedKey = (overrides = {}) => ({
+      _id: "key123",
+      name: "Front counter POS",
+      prefix: "cl_1a2b3c4d",
+      keyHash: "old-hash",
+      scopes: ["medicine:update"],
+      allowedIps: [],
+      save: jest.fn().mockResolvedValue(true),
+      ...overrides,
+    });
+
+    it("should create a key, return it once and store only its hash", async () => {
+      ApiKey.create.mockImplementation(async (data) => ({ _id: "key123", ...data }));
+
+      const res = await request(app)
+        .post("/api/pharmacies/api-keys")
+        .send({
+          name: "Front counter POS",
+          scopes: ["medicine:create", "medicine:update"],
+          allowedIps: ["203.0.113.10", "10.0.0.0/24"],
+        });
+
+      expect(res.statusCode).toBe(STATUS_CODES.CREATED);
+      const { key, prefix } = res.body.data;
+      expect(key).toMatch(/^cl_[0-9a-f]{8}_/);
+      expect(key.startsWith(prefix)).toBe(true);
+      expect(res.body.data).not.toHaveProperty("keyHash");
+
+      const stored = ApiKey.create.mock.calls[0][0];
+      expect(stored).toMatchObject({
+        pharmacy: "pharmacy123",
+        prefix,
+        keyHash: hashToken(key),
+        allowedIps: ["203.0.113.10", "10.0.0.0/24"],
+      });
+      expect(stored).not.toHaveProperty("key");
+    });
+
+    it("should reject unknown scopes and malformed IP ranges", async () => {
+      const res = await request(app)
+        .post("/api/pharmacies/api-keys")
+        .send({
+          name: "POS",
+          scopes: ["admin:create"],
+          allowedIps: ["10.0.0.0/99", "not-an-ip"],
+        });
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(res.body.errors).toHaveProperty("scopes");
+      expect(res.body.errors.allowedIps).toMatch(/10\.0\.0\.0\/99, not-an-ip/);
+      expect(ApiKey.create).not.toHaveBeenCalled();
+    });
+
+    it("should require a name and scopes", async () => {
+      const res = await request(app).post("/api/pharmacies/api-keys").send({});
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(res.body.errors).toHaveProperty("name");
+      expect(res.body.errors).toHaveProperty("scopes");
+    });
+
+    it("should list the pharmacy's active keys without secrets", async () => {
+      ApiKey.find.mockReturnValue({
+        sort: jest.fn().mockResolvedValue([storedKey({ lastUsedAt: new Date() })]),
+      });
+
+      const res = await request(app).get("/api/pharmacies/api-keys");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(ApiKey.find).toHaveBeenCalledWith({ pharmacy: "pharmacy123", revokedAt: null });
+      expect(res.body.data.apiKeys[0]).toMatchObject({ prefix: "cl_1a2b3c4d" });
+      expect(res.body.data.apiKeys[0]).not.toHaveProperty("keyHash");
+      expect(res.body.data.apiKeys[0].lastUsedAt).toBeTruthy();
+    });
+
+    it("should rotate a key and replace its hash", async () => {
+      const apiKey = storedKey();
+      ApiKey.findOne.mockResolvedValue(apiKey);
+
+      const res = await request(app).post("/api/pharmacies/api-keys/key123/rotate");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(ApiKey.findOne).toHaveBeenCalledWith({
+        _id: "key123",
+        pharmacy: "pharmacy123",
+        revokedAt: null,
+      });
+      expect(apiKey.keyHash).toBe(hashToken(res.body.data.key));
+      expect(apiKey.prefix).not.toBe("cl_1a2b3c4d");
+      expect(apiKey.rotatedAt).toBeInstanceOf(Date);
+      expect(res.body.data.scopes).toEqual(["medicine:update"]);
+    });
+
+    it("should revoke a key", async () => {
+      const apiKey = storedKey();
+      ApiKey.findOne.mockResolvedValue(apiKey);
+
+      const res = await request(app).delete("/api/pharmacies/api-keys/key123");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(apiKey.revokedAt).toBeInstanceOf(Date);
+      expect(apiKey.save).toHaveBeenCalled();
+    });
+
+    it("should return 404 for keys of another pharmacy", async () => {
+      ApiKey.findOne.mockResolvedValue(null);
+
+      const res = await request(app).delete("/api/pharmacies/api-keys/other-key");
+
+      expect(res.statusCode).toBe(STATUS_CODES.NOT_FOUND);
+    });
+
+    it("should not let staff manage API keys", async () => {
+      authMiddlewareMock.setUser({
+        _id: "staff123",
+        role: "staff",
+        email: "staff@test.com",
+        permissions: ["inventory:write"],
+      });
+
+      const res = await request(app).get("/api/pharmacies/api-keys");
+
+      expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+      expect(ApiKey.find).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("Public directory (/api/pharmacies)", () => {
+    const directoryEntry = {
+      _id: "pharmacy123",
+      pharmacyName: "Nile Pharmacy",
+      location: { latitude: 30.05, longitude: 31.24 },
+      activeMedicines: 12,
+      distance: 0.81,
+    };
+
+    const lastPipeline = () => Pharmacy.aggregate.mock.calls[0][0];
+
+    beforeEach(() => {
+      authMiddlewareMock.setUser(null);
+      Pharmacy.aggregate.mockResolvedValue([
+        { data: [directoryEntry], total: [{ count: 1 }] },
+      ]);
+    });
+
+    it("should list approved pharmacies by name without a location", async () => {
+      const res = await request(app).get("/api/pharmacies?search=nile");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(res.body.data.pharmacies).toEqual([
+        { ...directoryEntry, isOpen: null, closesAt: null },
+      ]);
+      expect(res.body.data.pagination.totalItems).toBe(1);
+
+      const [match, sort] = lastPipeline();
+      expect(match.$match).toMatchObject({
+        kind: "Pharmacy",
+        verificationStatus: "approved",
+        status: { $in: ["active", null] },
+        deletionScheduledFor: null,
+      });
+      expect(match.$match.pharmacyName).toEqual(/nile/i);
+      expect(sort).toEqual({ $sort: { pharmacyName: 1, _id: 1 } });
+    });
+
+    it("should list the closest pharmacies first within the radius", async () => {
+      await request(app).get("/api/pharmacies?latitude=30.04&longitude=31.23&radius=3");
+
+      const { $geoNear } = lastPipeline()[0];
+      expect($geoNear.near.coordinates).toEqual([31.23, 30.04]);
+      expect($geoNear.maxDistance).toBe(3000);
+      expect($geoNear.query.verificationStatus).toBe("approved");
+    });
+
+    it("should only project public fields and count medicines for the page", async () => {
+      await request(app).get("/api/pharmacies?latitude=30.04&longitude=31.23&page=2&limit=5");
+
+      const facet = lastPipeline().find((stage) => stage.$facet).$facet;
+      expect(facet.data.slice(0, 2)).toEqual([{ $skip: 5 }, { $limit: 5 }]);
+
+      const lookup = facet.data.find((stage) => stage.$lookup).$lookup;
+      expect(lookup.from).toBe("medicines");
+
+      const { $project } = facet.data.find((stage) => stage.$project);
+      expect(Object.keys($project)).toEqual(
+        expect.arrayContaining(["pharmacyName", "location", "activeMedicines", "distance"])
+      );
+      ["licenseNumber", "pharmacyLicensePhoto", "ownerIdFront", "ownerIdBack", "email"].forEach(
+        (field) => expect($project).not.toHaveProperty(field)
+      );
+    });
+
+    it("should escape regex characters in the name search", async () => {
+      await request(app).get("/api/pharmacies?search=a(b");
+
+      expect(lastPipeline()[0].$match.pharmacyName.source).toBe("a\\(b");
+    });
+
+    it.each([
+      ["/api/pharmacies?latitude=30&longitude=31&radius=0"],
+      ["/api/pharmacies?radius=5"],
+    ])("should reject %s", async (url) => {
+      const res = await request(app).get(url);
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(res.body.errors).toHaveProperty("radius");
+      expect(Pharmacy.aggregate).not.toHaveBeenCalled();
+    });
+
+    it("should return a public profile with its active medicine count", async () => {
+      const select = jest.fn().mockResolvedValue({
+        _id: "pharmacy123",
+        pharmacyName: "Nile Pharmacy",
+        phone: "+201001234567",
+        photo: "default.jpg",
+        location: { type: "Point", coordinates: [31.24, 30.05] },
+      });
+      Pharmacy.findOne.mockReturnValue({ select });
+      Medicine.countDocuments.mockResolvedValue(12);
+
+      const res = await request(app).get(
+        "/api/pharmacies/pharmacy123?latitude=30.05&longitude=31.24"
+      );
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(res.body.data.pharmacy).toMatchObject({
+        pharmacyName: "Nile Pharmacy",
+        location: { latitude: 30.05, longitude: 31.24 },
+        activeMedicines: 12,
+        distance: 0,
+      });
+      expect(Pharmacy.findOne).toHaveBeenCalledWith(
+        expect.objectContaining({ _id: "pharmacy123", verificationStatus: "approved" })
+      );
+      expect(select.mock.calls[0][0]).not.toMatch(/license|ownerId/i);
+      expect(Medicine.countDocuments).toHaveBeenCalledWith({
+        pharmacyId: "pharmacy123",
+        isActive: true,
+      });
+    });
+
+    it("should only list pharmacies open at openAt", async () => {
+      const dayHours = {
+        timezone: "UTC",
+        weekly: { monday: [{ open: "09:00", close: "17:00" }] },
+      };
+      Pharmacy.aggregate.mockResolvedValue([
+        { data: [{ ...directoryEntry, openingHours: dayHours }], total: [{ count: 1 }] },
+      ]);
+      const openAt = nextMondayAt("10:00");
+      const closesAt = nextMondayAt("17:00");
+
+      const res = await request(app).get(`/api/pharmacies?openAt=${openAt.toISOString()}`);
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(Pharmacy.find).not.toHaveBeenCalled();
+      expect(lastPipeline()[0].$match.openingWindows).toEqual({
+        $elemMatch: { opensAt: { $lte: openAt }, closesAt: { $gt: openAt } },
+      });
+      expect(res.body.data.pharmacies[0]).toMatchObject({
+        isOpen: true,
+        closesAt: closesAt.toISOString(),
+      });
+    });
+
+    it("should look open pharmacies up in $geoNear near a location", async () => {
+      await request(app).get("/api/pharmacies?openNow=true&latitude=30.05&longitude=31.24");
+
+      expect(lastPipeline()[0].$geoNear.query.openingWindows.$elemMatch).toBeDefined();
+    });
+
+    it("should reject an openAt more than a week ahead", async () => {
+      const res = await request(app).get(
+        `/api/pharmacies?openAt=${new Date(Date.now() + 8 * 24 * 60 * 60 * 1000).toISOString()}`
+      );
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(res.body.errors).toHaveProperty("openAt");
+    });
+
+    it("should reject openNow values other than true or false", async () => {
+      const res = await request(app).get("/api/pharmacies?openNow=yes");
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(res.body.errors).toHaveProperty("openNow");
+    });
+
+    it("should 404 for pharmacies that are not listed", async () => {
+      Pharmacy.findOne.mockReturnValue({ select: jest.fn().mockResolvedValue(null) });
+
+      const res = await request(app).get("/api/pharmacies/pending456");
+
+      expect(res.statusCode).toBe(STATUS_CODES.NOT_FOUND);
+      expect(Medicine.countDocuments).not.toHaveBeenCalled();
+    });
+  });
+
+  describe("PUT /api/pharmacies/opening-hours", () => {
+    const hours = {
+      timezone: "Africa/Cairo",
+      weekly: {
+        saturday: [
+          { open: "17:00", close: "23:00" },
+          { open: "09:00", close: "14:00" },
+        ],
+        friday: [{ open: "13:00", close: "02:00" }],
+      },
+      exceptions: [{ date: "2026-10-06", closed: true, note: "Armed Forces Day" }],
+    };
+
+    const mockUpdate = () =>
+      Pharmacy.findByIdAndUpdate.mockImplementation((id, update) => ({
+        select: jest.fn().mockResolvedValue({ _id: id, ...update }),
+      }));
+
+    it("should save normalized hours for the pharmacy", async () => {
+      mockUpdate();
+
+      const res = await request(app).put("/api/pharmacies/opening-hours").send(hours);
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      const [id, update, options] = Pharmacy.findByIdAndUpdate.mock.calls[0];
+      expect(id).toBe("pharmacy123");
+      expect(options).toMatchObject({ runValidators: true });
+      expect(update.openingHours.weekly.saturday).toEqual([
+        { open: "09:00", close: "14:00" },
+        { open: "17:00", close: "23:00" },
+      ]);
+      expect(update.openingHours.weekly.monday).toEqual([]);
+      expect(update.openingHours.exceptions).toEqual([
+        { date: "2026-10-06", closed: true, intervals: [], note: "Armed Forces Day" },
+      ]);
+      // Stored as UTC windows too, so open-at filters can query them
+      expect(update.openingWindows.length).toBeGreaterThan(0);
+      expect(update.openingWindows[0]).toEqual({
+        opensAt: expect.any(Date),
+        closesAt: expect.any(Date),
+      });
+      expect(res.body.data).toHaveProperty("isOpen");
+    });
+
+    it("should report every invalid field", async () => {
+      const res = await request(app)
+        .put("/api/pharmacies/opening-hours")
+        .send({
+          timezone: "Cairo",
+          weekly: {
+            monday: [
+              { open: "09:00", close: "13:00" },
+              { open: "12:00", close: "18:00" },
+            ],
+            tuesday: [{ open: "9am", close: "17:00" }],
+          },
+          exceptions: [{ date: "2026-13-01" }],
+        });
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(Object.keys(res.body.errors)).toEqual(
+        expect.arrayContaining([
+          "timezone",
+          "weekly.monday",
+          "weekly.tuesday[0]",
+          "exceptions[0].date",
+        ])
+      );
+      expect(Pharmacy.findByIdAndUpdate).not.toHaveBeenCalled();
+    });
+
+    it("should only let pharmacy owners edit opening hours", async () => {
+      authMiddlewareMock.setUser({ _id: "staff123", role: "staff", email: "staff@test.com" });
+
+      const res = await request(app).put("/api/pharmacies/opening-hours").send(hours);
+
+      expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+    });
+  });
+});
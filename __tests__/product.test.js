@@ -0,0 +1,452 @@
+const request = require("supertest");
+const express = require("express");
+
+const mockProduct = {
+  DOSAGE_FORMS: ["tablet", "capsule", "syrup", "other"],
+  find: jest.fn(),
+  findById: jest.fn(),
+  findOne: jest.fn(),
+  findByIdAndUpdate: jest.fn(),
+  create: jest.fn(),
+  countDocuments: jest.fn(),
+};
+
+const mockMedicine = {
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+  updateMany: jest.fn(),
+};
+
+const mockAuditEvent = {
+  create: jest.fn(),
+};
+
+jest.mock("../models/product.model", () => mockProduct);
+jest.mock("../models/medicine.model", () => mockMedicine);
+jest.mock("../models/audit.event.model", () => mockAuditEvent);
+
+const authMiddlewareMock = {
+  _userRole: "admin",
+
+  setUserRole: function (role) {
+    this._userRole = role;
+  },
+
+  reset: function () {
+    this._userRole = "admin";
+  },
+};
+
+jest.mock("../middleware/auth.middleware", () => {
+  const authenticate = (req, res, next) => {
+    req.user = {
+      _id: `${authMiddlewareMock._userRole}123`,
+      role: authMiddlewareMock._userRole,
+      email: `${authMiddlewareMock._userRole}@test.com`,
+    };
+    next();
+  };
+  authenticate.optional = (req, res, next) => {
+    if (authMiddlewareMock._userRole) return authenticate(req, res, next);
+    next();
+  };
+  return authenticate;
+});
+
+const Product = require("../models/product.model");
+const Medicine = require("../models/medicine.model");
+const AuditEvent = require("../models/audit.event.model");
+const productRoutes = require("../routes/product.route");
+const catalogService = require("../services/catalog.service");
+const STATUS_CODES = require("../utilities/response.codes.util");
+
+const app = express();
+app.use(express.json());
+app.use("/api/products", productRoutes);
+
+const buildQuery = (result) => ({
+  populate: jest.fn().mockReturnThis(),
+  clone: jest.fn().mockReturnThis(),
+  skip: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  getFilter: jest.fn().mockReturnValue({}),
+  exec: jest.fn().mockResolvedValue(result),
+});
+
+const buildProduct = (overrides = {}) => ({
+  _id: "prod123",
+  genericName: "Paracetamol",
+  brandName: "Panadol",
+  strength: "500mg",
+  description: "Pain reliever",
+  isActive: true,
+  mergedInto: null,
+  save: jest.fn().mockResolvedValue(true),
+  ...overrides,
+});
+
+describe("Product catalog", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    authMiddlewareMock.reset();
+    Medicine.updateMany.mockResolvedValue({ modifiedCount: 3 });
+  });
+
+  describe("GET /api/products", () => {
+    it("should list active products with an escaped search", async () => {
+      authMiddlewareMock.setUserRole(null);
+      Product.find.mockReturnValue(buildQuery([buildProduct()]));
+      Product.countDocuments.mockResolvedValue(1);
+
+      const res = await request(app).get("/api/products?search=pana(dol&dosageForm=tablet");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      const filter = Product.find.mock.calls[0][0];
+      expect(filter.isActive).toBe(true);
+      expect(filter.dosageForm).toBe("tablet");
+      expect(filter.$or[0].genericName.source).toBe("pana\\(dol");
+      expect(res.body.data.products).toHaveLength(1);
+    });
+
+    it("should only show inactive products to curators", async () => {
+      Product.find.mockReturnValue(buildQuery([]));
+      Product.countDocuments.mockResolvedValue(0);
+
+      await request(app).get("/api/products?includeInactive=true");
+      authMiddlewareMock.setUserRole("customer");
+      await request(app).get("/api/products?includeInactive=true");
+
+      expect(Product.find.mock.calls[0][0]).toEqual({});
+      expect(Product.find.mock.calls[1][0]).toEqual({ isActive: true });
+    });
+
+    it("should reject an unknown dosage form", async () => {
+      const res = await request(app).get("/api/products?dosageForm=potion");
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(res.body.errors).toHaveProperty("dosageForm");
+    });
+
+    it("should hide deactivated products from the public", async () => {
+      authMiddlewareMock.setUserRole("customer");
+      Product.findById.mockResolvedValue(buildProduct({ isActive: false }));
+
+      const res = await request(app).get("/api/products/prod123");
+
+      expect(res.statusCode).toBe(STATUS_CODES.NOT_FOUND);
+    });
+  });
+
+  describe("GET /api/products/:id/offers", () => {
+    // Cairo downtown; Giza is ~5km away, Heliopolis ~10km
+    const origin = "latitude=30.0444&longitude=31.2357";
+    const listing = (id, price, quantity, pharmacyName, location) => ({
+      _id: id,
+      price,
+      quantity,
+      image: `${id}.jpg`,
+      pharmacyId: { _id: `pharmacy-${id}`, pharmacyName, location },
+    });
+    const listings = [
+      listing("near", 34, 20, "Downtown Pharmacy", { latitude: 30.0450, longitude: 31.2360 }),
+      listing("cheap", 28, 3, "Heliopolis Pharmacy", { latitude: 30.0911, longitude: 31.3228 }),
+      listing("mid", 30, 50, "Giza Pharmacy", { latitude: 30.0131, longitude: 31.2089 }),
+    ];
+
+    beforeEach(() => {
+      authMiddlewareMock.setUserRole(null);
+      Product.findById.mockResolvedValue(buildProduct());
+      Medicine.find.mockReturnValue({ populate: jest.fn().mockResolvedValue(listings) });
+    });
+
+    const ids = (res) => res.body.data.offers.map((offer) => offer.medicineId);
+
+    it("should list in-stock listings from approved pharmacies, cheapest first", async () => {
+      const res = await request(app).get(`/api/products/prod123/offers?${origin}`);
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(Medicine.find).toHaveBeenCalledWith({
+        product: "prod123",
+        isActive: true,
+        pharmacyApproved: true,
+        quantity: { $gt: 0 },
+      });
+      expect(ids(res)).toEqual(["cheap", "mid", "near"]);
+      expect(res.body.data.offers[0]).toMatchObject({
+        price: 28,
+        stockStatus: "low-stock",
+        pharmacy: { pharmacyName: "Heliopolis Pharmacy" },
+      });
+      expect(res.body.data.offers[2].distance).toBeLessThan(0.1);
+    });
+
+    it("should summarize the prices", async () => {
+      const res = await request(app).get("/api/products/prod123/offers");
+
+      expect(res.body.data.summary).toEqual({
+        count: 3,
+        minPrice: 28,
+        maxPrice: 34,
+        medianPrice: 30,
+      });
+      expect(res.body.data.offers[0].distance).toBeNull();
+    });
+
+    it("should sort by distance", async () => {
+      const res = await request(app).get(`/api/products/prod123/offers?${origin}&sort=distance`);
+
+      expect(ids(res)).toEqual(["near", "mid", "cheap"]);
+    });
+
+    it("should rank by weighted score", async () => {
+      const balanced = await request(app).get(`/api/products/prod123/offers?${origin}&sort=score`);
+      const priceOnly = await request(app).get(
+        `/api/products/prod123/offers?${origin}&sort=score&priceWeight=1`
+      );
+
+      // "near" and "cheap" tie on score; the lower price wins
+      expect(ids(balanced)).toEqual(["mid", "cheap", "near"]);
+      expect(ids(priceOnly)).toEqual(["cheap", "mid", "near"]);
+      expect(priceOnly.body.data.offers[0].score).toBe(1);
+    });
+
+    it("should need a location to sort by distance", async () => {
+      // The mocked customer has no saved location either
+      authMiddlewareMock.setUserRole("customer");
+
+      const res = await request(app).get("/api/products/prod123/offers?sort=distance");
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(res.body.errors).toHaveProperty("sort");
+    });
+
+    it("should reject bad sort options", async () => {
+      const unknown = await request(app).get("/api/products/prod123/offers?sort=rating");
+      const weight = await request(app).get("/api/products/prod123/offers?sort=score&priceWeight=2");
+
+      expect(unknown.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(weight.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(weight.body.errors).toHaveProperty("priceWeight");
+      expect(Medicine.find).not.toHaveBeenCalled();
+    });
+
+    it("should return 404 for retired products", async () => {
+      Product.findById.mockResolvedValue(buildProduct({ isActive: false }));
+
+      const res = await request(app).get("/api/products/prod123/offers");
+
+      expect(res.statusCode).toBe(STATUS_CODES.NOT_FOUND);
+    });
+
+    it("should return an empty comparison when nobody stocks it", async () => {
+      Medicine.find.mockReturnValue({ populate: jest.fn().mockResolvedValue([]) });
+
+      const res = await request(app).get("/api/products/prod123/offers?sort=score");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(res.body.data.offers).toEqual([]);
+      expect(res.body.data.summary).toEqual({
+        count: 0,
+        minPrice: null,
+        maxPrice: null,
+        medianPrice: null,
+      });
+    });
+  });
+
+  describe("Curation", () => {
+    it("should create a product", async () => {
+      Product.findOne.mockResolvedValue(null);
+      Product.create.mockImplementation(async (data) => ({ _id: "prod123", ...data }));
+
+      const res = await request(app).post("/api/products").send({
+        genericName: "Paracetamol",
+        brandName: "Panadol",
+        strength: "500mg",
+        dosageForm: "tablet",
+        barcode: "6221000000017",
+        isActive: false,
+      });
+
+      expect(res.statusCode).toBe(STATUS_CODES.CREATED);
+      expect(Product.create).toHaveBeenCalledWith({
+        genericName: "Paracetamol",
+        brandName: "Panadol",
+        strength: "500mg",
+        dosageForm: "tablet",
+        barcode: "6221000000017",
+        createdBy: "admin123",
+        updatedBy: "admin123",
+      });
+      expect(AuditEvent.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "catalog.product.create",
+          target: { type: "Product", id: "prod123" },
+        })
+      );
+    });
+
+    it("should validate new products", async () => {
+      const res = await request(app)
+        .post("/api/products")
+        .send({ brandName: "Panadol", dosageForm: "potion" });
+
+      expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(res.body.errors).toHaveProperty("genericName");
+      expect(res.body.errors).toHaveProperty("dosageForm");
+      expect(Product.create).not.toHaveBeenCalled();
+    });
+
+    it("should refuse a barcode that is already registered", async () => {
+      Product.findOne.mockResolvedValue({ _id: "other123" });
+
+      const res = await request(app)
+        .post("/api/products")
+        .send({ genericName: "Paracetamol", barcode: "6221000000017" });
+
+      expect(res.statusCode).toBe(STATUS_CODES.CONFLICT);
+      expect(Product.create).not.toHaveBeenCalled();
+    });
+
+    it("should only let curators change the catalog", async () => {
+      authMiddlewareMock.setUserRole("pharmacy");
+
+      const res = await request(app)
+        .post("/api/products")
+        .send({ genericName: "Paracetamol" });
+
+      expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+      expect(Product.create).not.toHaveBeenCalled();
+    });
+
+    it("should copy a renamed product to its listings", async () => {
+      Product.findByIdAndUpdate.mockResolvedValue(buildProduct({ strength: "1g" }));
+
+      const res = await request(app)
+        .patch("/api/products/prod123")
+        .send({ strength: "1g" });
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(Medicine.updateMany).toHaveBeenCalledWith(
+        { product: "prod123" },
+        {
+          product: "prod123",
+          name: "Panadol 1g",
+          description: "Pain reliever",
+          genericName: "Paracetamol",
+          brandName: "Panadol",
+        }
+      );
+      expect(res.body.data.listingsUpdated).toBe(3);
+    });
+
+    it("should deactivate a product", async () => {
+      Product.findByIdAndUpdate.mockResolvedValue(buildProduct({ isActive: false }));
+
+      const res = await request(app).patch("/api/products/prod123/deactivate");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(Product.findByIdAndUpdate).toHaveBeenCalledWith(
+        "prod123",
+        { isActive: false, updatedBy: "admin123" },
+        { new: true }
+      );
+    });
+
+    it("should merge a duplicate and move its listings", async () => {
+      const duplicate = buildProduct({ _id: "dup123", brandName: "Panadool" });
+      const survivor = buildProduct();
+      Product.findById.mockImplementation(async (id) =>
+        id === "dup123" ? duplicate : survivor
+      );
+
+      const res = await request(app)
+        .post("/api/products/dup123/merge")
+        .send({ into: "prod123" });
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(Medicine.updateMany).toHaveBeenCalledWith(
+        { product: "dup123" },
+        {
+          product: "prod123",
+          name: "Panadol 500mg",
+          description: "Pain reliever",
+          genericName: "Paracetamol",
+          brandName: "Panadol",
+        }
+      );
+      expect(duplicate).toMatchObject({ isActive: false, mergedInto: "prod123" });
+      expect(duplicate.save).toHaveBeenCalled();
+      expect(res.body.data.listingsMoved).toBe(3);
+    });
+
+    it("should refuse to merge into itself or a retired product", async () => {
+      Product.findById.mockImplementation(async (id) =>
+        buildProduct({ _id: id, isActive: id !== "old123" })
+      );
+
+      const self = await request(app)
+        .post("/api/products/prod123/merge")
+        .send({ into: "prod123" });
+      const retired = await request(app)
+        .post("/api/products/prod123/merge")
+        .send({ into: "old123" });
+
+      expect(self.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(retired.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+      expect(Medicine.updateMany).not.toHaveBeenCalled();
+    });
+
+    it("should link chosen medicines to a product", async () => {
+      Product.findById.mockResolvedValue(buildProduct());
+
+      const res = await request(app)
+        .post("/api/products/prod123/listings")
+        .send({ medicineIds: ["med1", "med2"] });
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(Medicine.updateMany).toHaveBeenCalledWith(
+        { _id: { $in: ["med1", "med2"] } },
+        expect.objectContaining({ product: "prod123" })
+      );
+    });
+
+    it("should list active medicines without a catalog product", async () => {
+      Medicine.find.mockReturnValue(buildQuery([{ _id: "med1", name: "panadol 500" }]));
+      Medicine.countDocuments.mockResolvedValue(1);
+
+      const res = await request(app).get("/api/products/unmatched-listings");
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(Medicine.find).toHaveBeenCalledWith({ product: null, isActive: true });
+      expect(res.body.data.medicines).toHaveLength(1);
+    });
+  });
+});
+
+describe("Catalog matching", () => {
+  const products = [
+    buildProduct(),
+    buildProduct({ _id: "prod456", brandName: "Brufen", genericName: "Ibuprofen", strength: "400 mg" }),
+    buildProduct({ _id: "prod789", brandName: undefined, genericName: "Paracetamol", strength: "500mg" }),
+  ];
+
+  it.each([
+    ["PANADOL  500 mg.", "prod123"],
+    ["brufen 400mg", "prod456"],
+    ["Ibuprofen 400 MG", "prod456"],
+  ])("should match %s", (name, id) => {
+    expect(catalogService.matchProduct(name, products)._id).toBe(id);
+  });
+
+  it("should not guess between several matching products", () => {
+    // Both Panadol and the unbranded entry are paracetamol 500mg
+    expect(catalogService.matchProduct("paracetamol 500mg", products)).toBeNull();
+  });
+
+  it("should not match other strengths or empty names", () => {
+    expect(catalogService.matchProduct("panadol 1g", products)).toBeNull();
+    expect(catalogService.matchProduct("", products)).toBeNull();
+  });
+});
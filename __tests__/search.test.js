@@ -0,0 +1,300 @@
+const request = require("supertest");
+const express = require("express");
+
+const mockUser = {
+  aggregate: jest.fn(),
+};
+
+const mockMedicine = {
+  collection: { name: "medicines" },
+  find: jest.fn(),
+  countDocuments: jest.fn(),
+};
+
+jest.mock("../models/user.model", () => mockUser);
+jest.mock("../models/medicine.model", () => mockMedicine);
+
+const User = require("../models/user.model");
+const Medicine = require("../models/medicine.model");
+const search = require("../middleware/search.middleware");
+const paginate = require("../middleware/paginate.middleware");
+const {
+  toGeoPoint,
+  fromGeoPoint,
+  getRequestLocation,
+} = require("../utilities/location.util");
+const {
+  normalizeSearchText,
+  phoneticKey,
+  buildSearchKeywords,
+  buildTextSearch,
+} = require("../utilities/search.text.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+
+const buildQuery = (filter, result = []) => ({
+  getFilter: () => filter,
+  populate: jest.fn().mockReturnThis(),
+  select: jest.fn().mockReturnThis(),
+  clone: jest.fn().mockReturnThis(),
+  skip: jest.fn().mockReturnThis(),
+  limit: jest.fn().mockReturnThis(),
+  sort: jest.fn().mockReturnThis(),
+  exec: jest.fn().mockResolvedValue(result),
+  then: (resolve, reject) => Promise.resolve(result).then(resolve, reject),
+});
+
+let mockSavedLocation;
+let mockPharmacyFilter;
+
+const app = express();
+app.get(
+  "/medicines",
+  (req, res, next) => {
+    if (mockSavedLocation) req.user = { location: mockSavedLocation };
+    if (mockPharmacyFilter) req.pharmacyFilter = mockPharmacyFilter;
+    req.baseQuery = Medicine.find({ isActive: true });
+    next();
+  },
+  search(Medicine),
+  paginate(Medicine),
+  (req, res) => res.json(req.pagination)
+);
+
+const geoNearStage = () => User.aggregate.mock.calls[0][0][0].$geoNear;
+
+describe("Medicine search", () => {
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockSavedLocation = null;
+    mockPharmacyFilter = null;
+    Medicine.find.mockImplementation((filter) =>
+      buildQuery(filter, [{ _id: "med1", name: "Panadol" }])
+    );
+    Medicine.countDocuments.mockResolvedValue(1);
+    User.aggregate.mockResolvedValue([
+      { data: [{ name: "Panadol", distance: 1.25 }], total: [{ count: 41 }] },
+    ]);
+  });
+
+  it("should page in the database without a location", async () => {
+    const res = await request(app).get("/medicines?page=2&limit=5");
+
+    expect(res.statusCode).toBe(STATUS_CODES.OK);
+    expect(User.aggregate).not.toHaveBeenCalled();
+    const query = Medicine.find.mock.results[1].value;
+    expect(query.skip).toHaveBeenCalledWith(5);
+    expect(query.limit).toHaveBeenCalledWith(5);
+    expect(res.body.pagination.totalItems).toBe(1);
+  });
+
+  it("should run $geoNear from the given point and page the aggregation", async () => {
+    const res = await request(app).get(
+      "/medicines?latitude=30.0444&longitude=31.2357&page=3&limit=10&search=pana"
+    );
+
+    expect(res.statusCode).toBe(STATUS_CODES.OK);
+    expect(geoNearStage()).toEqual({
+      near: { type: "Point", coordinates: [31.2357, 30.0444] },
+      distanceField: "distance",
+      spherical: true,
+      query: { kind: "Pharmacy" },
+    });
+
+    // $text cannot run inside $geoNear, so the text matches are looked up first
+    expect(Medicine.find.mock.calls[1][0]).toEqual({
+      isActive: true,
+      $text: { $search: expect.stringMatching(/^pana\b/) },
+    });
+
+    const pipeline = User.aggregate.mock.calls[0][0];
+    const lookup = pipeline.find((stage) => stage.$lookup).$lookup;
+    expect(lookup.from).toBe("medicines");
+    expect(lookup.pipeline[1].$match).toEqual({ isActive: true, _id: { $in: ["med1"] } });
+    expect(lookup.pipeline[2]).toEqual({ $project: { searchKeywords: 0, fuzzyKeywords: 0 } });
+    expect(pipeline[pipeline.length - 1].$facet.data).toEqual([
+      { $skip: 20 },
+      { $limit: 10 },
+    ]);
+
+    expect(res.body.data).toEqual([{ name: "Panadol", distance: 1.25 }]);
+    expect(res.body.pagination).toMatchObject({
+      currentPage: 3,
+      totalPages: 5,
+      totalItems: 41,
+    });
+  });
+
+  it("should only walk pharmacies matching req.pharmacyFilter", async () => {
+    mockPharmacyFilter = { verificationStatus: "approved" };
+
+    await request(app).get("/medicines?latitude=30.0444&longitude=31.2357");
+
+    expect(geoNearStage().query).toEqual({
+      kind: "Pharmacy",
+      verificationStatus: "approved",
+    });
+  });
+
+  it("should rank text matches by relevance without a location", async () => {
+    await request(app).get("/medicines?search=بنادول");
+
+    const [filter] = Medicine.find.mock.calls[1];
+    expect(filter.isActive).toBe(true);
+    expect(filter.$text.$search.split(" ")).toEqual(
+      expect.arrayContaining(["بنادول", "bnadol", "bndl"])
+    );
+
+    const query = Medicine.find.mock.results[1].value;
+    expect(query.select).toHaveBeenCalledWith({ score: { $meta: "textScore" } });
+    // paginate clones the search query, so its sort lands on the same mock
+    expect(query.sort).toHaveBeenCalledWith({ score: { $meta: "textScore" } });
+  });
+
+  it("should keep an explicit sort over relevance", async () => {
+    await request(app).get("/medicines?search=panadol&sort=price&order=desc");
+
+    expect(Medicine.find.mock.results[1].value.sort).toHaveBeenCalledWith({ price: -1 });
+  });
+
+  it("should treat regex syntax in search as plain text", async () => {
+    const res = await request(app).get("/medicines?search=" + encodeURIComponent("(a+)+$"));
+
+    expect(res.statusCode).toBe(STATUS_CODES.OK);
+    expect(Medicine.find.mock.calls[1][0].$text.$search).toBe("a");
+  });
+
+  it("should skip text search when nothing searchable is left", async () => {
+    await request(app).get("/medicines?search=" + encodeURIComponent("(((.*"));
+
+    expect(Medicine.find.mock.calls[1][0]).toEqual({ isActive: true });
+  });
+
+  it("should turn radius into maxDistance in metres", async () => {
+    await request(app).get("/medicines?latitude=30&longitude=31&radius=2.5");
+
+    expect(geoNearStage().maxDistance).toBe(2500);
+  });
+
+  it("should fall back to the user's saved location", async () => {
+    mockSavedLocation = { type: "Point", coordinates: [31.2, 30.1] };
+
+    await request(app).get("/medicines");
+
+    expect(geoNearStage().near.coordinates).toEqual([31.2, 30.1]);
+  });
+
+  it("should handle an empty aggregation", async () => {
+    User.aggregate.mockResolvedValue([{ data: [], total: [] }]);
+
+    const res = await request(app).get("/medicines?latitude=30&longitude=31");
+
+    expect(res.body.pagination.totalItems).toBe(0);
+    expect(res.body.data).toEqual([]);
+  });
+
+  it.each([
+    ["/medicines?latitude=30&longitude=31&radius=-1", /positive number/],
+    ["/medicines?latitude=30&longitude=31&radius=far", /positive number/],
+    ["/medicines?radius=5", /needs a latitude and longitude/],
+  ])("should reject %s", async (url, message) => {
+    const res = await request(app).get(url);
+
+    expect(res.statusCode).toBe(STATUS_CODES.BAD_REQUEST);
+    expect(res.body.message).toMatch(message);
+    expect(User.aggregate).not.toHaveBeenCalled();
+  });
+
+  it("should ignore out-of-range coordinates", async () => {
+    await request(app).get("/medicines?latitude=130&longitude=31");
+
+    expect(User.aggregate).not.toHaveBeenCalled();
+  });
+});
+
+describe("GeoJSON locations", () => {
+  it("should convert between pairs and points", () => {
+    const point = toGeoPoint({ latitude: 30.0444, longitude: 31.2357 });
+
+    expect(point).toEqual({ type: "Point", coordinates: [31.2357, 30.0444] });
+    expect(fromGeoPoint(point)).toEqual({ latitude: 30.0444, longitude: 31.2357 });
+  });
+
+  it("should pass plain pairs and missing locations through", () => {
+    expect(fromGeoPoint({ latitude: 1, longitude: 2 })).toEqual({ latitude: 1, longitude: 2 });
+    expect(fromGeoPoint(undefined)).toBeNull();
+    expect(toGeoPoint(undefined)).toBeUndefined();
+  });
+
+  it("should prefer query coordinates over the saved location", () => {
+    const req = {
+      query: { latitude: "29.9", longitude: "31.1" },
+      user: { location: { type: "Point", coordinates: [0, 0] } },
+    };
+
+    expect(getRequestLocation(req)).toEqual({ latitude: 29.9, longitude: 31.1 });
+  });
+});
+
+describe("Search text", () => {
+  it.each([
+    ["أَسْبِرِين", "اسبرين"],
+    ["إيبوبروفين", "ايبوبروفين"],
+    ["آمِن", "امن"],
+    ["مستشفى", "مستشفي"],
+    ["حبوب مسكنة", "حبوب مسكنه"],
+    ["بـنـادول", "بنادول"],
+    ["شراب ٥٠٠ مل", "شراب 500 مل"],
+    ["Panadol-Extra, 500mg!", "panadol extra 500mg"],
+    ["Crème Éclat", "creme eclat"],
+  ])("should normalize %s", (input, expected) => {
+    expect(normalizeSearchText(input)).toBe(expected);
+  });
+
+  it.each([
+    ["بنادول", "panadol"],
+    ["بانادول", "Panadol"],
+    ["كتافلام", "cataflam"],
+    ["فولتارين", "voltaren"],
+    ["أوجمنتين", "augmentin"],
+    ["باراسيتامول", "paracetamol"],
+    ["panadool", "panadol"],
+  ])("should give %s and %s the same phonetic key", (first, second) => {
+    const key = (word) => phoneticKey(normalizeSearchText(word));
+
+    expect(key(first)).toBe(key(second));
+  });
+
+  it("should find a listing from an Arabic spelling of its name", () => {
+    const { fuzzyKeywords } = buildSearchKeywords(["Panadol 500mg", "Pain reliever"]);
+    const terms = buildTextSearch("بنادول").split(" ");
+
+    expect(terms.some((term) => fuzzyKeywords.includes(term))).toBe(true);
+  });
+
+  it("should tolerate a one-letter typo in longer names", () => {
+    const { fuzzyKeywords } = buildSearchKeywords(["Zithromax"]);
+    const terms = buildTextSearch("زيثروماكس").split(" ");
+
+    expect(terms.some((term) => fuzzyKeywords.includes(term))).toBe(true);
+  });
+
+  it("should match the start of a word", () => {
+    const { fuzzyKeywords } = buildSearchKeywords(["Panadol"]);
+
+    expect(fuzzyKeywords).toEqual(expect.arrayContaining(["pan", "pana", "panad"]));
+  });
+
+  it("should keep exact words out of the fuzzy keywords", () => {
+    const { searchKeywords, fuzzyKeywords } = buildSearchKeywords(["Panadol", "بنادول"]);
+
+    expect(searchKeywords).toEqual(["panadol", "بنادول", "bnadol"]);
+    searchKeywords.forEach((word) => expect(fuzzyKeywords).not.toContain(word));
+  });
+
+  it("should cap the number of query words", () => {
+    const words = buildTextSearch("a1 b2 c3 d4 e5 f6 g7 h8 i9 j10").split(" ");
+
+    expect(words).toContain("h8");
+    expect(words).not.toContain("i9");
+  });
+});
@@ -0,0 +1,336 @@
+const request = require("supertest");
+const express = require("express");
+const cookieParser = require("cookie-parser");
+const jwt = require("jsonwebtoken");
+
+const mockUser = {
+  findById: jest.fn(),
+};
+
+const mockSession = {
+  findById: jest.fn(),
+  updateOne: jest.fn(),
+};
+
+const mockAuditEvent = {
+  create: jest.fn(),
+};
+
+jest.mock("../models/user.model", () => mockUser);
+jest.mock("../models/session.model", () => mockSession);
+jest.mock("../models/refresh.token.model", () => ({}));
+jest.mock("../models/api.key.model", () => ({}));
+jest.mock("../models/audit.event.model", () => mockAuditEvent);
+
+const User = require("../models/user.model");
+const Session = require("../models/session.model");
+const AuditEvent = require("../models/audit.event.model");
+const authenticate = require("../middleware/auth.middleware");
+const {
+  signAccessToken,
+  signImpersonationToken,
+} = require("../services/token.service");
+const STATUS_CODES = require("../utilities/response.codes.util");
+
+const app = express();
+app.use(cookieParser());
+app.get("/protected", authenticate, (req, res) => {
+  res.json({ user: req.user.email, session: req.authSession._id });
+});
+app.get("/optional", authenticate.optional, (req, res) => {
+  res.json({ user: req.user ? req.user.email : null });
+});
+app.post("/api/pharmacies/api-keys", authenticate, (req, res) => res.json({ ok: true }));
+app.patch("/api/auth/update-password", authenticate, (req, res) => res.json({ ok: true }));
+app.delete("/api/auth/impersonation", authenticate, (req, res) => res.json({ ok: true }));
+
+const activeUser = {
+  _id: "user123",
+  email: "user@test.com",
+  changedPasswordAfter: () => false,
+};
+
+const mockUserLookup = (user) => {
+  User.findById.mockReturnValue({ select: jest.fn().mockResolvedValue(user) });
+};
+
+describe("Session-bound access tokens", () => {
+  const inAnHour = () => new Date(Date.now() + 60 * 60 * 1000);
+
+  beforeAll(() => {
+    process.env.JWT_SECRET = process.env.JWT_SECRET || "test-secret";
+  });
+
+  beforeEach(() => {
+    jest.clearAllMocks();
+    mockUserLookup(activeUser);
+    Session.updateOne.mockResolvedValue({});
+  });
+
+  it("should accept a token whose session is active", async () => {
+    Session.findById.mockResolvedValue({
+      _id: "session123",
+      user: "user123",
+      revokedAt: null,
+      expiresAt: inAnHour(),
+      lastSeenAt: new Date(),
+    });
+
+    const res = await request(app)
+      .get("/protected")
+      .set("Authorization", `Bearer ${signAccessToken("user123", "session123")}`);
+
+    expect(res.statusCode).toBe(STATUS_CODES.OK);
+    expect(res.body.session).toBe("session123");
+    expect(Session.updateOne).not.toHaveBeenCalled();
+  });
+
+  it("should update lastSeenAt when the session was idle", async () => {
+    Session.findById.mockResolvedValue({
+      _id: "session123",
+      user: "user123",
+      revokedAt: null,
+      expiresAt: inAnHour(),
+      lastSeenAt: new Date(Date.now() - 5 * 60 * 1000),
+    });
+
+    await request(app)
+      .get("/protected")
+      .set("Authorization", `Bearer ${signAccessToken("user123", "session123")}`);
+
+    expect(Session.updateOne).toHaveBeenCalledWith(
+      { _id: "session123" },
+      { lastSeenAt: expect.any(Date) }
+    );
+  });
+
+  it("should reject a token whose session was revoked", async () => {
+    Session.findById.mockResolvedValue({
+      _id: "session123",
+      user: "user123",
+      revokedAt: new Date(),
+      expiresAt: inAnHour(),
+    });
+
+    const res = await request(app)
+      .get("/protected")
+      .set("Authorization", `Bearer ${signAccessToken("user123", "session123")}`);
+
+    expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+    expect(res.body.message).toMatch(/session has ended/);
+  });
+
+  it("should reject a session that belongs to another user", async () => {
+    Session.findById.mockResolvedValue({
+      _id: "session123",
+      user: "someoneElse",
+      revokedAt: null,
+      expiresAt: inAnHour(),
+    });
+
+    const res = await request(app)
+      .get("/protected")
+      .set("Authorization", `Bearer ${signAccessToken("user123", "session123")}`);
+
+    expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+  });
+
+  it("should reject tokens without a session id", async () => {
+    const token = jwt.sign({ id: "user123" }, process.env.JWT_SECRET);
+
+    const res = await request(app)
+      .get("/protected")
+      .set("Authorization", `Bearer ${token}`);
+
+    expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+    expect(Session.findById).not.toHaveBeenCalled();
+  });
+
+  describe("jwt cookie", () => {
+    beforeEach(() => {
+      Session.findById.mockResolvedValue({
+        _id: "session123",
+        user: "user123",
+        revokedAt: null,
+        expiresAt: inAnHour(),
+        lastSeenAt: new Date(),
+      });
+    });
+
+    it("should authenticate with the httpOnly cookie set at login", async () => {
+      const res = await request(app)
+        .get("/protected")
+        .set("Cookie", `jwt=${signAccessToken("user123", "session123")}`);
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(res.body.user).toBe("user@test.com");
+    });
+
+    it("should recognize the cookie in optional authentication", async () => {
+      const res = await request(app)
+        .get("/optional")
+        .set("Cookie", `jwt=${signAccessToken("user123", "session123")}`);
+
+      expect(res.body.user).toBe("user@test.com");
+    });
+
+    it("should prefer the Authorization header over the cookie", async () => {
+      const res = await request(app)
+        .get("/protected")
+        .set("Authorization", "Bearer not-a-jwt")
+        .set("Cookie", `jwt=${signAccessToken("user123", "session123")}`);
+
+      expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+    });
+
+    it("should apply the same session checks to cookie tokens", async () => {
+      Session.findById.mockResolvedValue(null);
+
+      const res = await request(app)
+        .get("/protected")
+        .set("Cookie", `jwt=${signAccessToken("user123", "session123")}`);
+
+      expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+      expect(res.body.message).toMatch(/session has ended/);
+    });
+  });
+
+  describe("impersonation tokens", () => {
+    const impersonationSession = {
+      _id: "session123",
+      user: "user123",
+      impersonatedBy: "admin123",
+      revokedAt: null,
+      expiresAt: inAnHour(),
+      lastSeenAt: new Date(),
+    };
+
+    it("should flag responses with the impersonating admin", async () => {
+      Session.findById.mockResolvedValue(impersonationSession);
+
+      const res = await request(app)
+        .get("/protected")
+        .set(
+          "Authorization",
+          `Bearer ${signImpersonationToken("user123", "session123", "admin123")}`
+        );
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(res.headers["x-impersonated-by"]).toBe("admin123");
+    });
+
+    it("should audit every impersonated request", async () => {
+      Session.findById.mockResolvedValue(impersonationSession);
+
+      await request(app)
+        .get("/protected")
+        .set(
+          "Authorization",
+          `Bearer ${signImpersonationToken("user123", "session123", "admin123")}`
+        );
+
+      expect(AuditEvent.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "impersonation.request",
+          actor: "user123",
+          impersonatedBy: "admin123",
+          metadata: { method: "GET", path: "/protected" },
+        })
+      );
+    });
+
+    it("should flag optional authentication too", async () => {
+      Session.findById.mockResolvedValue(impersonationSession);
+
+      const res = await request(app)
+        .get("/optional")
+        .set(
+          "Authorization",
+          `Bearer ${signImpersonationToken("user123", "session123", "admin123")}`
+        );
+
+      expect(res.body.user).toBe("user@test.com");
+      expect(res.headers["x-impersonated-by"]).toBe("admin123");
+    });
+
+    it.each([
+      ["POST", "/api/pharmacies/api-keys"],
+      ["PATCH", "/api/auth/update-password"],
+    ])("should refuse %s %s under impersonation", async (method, path) => {
+      Session.findById.mockResolvedValue(impersonationSession);
+
+      const res = await request(app)
+        [method.toLowerCase()](path)
+        .set(
+          "Authorization",
+          `Bearer ${signImpersonationToken("user123", "session123", "admin123")}`
+        );
+
+      expect(res.statusCode).toBe(STATUS_CODES.FORBIDDEN);
+      expect(res.body.message).toMatch(/read-only/);
+      expect(AuditEvent.create).toHaveBeenCalledWith(
+        expect.objectContaining({
+          action: "impersonation.request",
+          metadata: { method, path },
+        })
+      );
+    });
+
+    it("should let the admin end the impersonation", async () => {
+      Session.findById.mockResolvedValue(impersonationSession);
+
+      const res = await request(app)
+        .delete("/api/auth/impersonation")
+        .set(
+          "Authorization",
+          `Bearer ${signImpersonationToken("user123", "session123", "admin123")}`
+        );
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+    });
+
+    it("should let the account owner make the same changes", async () => {
+      Session.findById.mockResolvedValue({ ...impersonationSession, impersonatedBy: null });
+
+      const res = await request(app)
+        .post("/api/pharmacies/api-keys")
+        .set("Authorization", `Bearer ${signAccessToken("user123", "session123")}`);
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+    });
+
+    it("should not flag normal sessions", async () => {
+      Session.findById.mockResolvedValue({ ...impersonationSession, impersonatedBy: null });
+
+      const res = await request(app)
+        .get("/protected")
+        .set("Authorization", `Bearer ${signAccessToken("user123", "session123")}`);
+
+      expect(res.statusCode).toBe(STATUS_CODES.OK);
+      expect(res.headers["x-impersonated-by"]).toBeUndefined();
+    });
+
+    it("should reject a normal token on an impersonation session", async () => {
+      Session.findById.mockResolvedValue(impersonationSession);
+
+      const res = await request(app)
+        .get("/protected")
+        .set("Authorization", `Bearer ${signAccessToken("user123", "session123")}`);
+
+      expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+    });
+
+    it("should reject an impersonation token on a normal session", async () => {
+      Session.findById.mockResolvedValue({ ...impersonationSession, impersonatedBy: null });
+
+      const res = await request(app)
+        .get("/protected")
+        .set(
+          "Authorization",
+          `Bearer ${signImpersonationToken("user123", "session123", "admin123")}`
+        );
+
+      expect(res.statusCode).toBe(STATUS_CODES.UNAUTHORIZED);
+    });
+  });
+});
@@ -0,0 +1,70 @@
+// Runs the real User model methods; only the database calls are faked
+jest.unmock("mongoose");
+
+const User = require("../models/user.model");
+
+const resolvesTo = (doc) => ({ select: jest.fn().mockResolvedValue(doc) });
+
+describe("User model", () => {
+  describe("registerFailedLogin", () => {
+    let user;
+
+    beforeEach(() => {
+      user = new User({ email: "bf@test.com", role: "customer" });
+      jest.spyOn(User, "findOneAndUpdate");
+    });
+
+    afterEach(() => {
+      jest.restoreAllMocks();
+    });
+
+    it("should count the attempt in the database", async () => {
+      User.findOneAndUpdate.mockReturnValueOnce(
+        resolvesTo({ failedLoginAttempts: 3, lockCount: 0 })
+      );
+
+      await user.registerFailedLogin();
+
+      expect(User.findOneAndUpdate).toHaveBeenCalledTimes(1);
+      expect(User.findOneAndUpdate).toHaveBeenCalledWith(
+        { _id: user._id },
+        { $inc: { failedLoginAttempts: 1 } },
+        { new: true }
+      );
+      expect(user.failedLoginAttempts).toBe(3);
+      expect(user.isLocked()).toBe(false);
+    });
+
+    it("should lock for longer after each lockout", async () => {
+      const lockUntil = new Date(Date.now() + 60 * 60 * 1000);
+      User.findOneAndUpdate
+        .mockReturnValueOnce(resolvesTo({ failedLoginAttempts: 5, lockCount: 2 }))
+        .mockReturnValueOnce(
+          resolvesTo({ failedLoginAttempts: 0, lockCount: 3, lockUntil })
+        );
+
+      const before = Date.now();
+      await user.registerFailedLogin();
+
+      const [filter, update] = User.findOneAndUpdate.mock.calls[1];
+      expect(filter).toEqual({ _id: user._id, failedLoginAttempts: { $gte: 5 } });
+      expect(update.$inc).toEqual({ lockCount: 1 });
+      expect(update.$set.failedLoginAttempts).toBe(0);
+      // 15 minutes doubled for each of the two earlier lockouts
+      expect(update.$set.lockUntil.getTime() - before).toBeGreaterThanOrEqual(60 * 60 * 1000);
+      expect(update.$set.lockUntil.getTime() - before).toBeLessThan(61 * 60 * 1000);
+      expect(user.isLocked()).toBe(true);
+    });
+
+    it("should not lock twice when parallel attempts cross the limit", async () => {
+      User.findOneAndUpdate
+        .mockReturnValueOnce(resolvesTo({ failedLoginAttempts: 6, lockCount: 1 }))
+        .mockReturnValueOnce(resolvesTo(null));
+
+      await user.registerFailedLogin();
+
+      expect(User.findOneAndUpdate).toHaveBeenCalledTimes(2);
+      expect(user.lockCount).toBe(0);
+    });
+  });
+});
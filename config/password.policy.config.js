@@ -0,0 +1,33 @@
+const logger = require('../utilities/logger.util');
+
+// Rules every new password has to follow (signup, admin creation, password
+// change and reset). Override with PASSWORD_POLICY, e.g. '{"requireSymbol":true}'
+const defaultPolicy = {
+    minLength: 8,
+    // bcrypt only hashes the first 72 bytes
+    maxLength: 64,
+    requireLowercase: true,
+    requireUppercase: true,
+    requireDigit: true,
+    requireSymbol: false,
+    // Reject passwords that contain the user's email or name
+    rejectPersonalInfo: true,
+    // Reject passwords found in config/common.passwords.txt
+    rejectCommon: true
+};
+
+const loadPolicy = () => {
+    if (!process.env.PASSWORD_POLICY) return defaultPolicy;
+
+    try {
+        return { ...defaultPolicy, ...JSON.parse(process.env.PASSWORD_POLICY) };
+    } catch (err) {
+        logger.error(`Invalid PASSWORD_POLICY, using defaults: ${err.message}`);
+        return defaultPolicy;
+    }
+};
+
+module.exports = {
+    defaultPolicy,
+    loadPolicy
+};
@@ -0,0 +1,69 @@
+// Named permissions granted to each role. Routes ask for a permission through
+// requirePermission() instead of listing roles.
+//
+// A permission may be limited to resources the user owns (the route passes an
+// ownership predicate). Holding `<permission>:any` skips that check.
+const ROLE_PERMISSIONS = {
+    customer: [
+        'account:delete'
+    ],
+    pharmacy: [
+        'medicine:create',
+        'medicine:update',
+        'medicine:list',
+        'staff:manage',
+        'api-key:manage',
+        'pharmacy-document:read',
+        'opening-hours:manage',
+        'two-factor:enroll',
+        'account:delete'
+    ],
+    staff: [
+        'medicine:list'
+    ],
+    admin: [
+        'admin:create',
+        'user:read',
+        'user:manage',
+        'user:impersonate',
+        'audit:read',
+        'pharmacy:review',
+        'product:manage',
+        'pharmacy-document:read:any',
+        'medicine:update:any',
+        'medicine:list:any',
+        'two-factor:enroll',
+        'two-factor:policy'
+    ]
+};
+
+// What each permission an owner grants a staff member unlocks
+const STAFF_GRANTS = {
+    'inventory:write': ['medicine:create', 'medicine:update'],
+    'orders:fulfil': [],
+    'reports:read': []
+};
+
+const getPermissions = (user) => {
+    if (!user) return [];
+
+    const permissions = [...(ROLE_PERMISSIONS[user.role] || [])];
+
+    if (user.role === 'staff') {
+        (user.permissions || []).forEach((grant) => {
+            permissions.push(...(STAFF_GRANTS[grant] || []));
+        });
+    }
+
+    return [...new Set(permissions)];
+};
+
+const hasPermission = (user, permission) =>
+    getPermissions(user).includes(permission);
+
+module.exports = {
+    ROLE_PERMISSIONS,
+    STAFF_GRANTS,
+    getPermissions,
+    hasPermission
+};
@@ -23,6 +23,12 @@ const swaggerOptions = {
                     scheme: "bearer",
                     bearerFormat: "JWT",
                 },
+                apiKeyAuth: {
+                    type: "apiKey",
+                    in: "header",
+                    name: "X-API-Key",
+                    description: "Pharmacy API key for point-of-sale integrations (medicine write routes only)",
+                },
             },
         },
         security: [
@@ -0,0 +1,30 @@
+const logger = require('../utilities/logger.util');
+
+// Actions an account has to verify its email for, per role.
+// Override with EMAIL_VERIFICATION_POLICY, e.g. '{"pharmacy":["medicine:create"]}'
+const defaultPolicy = {
+    customer: [],
+    pharmacy: ['medicine:create', 'medicine:update'],
+    admin: []
+};
+
+const loadPolicy = () => {
+    if (!process.env.EMAIL_VERIFICATION_POLICY) return defaultPolicy;
+
+    try {
+        return { ...defaultPolicy, ...JSON.parse(process.env.EMAIL_VERIFICATION_POLICY) };
+    } catch (err) {
+        logger.error(`Invalid EMAIL_VERIFICATION_POLICY, using defaults: ${err.message}`);
+        return defaultPolicy;
+    }
+};
+
+const requiresVerifiedEmail = (role, action) => {
+    const actions = loadPolicy()[role] || [];
+    return actions.includes(action) || actions.includes('*');
+};
+
+module.exports = {
+    defaultPolicy,
+    requiresVerifiedEmail
+};
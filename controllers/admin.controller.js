@@ -0,0 +1,564 @@
+const User = require("../models/user.model");
+const Pharmacy = require("../models/pharmacy.model");
+const AuditEvent = require("../models/audit.event.model");
+const mailService = require("../services/mail.service");
+const tokenService = require("../services/token.service");
+const sessionService = require("../services/session.service");
+const { anonymizeUser } = require("../services/account.service");
+const { syncListingVisibility } = require("../services/pharmacy.directory.service");
+const { recordAuditEvent } = require("../services/audit.service");
+const {
+  buildClientUrl,
+  buildPublicUser,
+  getAccountRestriction,
+} = require("../services/auth.service");
+const { escapeRegex } = require("../utilities/regex.util");
+const logger = require("../utilities/logger.util");
+const { sendSuccess, sendFail } = require("../utilities/response.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const catchAsyncUtil = require("../utilities/catch.async.util");
+
+const auditUserAction = (req, action, user, metadata = {}) =>
+  recordAuditEvent(req, action, {
+    target: { type: "User", id: user._id },
+    metadata: { email: user.email, ...metadata },
+  });
+
+exports.unlockUser = catchAsyncUtil(async (req, res) => {
+  const user = await User.findByIdAndUpdate(
+    req.params.id,
+    { failedLoginAttempts: 0, lockCount: 0, $unset: { lockUntil: 1 } },
+    { new: true }
+  );
+
+  if (!user) {
+    logger.warn(`UnlockUser | User not found | ${req.params.id}`);
+    return sendFail(res, {}, "User not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  logger.info(`UnlockUser | ${user.email} unlocked by ${req.user.email}`);
+  await auditUserAction(req, "admin.user.unlock", user);
+  return sendSuccess(
+    res,
+    { _id: user._id, email: user.email },
+    "User account unlocked successfully",
+    STATUS_CODES.OK
+  );
+});
+
+// Which statuses each review decision may be taken from
+const VERIFICATION_TRANSITIONS = {
+  approved: ["pending", "rejected", "suspended"],
+  rejected: ["pending"],
+  suspended: ["approved"],
+};
+
+exports.pharmacyQueueQuery = (req, res, next) => {
+  const status = req.query.status || "pending";
+
+  if (!Pharmacy.VERIFICATION_STATUSES.includes(status)) {
+    return sendFail(
+      res,
+      {
+        status: `status must be one of: ${Pharmacy.VERIFICATION_STATUSES.join(", ")}`,
+      },
+      "Invalid verification status",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  // Pharmacies created before verification existed have no status yet
+  req.baseQuery = Pharmacy.find({
+    verificationStatus: status === "pending" ? { $in: ["pending", null] } : status,
+  });
+  next();
+};
+
+exports.listPharmacyQueue = catchAsyncUtil(async (req, res) => {
+  const { data: pharmacies, pagination } = req.pagination;
+
+  logger.info(
+    `PharmacyQueue | ${pharmacies.length} pharmacies (page ${pagination.currentPage}) | ${req.user.email}`
+  );
+  return sendSuccess(
+    res,
+    { count: pharmacies.length, pharmacies, pagination },
+    "Pharmacies retrieved successfully",
+    STATUS_CODES.OK
+  );
+});
+
+const reviewPharmacy = (status, { requireNote }) =>
+  catchAsyncUtil(async (req, res) => {
+    const note = req.body && req.body.reason ? String(req.body.reason).trim() : "";
+
+    if (requireNote && !note) {
+      return sendFail(
+        res,
+        { reason: "reason is required" },
+        "Please provide a reason",
+        STATUS_CODES.BAD_REQUEST
+      );
+    }
+
+    const pharmacy = await Pharmacy.findById(req.params.id);
+    if (!pharmacy) {
+      logger.warn(`ReviewPharmacy | Pharmacy not found | ${req.params.id}`);
+      return sendFail(res, {}, "Pharmacy not found", STATUS_CODES.NOT_FOUND);
+    }
+
+    const current = pharmacy.verificationStatus || "pending";
+    if (!VERIFICATION_TRANSITIONS[status].includes(current)) {
+      return sendFail(
+        res,
+        { verificationStatus: current },
+        `Pharmacy is ${current} and cannot be ${status}`,
+        STATUS_CODES.CONFLICT
+      );
+    }
+
+    pharmacy.setVerificationStatus(status, req.user._id, note || undefined);
+    await pharmacy.save();
+    await syncListingVisibility(pharmacy);
+
+    logger.info(
+      `ReviewPharmacy | ${pharmacy.email} ${current} -> ${status} by ${req.user.email}`
+    );
+    await auditUserAction(req, "admin.pharmacy.review", pharmacy, {
+      from: current,
+      to: status,
+      reason: note || undefined,
+    });
+
+    try {
+      await mailService.sendPharmacyVerificationEmail(pharmacy, status, note);
+    } catch (err) {
+      logger.error(
+        `ReviewPharmacy | Notification email failed | ${pharmacy.email} | ${err.message}`
+      );
+    }
+
+    return sendSuccess(
+      res,
+      {
+        _id: pharmacy._id,
+        pharmacyName: pharmacy.pharmacyName,
+        verificationStatus: pharmacy.verificationStatus,
+        verificationNotes: pharmacy.verificationNotes,
+        verificationHistory: pharmacy.verificationHistory,
+      },
+      `Pharmacy ${status} successfully`,
+      STATUS_CODES.OK
+    );
+  });
+
+exports.approvePharmacy = reviewPharmacy("approved", { requireNote: false });
+exports.rejectPharmacy = reviewPharmacy("rejected", { requireNote: true });
+exports.suspendPharmacy = reviewPharmacy("suspended", { requireNote: true });
+
+const USER_ROLES = ["customer", "pharmacy", "staff", "admin"];
+const USER_KINDS = ["Customer", "Pharmacy", "PharmacyStaff"];
+const USER_STATUSES = ["active", "suspended", "locked", "pending-deletion", "deleted"];
+
+const parseDate = (value) => {
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? null : date;
+};
+
+exports.userListQuery = (req, res, next) => {
+  const { role, kind, status, createdFrom, createdTo, search } = req.query;
+  const filter = {};
+  const errors = {};
+
+  if (role) {
+    if (USER_ROLES.includes(role)) filter.role = role;
+    else errors.role = `role must be one of: ${USER_ROLES.join(", ")}`;
+  }
+
+  if (kind) {
+    if (USER_KINDS.includes(kind)) filter.kind = kind;
+    else errors.kind = `kind must be one of: ${USER_KINDS.join(", ")}`;
+  }
+
+  if (status === "active") {
+    // Accounts created before suspension existed have no status yet
+    filter.status = { $in: ["active", null] };
+  } else if (status === "suspended" || status === "deleted") {
+    filter.status = status;
+  } else if (status === "pending-deletion") {
+    filter.deletionScheduledFor = { $ne: null };
+    filter.status = { $ne: "deleted" };
+  } else if (status === "locked") {
+    filter.lockUntil = { $gt: new Date() };
+  } else if (status) {
+    errors.status = `status must be one of: ${USER_STATUSES.join(", ")}`;
+  }
+
+  if (createdFrom || createdTo) {
+    filter.createdAt = {};
+    if (createdFrom) {
+      const from = parseDate(createdFrom);
+      if (from) filter.createdAt.$gte = from;
+      else errors.createdFrom = "createdFrom must be a valid date";
+    }
+    if (createdTo) {
+      const to = parseDate(createdTo);
+      if (to) filter.createdAt.$lte = to;
+      else errors.createdTo = "createdTo must be a valid date";
+    }
+  }
+
+  if (typeof search === "string" && search.trim()) {
+    const searchRegex = new RegExp(escapeRegex(search.trim()), "i");
+    filter.$or = [
+      { fullName: searchRegex },
+      { email: searchRegex },
+      { phone: searchRegex },
+    ];
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return sendFail(res, errors, "Invalid filters", STATUS_CODES.BAD_REQUEST);
+  }
+
+  req.baseQuery = User.find(filter);
+  next();
+};
+
+exports.listUsers = catchAsyncUtil(async (req, res) => {
+  const { data: users, pagination } = req.pagination;
+
+  logger.info(
+    `ListUsers | ${users.length} users (page ${pagination.currentPage}) | ${req.user.email}`
+  );
+  return sendSuccess(
+    res,
+    { count: users.length, users, pagination },
+    "Users retrieved successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.getUser = catchAsyncUtil(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    logger.warn(`GetUser | User not found | ${req.params.id}`);
+    return sendFail(res, {}, "User not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  return sendSuccess(res, { user }, "User retrieved successfully", STATUS_CODES.OK);
+});
+
+const INACTIVE_STATUSES = ["suspended", "deleted"];
+
+// Suspending or deleting the only remaining active admin would lock
+// everyone out of the admin API
+const isLastActiveAdmin = async (user) => {
+  if (user.role !== "admin" || INACTIVE_STATUSES.includes(user.status)) return false;
+
+  const otherAdmins = await User.countDocuments({
+    role: "admin",
+    status: { $nin: INACTIVE_STATUSES },
+    _id: { $ne: user._id },
+  });
+  return otherAdmins === 0;
+};
+
+/**
+ * Loads the account an admin acts on, or answers the request and resolves
+ * to null. Anonymized accounts cannot be acted on; the last-admin guard only
+ * applies to actions that take access away.
+ */
+const findTargetUser = async (req, res, action, { removesAccess = true } = {}) => {
+  if (String(req.params.id) === String(req.user._id)) {
+    sendFail(
+      res,
+      { id: `You cannot ${action} your own account` },
+      `You cannot ${action} your own account`,
+      STATUS_CODES.BAD_REQUEST
+    );
+    return null;
+  }
+
+  const user = await User.findById(req.params.id);
+  if (!user) {
+    logger.warn(`${action} | User not found | ${req.params.id}`);
+    sendFail(res, {}, "User not found", STATUS_CODES.NOT_FOUND);
+    return null;
+  }
+
+  if (user.status === "deleted") {
+    logger.warn(`${action} | Account was deleted | ${user._id}`);
+    sendFail(
+      res,
+      {},
+      `You cannot ${action} a deleted account`,
+      STATUS_CODES.CONFLICT
+    );
+    return null;
+  }
+
+  if (removesAccess && (await isLastActiveAdmin(user))) {
+    logger.warn(`${action} | Refused for the last active admin | ${user.email}`);
+    sendFail(
+      res,
+      { role: "At least one active admin must remain" },
+      `You cannot ${action} the last active admin`,
+      STATUS_CODES.CONFLICT
+    );
+    return null;
+  }
+
+  return user;
+};
+
+exports.suspendUser = catchAsyncUtil(async (req, res) => {
+  const reason = req.body && req.body.reason ? String(req.body.reason).trim() : "";
+  if (!reason) {
+    return sendFail(
+      res,
+      { reason: "reason is required" },
+      "Please provide a reason",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const user = await findTargetUser(req, res, "suspend");
+  if (!user) return;
+
+  user.status = "suspended";
+  user.suspendedAt = Date.now();
+  user.suspendedReason = reason;
+  await user.save({ validateBeforeSave: false });
+
+  await tokenService.revokeAllRefreshTokens(user._id, "admin-revoked");
+  if (user.role === "pharmacy") await syncListingVisibility(user);
+
+  logger.info(`SuspendUser | ${user.email} suspended by ${req.user.email}`);
+  await auditUserAction(req, "admin.user.suspend", user, { reason });
+  return sendSuccess(
+    res,
+    { _id: user._id, email: user.email, status: user.status },
+    "User suspended successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.reactivateUser = catchAsyncUtil(async (req, res) => {
+  const user = await findTargetUser(req, res, "reactivate", { removesAccess: false });
+  if (!user) return;
+
+  user.status = "active";
+  user.suspendedAt = undefined;
+  user.suspendedReason = undefined;
+  await user.save({ validateBeforeSave: false });
+  if (user.role === "pharmacy") await syncListingVisibility(user);
+
+  logger.info(`ReactivateUser | ${user.email} reactivated by ${req.user.email}`);
+  await auditUserAction(req, "admin.user.reactivate", user);
+  return sendSuccess(
+    res,
+    { _id: user._id, email: user.email, status: user.status },
+    "User reactivated successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.forcePasswordReset = catchAsyncUtil(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    logger.warn(`ForcePasswordReset | User not found | ${req.params.id}`);
+    return sendFail(res, {}, "User not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  const resetToken = user.createPasswordResetToken();
+  user.passwordResetRequired = true;
+  await user.save({ validateBeforeSave: false });
+
+  // Existing sessions end now; access tokens are refused by authenticate
+  await tokenService.revokeAllRefreshTokens(user._id, "admin-revoked");
+
+  try {
+    await mailService.sendPasswordResetEmail(
+      user,
+      buildClientUrl(`reset-password/${resetToken}`)
+    );
+  } catch (err) {
+    // The account stays blocked; the user can still ask for a new link
+    logger.error(
+      `ForcePasswordReset | Mail delivery failed | ${user.email} | ${err.message}`
+    );
+  }
+
+  logger.info(`ForcePasswordReset | ${user.email} by ${req.user.email}`);
+  await auditUserAction(req, "admin.user.force-password-reset", user);
+  return sendSuccess(
+    res,
+    { _id: user._id, email: user.email, passwordResetRequired: true },
+    "Password reset required. A reset link has been sent to the user.",
+    STATUS_CODES.OK
+  );
+});
+
+// Accounts are anonymized rather than removed, so listings, staff and audit
+// events keep a valid reference (see anonymizeUser)
+exports.deleteUser = catchAsyncUtil(async (req, res) => {
+  const user = await findTargetUser(req, res, "delete");
+  if (!user) return;
+
+  const { email, role } = user;
+  await anonymizeUser(user);
+
+  logger.info(`DeleteUser | ${role} ${email} deleted by ${req.user.email}`);
+  await auditUserAction(req, "admin.user.delete", user, { role });
+  return sendSuccess(
+    res,
+    { _id: user._id, status: user.status },
+    "User deleted successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.revokeUserSessions = catchAsyncUtil(async (req, res) => {
+  const user = await User.findById(req.params.id);
+
+  if (!user) {
+    logger.warn(`RevokeUserSessions | User not found | ${req.params.id}`);
+    return sendFail(res, {}, "User not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  await tokenService.revokeAllRefreshTokens(user._id, "admin-revoked");
+
+  logger.info(`RevokeUserSessions | ${user.email} by ${req.user.email}`);
+  await auditUserAction(req, "admin.user.revoke-sessions", user);
+  return sendSuccess(
+    res,
+    { _id: user._id, email: user.email },
+    "All sessions of the user were revoked",
+    STATUS_CODES.OK
+  );
+});
+
+/**
+ * Lets support see the app as a customer or pharmacy sees it. The token is
+ * short-lived, cannot be refreshed, and every request made with it is logged
+ * and answered with an X-Impersonated-By header.
+ */
+exports.impersonateUser = catchAsyncUtil(async (req, res) => {
+  const user = await User.findById(req.params.userId);
+
+  if (!user) {
+    logger.warn(`Impersonate | User not found | ${req.params.userId}`);
+    return sendFail(res, {}, "User not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  if (user.role === "admin") {
+    logger.warn(`Impersonate | Refused for admin ${user.email} | ${req.user.email}`);
+    await recordAuditEvent(req, "impersonation.start", {
+      outcome: "denied",
+      target: { type: "User", id: user._id },
+      metadata: { email: user.email, reason: "admin-target" },
+    });
+    return sendFail(
+      res,
+      { userId: "Admin accounts cannot be impersonated" },
+      "Admin accounts cannot be impersonated",
+      STATUS_CODES.FORBIDDEN
+    );
+  }
+
+  const restriction = getAccountRestriction(user);
+  if (restriction) {
+    return sendFail(
+      res,
+      { account: restriction },
+      "Restricted accounts cannot be impersonated",
+      STATUS_CODES.CONFLICT
+    );
+  }
+
+  const session = await sessionService.createImpersonationSession(
+    user._id,
+    req.user._id,
+    req
+  );
+  const token = tokenService.signImpersonationToken(
+    user._id,
+    session._id,
+    req.user._id
+  );
+
+  logger.info(
+    `Impersonate | started | ${req.user.email} as ${user.email} | session ${session._id}`
+  );
+  await auditUserAction(req, "impersonation.start", user, {
+    sessionId: session._id,
+    expiresAt: session.expiresAt,
+  });
+  return sendSuccess(
+    res,
+    {
+      token,
+      expiresAt: session.expiresAt,
+      impersonator: { _id: req.user._id, email: req.user.email },
+      user: buildPublicUser(user),
+    },
+    "Impersonation started",
+    STATUS_CODES.CREATED
+  );
+});
+
+exports.auditQuery = (req, res, next) => {
+  const { actor, action, outcome, targetId, ip, from, to } = req.query;
+  const filter = {};
+  const errors = {};
+
+  if (actor) filter.actor = actor;
+  if (targetId) filter["target.id"] = targetId;
+  if (ip) filter.ip = ip;
+
+  // Comma-separated, e.g. ?action=auth.login,auth.signup
+  if (action) {
+    const actions = String(action).split(",").map((a) => a.trim()).filter(Boolean);
+    filter.action = actions.length === 1 ? actions[0] : { $in: actions };
+  }
+
+  if (outcome) {
+    if (AuditEvent.OUTCOMES.includes(outcome)) filter.outcome = outcome;
+    else errors.outcome = `outcome must be one of: ${AuditEvent.OUTCOMES.join(", ")}`;
+  }
+
+  if (from || to) {
+    filter.createdAt = {};
+    if (from) {
+      const fromDate = parseDate(from);
+      if (fromDate) filter.createdAt.$gte = fromDate;
+      else errors.from = "from must be a valid date";
+    }
+    if (to) {
+      const toDate = parseDate(to);
+      if (toDate) filter.createdAt.$lte = toDate;
+      else errors.to = "to must be a valid date";
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return sendFail(res, errors, "Invalid filters", STATUS_CODES.BAD_REQUEST);
+  }
+
+  req.baseQuery = AuditEvent.find(filter);
+  next();
+};
+
+exports.listAuditEvents = catchAsyncUtil(async (req, res) => {
+  const { data: events, pagination } = req.pagination;
+
+  return sendSuccess(
+    res,
+    { count: events.length, events, pagination },
+    "Audit events retrieved successfully",
+    STATUS_CODES.OK
+  );
+});
@@ -0,0 +1,150 @@
+const ApiKey = require("../models/api.key.model");
+const apiKeyService = require("../services/api.key.service");
+const logger = require("../utilities/logger.util");
+const { sendSuccess, sendFail } = require("../utilities/response.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const catchAsyncUtil = require("../utilities/catch.async.util");
+
+const publicApiKey = (apiKey) => ({
+  _id: apiKey._id,
+  name: apiKey.name,
+  prefix: apiKey.prefix,
+  scopes: apiKey.scopes,
+  allowedIps: apiKey.allowedIps,
+  createdAt: apiKey.createdAt,
+  lastUsedAt: apiKey.lastUsedAt || null,
+  lastUsedIp: apiKey.lastUsedIp || null,
+  rotatedAt: apiKey.rotatedAt || null,
+});
+
+// Returns an errors object for sendFail, or null when the input is valid
+const validateKeySettings = ({ scopes, allowedIps }) => {
+  const errors = {};
+
+  if (scopes !== undefined) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+      errors.scopes = `scopes must be a non-empty array of: ${ApiKey.SCOPES.join(", ")}`;
+    } else {
+      const unknown = scopes.filter((scope) => !ApiKey.SCOPES.includes(scope));
+      if (unknown.length > 0) {
+        errors.scopes = `Unknown scopes: ${unknown.join(", ")}. Allowed: ${ApiKey.SCOPES.join(", ")}`;
+      }
+    }
+  }
+
+  if (allowedIps !== undefined) {
+    if (!Array.isArray(allowedIps)) {
+      errors.allowedIps = "allowedIps must be an array of IP addresses or CIDR ranges";
+    } else {
+      const invalid = apiKeyService.invalidAllowedIps(allowedIps);
+      if (invalid.length > 0) {
+        errors.allowedIps = `Invalid IP addresses or ranges: ${invalid.join(", ")}`;
+      }
+    }
+  }
+
+  return Object.keys(errors).length > 0 ? errors : null;
+};
+
+const findOwnKey = async (req, res) => {
+  const apiKey = await ApiKey.findOne({
+    _id: req.params.id,
+    pharmacy: req.user._id,
+    revokedAt: null,
+  });
+
+  if (!apiKey) {
+    logger.warn(`ApiKey | Not found for ${req.user.email} | ${req.params.id}`);
+    sendFail(res, {}, "API key not found", STATUS_CODES.NOT_FOUND);
+    return null;
+  }
+
+  return apiKey;
+};
+
+exports.createApiKey = catchAsyncUtil(async (req, res) => {
+  const { name, scopes, allowedIps = [] } = req.body;
+
+  if (!name || scopes === undefined) {
+    const errors = {};
+    if (!name) errors.name = "name is required";
+    if (scopes === undefined) errors.scopes = "scopes is required";
+    return sendFail(res, errors, "Missing required fields", STATUS_CODES.BAD_REQUEST);
+  }
+
+  const errors = validateKeySettings({ scopes, allowedIps });
+  if (errors) {
+    logger.warn(`CreateApiKey | Invalid settings | ${req.user.email}`);
+    return sendFail(res, errors, "Invalid API key settings", STATUS_CODES.BAD_REQUEST);
+  }
+
+  const { key, prefix, keyHash } = apiKeyService.generateApiKey();
+  const apiKey = await ApiKey.create({
+    pharmacy: req.user._id,
+    name,
+    prefix,
+    keyHash,
+    scopes: [...new Set(scopes)],
+    allowedIps,
+    createdBy: req.user._id,
+  });
+
+  logger.info(`CreateApiKey | ${prefix} for ${req.user.email}`);
+  return sendSuccess(
+    res,
+    { ...publicApiKey(apiKey), key },
+    "API key created. Copy it now, it will not be shown again.",
+    STATUS_CODES.CREATED
+  );
+});
+
+exports.listApiKeys = catchAsyncUtil(async (req, res) => {
+  const apiKeys = await ApiKey.find({
+    pharmacy: req.user._id,
+    revokedAt: null,
+  }).sort({ createdAt: -1 });
+
+  return sendSuccess(
+    res,
+    { count: apiKeys.length, apiKeys: apiKeys.map(publicApiKey) },
+    "API keys retrieved successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.rotateApiKey = catchAsyncUtil(async (req, res) => {
+  const apiKey = await findOwnKey(req, res);
+  if (!apiKey) return;
+
+  // The old key stops working as soon as its hash is replaced
+  const { key, prefix, keyHash } = apiKeyService.generateApiKey();
+  const oldPrefix = apiKey.prefix;
+  apiKey.prefix = prefix;
+  apiKey.keyHash = keyHash;
+  apiKey.rotatedAt = new Date();
+  await apiKey.save();
+
+  logger.info(`RotateApiKey | ${oldPrefix} -> ${prefix} | ${req.user.email}`);
+  return sendSuccess(
+    res,
+    { ...publicApiKey(apiKey), key },
+    "API key rotated. Copy it now, it will not be shown again.",
+    STATUS_CODES.OK
+  );
+});
+
+exports.revokeApiKey = catchAsyncUtil(async (req, res) => {
+  const apiKey = await findOwnKey(req, res);
+  if (!apiKey) return;
+
+  apiKey.revokedAt = new Date();
+  await apiKey.save();
+
+  logger.info(`RevokeApiKey | ${apiKey.prefix} | ${req.user.email}`);
+  return sendSuccess(
+    res,
+    { _id: apiKey._id, prefix: apiKey.prefix },
+    "API key revoked",
+    STATUS_CODES.OK
+  );
+});
@@ -1,70 +1,51 @@
-const jwt = require("jsonwebtoken");
 const User = require("../models/user.model");
 const Customer = require("../models/customer.model");
 const Pharmacy = require("../models/pharmacy.model");
+const PharmacyStaff = require("../models/pharmacy.staff.model");
 const logger = require("../utilities/logger.util");
-const { sendSuccess, sendFail } = require("../utilities/response.util");
+const {
+  sendSuccess,
+  sendFail,
+  sendError,
+} = require("../utilities/response.util");
 const STATUS_CODES = require("../utilities/response.codes.util");
 const catchAsyncUtil = require("../utilities/catch.async.util");
+const { normalizePhone } = require("../utilities/phone.util");
+const { parseLocation } = require("../utilities/location.util");
+const tokenService = require("../services/token.service");
+const sessionService = require("../services/session.service");
+const mailService = require("../services/mail.service");
+const twoFactorService = require("../services/two.factor.service");
+const csrfService = require("../services/csrf.service");
+const { recordAuditEvent } = require("../services/audit.service");
+const { cancelPendingDeletion } = require("../services/account.service");
+const {
+  validatePassword,
+  sendWeakPassword,
+} = require("../services/password.policy.service");
+const {
+  DOCUMENT_FIELDS,
+  getUploadedDocuments,
+} = require("../services/pharmacy.document.service");
 
-const signToken = (id) =>
-  jwt.sign({ id }, process.env.JWT_SECRET, {
-    expiresIn: process.env.JWT_EXPIRES_IN || "7d",
-  });
+const {
+  setAuthCookies,
+  clearAuthCookies,
+  getPresentedRefreshToken,
+  buildClientUrl,
+  createSendToken,
+  sendAccountLocked,
+  getAccountRestriction,
+  sendAccountRestricted,
+} = require("../services/auth.service");
 
-const createSendToken = async (user, statusCode, res) => {
-  const token = signToken(user._id);
-
-  const cookieOptions = {
-    expires: new Date(
-      Date.now() +
-        parseInt(process.env.JWT_COOKIE_EXPIRES_IN || 7) * 24 * 60 * 60 * 1000
-    ),
-    httpOnly: true,
-    sameSite: "strict",
-    secure: process.env.NODE_ENV === "production",
-  };
-
-  res.cookie("jwt", token, cookieOptions);
-
-  const userObj =
-    typeof user.toObject === "function" ? user.toObject() : { ...user };
-
-  delete userObj.password;
-  delete userObj.__v;
-  delete userObj.createdAt;
-  delete userObj.updatedAt;
-
-  let publicUser = {
-    _id: userObj._id,
-    fullName: userObj.fullName,
-    email: userObj.email,
-    photo: userObj.photo,
-    role: userObj.role,
-    phone: userObj.phone,
-    location: userObj.location || null,
-  };
-
-  if (userObj.role === "pharmacy") {
-    publicUser = {
-      ...publicUser,
-      pharmacyName: userObj.pharmacyName,
-      licenseNumber: userObj.licenseNumber,
-      pharmacyLicensePhoto: userObj.pharmacyLicensePhoto,
-      ownerIdFront: userObj.ownerIdFront,
-      ownerIdBack: userObj.ownerIdBack,
-    };
-  }
-
-  Object.keys(publicUser).forEach(
-    (key) => publicUser[key] == null && delete publicUser[key]
-  );
+const sendVerificationEmail = async (user) => {
+  const verificationToken = user.createEmailVerificationToken();
+  await user.save({ validateBeforeSave: false });
 
-  return sendSuccess(
-    res,
-    { token, user: publicUser },
-    "Authentication successful",
-    statusCode
+  await mailService.sendEmailVerificationEmail(
+    user,
+    buildClientUrl(`verify-email/${verificationToken}`)
   );
 };
 
@@ -73,15 +54,13 @@ exports.signUp = catchAsyncUtil(async (req, res) => {
     fullName,
     email,
     password,
-    phone,
     role,
-    location,
     pharmacyName,
     licenseNumber,
-    pharmacyLicensePhoto,
-    ownerIdFront,
-    ownerIdBack,
   } = req.body;
+  const phone = normalizePhone(req.body.phone);
+  const location = parseLocation(req.body.location);
+  const documents = getUploadedDocuments(req);
 
   const allowedRoles = ["customer", "pharmacy"];
   const signupRole = role || "customer";
@@ -100,15 +79,15 @@ exports.signUp = catchAsyncUtil(async (req, res) => {
   if (!fullName) missing.push("fullName");
   if (!email) missing.push("email");
   if (!password) missing.push("password");
-  if (!phone) missing.push("phone");
-  if (!location) missing.push("location");
+  if (!req.body.phone) missing.push("phone");
+  if (!req.body.location) missing.push("location");
 
   if (signupRole === "pharmacy") {
     if (!pharmacyName) missing.push("pharmacyName");
     if (!licenseNumber) missing.push("licenseNumber");
-    if (!pharmacyLicensePhoto) missing.push("pharmacyLicensePhoto");
-    if (!ownerIdFront) missing.push("ownerIdFront");
-    if (!ownerIdBack) missing.push("ownerIdBack");
+    DOCUMENT_FIELDS.forEach((field) => {
+      if (!documents[field]) missing.push(field);
+    });
   }
 
   if (missing.length > 0) {
@@ -123,6 +102,32 @@ exports.signUp = catchAsyncUtil(async (req, res) => {
     );
   }
 
+  if (!location) {
+    logger.warn(`SignUp | Invalid location | ${email}`);
+    return sendFail(
+      res,
+      { location: "location must contain a valid latitude and longitude" },
+      "Invalid location",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  if (!phone) {
+    logger.warn(`SignUp | Invalid phone number | ${req.body.phone}`);
+    return sendFail(
+      res,
+      { phone: "Phone number must be a valid international number" },
+      "Invalid phone number",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const passwordProblems = validatePassword(password, { email, fullName });
+  if (passwordProblems.length > 0) {
+    logger.warn(`SignUp | Password rejected by policy | ${email}`);
+    return sendWeakPassword(res, passwordProblems);
+  }
+
   const existingUser = await User.findOne({ email });
   if (existingUser) {
     logger.warn(`SignUp | Email already exists | ${email}`);
@@ -134,6 +139,17 @@ exports.signUp = catchAsyncUtil(async (req, res) => {
     );
   }
 
+  const existingPhone = await User.findOne({ phone });
+  if (existingPhone) {
+    logger.warn(`SignUp | Phone already exists | ${phone}`);
+    return sendFail(
+      res,
+      { phone: "Phone number already exists" },
+      "Phone number already registered",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
   let newUser;
   if (signupRole === "customer") {
     newUser = await Customer.create({
@@ -153,14 +169,25 @@ exports.signUp = catchAsyncUtil(async (req, res) => {
       location,
       pharmacyName,
       licenseNumber,
-      pharmacyLicensePhoto,
-      ownerIdFront,
-      ownerIdBack,
+      ...documents,
       role: signupRole,
     });
+    res.locals.keepUploads = true;
   }
 
   logger.info(`SignUp | New user created | ${signupRole} | ${email}`);
+  await recordAuditEvent(req, "auth.signup", {
+    actor: newUser,
+    metadata: { role: signupRole },
+  });
+
+  try {
+    await sendVerificationEmail(newUser);
+  } catch (err) {
+    // The account exists either way; the user can ask for a new link later
+    logger.error(`SignUp | Verification email failed | ${email} | ${err.message}`);
+  }
+
   return createSendToken(newUser, STATUS_CODES.CREATED, res);
 });
 
@@ -177,9 +204,41 @@ exports.login = catchAsyncUtil(async (req, res) => {
     );
   }
 
-  const user = await User.findOne({ email }).select("+password");
+  const user = await User.findOne({ email }).select(
+    "+password +failedLoginAttempts +lockCount"
+  );
+
+  if (user && user.isLocked()) {
+    logger.warn(`Login | Account locked | ${email}`);
+    await recordAuditEvent(req, "auth.login", {
+      outcome: "failure",
+      actor: user,
+      metadata: { reason: "locked" },
+    });
+    return sendAccountLocked(res, user);
+  }
+
   if (!user || !(await user.correctPassword(password, user.password))) {
+    if (user) {
+      await user.registerFailedLogin();
+
+      if (user.isLocked()) {
+        logger.warn(`Login | Too many failed attempts, account locked | ${email}`);
+        await recordAuditEvent(req, "auth.login", {
+          outcome: "failure",
+          actor: user,
+          metadata: { reason: "invalid-credentials", locked: true },
+        });
+        return sendAccountLocked(res, user);
+      }
+    }
+
     logger.warn(`Login | Invalid credentials | ${email}`);
+    await recordAuditEvent(req, "auth.login", {
+      outcome: "failure",
+      actor: user || { email: String(email) },
+      metadata: { reason: user ? "invalid-credentials" : "unknown-email" },
+    });
     return sendFail(
       res,
       {},
@@ -188,12 +247,62 @@ exports.login = catchAsyncUtil(async (req, res) => {
     );
   }
 
+  if (user.failedLoginAttempts > 0 || user.lockCount > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  const restriction = getAccountRestriction(user);
+  if (restriction) {
+    logger.warn(`Login | Account ${restriction} | ${email}`);
+    await recordAuditEvent(req, "auth.login", {
+      outcome: "failure",
+      actor: user,
+      metadata: { reason: restriction },
+    });
+    return sendAccountRestricted(res, restriction);
+  }
+
+  if (user.twoFactorEnabled) {
+    logger.info(`Login | Password accepted, awaiting second factor | ${email}`);
+    return sendSuccess(
+      res,
+      {
+        twoFactorRequired: true,
+        challengeToken: tokenService.signChallengeToken(user._id, "2fa-login"),
+      },
+      "Two-factor authentication required",
+      STATUS_CODES.OK
+    );
+  }
+
+  if (await twoFactorService.isTwoFactorRequired(user)) {
+    logger.warn(`Login | Two-factor setup required before login | ${email}`);
+    return sendSuccess(
+      res,
+      {
+        twoFactorSetupRequired: true,
+        challengeToken: tokenService.signChallengeToken(user._id, "2fa-setup"),
+      },
+      "Two-factor authentication must be set up for this account",
+      STATUS_CODES.OK
+    );
+  }
+
+  const deletionCancelled = await cancelPendingDeletion(req, user);
+
   logger.info(`Login | Success | ${email}`);
-  return createSendToken(user, STATUS_CODES.OK, res);
+  await recordAuditEvent(req, "auth.login", { actor: user });
+  return createSendToken(
+    user,
+    STATUS_CODES.OK,
+    res,
+    deletionCancelled ? { deletionCancelled } : {}
+  );
 });
 
 exports.addAdmin = catchAsyncUtil(async (req, res) => {
-  const { fullName, email, password, phone, photo } = req.body;
+  const { fullName, email, password, photo } = req.body;
+  const phone = req.body.phone ? normalizePhone(req.body.phone) : undefined;
 
   if (!req.user || req.user.role !== "admin") {
     logger.warn(
@@ -226,6 +335,22 @@ exports.addAdmin = catchAsyncUtil(async (req, res) => {
     );
   }
 
+  if (phone === null) {
+    logger.warn(`AddAdmin | Invalid phone number | ${req.body.phone}`);
+    return sendFail(
+      res,
+      { phone: "Phone number must be a valid international number" },
+      "Invalid phone number",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const passwordProblems = validatePassword(password, { email, fullName });
+  if (passwordProblems.length > 0) {
+    logger.warn(`AddAdmin | Password rejected by policy | ${email}`);
+    return sendWeakPassword(res, passwordProblems);
+  }
+
   const existing = await User.findOne({ email });
   if (existing) {
     logger.warn(`AddAdmin | Email already in use | ${email}`);
@@ -244,6 +369,7 @@ exports.addAdmin = catchAsyncUtil(async (req, res) => {
     role: "admin",
     phone,
     photo,
+    emailVerified: true,
   });
 
   const adminObj =
@@ -254,6 +380,10 @@ exports.addAdmin = catchAsyncUtil(async (req, res) => {
   delete adminObj.updatedAt;
 
   logger.info(`AddAdmin | New admin created | ${email}`);
+  await recordAuditEvent(req, "admin.create", {
+    target: { type: "User", id: admin._id },
+    metadata: { email },
+  });
   return sendSuccess(
     res,
     { admin: adminObj },
@@ -261,3 +391,336 @@ exports.addAdmin = catchAsyncUtil(async (req, res) => {
     STATUS_CODES.CREATED
   );
 });
+
+exports.refresh = catchAsyncUtil(async (req, res) => {
+  const rotated = await tokenService.rotateRefreshToken(
+    getPresentedRefreshToken(req)
+  );
+
+  if (!rotated) {
+    logger.warn("Refresh | Invalid, expired or reused refresh token");
+    clearAuthCookies(res);
+    return sendFail(
+      res,
+      {},
+      "Invalid or expired refresh token. Please log in again.",
+      STATUS_CODES.UNAUTHORIZED
+    );
+  }
+
+  const user = await User.findById(rotated.userId);
+  if (!user) {
+    logger.warn(`Refresh | User not found | ${rotated.userId}`);
+    await tokenService.revokeAllRefreshTokens(rotated.userId);
+    clearAuthCookies(res);
+    return sendFail(
+      res,
+      {},
+      "User not found. Please log in again.",
+      STATUS_CODES.UNAUTHORIZED
+    );
+  }
+
+  const restriction = getAccountRestriction(user);
+  if (restriction) {
+    logger.warn(`Refresh | Account ${restriction} | ${user.email}`);
+    await tokenService.revokeAllRefreshTokens(user._id);
+    clearAuthCookies(res);
+    return sendAccountRestricted(res, restriction);
+  }
+
+  const session = await sessionService.touchSessionByFamily(rotated.family, req);
+  if (!session) {
+    logger.warn(`Refresh | Session ended | ${user.email}`);
+    await tokenService.revokeFamily(rotated.family, "session-revoked");
+    clearAuthCookies(res);
+    return sendFail(
+      res,
+      {},
+      "Your session has ended. Please log in again.",
+      STATUS_CODES.UNAUTHORIZED
+    );
+  }
+
+  const token = tokenService.signAccessToken(user._id, session._id);
+  setAuthCookies(res, token, rotated.token);
+
+  logger.info(`Refresh | Token rotated | ${user.email}`);
+  return sendSuccess(
+    res,
+    { token, refreshToken: rotated.token },
+    "Token refreshed successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.getCsrfToken = (req, res) => {
+  const csrfToken = csrfService.issueCsrfToken(res);
+
+  return sendSuccess(
+    res,
+    { csrfToken },
+    "CSRF token issued",
+    STATUS_CODES.OK
+  );
+};
+
+exports.logout = catchAsyncUtil(async (req, res) => {
+  const revoked = await tokenService.revokeRefreshToken(
+    getPresentedRefreshToken(req)
+  );
+
+  clearAuthCookies(res);
+
+  if (revoked) {
+    logger.info(`Logout | Refresh token family revoked | user ${revoked.user}`);
+    await recordAuditEvent(req, "auth.logout", { actor: { _id: revoked.user } });
+  } else {
+    logger.info("Logout | No active refresh token presented");
+  }
+
+  return sendSuccess(res, null, "Logged out successfully", STATUS_CODES.OK);
+});
+
+exports.logoutAll = catchAsyncUtil(async (req, res) => {
+  await tokenService.revokeAllRefreshTokens(req.user._id);
+
+  clearAuthCookies(res);
+
+  logger.info(`LogoutAll | All sessions ended | ${req.user.email}`);
+  await recordAuditEvent(req, "auth.logout-all");
+  return sendSuccess(
+    res,
+    null,
+    "Logged out from all devices successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.forgotPassword = catchAsyncUtil(async (req, res) => {
+  const { email } = req.body;
+
+  if (!email) {
+    logger.warn("ForgotPassword | Missing email");
+    return sendFail(
+      res,
+      { email: "email is required" },
+      "Please provide your email",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  // Same answer whether or not the account exists, to avoid leaking emails
+  const genericMessage =
+    "If an account exists for this email, a password reset link has been sent.";
+
+  const user = await User.findOne({ email: email.toLowerCase() });
+  if (!user) {
+    logger.warn(`ForgotPassword | Unknown email | ${email}`);
+    return sendSuccess(res, null, genericMessage, STATUS_CODES.OK);
+  }
+
+  const resetToken = user.createPasswordResetToken();
+  await user.save({ validateBeforeSave: false });
+
+  try {
+    await mailService.sendPasswordResetEmail(
+      user,
+      buildClientUrl(`reset-password/${resetToken}`)
+    );
+  } catch (err) {
+    user.passwordResetToken = undefined;
+    user.passwordResetExpires = undefined;
+    await user.save({ validateBeforeSave: false });
+
+    logger.error(`ForgotPassword | Mail delivery failed | ${email} | ${err.message}`);
+    return sendError(
+      res,
+      {},
+      "There was an error sending the email. Please try again later.",
+      STATUS_CODES.INTERNAL_SERVER_ERROR
+    );
+  }
+
+  logger.info(`ForgotPassword | Reset token issued | ${user.email}`);
+  await recordAuditEvent(req, "auth.password-reset-requested", { actor: user });
+  return sendSuccess(res, null, genericMessage, STATUS_CODES.OK);
+});
+
+exports.resetPassword = catchAsyncUtil(async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    logger.warn("ResetPassword | Missing password");
+    return sendFail(
+      res,
+      { password: "password is required" },
+      "Please provide a new password",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const hashedToken = tokenService.hashToken(req.params.token);
+
+  const user = await User.findOne({
+    passwordResetToken: hashedToken,
+    passwordResetExpires: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    logger.warn("ResetPassword | Invalid or expired token");
+    await recordAuditEvent(req, "auth.password-reset", {
+      outcome: "failure",
+      metadata: { reason: "invalid-token" },
+    });
+    return sendFail(
+      res,
+      {},
+      "Token is invalid or has expired",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const passwordProblems = validatePassword(password, user);
+  if (passwordProblems.length > 0) {
+    logger.warn(`ResetPassword | Password rejected by policy | ${user.email}`);
+    return sendWeakPassword(res, passwordProblems);
+  }
+
+  user.password = password;
+  user.passwordResetToken = undefined;
+  user.passwordResetExpires = undefined;
+  user.passwordResetRequired = false;
+  await user.save();
+
+  await tokenService.revokeAllRefreshTokens(user._id, "password-change");
+
+  logger.info(`ResetPassword | Password reset | ${user.email}`);
+  await recordAuditEvent(req, "auth.password-reset", { actor: user });
+  return createSendToken(user, STATUS_CODES.OK, res);
+});
+
+exports.acceptStaffInvite = catchAsyncUtil(async (req, res) => {
+  const { password } = req.body;
+
+  if (!password) {
+    logger.warn("AcceptStaffInvite | Missing password");
+    return sendFail(
+      res,
+      { password: "password is required" },
+      "Please choose a password",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const staff = await PharmacyStaff.findOne({
+    inviteToken: tokenService.hashToken(req.params.token),
+    inviteExpires: { $gt: Date.now() },
+  });
+
+  if (!staff) {
+    logger.warn("AcceptStaffInvite | Invalid or expired token");
+    return sendFail(
+      res,
+      {},
+      "Invitation is invalid or has expired",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const passwordProblems = validatePassword(password, staff);
+  if (passwordProblems.length > 0) {
+    logger.warn(`AcceptStaffInvite | Password rejected by policy | ${staff.email}`);
+    return sendWeakPassword(res, passwordProblems);
+  }
+
+  staff.password = password;
+  staff.inviteToken = undefined;
+  staff.inviteExpires = undefined;
+  staff.inviteAcceptedAt = Date.now();
+  // The invite link was delivered to this address
+  staff.emailVerified = true;
+  await staff.save();
+
+  logger.info(`AcceptStaffInvite | ${staff.email} joined pharmacy ${staff.pharmacy}`);
+  await recordAuditEvent(req, "auth.staff-invite-accepted", {
+    actor: staff,
+    target: { type: "User", id: staff.pharmacy },
+  });
+  return createSendToken(staff, STATUS_CODES.OK, res);
+});
+
+exports.verifyEmail = catchAsyncUtil(async (req, res) => {
+  const hashedToken = tokenService.hashToken(req.params.token);
+
+  const user = await User.findOne({
+    emailVerificationToken: hashedToken,
+    emailVerificationExpires: { $gt: Date.now() },
+  });
+
+  if (!user) {
+    logger.warn("VerifyEmail | Invalid or expired token");
+    return sendFail(
+      res,
+      {},
+      "Verification link is invalid or has expired",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  user.emailVerified = true;
+  user.emailVerificationToken = undefined;
+  user.emailVerificationExpires = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`VerifyEmail | Email verified | ${user.email}`);
+  return sendSuccess(
+    res,
+    { emailVerified: true },
+    "Email verified successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.resendVerificationEmail = catchAsyncUtil(async (req, res) => {
+  const user = req.user;
+
+  if (user.emailVerified) {
+    return sendFail(
+      res,
+      {},
+      "Email is already verified",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const cooldownMs =
+    parseInt(process.env.EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS || 60) *
+    1000;
+  const lastSentAt = user.emailVerificationSentAt
+    ? new Date(user.emailVerificationSentAt).getTime()
+    : 0;
+  const waitMs = lastSentAt + cooldownMs - Date.now();
+
+  if (waitMs > 0) {
+    const retryAfter = Math.ceil(waitMs / 1000);
+    logger.warn(`ResendVerification | Cooldown active | ${user.email}`);
+    res.set("Retry-After", String(retryAfter));
+    return sendFail(
+      res,
+      { retryAfter },
+      `Please wait ${retryAfter} seconds before requesting another email`,
+      STATUS_CODES.TOO_MANY_REQUESTS
+    );
+  }
+
+  await sendVerificationEmail(user);
+
+  logger.info(`ResendVerification | Verification email sent | ${user.email}`);
+  return sendSuccess(
+    res,
+    null,
+    "Verification email sent",
+    STATUS_CODES.OK
+  );
+});
@@ -1,16 +1,57 @@
 const Medicine = require('../models/medicine.model');
+const Pharmacy = require('../models/pharmacy.model');
 const logger = require("../utilities/logger.util");
 const { sendSuccess, sendFail } = require("../utilities/response.util");
 const STATUS_CODES = require("../utilities/response.codes.util");
 const catchAsyncUtil = require("../utilities/catch.async.util");
+const { hasPermission } = require("../config/permissions.config");
+const { findCatalogProduct, listingFields } = require("../services/catalog.service");
+const { getOpeningStatus } = require("../utilities/opening.hours.util");
+const { getRequestLocation } = require("../utilities/location.util");
+const { findOpenPharmacyIds } = require("../services/pharmacy.directory.service");
+
+// Pharmacies and their staff only see their own listings; admins holding
+// `<permission>:any` act on any pharmacy's listing
+const medicineScope = (req, permission) => {
+    if (hasPermission(req.user, `${permission}:any`)) return {};
+    return { pharmacyId: req.pharmacyId };
+};
+
+const inventoryScope = (req) => medicineScope(req, 'medicine:list');
+
+const findOwnedAndUpdate = async (req, update, options, action) => {
+    const medicine = await Medicine.findOneAndUpdate(
+        { _id: req.params.id, ...medicineScope(req, 'medicine:update') },
+        update,
+        options
+    );
+
+    if (!medicine && await Medicine.exists({ _id: req.params.id })) {
+        logger.warn(`Cross-tenant medicine ${action} blocked: ${req.params.id} by user: ${req.user._id} (pharmacy: ${req.pharmacyId})`);
+    } else if (medicine && !req.pharmacyId) {
+        logger.info(`Admin override: medicine ${action} ${medicine._id} by user: ${req.user._id}`);
+    }
+
+    return medicine;
+};
+
+const sendUnknownProduct = (res, reference) => {
+    logger.warn(`Unknown or inactive catalog product: ${JSON.stringify(reference)}`);
+    return sendFail(
+        res,
+        { product: 'No active catalog product matches this id or barcode' },
+        'Catalog product not found',
+        STATUS_CODES.BAD_REQUEST
+    );
+};
 
 const createMedicine = catchAsyncUtil(async (req, res) => {
     const { name, description, price, quantity } = req.body;
     
     const image = req.file ? req.file.path : req.body.image;
     
-    // Get pharmacy ID from authenticated user (from token)
-    if (!req.user || req.user.role !== 'pharmacy') {
+    // Acting pharmacy is resolved from the user, or the staff member's parent
+    if (!req.user || !req.actingPharmacy) {
         logger.warn('Unauthorized: Only pharmacies can create medicines');
         return sendFail(
             res,
@@ -20,7 +61,16 @@ const createMedicine = catchAsyncUtil(async (req, res) => {
         );
     }
 
-    if (!name || !description || !price || !quantity) {
+    // Listings of a catalog product take their name and description from it
+    let product = null;
+    if (req.body.product || req.body.barcode) {
+        product = await findCatalogProduct(req.body);
+        if (!product) {
+            return sendUnknownProduct(res, { product: req.body.product, barcode: req.body.barcode });
+        }
+    }
+
+    if (!product && (!name || !description || !price || !quantity)) {
         logger.warn('Missing required fields in medicine creation');
         return sendFail(
             res,
@@ -30,7 +80,17 @@ const createMedicine = catchAsyncUtil(async (req, res) => {
         );
     }
 
-    if (!image) {
+    if (product && (!price || !quantity)) {
+        logger.warn('Missing price or quantity in medicine creation');
+        return sendFail(
+            res,
+            { fields: 'Missing required fields: price and quantity are required' },
+            'Missing required fields: price and quantity are required',
+            STATUS_CODES.BAD_REQUEST
+        );
+    }
+
+    if (!image && !(product && product.image)) {
         logger.warn('Image is required for medicine creation');
         return sendFail(
             res,
@@ -57,12 +117,17 @@ const createMedicine = catchAsyncUtil(async (req, res) => {
         description,
         price,
         quantity: quantityNum,
-        image,
-        pharmacyId: req.user._id,
-        isActive: true
+        image: image || product.image,
+        ...(product && listingFields(product)),
+        pharmacyId: req.pharmacyId,
+        isActive: true,
+        // requireApprovedPharmacy only lets approved pharmacies list stock
+        pharmacyApproved: true,
+        createdBy: req.user._id,
+        updatedBy: req.user._id
     });
     
-    logger.info(`Medicine created: ${medicine._id} for pharmacy: ${req.user._id}`);
+    logger.info(`Medicine created: ${medicine._id} for pharmacy: ${req.pharmacyId} by user: ${req.user._id}`);
     return sendSuccess(
         res,
         medicine,
@@ -71,10 +136,36 @@ const createMedicine = catchAsyncUtil(async (req, res) => {
     );
 });
 
+// Base query of the public listing for search and paginate; runs after
+// openFilter. Only stock from pharmacies that passed verification is listed.
+const medicineQuery = catchAsyncUtil(async (req, res, next) => {
+    const filter = { isActive: true, pharmacyApproved: true };
+    req.pharmacyFilter = { verificationStatus: 'approved', ...req.openPharmacyFilter };
+
+    // A located search filters the pharmacies it walks in $geoNear;
+    // otherwise the open ones are narrowed down by id
+    if (req.openPharmacyFilter && !getRequestLocation(req)) {
+        filter.pharmacyId = { $in: await findOpenPharmacyIds(req.openAt) };
+    }
+
+    req.baseQuery = Medicine.find(filter);
+    next();
+});
+
+// Adds whether the listing's pharmacy is open at `at` and when it closes
+const withOpeningStatus = (medicine, at) => {
+    const listing = typeof medicine.toJSON === 'function' ? medicine.toJSON() : medicine;
+    const pharmacy = listing.pharmacyId || {};
+    return { ...listing, ...getOpeningStatus(pharmacy.openingHours, at) };
+};
+
 const getAllMedicines = catchAsyncUtil(async (req, res) => {
     // Use pagination data if available, otherwise fallback to direct query
     if (req.pagination) {
-        const { data: medicines, pagination } = req.pagination;
+        const { data, pagination } = req.pagination;
+        const medicines = data.map((medicine) =>
+            withOpeningStatus(medicine, req.openAt || new Date())
+        );
         
         logger.info(`Retrieved ${medicines.length} active medicines (page ${pagination.currentPage})`);
         return sendSuccess(
@@ -89,7 +180,7 @@ const getAllMedicines = catchAsyncUtil(async (req, res) => {
         );
     } else {
         // Fallback for non-paginated requests
-        const medicines = await Medicine.find({ isActive: true });
+        const medicines = await Medicine.find({ isActive: true, pharmacyApproved: true });
         
         logger.info(`Retrieved ${medicines.length} active medicines`);
         return sendSuccess(
@@ -122,7 +213,7 @@ const getAllMedicinesPharmacy = catchAsyncUtil(async (req, res) => {
         );
     } else {
         // Fallback for non-paginated requests
-        const medicines = await Medicine.find();
+        const medicines = await Medicine.find(inventoryScope(req));
         
         logger.info(`Retrieved ${medicines.length} medicines for pharmacy`);
         return sendSuccess(
@@ -143,7 +234,13 @@ const getMedicineById = catchAsyncUtil(async (req, res) => {
         isActive: true 
     });
 
-    if (!medicine) {
+    // Listings of pharmacies that are not approved are hidden from the public
+    const pharmacyApproved = medicine && await Pharmacy.exists({
+        _id: medicine.pharmacyId,
+        verificationStatus: 'approved'
+    });
+
+    if (!medicine || !pharmacyApproved) {
         logger.warn(`Medicine not found: ${req.params.id}`);
         return sendFail(
             res,
@@ -162,9 +259,20 @@ const getMedicineById = catchAsyncUtil(async (req, res) => {
     );
 });
 
+// What a pharmacy may change on its own listing. Quantity and the catalog
+// link are handled separately; catalog names, search keywords and ownership
+// are never taken from the request.
+const UPDATABLE_FIELDS = ['name', 'description', 'price', 'image'];
+
 const updateMedicine = catchAsyncUtil(async (req, res) => {
-    const { quantity, ...updateData } = req.body;
-    
+    const { quantity, product, barcode } = req.body;
+    const updateData = {};
+    UPDATABLE_FIELDS
+        .filter((field) => req.body[field] !== undefined)
+        .forEach((field) => {
+            updateData[field] = req.body[field];
+        });
+
     // Handle file upload - if new image is uploaded, use it
     if (req.file) {
         updateData.image = req.file.path;
@@ -185,10 +293,40 @@ const updateMedicine = catchAsyncUtil(async (req, res) => {
         updateData.quantity = quantityNum;
     }
 
-    const medicine = await Medicine.findByIdAndUpdate(
-        req.params.id,
+    if (product || barcode) {
+        const catalogProduct = await findCatalogProduct({ product, barcode });
+        if (!catalogProduct) return sendUnknownProduct(res, { product, barcode });
+        Object.assign(updateData, listingFields(catalogProduct));
+    } else if (product === null || product === '') {
+        // Unlinking keeps the catalog name as the listing's own
+        updateData.product = null;
+        updateData.genericName = null;
+        updateData.brandName = null;
+    } else if (
+        (updateData.name !== undefined || updateData.description !== undefined) &&
+        // Scoped like the update, so another pharmacy's listing stays a 404
+        await Medicine.exists({
+            _id: req.params.id,
+            ...medicineScope(req, 'medicine:update'),
+            product: { $ne: null }
+        })
+    ) {
+        logger.warn(`Name change on catalog-linked medicine blocked: ${req.params.id}`);
+        return sendFail(
+            res,
+            { name: 'Name and description of a catalog-linked medicine come from the catalog' },
+            'Name and description of a catalog-linked medicine come from the catalog',
+            STATUS_CODES.BAD_REQUEST
+        );
+    }
+
+    updateData.updatedBy = req.user._id;
+
+    const medicine = await findOwnedAndUpdate(
+        req,
         updateData,
-        { new: true, runValidators: true }
+        { new: true, runValidators: true },
+        'update'
     );
 
     if (!medicine) {
@@ -201,7 +339,7 @@ const updateMedicine = catchAsyncUtil(async (req, res) => {
         );
     }
 
-    logger.info(`Medicine updated: ${medicine._id}`);
+    logger.info(`Medicine updated: ${medicine._id} by user: ${req.user._id}`);
     return sendSuccess(
         res,
         medicine,
@@ -211,10 +349,11 @@ const updateMedicine = catchAsyncUtil(async (req, res) => {
 });
 
 const deactivateMedicine = catchAsyncUtil(async (req, res) => {
-    const medicine = await Medicine.findByIdAndUpdate(
-        req.params.id,
-        { isActive: false },
-        { new: true }
+    const medicine = await findOwnedAndUpdate(
+        req,
+        { isActive: false, updatedBy: req.user._id },
+        { new: true },
+        'deactivation'
     );
 
     if (!medicine) {
@@ -227,7 +366,7 @@ const deactivateMedicine = catchAsyncUtil(async (req, res) => {
         );
     }
 
-    logger.info(`Medicine deactivated: ${medicine._id}`);
+    logger.info(`Medicine deactivated: ${medicine._id} by user: ${req.user._id}`);
     return sendSuccess(
         res,
         medicine,
@@ -237,10 +376,11 @@ const deactivateMedicine = catchAsyncUtil(async (req, res) => {
 });
 
 const activateMedicine = catchAsyncUtil(async (req, res) => {
-    const medicine = await Medicine.findByIdAndUpdate(
-        req.params.id,
-        { isActive: true },
-        { new: true }
+    const medicine = await findOwnedAndUpdate(
+        req,
+        { isActive: true, updatedBy: req.user._id },
+        { new: true },
+        'activation'
     );
 
     if (!medicine) {
@@ -253,7 +393,7 @@ const activateMedicine = catchAsyncUtil(async (req, res) => {
         );
     }
 
-    logger.info(`Medicine activated: ${medicine._id}`);
+    logger.info(`Medicine activated: ${medicine._id} by user: ${req.user._id}`);
     return sendSuccess(
         res,
         medicine,
@@ -263,7 +403,9 @@ const activateMedicine = catchAsyncUtil(async (req, res) => {
 });
 
 module.exports = {
+    inventoryScope,
     createMedicine,
+    medicineQuery,
     getAllMedicines,
     getAllMedicinesPharmacy,
     getMedicineById,
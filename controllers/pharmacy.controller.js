@@ -0,0 +1,140 @@
+const Pharmacy = require("../models/pharmacy.model");
+const logger = require("../utilities/logger.util");
+const { getRequestLocation } = require("../utilities/location.util");
+const { sendSuccess, sendFail } = require("../utilities/response.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const catchAsyncUtil = require("../utilities/catch.async.util");
+const {
+  DOCUMENT_FIELDS,
+  resolveDocumentPath,
+} = require("../services/pharmacy.document.service");
+const {
+  buildDirectoryPipeline,
+  withOpeningStatus,
+  findPublicPharmacy,
+} = require("../services/pharmacy.directory.service");
+const {
+  getOpeningStatus,
+  buildOpeningWindows,
+  validateOpeningHours,
+} = require("../utilities/opening.hours.util");
+
+exports.getDocument = catchAsyncUtil(async (req, res, next) => {
+  const { id, document } = req.params;
+
+  if (!DOCUMENT_FIELDS.includes(document)) {
+    return sendFail(
+      res,
+      { document: `document must be one of: ${DOCUMENT_FIELDS.join(", ")}` },
+      "Document not found",
+      STATUS_CODES.NOT_FOUND
+    );
+  }
+
+  // Ownership is checked by requirePermission on the route
+  const pharmacy = await Pharmacy.findById(id).select(document);
+  const filePath = pharmacy && resolveDocumentPath(pharmacy[document]);
+
+  if (!filePath) {
+    logger.warn(`GetDocument | Document not found | ${id} | ${document}`);
+    return sendFail(res, {}, "Document not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  logger.info(`GetDocument | ${document} of ${id} | ${req.user.email}`);
+  res.set("Cache-Control", "private, no-store");
+  res.sendFile(filePath, (err) => {
+    if (!err) return;
+    if (err.code === "ENOENT" && !res.headersSent) {
+      logger.error(`GetDocument | File missing on disk | ${filePath}`);
+      return sendFail(res, {}, "Document not found", STATUS_CODES.NOT_FOUND);
+    }
+    next(err);
+  });
+});
+
+// Builds the public directory aggregation for paginate; runs after openFilter
+exports.pharmacyQuery = (req, res, next) => {
+  const origin = getRequestLocation(req);
+  const errors = {};
+
+  let radiusKm;
+  if (req.query.radius !== undefined) {
+    radiusKm = Number(req.query.radius);
+    if (!(radiusKm > 0)) {
+      errors.radius = "radius must be a positive number of kilometres";
+    } else if (!origin) {
+      errors.radius = "radius needs a latitude and longitude";
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return sendFail(res, errors, "Invalid filters", STATUS_CODES.BAD_REQUEST);
+  }
+
+  const search = typeof req.query.search === "string" ? req.query.search : "";
+  req.aggregation = {
+    model: Pharmacy,
+    ...buildDirectoryPipeline({
+      origin,
+      radiusKm,
+      search: search.trim(),
+      pharmacyFilter: req.openPharmacyFilter,
+    }),
+  };
+  next();
+};
+
+exports.listPharmacies = catchAsyncUtil(async (req, res) => {
+  const { data, pagination } = req.pagination;
+  const pharmacies = data.map((entry) => withOpeningStatus(entry, req.openAt));
+
+  return sendSuccess(
+    res,
+    { count: pharmacies.length, pharmacies, pagination },
+    "Pharmacies retrieved successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.getPharmacy = catchAsyncUtil(async (req, res) => {
+  const pharmacy = await findPublicPharmacy(req.params.id, {
+    origin: getRequestLocation(req),
+  });
+
+  if (!pharmacy) {
+    logger.warn(`GetPharmacy | Pharmacy not found | ${req.params.id}`);
+    return sendFail(res, {}, "Pharmacy not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  return sendSuccess(res, { pharmacy }, "Pharmacy retrieved successfully", STATUS_CODES.OK);
+});
+
+exports.updateOpeningHours = catchAsyncUtil(async (req, res) => {
+  const { value, errors } = validateOpeningHours(req.body);
+
+  if (errors) {
+    return sendFail(res, errors, "Invalid opening hours", STATUS_CODES.BAD_REQUEST);
+  }
+
+  const pharmacy = await Pharmacy.findByIdAndUpdate(
+    req.user._id,
+    { openingHours: value, openingWindows: buildOpeningWindows(value) },
+    { new: true, runValidators: true }
+  ).select("openingHours");
+
+  if (!pharmacy) {
+    logger.warn(`UpdateOpeningHours | Pharmacy not found | ${req.user._id}`);
+    return sendFail(res, {}, "Pharmacy not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  logger.info(`UpdateOpeningHours | ${req.user.email}`);
+  return sendSuccess(
+    res,
+    {
+      openingHours: pharmacy.openingHours,
+      ...getOpeningStatus(pharmacy.openingHours),
+    },
+    "Opening hours updated successfully",
+    STATUS_CODES.OK
+  );
+});
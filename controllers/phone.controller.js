@@ -0,0 +1,94 @@
+const User = require("../models/user.model");
+const otpService = require("../services/otp.service");
+const logger = require("../utilities/logger.util");
+const { sendSuccess, sendFail } = require("../utilities/response.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const catchAsyncUtil = require("../utilities/catch.async.util");
+
+exports.sendOtp = catchAsyncUtil(async (req, res) => {
+  const user = req.user;
+
+  if (user.phoneVerified) {
+    return sendFail(
+      res,
+      {},
+      "Phone number is already verified",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const result = await otpService.sendPhoneOtp(user);
+
+  if (!result.sent) {
+    logger.warn(`PhoneOtp | Resend cooldown active | ${user.email}`);
+    res.set("Retry-After", String(result.retryAfter));
+    return sendFail(
+      res,
+      { retryAfter: result.retryAfter },
+      `Please wait ${result.retryAfter} seconds before requesting another code`,
+      STATUS_CODES.TOO_MANY_REQUESTS
+    );
+  }
+
+  logger.info(`PhoneOtp | Code sent | ${user.email}`);
+  return sendSuccess(
+    res,
+    { expiresAt: result.expiresAt },
+    "Verification code sent",
+    STATUS_CODES.OK
+  );
+});
+
+exports.verifyOtp = catchAsyncUtil(async (req, res) => {
+  const { code } = req.body;
+
+  if (!code || !/^\d{6}$/.test(String(code))) {
+    return sendFail(
+      res,
+      { code: "code must be a 6-digit number" },
+      "Please provide the 6-digit verification code",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const result = await otpService.verifyPhoneOtp(req.user, code);
+
+  if (!result.valid) {
+    logger.warn(`PhoneOtp | Verification failed (${result.reason}) | ${req.user.email}`);
+
+    if (result.reason === "too-many-attempts") {
+      return sendFail(
+        res,
+        { code: "Too many incorrect attempts" },
+        "Too many incorrect attempts. Please request a new code.",
+        STATUS_CODES.TOO_MANY_REQUESTS
+      );
+    }
+
+    if (result.reason === "mismatch") {
+      return sendFail(
+        res,
+        { code: "Incorrect code", attemptsLeft: result.attemptsLeft },
+        "Incorrect verification code",
+        STATUS_CODES.BAD_REQUEST
+      );
+    }
+
+    return sendFail(
+      res,
+      {},
+      "Verification code has expired. Please request a new one.",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  await User.findByIdAndUpdate(req.user._id, { phoneVerified: true });
+
+  logger.info(`PhoneOtp | Phone verified | ${req.user.email}`);
+  return sendSuccess(
+    res,
+    { phoneVerified: true },
+    "Phone number verified successfully",
+    STATUS_CODES.OK
+  );
+});
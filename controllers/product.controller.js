@@ -0,0 +1,385 @@
+const Product = require("../models/product.model");
+const Medicine = require("../models/medicine.model");
+const catalogService = require("../services/catalog.service");
+const { OFFER_SORTS, buildOffers } = require("../services/offer.service");
+const { recordAuditEvent } = require("../services/audit.service");
+const { hasPermission } = require("../config/permissions.config");
+const { escapeRegex } = require("../utilities/regex.util");
+const { getRequestLocation } = require("../utilities/location.util");
+const logger = require("../utilities/logger.util");
+const { sendSuccess, sendFail } = require("../utilities/response.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const catchAsyncUtil = require("../utilities/catch.async.util");
+
+// Catalog fields curators may set; everything else is managed here
+const PRODUCT_FIELDS = [
+  "genericName",
+  "brandName",
+  "strength",
+  "dosageForm",
+  "packSize",
+  "manufacturer",
+  "barcode",
+  "description",
+  "image",
+];
+
+const pickProductFields = (body = {}) => {
+  const fields = {};
+  PRODUCT_FIELDS.forEach((field) => {
+    if (body[field] !== undefined) fields[field] = body[field];
+  });
+  return fields;
+};
+
+const validateProductFields = (fields, { creating }) => {
+  const errors = {};
+
+  if (creating || fields.genericName !== undefined) {
+    if (!fields.genericName || !String(fields.genericName).trim()) {
+      errors.genericName = "genericName is required";
+    }
+  }
+
+  if (
+    fields.dosageForm !== undefined &&
+    !Product.DOSAGE_FORMS.includes(fields.dosageForm)
+  ) {
+    errors.dosageForm = `dosageForm must be one of: ${Product.DOSAGE_FORMS.join(", ")}`;
+  }
+
+  return errors;
+};
+
+const findBarcodeOwner = (barcode, excludeId) =>
+  Product.findOne({
+    barcode: String(barcode).trim(),
+    ...(excludeId && { _id: { $ne: excludeId } }),
+  });
+
+const sendDuplicateBarcode = (res, existing) =>
+  sendFail(
+    res,
+    { barcode: `Barcode already belongs to product ${existing._id}` },
+    "Barcode already registered",
+    STATUS_CODES.CONFLICT
+  );
+
+const auditProductAction = (req, action, product, metadata = {}) =>
+  recordAuditEvent(req, action, {
+    target: { type: "Product", id: product._id },
+    metadata: { name: catalogService.describeProduct(product), ...metadata },
+  });
+
+exports.productQuery = (req, res, next) => {
+  const { search, dosageForm, barcode } = req.query;
+  // Curators also see retired entries when they ask for them
+  const filter =
+    req.query.includeInactive === "true" && hasPermission(req.user, "product:manage")
+      ? {}
+      : { isActive: true };
+
+  if (dosageForm) {
+    if (!Product.DOSAGE_FORMS.includes(dosageForm)) {
+      return sendFail(
+        res,
+        { dosageForm: `dosageForm must be one of: ${Product.DOSAGE_FORMS.join(", ")}` },
+        "Invalid filters",
+        STATUS_CODES.BAD_REQUEST
+      );
+    }
+    filter.dosageForm = dosageForm;
+  }
+
+  if (typeof barcode === "string" && barcode.trim()) {
+    filter.barcode = barcode.trim();
+  }
+
+  if (typeof search === "string" && search.trim()) {
+    const searchRegex = new RegExp(escapeRegex(search.trim()), "i");
+    filter.$or = [
+      { genericName: searchRegex },
+      { brandName: searchRegex },
+      { manufacturer: searchRegex },
+    ];
+  }
+
+  req.baseQuery = Product.find(filter);
+  next();
+};
+
+exports.listProducts = catchAsyncUtil(async (req, res) => {
+  const { data: products, pagination } = req.pagination;
+
+  return sendSuccess(
+    res,
+    { count: products.length, products, pagination },
+    "Products retrieved successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.getProduct = catchAsyncUtil(async (req, res) => {
+  const product = await Product.findById(req.params.id);
+
+  if (!product || (!product.isActive && !hasPermission(req.user, "product:manage"))) {
+    logger.warn(`GetProduct | Product not found | ${req.params.id}`);
+    return sendFail(res, {}, "Product not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  return sendSuccess(res, { product }, "Product retrieved successfully", STATUS_CODES.OK);
+});
+
+exports.getOffers = catchAsyncUtil(async (req, res) => {
+  const sort = req.query.sort || "price";
+  const origin = getRequestLocation(req);
+  const errors = {};
+
+  if (!OFFER_SORTS.includes(sort)) {
+    errors.sort = `sort must be one of: ${OFFER_SORTS.join(", ")}`;
+  } else if (sort === "distance" && !origin) {
+    errors.sort = "Sorting by distance needs a latitude and longitude";
+  }
+
+  let priceWeight;
+  if (req.query.priceWeight !== undefined) {
+    priceWeight = Number(req.query.priceWeight);
+    if (!(priceWeight >= 0 && priceWeight <= 1)) {
+      errors.priceWeight = "priceWeight must be a number between 0 and 1";
+    }
+  }
+
+  if (Object.keys(errors).length > 0) {
+    return sendFail(res, errors, "Invalid offer query", STATUS_CODES.BAD_REQUEST);
+  }
+
+  // Ids of merged duplicates resolve to the product that replaced them
+  const product = await catalogService.findCatalogProduct({ product: req.params.id });
+  if (!product) {
+    logger.warn(`GetOffers | Product not found | ${req.params.id}`);
+    return sendFail(res, {}, "Product not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  const listings = await Medicine.find({
+    product: product._id,
+    isActive: true,
+    pharmacyApproved: true,
+    quantity: { $gt: 0 },
+  }).populate("pharmacyId", "pharmacyName location");
+
+  const { offers, summary } = buildOffers(listings, { origin, sort, priceWeight });
+
+  logger.info(`GetOffers | ${offers.length} offers for ${product._id} sorted by ${sort}`);
+  return sendSuccess(
+    res,
+    { product, summary, offers },
+    "Offers retrieved successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.createProduct = catchAsyncUtil(async (req, res) => {
+  const fields = pickProductFields(req.body);
+
+  const errors = validateProductFields(fields, { creating: true });
+  if (Object.keys(errors).length > 0) {
+    return sendFail(res, errors, "Invalid product", STATUS_CODES.BAD_REQUEST);
+  }
+
+  if (fields.barcode) {
+    const existing = await findBarcodeOwner(fields.barcode);
+    if (existing) return sendDuplicateBarcode(res, existing);
+  }
+
+  const product = await Product.create({
+    ...fields,
+    createdBy: req.user._id,
+    updatedBy: req.user._id,
+  });
+
+  logger.info(`CreateProduct | ${product._id} created by ${req.user.email}`);
+  await auditProductAction(req, "catalog.product.create", product);
+  return sendSuccess(res, { product }, "Product created successfully", STATUS_CODES.CREATED);
+});
+
+exports.updateProduct = catchAsyncUtil(async (req, res) => {
+  const fields = pickProductFields(req.body);
+
+  if (Object.keys(fields).length === 0) {
+    return sendFail(
+      res,
+      {},
+      `Please provide at least one of: ${PRODUCT_FIELDS.join(", ")}`,
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const errors = validateProductFields(fields, { creating: false });
+  if (Object.keys(errors).length > 0) {
+    return sendFail(res, errors, "Invalid product", STATUS_CODES.BAD_REQUEST);
+  }
+
+  if (fields.barcode) {
+    const existing = await findBarcodeOwner(fields.barcode, req.params.id);
+    if (existing) return sendDuplicateBarcode(res, existing);
+  }
+
+  const product = await Product.findByIdAndUpdate(
+    req.params.id,
+    { ...fields, updatedBy: req.user._id },
+    { new: true, runValidators: true }
+  );
+
+  if (!product) {
+    logger.warn(`UpdateProduct | Product not found | ${req.params.id}`);
+    return sendFail(res, {}, "Product not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  // Listings show the catalog name, so renames reach every pharmacy at once
+  const { modifiedCount } = await catalogService.syncListings(product);
+
+  logger.info(
+    `UpdateProduct | ${product._id} updated by ${req.user.email} | ${modifiedCount} listings synced`
+  );
+  await auditProductAction(req, "catalog.product.update", product, {
+    fields: Object.keys(fields),
+  });
+  return sendSuccess(
+    res,
+    { product, listingsUpdated: modifiedCount },
+    "Product updated successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.deactivateProduct = catchAsyncUtil(async (req, res) => {
+  const product = await Product.findByIdAndUpdate(
+    req.params.id,
+    { isActive: false, updatedBy: req.user._id },
+    { new: true }
+  );
+
+  if (!product) {
+    logger.warn(`DeactivateProduct | Product not found | ${req.params.id}`);
+    return sendFail(res, {}, "Product not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  // Existing listings stay up; pharmacies just can't link new ones to it
+  logger.info(`DeactivateProduct | ${product._id} deactivated by ${req.user.email}`);
+  await auditProductAction(req, "catalog.product.deactivate", product);
+  return sendSuccess(res, { product }, "Product deactivated successfully", STATUS_CODES.OK);
+});
+
+exports.mergeProduct = catchAsyncUtil(async (req, res) => {
+  const { into } = req.body || {};
+
+  if (!into) {
+    return sendFail(
+      res,
+      { into: "into is required" },
+      "Please provide the product to merge into",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  if (String(into) === String(req.params.id)) {
+    return sendFail(
+      res,
+      { into: "A product cannot be merged into itself" },
+      "A product cannot be merged into itself",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const [duplicate, survivor] = await Promise.all([
+    Product.findById(req.params.id),
+    Product.findById(into),
+  ]);
+
+  if (!duplicate) {
+    return sendFail(res, {}, "Product not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  if (!survivor || !survivor.isActive || survivor.mergedInto) {
+    return sendFail(
+      res,
+      { into: "Target must be an active product that was not merged itself" },
+      "Invalid merge target",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const { modifiedCount } = await catalogService.syncListings(survivor, {
+    product: duplicate._id,
+  });
+
+  duplicate.isActive = false;
+  duplicate.mergedInto = survivor._id;
+  duplicate.updatedBy = req.user._id;
+  await duplicate.save();
+
+  logger.info(
+    `MergeProduct | ${duplicate._id} merged into ${survivor._id} by ${req.user.email} | ${modifiedCount} listings moved`
+  );
+  await auditProductAction(req, "catalog.product.merge", duplicate, {
+    into: survivor._id,
+    listingsMoved: modifiedCount,
+  });
+  return sendSuccess(
+    res,
+    { product: survivor, listingsMoved: modifiedCount },
+    "Products merged successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.linkListings = catchAsyncUtil(async (req, res) => {
+  const { medicineIds } = req.body || {};
+
+  if (!Array.isArray(medicineIds) || medicineIds.length === 0) {
+    return sendFail(
+      res,
+      { medicineIds: "medicineIds must be a non-empty array" },
+      "Please provide the medicines to link",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const product = await Product.findById(req.params.id);
+  if (!product || !product.isActive) {
+    return sendFail(res, {}, "Product not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  const { modifiedCount } = await catalogService.syncListings(product, {
+    _id: { $in: medicineIds },
+  });
+
+  logger.info(
+    `LinkListings | ${modifiedCount} medicines linked to ${product._id} by ${req.user.email}`
+  );
+  await auditProductAction(req, "catalog.listings.link", product, {
+    medicineIds,
+  });
+  return sendSuccess(
+    res,
+    { product, listingsLinked: modifiedCount },
+    "Medicines linked successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.unmatchedListingsQuery = (req, res, next) => {
+  req.baseQuery = Medicine.find({ product: null, isActive: true });
+  next();
+};
+
+exports.listUnmatchedListings = catchAsyncUtil(async (req, res) => {
+  const { data: medicines, pagination } = req.pagination;
+
+  return sendSuccess(
+    res,
+    { count: medicines.length, medicines, pagination },
+    "Unmatched medicines retrieved successfully",
+    STATUS_CODES.OK
+  );
+});
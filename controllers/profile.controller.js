@@ -0,0 +1,249 @@
+const User = require("../models/user.model");
+const tokenService = require("../services/token.service");
+const accountService = require("../services/account.service");
+const { recordAuditEvent } = require("../services/audit.service");
+const {
+  validatePassword,
+  sendWeakPassword,
+} = require("../services/password.policy.service");
+const {
+  buildPublicUser,
+  createSendToken,
+  clearAuthCookies,
+} = require("../services/auth.service");
+const { normalizePhone } = require("../utilities/phone.util");
+const { parseLocation } = require("../utilities/location.util");
+const logger = require("../utilities/logger.util");
+const { sendSuccess, sendFail } = require("../utilities/response.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const catchAsyncUtil = require("../utilities/catch.async.util");
+
+// Fields each role may change on itself. Anything else (role, email,
+// licenseNumber, verification state, ...) goes through its own flow.
+const EDITABLE_FIELDS = {
+  customer: ["fullName", "phone", "location"],
+  pharmacy: ["fullName", "phone", "location"],
+  staff: ["fullName", "phone"],
+  admin: ["fullName", "phone"],
+};
+
+exports.getMe = catchAsyncUtil(async (req, res) => {
+  return sendSuccess(
+    res,
+    { user: buildPublicUser(req.user) },
+    "Profile retrieved successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.updateMe = catchAsyncUtil(async (req, res) => {
+  const allowed = EDITABLE_FIELDS[req.user.role] || [];
+  const body = req.body || {};
+
+  const forbidden = Object.keys(body).filter((key) => !allowed.includes(key));
+  if (forbidden.length > 0) {
+    const details = {};
+    forbidden.forEach((f) => (details[f] = `${f} cannot be changed here`));
+    logger.warn(
+      `UpdateMe | Forbidden fields ${forbidden.join(", ")} | ${req.user.email}`
+    );
+    return sendFail(
+      res,
+      details,
+      `These fields cannot be updated: ${forbidden.join(", ")}`,
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  if (Object.keys(body).length === 0 && !req.file) {
+    return sendFail(
+      res,
+      {},
+      "Please provide at least one field to update",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const user = await User.findById(req.user._id);
+  if (!user) {
+    return sendFail(res, {}, "User not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  if (body.fullName !== undefined) {
+    if (!String(body.fullName).trim()) {
+      return sendFail(
+        res,
+        { fullName: "fullName cannot be empty" },
+        "Invalid full name",
+        STATUS_CODES.BAD_REQUEST
+      );
+    }
+    user.fullName = body.fullName;
+  }
+
+  if (body.phone !== undefined) {
+    const phone = normalizePhone(body.phone);
+    if (!phone) {
+      return sendFail(
+        res,
+        { phone: "Phone number must be a valid international number" },
+        "Invalid phone number",
+        STATUS_CODES.BAD_REQUEST
+      );
+    }
+
+    if (phone !== user.phone) {
+      const existingPhone = await User.findOne({
+        phone,
+        _id: { $ne: user._id },
+      });
+      if (existingPhone) {
+        return sendFail(
+          res,
+          { phone: "Phone number already exists" },
+          "Phone number already registered",
+          STATUS_CODES.BAD_REQUEST
+        );
+      }
+
+      user.phone = phone;
+      user.phoneVerified = false;
+    }
+  }
+
+  if (body.location !== undefined) {
+    const location = parseLocation(body.location);
+    if (!location) {
+      return sendFail(
+        res,
+        { location: "location must contain a valid latitude and longitude" },
+        "Invalid location",
+        STATUS_CODES.BAD_REQUEST
+      );
+    }
+    user.location = location;
+  }
+
+  if (req.file) {
+    user.photo = `users/${req.file.filename}`;
+  }
+
+  await user.save();
+
+  logger.info(`UpdateMe | Profile updated | ${user.email}`);
+  return sendSuccess(
+    res,
+    { user: buildPublicUser(user) },
+    "Profile updated successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.updateMyPassword = catchAsyncUtil(async (req, res) => {
+  const { currentPassword, newPassword } = req.body;
+
+  if (!currentPassword || !newPassword) {
+    const details = {};
+    if (!currentPassword) details.currentPassword = "currentPassword is required";
+    if (!newPassword) details.newPassword = "newPassword is required";
+    return sendFail(
+      res,
+      details,
+      "Please provide your current and new password",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const user = await User.findById(req.user._id).select("+password");
+  if (!user || !(await user.correctPassword(currentPassword, user.password))) {
+    logger.warn(`UpdateMyPassword | Wrong current password | ${req.user.email}`);
+    await recordAuditEvent(req, "auth.password-change", {
+      outcome: "failure",
+      metadata: { reason: "wrong-current-password" },
+    });
+    return sendFail(
+      res,
+      { currentPassword: "Current password is incorrect" },
+      "Current password is incorrect",
+      STATUS_CODES.UNAUTHORIZED
+    );
+  }
+
+  const passwordProblems = validatePassword(newPassword, user);
+  if (passwordProblems.length > 0) {
+    logger.warn(`UpdateMyPassword | Password rejected by policy | ${user.email}`);
+    return sendWeakPassword(res, passwordProblems, "newPassword");
+  }
+
+  user.password = newPassword;
+  await user.save();
+
+  // Every other device has to log in again with the new password
+  await tokenService.revokeAllRefreshTokens(user._id, "password-change");
+
+  logger.info(`UpdateMyPassword | Password changed | ${user.email}`);
+  await recordAuditEvent(req, "auth.password-change");
+  return createSendToken(user, STATUS_CODES.OK, res);
+});
+
+exports.exportMyData = catchAsyncUtil(async (req, res) => {
+  const archive = await accountService.buildDataExport(req.user);
+
+  logger.info(`ExportMyData | Data exported | ${req.user.email}`);
+  await recordAuditEvent(req, "account.data-export");
+
+  res.set(
+    "Content-Disposition",
+    `attachment; filename="cure-link-export-${req.user._id}.json"`
+  );
+  return sendSuccess(
+    res,
+    archive,
+    "Account data exported successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.deleteMe = catchAsyncUtil(async (req, res) => {
+  const { password } = req.body || {};
+
+  if (!password) {
+    return sendFail(
+      res,
+      { password: "password is required" },
+      "Please confirm with your password",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const user = await User.findById(req.user._id).select("+password");
+  if (!user || !(await user.correctPassword(password, user.password))) {
+    logger.warn(`DeleteMe | Wrong password | ${req.user.email}`);
+    await recordAuditEvent(req, "account.deletion-requested", {
+      outcome: "failure",
+      metadata: { reason: "wrong-password" },
+    });
+    return sendFail(
+      res,
+      { password: "Password is incorrect" },
+      "Password is incorrect",
+      STATUS_CODES.UNAUTHORIZED
+    );
+  }
+
+  const scheduledFor = await accountService.scheduleDeletion(user);
+  clearAuthCookies(res);
+
+  logger.info(
+    `DeleteMe | Deletion scheduled for ${scheduledFor.toISOString()} | ${user.email}`
+  );
+  await recordAuditEvent(req, "account.deletion-requested", {
+    metadata: { scheduledFor },
+  });
+  return sendSuccess(
+    res,
+    { scheduledFor },
+    `Your account will be deleted on ${scheduledFor.toDateString()}. Log in before then to keep it.`,
+    STATUS_CODES.OK
+  );
+});
@@ -0,0 +1,69 @@
+const sessionService = require("../services/session.service");
+const { clearAuthCookies } = require("../services/auth.service");
+const { recordAuditEvent } = require("../services/audit.service");
+const logger = require("../utilities/logger.util");
+const { sendSuccess, sendFail } = require("../utilities/response.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const catchAsyncUtil = require("../utilities/catch.async.util");
+
+const isCurrentSession = (req, session) =>
+  Boolean(req.authSession) && String(req.authSession._id) === String(session._id);
+
+exports.listSessions = catchAsyncUtil(async (req, res) => {
+  const sessions = await sessionService.listActiveSessions(req.user._id);
+
+  return sendSuccess(
+    res,
+    {
+      count: sessions.length,
+      sessions: sessions.map((session) => ({
+        _id: session._id,
+        device: session.device,
+        userAgent: session.userAgent,
+        ip: session.ip,
+        createdAt: session.createdAt,
+        lastSeenAt: session.lastSeenAt,
+        current: isCurrentSession(req, session),
+      })),
+    },
+    "Sessions retrieved successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.revokeSession = catchAsyncUtil(async (req, res) => {
+  const session = await sessionService.revokeSession(req.user._id, req.params.id);
+
+  if (!session) {
+    logger.warn(`RevokeSession | Session not found | ${req.params.id} | ${req.user.email}`);
+    return sendFail(res, {}, "Session not found", STATUS_CODES.NOT_FOUND);
+  }
+
+  if (isCurrentSession(req, session)) clearAuthCookies(res);
+
+  logger.info(`RevokeSession | ${session._id} revoked | ${req.user.email}`);
+  return sendSuccess(res, null, "Session revoked successfully", STATUS_CODES.OK);
+});
+
+exports.endImpersonation = catchAsyncUtil(async (req, res) => {
+  const session = req.authSession;
+
+  if (!session || !session.impersonatedBy) {
+    return sendFail(
+      res,
+      {},
+      "This session is not an impersonation session",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  await sessionService.revokeSession(req.user._id, session._id, "impersonation-ended");
+
+  logger.info(
+    `Impersonation | ended | admin ${session.impersonatedBy} as ${req.user.email} | session ${session._id}`
+  );
+  await recordAuditEvent(req, "impersonation.end", {
+    metadata: { sessionId: session._id },
+  });
+  return sendSuccess(res, null, "Impersonation ended", STATUS_CODES.OK);
+});
@@ -0,0 +1,211 @@
+const crypto = require("crypto");
+const User = require("../models/user.model");
+const PharmacyStaff = require("../models/pharmacy.staff.model");
+const logger = require("../utilities/logger.util");
+const { sendSuccess, sendFail } = require("../utilities/response.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const catchAsyncUtil = require("../utilities/catch.async.util");
+const { normalizePhone } = require("../utilities/phone.util");
+const tokenService = require("../services/token.service");
+const mailService = require("../services/mail.service");
+const { buildClientUrl } = require("../services/auth.service");
+
+const STAFF_FIELDS =
+  "fullName email phone permissions invitedBy inviteAcceptedAt createdAt";
+
+const invalidPermissions = (permissions) =>
+  permissions.filter((p) => !PharmacyStaff.PERMISSIONS.includes(p));
+
+const sendInvalidPermissions = (res, invalid) =>
+  sendFail(
+    res,
+    {
+      permissions: `Unknown permissions: ${invalid.join(", ")}. Allowed: ${PharmacyStaff.PERMISSIONS.join(", ")}`,
+    },
+    "Invalid permissions",
+    STATUS_CODES.BAD_REQUEST
+  );
+
+const findOwnStaff = async (req, res) => {
+  const staff = await PharmacyStaff.findOne({
+    _id: req.params.id,
+    pharmacy: req.user._id,
+  });
+
+  if (!staff) {
+    logger.warn(
+      `Staff | Not found for pharmacy ${req.user.email} | ${req.params.id}`
+    );
+    sendFail(res, {}, "Staff member not found", STATUS_CODES.NOT_FOUND);
+    return null;
+  }
+
+  return staff;
+};
+
+exports.inviteStaff = catchAsyncUtil(async (req, res) => {
+  const { fullName, email, permissions = [] } = req.body;
+  const phone = normalizePhone(req.body.phone);
+
+  const missing = [];
+  if (!fullName) missing.push("fullName");
+  if (!email) missing.push("email");
+  if (!req.body.phone) missing.push("phone");
+
+  if (missing.length > 0) {
+    const details = {};
+    missing.forEach((f) => (details[f] = `${f} is required`));
+    logger.warn(`InviteStaff | Missing fields: ${missing.join(", ")}`);
+    return sendFail(
+      res,
+      details,
+      `Missing required fields: ${missing.join(", ")}`,
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  if (!Array.isArray(permissions)) {
+    return sendInvalidPermissions(res, [String(permissions)]);
+  }
+
+  const invalid = invalidPermissions(permissions);
+  if (invalid.length > 0) {
+    logger.warn(`InviteStaff | Invalid permissions: ${invalid.join(", ")}`);
+    return sendInvalidPermissions(res, invalid);
+  }
+
+  if (!phone) {
+    logger.warn(`InviteStaff | Invalid phone number | ${req.body.phone}`);
+    return sendFail(
+      res,
+      { phone: "Phone number must be a valid international number" },
+      "Invalid phone number",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  if (await User.findOne({ email })) {
+    logger.warn(`InviteStaff | Email already exists | ${email}`);
+    return sendFail(
+      res,
+      { email: "Email already exists" },
+      "Email already registered",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  if (await User.findOne({ phone })) {
+    logger.warn(`InviteStaff | Phone already exists | ${phone}`);
+    return sendFail(
+      res,
+      { phone: "Phone number already exists" },
+      "Phone number already registered",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  // Nobody knows this password; the staff member sets their own on accept
+  const staff = new PharmacyStaff({
+    fullName,
+    email,
+    phone,
+    role: "staff",
+    password: crypto.randomBytes(32).toString("hex"),
+    pharmacy: req.user._id,
+    permissions: [...new Set(permissions)],
+    invitedBy: req.user._id,
+  });
+  const inviteToken = staff.createInviteToken();
+  await staff.save();
+
+  try {
+    await mailService.sendStaffInviteEmail(
+      staff,
+      req.user,
+      buildClientUrl(`staff/accept-invite/${inviteToken}`)
+    );
+  } catch (err) {
+    logger.error(
+      `InviteStaff | Mail delivery failed | ${staff.email} | ${err.message}`
+    );
+  }
+
+  logger.info(`InviteStaff | ${staff.email} invited by ${req.user.email}`);
+  return sendSuccess(
+    res,
+    {
+      _id: staff._id,
+      fullName: staff.fullName,
+      email: staff.email,
+      phone: staff.phone,
+      permissions: staff.permissions,
+    },
+    "Invitation sent",
+    STATUS_CODES.CREATED
+  );
+});
+
+exports.listStaff = catchAsyncUtil(async (req, res) => {
+  const staff = await PharmacyStaff.find({ pharmacy: req.user._id })
+    .select(STAFF_FIELDS)
+    .sort({ createdAt: -1 });
+
+  logger.info(`ListStaff | ${staff.length} for ${req.user.email}`);
+  return sendSuccess(
+    res,
+    { count: staff.length, staff },
+    "Staff retrieved successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.updateStaffPermissions = catchAsyncUtil(async (req, res) => {
+  const { permissions } = req.body;
+
+  if (!Array.isArray(permissions)) {
+    return sendFail(
+      res,
+      { permissions: "permissions must be an array" },
+      "Invalid permissions",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const invalid = invalidPermissions(permissions);
+  if (invalid.length > 0) {
+    logger.warn(`UpdateStaff | Invalid permissions: ${invalid.join(", ")}`);
+    return sendInvalidPermissions(res, invalid);
+  }
+
+  const staff = await findOwnStaff(req, res);
+  if (!staff) return;
+
+  staff.permissions = [...new Set(permissions)];
+  await staff.save({ validateBeforeSave: false });
+
+  logger.info(
+    `UpdateStaff | ${staff.email} -> [${staff.permissions.join(", ")}] by ${req.user.email}`
+  );
+  return sendSuccess(
+    res,
+    { _id: staff._id, email: staff.email, permissions: staff.permissions },
+    "Staff permissions updated",
+    STATUS_CODES.OK
+  );
+});
+
+exports.removeStaff = catchAsyncUtil(async (req, res) => {
+  const staff = await findOwnStaff(req, res);
+  if (!staff) return;
+
+  await tokenService.revokeAllRefreshTokens(staff._id, "admin-revoked");
+  await PharmacyStaff.findByIdAndDelete(staff._id);
+
+  logger.info(`RemoveStaff | ${staff.email} removed by ${req.user.email}`);
+  return sendSuccess(
+    res,
+    { _id: staff._id, email: staff.email },
+    "Staff member removed",
+    STATUS_CODES.OK
+  );
+});
@@ -0,0 +1,339 @@
+const User = require("../models/user.model");
+const Setting = require("../models/setting.model");
+const tokenService = require("../services/token.service");
+const twoFactorService = require("../services/two.factor.service");
+const { recordAuditEvent } = require("../services/audit.service");
+const { cancelPendingDeletion } = require("../services/account.service");
+const {
+  createSendToken,
+  sendAccountLocked,
+  getAccountRestriction,
+  sendAccountRestricted,
+} = require("../services/auth.service");
+const {
+  generateSecret,
+  findTotpStep,
+  buildOtpauthUri,
+} = require("../utilities/totp.util");
+const logger = require("../utilities/logger.util");
+const { sendSuccess, sendFail } = require("../utilities/response.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const catchAsyncUtil = require("../utilities/catch.async.util");
+
+exports.enroll = catchAsyncUtil(async (req, res) => {
+  if (req.user.twoFactorEnabled) {
+    return sendFail(
+      res,
+      {},
+      "Two-factor authentication is already enabled",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const secret = generateSecret();
+  await User.findByIdAndUpdate(req.user._id, {
+    twoFactorPendingSecret: secret,
+  });
+
+  logger.info(`2FA | Enrollment started | ${req.user.email}`);
+  return sendSuccess(
+    res,
+    {
+      secret,
+      otpauthUri: buildOtpauthUri({ secret, accountName: req.user.email }),
+    },
+    "Scan the QR code with your authenticator app, then confirm with a code",
+    STATUS_CODES.OK
+  );
+});
+
+exports.confirm = catchAsyncUtil(async (req, res) => {
+  const { code } = req.body;
+
+  const user = await User.findById(req.user._id).select(
+    "+twoFactorPendingSecret"
+  );
+
+  if (!user || !user.twoFactorPendingSecret) {
+    return sendFail(
+      res,
+      {},
+      "No pending two-factor enrollment. Please start enrollment first.",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const step = findTotpStep(user.twoFactorPendingSecret, code);
+  if (step === null) {
+    logger.warn(`2FA | Enrollment confirmation failed | ${user.email}`);
+    return sendFail(
+      res,
+      { code: "Invalid authentication code" },
+      "Invalid authentication code",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  const { codes, hashes } = twoFactorService.generateBackupCodes();
+
+  user.twoFactorSecret = user.twoFactorPendingSecret;
+  user.twoFactorPendingSecret = undefined;
+  user.twoFactorBackupCodes = hashes;
+  user.twoFactorEnabled = true;
+  user.twoFactorEnabledAt = Date.now();
+  // The confirmation code cannot be replayed to log in
+  user.twoFactorLastStep = step;
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`2FA | Enabled | ${user.email}`);
+
+  // Logging in straight after a forced setup completes the interrupted login
+  if (req.twoFactorSetup) {
+    return createSendToken(user, STATUS_CODES.OK, res, { backupCodes: codes });
+  }
+
+  return sendSuccess(
+    res,
+    { backupCodes: codes },
+    "Two-factor authentication enabled. Store your backup codes safely.",
+    STATUS_CODES.OK
+  );
+});
+
+exports.verifyLogin = catchAsyncUtil(async (req, res) => {
+  const { challengeToken, code, backupCode } = req.body;
+
+  const decoded = tokenService.verifyChallengeToken(challengeToken, "2fa-login");
+  if (!decoded) {
+    logger.warn("2FA | Invalid or expired login challenge");
+    return sendFail(
+      res,
+      {},
+      "Invalid or expired challenge. Please log in again.",
+      STATUS_CODES.UNAUTHORIZED
+    );
+  }
+
+  const user = await User.findById(decoded.id).select(
+    "+twoFactorSecret +twoFactorBackupCodes +failedLoginAttempts +lockCount"
+  );
+
+  if (!user || !user.twoFactorEnabled) {
+    return sendFail(
+      res,
+      {},
+      "Invalid or expired challenge. Please log in again.",
+      STATUS_CODES.UNAUTHORIZED
+    );
+  }
+
+  if (user.isLocked()) {
+    logger.warn(`2FA | Account locked | ${user.email}`);
+    await recordAuditEvent(req, "auth.login", {
+      outcome: "failure",
+      actor: user,
+      metadata: { reason: "locked", step: "2fa" },
+    });
+    return sendAccountLocked(res, user);
+  }
+
+  const restriction = getAccountRestriction(user);
+  if (restriction) {
+    logger.warn(`2FA | Account ${restriction} | ${user.email}`);
+    await recordAuditEvent(req, "auth.login", {
+      outcome: "failure",
+      actor: user,
+      metadata: { reason: restriction, step: "2fa" },
+    });
+    return sendAccountRestricted(res, restriction);
+  }
+
+  const result = await twoFactorService.verifySecondFactor(user, {
+    code,
+    backupCode,
+  });
+  if (!result.valid) {
+    logger.warn(`2FA | Invalid second factor | ${user.email}`);
+    await user.registerFailedLogin();
+    await recordAuditEvent(req, "auth.login", {
+      outcome: "failure",
+      actor: user,
+      metadata: { reason: "invalid-second-factor", step: "2fa" },
+    });
+
+    if (user.isLocked()) return sendAccountLocked(res, user);
+
+    return sendFail(
+      res,
+      { code: "Invalid authentication code" },
+      "Invalid authentication code",
+      STATUS_CODES.UNAUTHORIZED
+    );
+  }
+
+  if (user.failedLoginAttempts > 0 || user.lockCount > 0) {
+    await user.resetLoginAttempts();
+  }
+
+  if (result.method === "backup-code") {
+    logger.warn(
+      `2FA | Backup code used | ${user.email} | ${result.backupCodesLeft} left`
+    );
+  }
+
+  const deletionCancelled = await cancelPendingDeletion(req, user);
+
+  logger.info(`Login | Success (2FA ${result.method}) | ${user.email}`);
+  await recordAuditEvent(req, "auth.login", {
+    actor: user,
+    metadata: { twoFactorMethod: result.method },
+  });
+  return createSendToken(
+    user,
+    STATUS_CODES.OK,
+    res,
+    deletionCancelled ? { deletionCancelled } : {}
+  );
+});
+
+exports.disable = catchAsyncUtil(async (req, res) => {
+  const { password, code, backupCode } = req.body;
+
+  if (await twoFactorService.isTwoFactorRequired(req.user)) {
+    return sendFail(
+      res,
+      {},
+      "Two-factor authentication is required for admin accounts",
+      STATUS_CODES.FORBIDDEN
+    );
+  }
+
+  const user = await User.findById(req.user._id).select(
+    "+password +twoFactorSecret +twoFactorBackupCodes"
+  );
+
+  if (!user || !user.twoFactorEnabled) {
+    return sendFail(
+      res,
+      {},
+      "Two-factor authentication is not enabled",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  if (!password || !(await user.correctPassword(password, user.password))) {
+    return sendFail(
+      res,
+      { password: "Incorrect password" },
+      "Incorrect password",
+      STATUS_CODES.UNAUTHORIZED
+    );
+  }
+
+  const result = await twoFactorService.verifySecondFactor(user, {
+    code,
+    backupCode,
+  });
+  if (!result.valid) {
+    return sendFail(
+      res,
+      { code: "Invalid authentication code" },
+      "Invalid authentication code",
+      STATUS_CODES.UNAUTHORIZED
+    );
+  }
+
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorBackupCodes = undefined;
+  user.twoFactorEnabledAt = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  logger.warn(`2FA | Disabled | ${user.email}`);
+  return sendSuccess(
+    res,
+    null,
+    "Two-factor authentication disabled",
+    STATUS_CODES.OK
+  );
+});
+
+exports.regenerateBackupCodes = catchAsyncUtil(async (req, res) => {
+  const user = await User.findById(req.user._id).select("+twoFactorSecret");
+
+  if (!user || !user.twoFactorEnabled) {
+    return sendFail(
+      res,
+      {},
+      "Two-factor authentication is not enabled",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  if (!(await twoFactorService.useTotpCode(user, req.body.code))) {
+    return sendFail(
+      res,
+      { code: "Invalid authentication code" },
+      "Invalid authentication code",
+      STATUS_CODES.UNAUTHORIZED
+    );
+  }
+
+  const { codes, hashes } = twoFactorService.generateBackupCodes();
+  user.twoFactorBackupCodes = hashes;
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`2FA | Backup codes regenerated | ${user.email}`);
+  return sendSuccess(
+    res,
+    { backupCodes: codes },
+    "New backup codes generated. Previous codes no longer work.",
+    STATUS_CODES.OK
+  );
+});
+
+exports.getPolicy = catchAsyncUtil(async (req, res) => {
+  const requireForAdmins = await Setting.getValue(
+    twoFactorService.REQUIRE_ADMIN_TWO_FACTOR,
+    false
+  );
+
+  return sendSuccess(
+    res,
+    { requireForAdmins: Boolean(requireForAdmins) },
+    "Two-factor policy retrieved successfully",
+    STATUS_CODES.OK
+  );
+});
+
+exports.updatePolicy = catchAsyncUtil(async (req, res) => {
+  const { requireForAdmins } = req.body;
+
+  if (typeof requireForAdmins !== "boolean") {
+    return sendFail(
+      res,
+      { requireForAdmins: "requireForAdmins must be a boolean" },
+      "Invalid two-factor policy",
+      STATUS_CODES.BAD_REQUEST
+    );
+  }
+
+  await Setting.setValue(
+    twoFactorService.REQUIRE_ADMIN_TWO_FACTOR,
+    requireForAdmins,
+    req.user._id
+  );
+
+  logger.warn(
+    `2FA | Admin policy set to ${requireForAdmins ? "required" : "optional"} by ${req.user.email}`
+  );
+  await recordAuditEvent(req, "admin.two-factor-policy", {
+    metadata: { requireForAdmins },
+  });
+  return sendSuccess(
+    res,
+    { requireForAdmins },
+    "Two-factor policy updated successfully",
+    STATUS_CODES.OK
+  );
+});
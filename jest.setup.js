@@ -3,6 +3,7 @@ process.env.NODE_ENV = 'test';
 process.env.JWT_SECRET = 'test-jwt-secret-key-for-testing-purposes-only';
 process.env.JWT_EXPIRES_IN = '7d';
 process.env.JWT_COOKIE_EXPIRES_IN = '7';
+process.env.CLIENT_URL = 'http://localhost:3000';
 
 // Mock console methods to reduce noise during tests
 global.console = {
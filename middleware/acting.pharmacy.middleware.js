@@ -0,0 +1,54 @@
+const Pharmacy = require("../models/pharmacy.model");
+const logger = require("../utilities/logger.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const responsesStatus = require("../utilities/responses.status.util");
+
+const INACTIVE_STATUSES = ["suspended", "deleted"];
+
+/**
+ * Works out which pharmacy the request acts for: the pharmacy itself, or
+ * the parent pharmacy of a staff member. Sets req.actingPharmacy and
+ * req.pharmacyId; req.user stays the person who acted.
+ */
+const resolveActingPharmacy = async (req, res, next) => {
+  if (!req.user) {
+    logger.warn("Acting pharmacy check failed: no user found.");
+    return res.status(STATUS_CODES.UNAUTHORIZED).json({
+      status: responsesStatus.FAIL,
+      message: "Authentication required. Please log in first.",
+    });
+  }
+
+  if (req.user.role === "pharmacy") {
+    req.actingPharmacy = req.user;
+    req.pharmacyId = req.user._id;
+    return next();
+  }
+
+  if (req.user.role === "staff") {
+    const pharmacy = await Pharmacy.findById(req.user.pharmacy);
+
+    // Staff lose access as soon as the pharmacy is suspended or its owner
+    // asks for the account to be deleted
+    if (
+      !pharmacy ||
+      INACTIVE_STATUSES.includes(pharmacy.status) ||
+      pharmacy.deletionScheduledFor
+    ) {
+      logger.warn(
+        `Access denied: staff '${req.user.email}' belongs to a missing or inactive pharmacy.`
+      );
+      return res.status(STATUS_CODES.FORBIDDEN).json({
+        status: responsesStatus.FAIL,
+        message: "Your pharmacy account is not active.",
+      });
+    }
+
+    req.actingPharmacy = pharmacy;
+    req.pharmacyId = pharmacy._id;
+  }
+
+  next();
+};
+
+module.exports = resolveActingPharmacy;
@@ -4,11 +4,72 @@ const logger = require("../utilities/logger.util");
 const STATUS_CODES = require("../utilities/response.codes.util");
 const responsesStatus = require("../utilities/responses.status.util");
 const catchAsyncUtil = require("../utilities/catch.async.util");
+const tokenService = require("../services/token.service");
+const sessionService = require("../services/session.service");
+const apiKeyService = require("../services/api.key.service");
+const { recordAuditEvent } = require("../services/audit.service");
+const {
+  accountRestrictionMessages,
+  getAccountRestriction,
+} = require("../services/auth.service");
 
-const authenticate = catchAsyncUtil(async (req, res, next) => {
+// The Authorization header wins; browsers fall back to the httpOnly cookie
+// set at login (state-changing cookie requests also need a CSRF token)
+const getAccessToken = (req) => {
   const authHeader = req.headers.authorization;
 
-  if (!authHeader || !authHeader.startsWith("Bearer ")) {
+  if (authHeader && authHeader.startsWith("Bearer ")) {
+    return authHeader.split(" ")[1];
+  }
+
+  return (req.cookies && req.cookies.jwt) || null;
+};
+
+// Lets clients show a banner while an admin is acting as the user
+const IMPERSONATION_HEADER = "X-Impersonated-By";
+
+// Impersonation tokens only work on the session opened for them, and normal
+// tokens never work on an impersonation session
+const matchesImpersonation = (decoded, session) =>
+  String(session.impersonatedBy || "") === String(decoded.impersonatorId || "");
+
+const markImpersonation = async (req, res, session) => {
+  if (!session.impersonatedBy) return;
+
+  res.set(IMPERSONATION_HEADER, String(session.impersonatedBy));
+  logger.info(
+    `Impersonation | admin ${session.impersonatedBy} as ${req.user.email} | ${req.method} ${req.originalUrl}`
+  );
+  await recordAuditEvent(req, "impersonation.request", {
+    metadata: { method: req.method, path: req.originalUrl },
+  });
+};
+
+// Support sees the account as its owner does but cannot change it: writes
+// (credentials, API keys, staff, deletion, ...) are refused, apart from
+// ending the impersonation itself
+const READ_ONLY_METHODS = ["GET", "HEAD", "OPTIONS"];
+const END_IMPERSONATION = "DELETE /api/auth/impersonation";
+
+const isImpersonatedWrite = (req, session) =>
+  Boolean(session.impersonatedBy) &&
+  !READ_ONLY_METHODS.includes(req.method) &&
+  `${req.method} ${req.baseUrl}${req.path}`.replace(/\/$/, "") !== END_IMPERSONATION;
+
+const rejectImpersonatedWrite = (req, res) => {
+  logger.warn(
+    `Impersonation | write refused | ${req.user.email} | ${req.method} ${req.originalUrl}`
+  );
+  return res.status(STATUS_CODES.FORBIDDEN).json({
+    status: responsesStatus.FAIL,
+    message: "Impersonation sessions are read-only. End the impersonation to make changes.",
+  });
+};
+
+const authenticate = catchAsyncUtil(async (req, res, next) => {
+  const token = getAccessToken(req);
+
+  if (!token) {
     logger.warn("Authentication failed: No token provided.");
     return res.status(STATUS_CODES.UNAUTHORIZED).json({
       status: responsesStatus.FAIL,
@@ -16,10 +77,18 @@ const authenticate = catchAsyncUtil(async (req, res, next) => {
     });
   }
 
-  const token = authHeader.split(" ")[1];
-
   try {
     const decoded = jwt.verify(token, process.env.JWT_SECRET);
+
+    // Challenge tokens from the first login step are not access tokens
+    if (decoded.purpose) {
+      logger.warn(`Authentication failed: ${decoded.purpose} token used as access token`);
+      return res.status(STATUS_CODES.UNAUTHORIZED).json({
+        status: responsesStatus.FAIL,
+        message: "Invalid token. Please log in again.",
+      });
+    }
+
     const user = await User.findById(decoded.id).select("-password");
 
     if (!user) {
@@ -30,8 +99,39 @@ const authenticate = catchAsyncUtil(async (req, res, next) => {
       });
     }
 
+    if (user.changedPasswordAfter(decoded.iat)) {
+      logger.warn(
+        `Authentication failed: Password changed after token was issued for ${user.email}`
+      );
+      return res.status(STATUS_CODES.UNAUTHORIZED).json({
+        status: responsesStatus.FAIL,
+        message: "Password was changed recently. Please log in again.",
+      });
+    }
+
+    const restriction = getAccountRestriction(user);
+    if (restriction) {
+      logger.warn(`Authentication failed: account ${restriction} for ${user.email}`);
+      return res.status(STATUS_CODES.FORBIDDEN).json({
+        status: responsesStatus.FAIL,
+        message: accountRestrictionMessages[restriction],
+      });
+    }
+
+    const session = await sessionService.findActiveSession(decoded.sid, user._id);
+    if (!session || !matchesImpersonation(decoded, session)) {
+      logger.warn(`Authentication failed: session ended for ${user.email}`);
+      return res.status(STATUS_CODES.UNAUTHORIZED).json({
+        status: responsesStatus.FAIL,
+        message: "Your session has ended. Please log in again.",
+      });
+    }
+
     logger.info(`User authenticated successfully: ${user.email}`);
     req.user = user;
+    req.authSession = session;
+    await markImpersonation(req, res, session);
+    if (isImpersonatedWrite(req, session)) return rejectImpersonatedWrite(req, res);
     next();
   } catch (err) {
     if (err.name === "TokenExpiredError") {
@@ -59,17 +159,37 @@ const authenticate = catchAsyncUtil(async (req, res, next) => {
 });
 
 authenticate.optional = catchAsyncUtil(async (req, res, next) => {
-  const authHeader = req.headers.authorization;
+  const token = getAccessToken(req);
 
-  if (authHeader && authHeader.startsWith("Bearer ")) {
+  if (token) {
     try {
-      const token = authHeader.split(" ")[1];
       const decoded = jwt.verify(token, process.env.JWT_SECRET);
-      const user = await User.findById(decoded.id).select("-password");
+      const user = decoded.purpose
+        ? null
+        : await User.findById(decoded.id).select("-password");
+
+      if (user && user.changedPasswordAfter(decoded.iat)) {
+        logger.warn(
+          `Optional authentication: token predates password change for ${user.email}`
+        );
+      } else if (user && getAccountRestriction(user)) {
+        logger.warn(
+          `Optional authentication: account ${getAccountRestriction(user)} for ${user.email}`
+        );
+      } else if (user) {
+        const session = await sessionService.findActiveSession(decoded.sid, user._id);
 
-      if (user) {
-        req.user = user;
-        logger.info(`Optional authentication: user ${user.email} recognized`);
+        if (!session || !matchesImpersonation(decoded, session)) {
+          logger.warn(`Optional authentication: session ended for ${user.email}`);
+        } else {
+          req.user = user;
+          req.authSession = session;
+          await markImpersonation(req, res, session);
+          if (isImpersonatedWrite(req, session)) {
+            return rejectImpersonatedWrite(req, res);
+          }
+          logger.info(`Optional authentication: user ${user.email} recognized`);
+        }
       }
     } catch (err) {
       if (err.name === "TokenExpiredError") {
@@ -83,4 +203,82 @@ authenticate.optional = catchAsyncUtil(async (req, res, next) => {
   next();
 });
 
+// Lets an account that must set up 2FA enroll with its login challenge token
+authenticate.twoFactorSetup = catchAsyncUtil(async (req, res, next) => {
+  const challengeToken = req.body && req.body.challengeToken;
+
+  if (!challengeToken) return authenticate(req, res, next);
+
+  const decoded = tokenService.verifyChallengeToken(challengeToken, "2fa-setup");
+  const user = decoded
+    ? await User.findById(decoded.id).select("-password")
+    : null;
+
+  if (!user) {
+    logger.warn("Authentication failed: invalid or expired 2FA setup challenge.");
+    return res.status(STATUS_CODES.UNAUTHORIZED).json({
+      status: responsesStatus.FAIL,
+      message: "Invalid or expired challenge. Please log in again.",
+    });
+  }
+
+  req.user = user;
+  req.twoFactorSetup = true;
+  next();
+});
+
+/**
+ * Lets pharmacy integrations (POS software) authenticate with an `X-API-Key`
+ * header instead of a user login. req.user becomes the owning pharmacy and
+ * req.apiKey limits requirePermission to the key's scopes. Requests without
+ * the header fall back to the normal bearer token check.
+ */
+authenticate.allowApiKey = catchAsyncUtil(async (req, res, next) => {
+  const key = req.get("x-api-key");
+
+  if (!key) return authenticate(req, res, next);
+
+  const apiKey = await apiKeyService.findActiveKey(key);
+
+  if (!apiKey) {
+    logger.warn("Authentication failed: unknown or revoked API key.");
+    return res.status(STATUS_CODES.UNAUTHORIZED).json({
+      status: responsesStatus.FAIL,
+      message: "Invalid API key.",
+    });
+  }
+
+  if (!apiKeyService.isIpAllowed(apiKey, req.ip)) {
+    logger.warn(
+      `Authentication failed: API key ${apiKey.prefix} used from ${req.ip}, which is not allowed.`
+    );
+    return res.status(STATUS_CODES.FORBIDDEN).json({
+      status: responsesStatus.FAIL,
+      message: "This API key cannot be used from your IP address.",
+    });
+  }
+
+  const user = await User.findById(apiKey.pharmacy).select("-password");
+  const restriction = user && getAccountRestriction(user);
+
+  if (!user || restriction) {
+    logger.warn(
+      `Authentication failed: API key ${apiKey.prefix} belongs to a missing or restricted account.`
+    );
+    return res.status(STATUS_CODES.FORBIDDEN).json({
+      status: responsesStatus.FAIL,
+      message: restriction
+        ? accountRestrictionMessages[restriction]
+        : "Invalid API key.",
+    });
+  }
+
+  await apiKeyService.recordUse(apiKey, req.ip);
+
+  logger.info(`API key ${apiKey.prefix} authenticated for ${user.email}`);
+  req.user = user;
+  req.apiKey = apiKey;
+  next();
+});
+
 module.exports = authenticate;
@@ -0,0 +1,28 @@
+const logger = require("../utilities/logger.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const responsesStatus = require("../utilities/responses.status.util");
+const {
+  usesCookieCredentials,
+  isValidCsrfToken,
+} = require("../services/csrf.service");
+
+const SAFE_METHODS = ["GET", "HEAD", "OPTIONS"];
+
+const csrfProtection = (req, res, next) => {
+  if (SAFE_METHODS.includes(req.method) || !usesCookieCredentials(req)) {
+    return next();
+  }
+
+  if (!isValidCsrfToken(req)) {
+    logger.warn(`CSRF check failed: ${req.method} ${req.originalUrl} from ${req.ip}`);
+    return res.status(STATUS_CODES.FORBIDDEN).json({
+      status: responsesStatus.FAIL,
+      message:
+        "Missing or invalid CSRF token. Get one from GET /api/auth/csrf-token and send it in the X-CSRF-Token header.",
+    });
+  }
+
+  next();
+};
+
+module.exports = csrfProtection;
@@ -24,6 +24,13 @@ const globalErrorHandler = (err, req, res, next) => {
     err = new AppError(message, STATUS_CODES.BAD_REQUEST);
   }
 
+  if (err.name === 'MulterError') {
+    const message = err.code === 'LIMIT_FILE_SIZE'
+      ? `File too large: ${err.field}. Maximum size is 5MB.`
+      : `Invalid file upload: ${err.field}. Only jpg, jpeg and png images are allowed.`;
+    err = new AppError(message, STATUS_CODES.BAD_REQUEST);
+  }
+
   if (err.name === 'JsonWebTokenError') {
     err = new AppError('Invalid token. Please log in again!', STATUS_CODES.UNAUTHORIZED);
   }
@@ -0,0 +1,22 @@
+const { sendFail } = require("../utilities/response.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const { parseOpenFilter } = require("../utilities/opening.hours.util");
+const { openAtFilter } = require("../services/pharmacy.directory.service");
+
+// Handles ?openNow=true and ?openAt=<ISO date>. req.openAt is the time the
+// isOpen/closesAt indicators refer to; req.openPharmacyFilter, a query on
+// pharmacies, is only set when the results should be limited to pharmacies
+// open then.
+const openFilter = (req, res, next) => {
+  const { at, errors } = parseOpenFilter(req.query);
+
+  if (errors) {
+    return sendFail(res, errors, "Invalid filters", STATUS_CODES.BAD_REQUEST);
+  }
+
+  req.openAt = at || new Date();
+  if (at) req.openPharmacyFilter = openAtFilter(at);
+  next();
+};
+
+module.exports = openFilter;
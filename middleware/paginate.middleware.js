@@ -1,30 +1,43 @@
-module.exports = (model) => async (req, res, next) => {
+const defaultPopulate = { path: 'pharmacyId', select: 'pharmacyName location' };
+
+module.exports = (model, { populate = defaultPopulate, order: defaultOrder = 'asc' } = {}) => async (req, res, next) => {
   const page = parseInt(req.query.page) || 1;
   const limit = parseInt(req.query.limit) || 10;
   const skip = (page - 1) * limit;
 
   const sortBy = req.query.sort || 'createdAt';
-  const order = req.query.order === 'desc' ? -1 : 1;
-  const sortObj = { [sortBy]: order };
+  const order = (req.query.order || defaultOrder) === 'desc' ? -1 : 1;
+  // Without ?sort=, a search's own order (e.g. relevance) wins
+  const sortObj = !req.query.sort && req.defaultSort ? req.defaultSort : { [sortBy]: order };
 
   try {
-    // If search was already applied, use searchResults
     let data;
     let total;
 
-    if (req.searchResults && Array.isArray(req.searchResults)) {
-      // Pagination on already filtered/searched results
-      const totalItems = req.searchResults.length;
-      const startIndex = skip;
-      const endIndex = skip + limit;
-      data = req.searchResults.slice(startIndex, endIndex);
-      total = totalItems;
+    if (req.aggregation) {
+      // Search built an aggregation (e.g. $geoNear); page it in the database.
+      // pageStages only run on the documents of the requested page
+      const { model: aggregateModel, pipeline, pageStages = [] } = req.aggregation;
+      const [result] = await aggregateModel.aggregate([
+        ...pipeline,
+        {
+          $facet: {
+            data: [{ $skip: skip }, { $limit: limit }, ...pageStages],
+            total: [{ $count: 'count' }]
+          }
+        }
+      ]);
+
+      data = result.data;
+      total = result.total.length > 0 ? result.total[0].count : 0;
     } else {
       // Normal pagination without search
       let baseQuery = req.baseQuery || model.find();
       
-      // Populate pharmacy if needed
-      baseQuery = baseQuery.populate('pharmacyId', 'pharmacyName location');
+      // Populate pharmacy if needed (pass populate: null for models without pharmacyId)
+      if (populate) {
+        baseQuery = baseQuery.populate(populate);
+      }
 
       const filter = baseQuery.getFilter ? baseQuery.getFilter() : {};
       
@@ -0,0 +1,66 @@
+const logger = require("../utilities/logger.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const responsesStatus = require("../utilities/responses.status.util");
+const catchAsyncUtil = require("../utilities/catch.async.util");
+const { hasPermission } = require("../config/permissions.config");
+const { recordAuditEvent } = require("../services/audit.service");
+
+const deny = async (req, res, permission) => {
+  logger.warn(
+    `Access denied: '${req.user.email}' (${req.user.role}) lacks '${permission}'.`
+  );
+  await recordAuditEvent(req, "access.denied", {
+    outcome: "denied",
+    metadata: { permission, method: req.method, path: req.originalUrl },
+  });
+
+  return res.status(STATUS_CODES.FORBIDDEN).json({
+    status: responsesStatus.FAIL,
+    message: "Access denied: insufficient privileges.",
+  });
+};
+
+/**
+ * Allows the request when the user holds `permission` (see
+ * config/permissions.config.js). With an `owns(req)` predicate the permission
+ * only covers the user's own resources, unless they hold `<permission>:any`.
+ */
+const requirePermission = (permission, { owns } = {}) =>
+  catchAsyncUtil(async (req, res, next) => {
+    if (!req.user) {
+      logger.warn("Unauthorized access attempt detected: no user found.");
+
+      return res.status(STATUS_CODES.UNAUTHORIZED).json({
+        status: responsesStatus.FAIL,
+        message: "Authentication required. Please log in first.",
+      });
+    }
+
+    // An API key only carries the scopes it was created with
+    if (req.apiKey && !req.apiKey.scopes.includes(permission)) {
+      return deny(req, res, `${permission} (API key ${req.apiKey.prefix})`);
+    }
+
+    if (hasPermission(req.user, `${permission}:any`)) return next();
+
+    if (!hasPermission(req.user, permission)) {
+      return deny(req, res, permission);
+    }
+
+    if (owns && !(await owns(req))) {
+      return deny(req, res, `${permission} (not the owner)`);
+    }
+
+    logger.info(
+      `Access granted for user '${req.user.email}' with permission '${permission}'.`
+    );
+    next();
+  });
+
+// Ownership predicate: the route parameter is the user's own id
+requirePermission.isSelf =
+  (param = "id") =>
+  (req) =>
+    String(req.user._id) === String(req.params[param]);
+
+module.exports = requirePermission;
@@ -0,0 +1,44 @@
+const logger = require("../utilities/logger.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const responsesStatus = require("../utilities/responses.status.util");
+
+const messages = {
+  pending: "Your pharmacy is awaiting verification. You can manage medicines once it is approved.",
+  rejected: "Your pharmacy verification was rejected. Please review the reviewer notes and contact support.",
+  suspended: "Your pharmacy has been suspended. Please contact support.",
+};
+
+const requireApprovedPharmacy = (req, res, next) => {
+  if (!req.user) {
+    logger.warn("Pharmacy approval check failed: no user found.");
+    return res.status(STATUS_CODES.UNAUTHORIZED).json({
+      status: responsesStatus.FAIL,
+      message: "Authentication required. Please log in first.",
+    });
+  }
+
+  if (req.user.role !== "pharmacy" && req.user.role !== "staff") {
+    return next();
+  }
+
+  // Staff act for their parent pharmacy (see acting.pharmacy.middleware)
+  const pharmacy = req.actingPharmacy || req.user;
+  const status =
+    pharmacy.role === "pharmacy"
+      ? pharmacy.verificationStatus || "pending"
+      : "pending";
+
+  if (status !== "approved") {
+    logger.warn(
+      `Access denied: pharmacy of '${req.user.email}' is '${status}', not approved.`
+    );
+    return res.status(STATUS_CODES.FORBIDDEN).json({
+      status: responsesStatus.FAIL,
+      message: messages[status] || messages.pending,
+    });
+  }
+
+  next();
+};
+
+module.exports = requireApprovedPharmacy;
@@ -0,0 +1,28 @@
+const upload = require("./upload.middleware");
+const {
+  DOCUMENT_FIELDS,
+  DOCUMENT_FOLDER,
+  removeUploadedFiles,
+} = require("../services/pharmacy.document.service");
+
+/**
+ * Accepts the pharmacy signup documents as multipart uploads into the
+ * private upload folder. Files are removed again unless the handler marks
+ * them as kept (res.locals.keepUploads) and the request succeeds.
+ */
+const uploadPharmacyDocuments = [
+  (req, res, next) => {
+    req.uploadFolder = DOCUMENT_FOLDER;
+    res.on("finish", () => {
+      if (req.files && (res.statusCode >= 400 || !res.locals.keepUploads)) {
+        removeUploadedFiles(req);
+      }
+    });
+    next();
+  },
+  upload.private.fields(
+    DOCUMENT_FIELDS.map((name) => ({ name, maxCount: 1 }))
+  ),
+];
+
+module.exports = uploadPharmacyDocuments;
@@ -0,0 +1,52 @@
+const logger = require("../utilities/logger.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const { sendFail } = require("../utilities/response.util");
+const catchAsyncUtil = require("../utilities/catch.async.util");
+const { getStore } = require("../services/rate.limit.store");
+
+/**
+ * Per-client throttling. Requests are counted per `keyPrefix` and IP in the
+ * configured rate limit store; once `max` is exceeded within `windowMs` the
+ * client gets a 429 with a Retry-After header until the window resets.
+ */
+const rateLimit = ({ keyPrefix, windowMs, max, message }) =>
+  catchAsyncUtil(async (req, res, next) => {
+    const key = `${keyPrefix}:${req.ip}`;
+    const { count, resetAt } = await getStore().increment(key, windowMs);
+
+    res.set("RateLimit-Limit", String(max));
+    res.set("RateLimit-Remaining", String(Math.max(max - count, 0)));
+
+    if (count > max) {
+      const retryAfter = Math.max(Math.ceil((resetAt - Date.now()) / 1000), 1);
+      logger.warn(`RateLimit | ${keyPrefix} | Too many requests from ${req.ip}`);
+
+      res.set("Retry-After", String(retryAfter));
+      return sendFail(
+        res,
+        { retryAfter },
+        message || "Too many requests. Please try again later.",
+        STATUS_CODES.TOO_MANY_REQUESTS
+      );
+    }
+
+    next();
+  });
+
+rateLimit.login = () =>
+  rateLimit({
+    keyPrefix: "login",
+    windowMs: parseInt(process.env.LOGIN_RATE_LIMIT_WINDOW_MINUTES || 15) * 60 * 1000,
+    max: parseInt(process.env.LOGIN_RATE_LIMIT_MAX || 20),
+    message: "Too many login attempts from this IP. Please try again later.",
+  });
+
+rateLimit.signup = () =>
+  rateLimit({
+    keyPrefix: "signup",
+    windowMs: parseInt(process.env.SIGNUP_RATE_LIMIT_WINDOW_MINUTES || 60) * 60 * 1000,
+    max: parseInt(process.env.SIGNUP_RATE_LIMIT_MAX || 10),
+    message: "Too many signups from this IP. Please try again later.",
+  });
+
+module.exports = rateLimit;
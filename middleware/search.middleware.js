@@ -1,94 +1,122 @@
 const User = require('../models/user.model');
+const {
+  getRequestLocation,
+  geoNearStage,
+  geoPointToLocation,
+  distanceInKm
+} = require('../utilities/location.util');
+const { buildTextSearch } = require('../utilities/search.text.util');
+const responsesStatus = require('../utilities/responses.status.util');
+const STATUS_CODES = require('../utilities/response.codes.util');
 
-// Helper function to calculate distance between two coordinates (Haversine formula)
-function calculateDistance(lat1, lon1, lat2, lon2) {
-  const R = 6371; // Earth radius in kilometers
-  const dLat = (lat2 - lat1) * Math.PI / 180;
-  const dLon = (lon2 - lon1) * Math.PI / 180;
-  const a =
-    Math.sin(dLat / 2) * Math.sin(dLat / 2) +
-    Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
-    Math.sin(dLon / 2) * Math.sin(dLon / 2);
-  const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
-  return R * c; // Distance in kilometers
-}
+const badRequest = (res, message) =>
+  res.status(STATUS_CODES.BAD_REQUEST).json({
+    status: responsesStatus.FAIL,
+    message
+  });
 
+// $geoNear has to be the first stage and run on the collection holding the
+// 2dsphere index, so the walk starts from pharmacies (closest first) and
+// joins each one's matching listings. pharmacyFilter skips pharmacies
+// before their listings are looked up.
+const buildGeoPipeline = (model, filter, origin, radiusKm, pharmacyFilter) => [
+  geoNearStage(origin, { radiusKm, query: { kind: 'Pharmacy', ...pharmacyFilter } }),
+  {
+    $lookup: {
+      from: model.collection.name,
+      let: { pharmacyId: '$_id' },
+      pipeline: [
+        { $match: { $expr: { $eq: ['$pharmacyId', '$$pharmacyId'] } } },
+        { $match: filter },
+        // $lookup ignores select: false, so the keyword arrays are dropped here
+        { $project: { searchKeywords: 0, fuzzyKeywords: 0 } }
+      ],
+      as: 'listing'
+    }
+  },
+  { $unwind: '$listing' },
+  // Same shape as a listing with pharmacyId populated, plus its distance in km
+  {
+    $replaceRoot: {
+      newRoot: {
+        $mergeObjects: ['$listing', {
+          pharmacyId: {
+            _id: '$_id',
+            pharmacyName: '$pharmacyName',
+            location: geoPointToLocation('location'),
+            openingHours: '$openingHours'
+          },
+          distance: distanceInKm
+        }]
+      }
+    }
+  },
+  { $sort: { distance: 1, _id: 1 } }
+];
+
+// $geoNear has to come first in its pipeline and cannot be combined with
+// $text, so a located search first takes this many of the best text matches
+const getGeoSearchLimit = () => parseInt(process.env.GEO_SEARCH_MATCH_LIMIT || 1000);
+
+const textScore = { score: { $meta: 'textScore' } };
+
+/**
+ * Narrows req.baseQuery by ?search= using the model's text index, best
+ * matches first (see search.text.util for the normalization and fuzzy
+ * keys). With a location (query params or the user's saved one) it also
+ * sets req.aggregation, which paginate runs to page through the results
+ * closest first; ?radius= (km) limits how far, and req.pharmacyFilter
+ * (optional) limits which pharmacies are walked.
+ */
 module.exports = (model) => async (req, res, next) => {
   try {
-    let baseQuery = req.baseQuery || model.find();
-
     let filter = {};
-    if (baseQuery && typeof baseQuery.getFilter === 'function') {
-      filter = baseQuery.getFilter();
-    } else if (!req.baseQuery) {
-      baseQuery = model.find();
+    if (req.baseQuery && typeof req.baseQuery.getFilter === 'function') {
+      filter = req.baseQuery.getFilter();
     }
 
-    // Text search - فقط إذا كان موجود
-    if (req.query.search && typeof req.query.search === 'string' && req.query.search.trim()) {
-      const searchRegex = new RegExp(req.query.search.trim(), 'i');
-      filter = {
-        ...filter,
-        $or: [
-          { name: searchRegex },
-          { description: searchRegex }
-        ]
-      };
-      baseQuery = model.find(filter);
-    } else if (Object.keys(filter).length > 0) {
-      baseQuery = model.find(filter);
+    let radius = null;
+    if (req.query.radius !== undefined) {
+      radius = Number(req.query.radius);
+      if (!(radius > 0)) {
+        return badRequest(res, 'radius must be a positive number of kilometres');
+      }
     }
 
-    // Populate pharmacy data
-    baseQuery = baseQuery.populate('pharmacyId', 'pharmacyName location');
-
-    // Get user location for geolocation search (from query params or authenticated user)
-    let userLat = null;
-    let userLon = null;
-    
-    if (req.query.latitude && req.query.longitude) {
-      userLat = parseFloat(req.query.latitude);
-      userLon = parseFloat(req.query.longitude);
-    } else if (req.user && req.user.location) {
-      userLat = req.user.location.latitude;
-      userLon = req.user.location.longitude;
+    const origin = getRequestLocation(req);
+    if (radius && !origin) {
+      return badRequest(res, 'radius needs a latitude and longitude');
     }
 
-    // Execute query
-    let data = await baseQuery.exec();
+    const textSearch = typeof req.query.search === 'string'
+      ? buildTextSearch(req.query.search)
+      : null;
+    const textFilter = textSearch && { ...filter, $text: { $search: textSearch } };
 
-    // Calculate distances and sort by distance if user location is provided
-    if (userLat !== null && userLon !== null && !isNaN(userLat) && !isNaN(userLon)) {
-      data = data.map(item => {
-        let distance = null;
-        if (item.pharmacyId && item.pharmacyId.location) {
-          const pharmacyLat = item.pharmacyId.location.latitude;
-          const pharmacyLon = item.pharmacyId.location.longitude;
-          distance = calculateDistance(userLat, userLon, pharmacyLat, pharmacyLon);
-        }
-        return {
-          ...item.toObject(),
-          distance: distance ? parseFloat(distance.toFixed(2)) : null
-        };
-      });
+    if (origin) {
+      if (textFilter) {
+        const matches = await model.find(textFilter)
+          .select(textScore)
+          .sort(textScore)
+          .limit(getGeoSearchLimit());
+        filter = { ...filter, _id: { $in: matches.map((match) => match._id) } };
+      }
 
-      // Sort by distance (closest first)
-      data.sort((a, b) => {
-        if (a.distance === null && b.distance === null) return 0;
-        if (a.distance === null) return 1;
-        if (b.distance === null) return -1;
-        return a.distance - b.distance;
-      });
+      req.aggregation = {
+        model: User,
+        pipeline: buildGeoPipeline(model, filter, origin, radius, req.pharmacyFilter)
+      };
+      req.baseQuery = model.find(filter);
+    } else if (textFilter) {
+      req.baseQuery = model.find(textFilter).select(textScore);
+      req.defaultSort = textScore;
+    } else {
+      req.baseQuery = model.find(filter);
     }
 
-    // Store search results in req.searchResults
-    req.searchResults = data;
-    req.baseQuery = model.find(Object.keys(filter).length > 0 ? filter : {});
-
     next();
   } catch (err) {
     console.error('Search Middleware Error:', err);
     next(err);
   }
 };
-
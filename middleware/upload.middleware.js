@@ -5,11 +5,15 @@ const fs = require('fs');
 const allowedExtensions = ['.jpg', '.jpeg', '.png'];
 const allowedMimeTypes = ['image/jpeg', 'image/png'];
 
-const storage = multer.diskStorage({
+// Public uploads are served by the /img static route; private ones never are
+const publicRoot = path.join(__dirname, '..', 'uploads');
+const privateRoot = process.env.PRIVATE_UPLOAD_DIR || path.join(__dirname, '..', 'private-uploads');
+
+const createStorage = (root) => multer.diskStorage({
     destination: (req, file, cb) => {
         try {
             const folder = req.uploadFolder || 'products';
-            const uploadPath = path.join(__dirname, '..', 'uploads', folder);
+            const uploadPath = path.join(root, folder);
 
             if (!fs.existsSync(uploadPath)) {
                 fs.mkdirSync(uploadPath, { recursive: true });
@@ -40,10 +44,20 @@ const fileFilter = (req, file, cb) => {
     cb(null, true);
 };
 
+const limits = { fileSize: 5 * 1024 * 1024 };
+
 const upload = multer({
-    storage,
+    storage: createStorage(publicRoot),
+    fileFilter,
+    limits
+});
+
+upload.private = multer({
+    storage: createStorage(privateRoot),
     fileFilter,
-    limits: { fileSize: 5 * 1024 * 1024 }
+    limits
 });
 
+upload.privateRoot = privateRoot;
+
 module.exports = upload;
@@ -0,0 +1,28 @@
+const logger = require("../utilities/logger.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const responsesStatus = require("../utilities/responses.status.util");
+const { requiresVerifiedEmail } = require("../config/verification.config");
+
+const requireVerifiedEmail = (action) => (req, res, next) => {
+  if (!req.user) {
+    logger.warn("Verified email check failed: no user found.");
+    return res.status(STATUS_CODES.UNAUTHORIZED).json({
+      status: responsesStatus.FAIL,
+      message: "Authentication required. Please log in first.",
+    });
+  }
+
+  if (!req.user.emailVerified && requiresVerifiedEmail(req.user.role, action)) {
+    logger.warn(
+      `Access denied: '${req.user.email}' must verify email before '${action}'.`
+    );
+    return res.status(STATUS_CODES.FORBIDDEN).json({
+      status: responsesStatus.FAIL,
+      message: "Please verify your email address to perform this action.",
+    });
+  }
+
+  next();
+};
+
+module.exports = requireVerifiedEmail;
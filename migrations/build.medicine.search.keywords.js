@@ -0,0 +1,75 @@
+/**
+ * Prepares existing medicines for full-text search: copies generic and brand
+ * names from the catalog onto linked listings, builds the search keywords of
+ * every listing and creates the text index.
+ *
+ *   node migrations/build.medicine.search.keywords.js [--apply]
+ *
+ * Without --apply it only reports how many medicines have no keywords yet.
+ * Safe to run again; keywords are rebuilt from the stored fields.
+ */
+const dotenv = require("dotenv");
+dotenv.config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.config");
+const Medicine = require("../models/medicine.model");
+const Product = require("../models/product.model");
+const { syncListings } = require("../services/catalog.service");
+const logger = require("../utilities/logger.util");
+
+const apply = process.argv.includes("--apply");
+const BATCH_SIZE = 500;
+
+const run = async () => {
+  await connectDB();
+
+  const pending = await Medicine.countDocuments({ searchKeywords: { $exists: false } });
+
+  if (!apply) {
+    logger.info(
+      `Migration | build-medicine-search-keywords | dry run | ${pending} medicines without search keywords`
+    );
+    return;
+  }
+
+  await Medicine.createIndexes();
+
+  // syncListings rebuilds the keywords of the listings it updates
+  const productIds = await Medicine.distinct("product", { product: { $ne: null } });
+  const products = await Product.find({ _id: { $in: productIds } });
+  for (const product of products) {
+    await syncListings(product);
+  }
+
+  let unlinked = 0;
+  let lastId = null;
+  for (;;) {
+    const batch = await Medicine.find({
+      product: null,
+      ...(lastId && { _id: { $gt: lastId } }),
+    })
+      .sort({ _id: 1 })
+      .limit(BATCH_SIZE)
+      .select("_id")
+      .lean();
+    if (batch.length === 0) break;
+
+    unlinked += await Medicine.refreshSearchKeywords({
+      _id: { $in: batch.map((medicine) => medicine._id) },
+    });
+    lastId = batch[batch.length - 1]._id;
+  }
+
+  logger.info(
+    `Migration | build-medicine-search-keywords | listings of ${products.length} products ` +
+      `and ${unlinked} unlinked medicines indexed, text index ready`
+  );
+};
+
+run()
+  .catch((err) => {
+    logger.error(`Migration | build-medicine-search-keywords failed | ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
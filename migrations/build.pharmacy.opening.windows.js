@@ -0,0 +1,47 @@
+/**
+ * Builds the stored opening windows of pharmacies that published opening
+ * hours before the windows existed, and creates their index. Until then the
+ * openNow/openAt filters find none of them; afterwards a daily job keeps the
+ * windows current.
+ *
+ *   node migrations/build.pharmacy.opening.windows.js [--apply]
+ *
+ * Without --apply it only reports how many pharmacies have hours. Safe to
+ * run again; the windows are rebuilt from the hours.
+ */
+const dotenv = require("dotenv");
+dotenv.config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.config");
+const Pharmacy = require("../models/pharmacy.model");
+const { refreshOpeningWindows } = require("../services/pharmacy.directory.service");
+const logger = require("../utilities/logger.util");
+
+const apply = process.argv.includes("--apply");
+
+const run = async () => {
+  await connectDB();
+
+  if (!apply) {
+    const pending = await Pharmacy.countDocuments({ openingHours: { $ne: null } });
+    logger.info(
+      `Migration | build-pharmacy-opening-windows | dry run | ${pending} pharmacies with opening hours`
+    );
+    return;
+  }
+
+  await Pharmacy.createIndexes();
+  const refreshed = await refreshOpeningWindows();
+
+  logger.info(
+    `Migration | build-pharmacy-opening-windows | ${refreshed} pharmacies updated, index ready`
+  );
+};
+
+run()
+  .catch((err) => {
+    logger.error(`Migration | build-pharmacy-opening-windows failed | ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
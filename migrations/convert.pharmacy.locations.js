@@ -0,0 +1,72 @@
+/**
+ * Converts pharmacy locations from { latitude, longitude } pairs to GeoJSON
+ * points and builds the 2dsphere index that medicine search relies on.
+ *
+ *   node migrations/convert.pharmacy.locations.js [--apply]
+ *
+ * Without --apply it only reports how many pharmacies would change. Safe to
+ * run again: converted pharmacies no longer match.
+ */
+const dotenv = require("dotenv");
+dotenv.config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.config");
+const Pharmacy = require("../models/pharmacy.model");
+const logger = require("../utilities/logger.util");
+
+const apply = process.argv.includes("--apply");
+
+const LEGACY_LOCATION = {
+  kind: "Pharmacy",
+  "location.latitude": { $type: "number" },
+  "location.longitude": { $type: "number" },
+};
+
+const run = async () => {
+  await connectDB();
+
+  // Raw collection calls: the model's setter and validation expect the new shape
+  const collection = Pharmacy.collection;
+  const pending = await collection.countDocuments(LEGACY_LOCATION);
+
+  if (apply) {
+    const { modifiedCount } = await collection.updateMany(LEGACY_LOCATION, [
+      {
+        $set: {
+          location: {
+            type: "Point",
+            coordinates: ["$location.longitude", "$location.latitude"],
+          },
+        },
+      },
+    ]);
+    await Pharmacy.createIndexes();
+
+    logger.info(
+      `Migration | convert-pharmacy-locations | ${modifiedCount} pharmacies converted, 2dsphere index ready`
+    );
+  } else {
+    logger.info(
+      `Migration | convert-pharmacy-locations | dry run | ${pending} pharmacies to convert`
+    );
+  }
+
+  const withoutLocation =
+    (await collection.countDocuments({
+      kind: "Pharmacy",
+      "location.coordinates": { $exists: false },
+    })) - (apply ? 0 : pending);
+  if (withoutLocation > 0) {
+    logger.warn(
+      `Migration | convert-pharmacy-locations | ${withoutLocation} pharmacies have no usable location and stay out of nearby search`
+    );
+  }
+};
+
+run()
+  .catch((err) => {
+    logger.error(`Migration | convert-pharmacy-locations failed | ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,61 @@
+/**
+ * Sets Medicine.pharmacyApproved from each pharmacy's verification and
+ * account status (see isListedPharmacy), so public listings can filter on
+ * it, and creates the index for it.
+ *
+ *   node migrations/flag.approved.pharmacy.medicines.js [--apply]
+ *
+ * Without --apply it only reports how many medicines would change. Safe to
+ * run again: the flag is recomputed from the pharmacies.
+ */
+const dotenv = require("dotenv");
+dotenv.config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.config");
+const Medicine = require("../models/medicine.model");
+const Pharmacy = require("../models/pharmacy.model");
+const { isListedPharmacy } = require("../services/pharmacy.directory.service");
+const logger = require("../utilities/logger.util");
+
+const apply = process.argv.includes("--apply");
+
+const run = async () => {
+  await connectDB();
+
+  let pending = 0;
+  let updated = 0;
+  const pharmacies = Pharmacy.find({}).select("verificationStatus status").lean().cursor();
+
+  for await (const pharmacy of pharmacies) {
+    const listed = isListedPharmacy(pharmacy);
+    const filter = { pharmacyId: pharmacy._id, pharmacyApproved: { $ne: listed } };
+
+    if (apply) {
+      const { modifiedCount } = await Medicine.updateMany(filter, {
+        pharmacyApproved: listed,
+      });
+      updated += modifiedCount;
+    } else {
+      pending += await Medicine.countDocuments(filter);
+    }
+  }
+
+  if (apply) {
+    await Medicine.createIndexes();
+    logger.info(
+      `Migration | flag-approved-pharmacy-medicines | ${updated} medicines updated, index ready`
+    );
+  } else {
+    logger.info(
+      `Migration | flag-approved-pharmacy-medicines | dry run | ${pending} medicines to update`
+    );
+  }
+};
+
+run()
+  .catch((err) => {
+    logger.error(`Migration | flag-approved-pharmacy-medicines failed | ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
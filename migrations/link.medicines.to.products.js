@@ -0,0 +1,90 @@
+/**
+ * Links existing pharmacy medicines to catalog products by name.
+ *
+ *   node migrations/link.medicines.to.products.js [--apply] [--create-missing]
+ *
+ * Without --apply it only reports what would change. --create-missing adds a
+ * catalog product for every name no product matches (one per spelling after
+ * normalization), so curators can merge duplicates afterwards.
+ */
+const dotenv = require("dotenv");
+dotenv.config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.config");
+const Product = require("../models/product.model");
+const Medicine = require("../models/medicine.model");
+const {
+  matchProduct,
+  normalizeMedicineName,
+  syncListings,
+} = require("../services/catalog.service");
+const logger = require("../utilities/logger.util");
+
+const apply = process.argv.includes("--apply");
+const createMissing = process.argv.includes("--create-missing");
+
+const run = async () => {
+  await connectDB();
+
+  const products = await Product.find({ isActive: true, mergedInto: null });
+  const medicines = await Medicine.find({ product: null }).select(
+    "name description"
+  );
+
+  const matched = new Map();
+  const unmatched = new Map();
+
+  medicines.forEach((medicine) => {
+    const product = matchProduct(medicine.name, products);
+    const key = product
+      ? String(product._id)
+      : normalizeMedicineName(medicine.name);
+    const groups = product ? matched : unmatched;
+
+    if (!groups.has(key)) groups.set(key, { product, medicines: [] });
+    groups.get(key).medicines.push(medicine);
+  });
+
+  if (createMissing) {
+    for (const [key, group] of unmatched) {
+      const [first] = group.medicines;
+      group.product = apply
+        ? await Product.create({
+            genericName: first.name,
+            description: first.description,
+          })
+        : { _id: `(new) ${key}` };
+      matched.set(String(group.product._id), group);
+    }
+    unmatched.clear();
+  }
+
+  let linked = 0;
+  for (const { product, medicines: group } of matched.values()) {
+    linked += group.length;
+    if (apply) {
+      await syncListings(product, { _id: { $in: group.map((m) => m._id) } });
+    }
+  }
+
+  const leftOver = [...unmatched.values()].reduce(
+    (count, group) => count + group.medicines.length,
+    0
+  );
+
+  logger.info(
+    `Migration | link-medicines-to-products | ${apply ? "applied" : "dry run"} | ` +
+      `${linked} medicines linked to ${matched.size} products, ${leftOver} unmatched`
+  );
+  unmatched.forEach((group, name) =>
+    logger.info(`Migration | unmatched | "${name}" x${group.medicines.length}`)
+  );
+};
+
+run()
+  .catch((err) => {
+    logger.error(`Migration | link-medicines-to-products failed | ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
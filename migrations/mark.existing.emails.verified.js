@@ -0,0 +1,50 @@
+/**
+ * Marks accounts created before email verification existed as verified, so
+ * the verified-email checks do not lock their owners out.
+ *
+ *   node migrations/mark.existing.emails.verified.js [--apply]
+ *
+ * Without --apply it only reports how many accounts would change. Safe to
+ * run again: accounts created since always have the field, so only legacy
+ * accounts match.
+ */
+const dotenv = require("dotenv");
+dotenv.config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.config");
+const User = require("../models/user.model");
+const logger = require("../utilities/logger.util");
+
+const apply = process.argv.includes("--apply");
+
+const LEGACY_ACCOUNT = { emailVerified: { $exists: false } };
+
+const run = async () => {
+  await connectDB();
+
+  // Raw collection calls: the model fills in the false default on load
+  const collection = User.collection;
+
+  if (apply) {
+    const { modifiedCount } = await collection.updateMany(LEGACY_ACCOUNT, {
+      $set: { emailVerified: true },
+    });
+
+    logger.info(
+      `Migration | mark-existing-emails-verified | ${modifiedCount} accounts marked verified`
+    );
+  } else {
+    const pending = await collection.countDocuments(LEGACY_ACCOUNT);
+    logger.info(
+      `Migration | mark-existing-emails-verified | dry run | ${pending} accounts to mark verified`
+    );
+  }
+};
+
+run()
+  .catch((err) => {
+    logger.error(`Migration | mark-existing-emails-verified failed | ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,81 @@
+/**
+ * Rewrites phone numbers stored before E.164 normalization existed (e.g.
+ * 01012345678) as +201012345678, so the unique index compares like with
+ * like.
+ *
+ *   node migrations/normalize.user.phones.js [--apply]
+ *
+ * Without --apply it only reports what would change. A number that another
+ * account already holds in normalized form is a collision: it is reported by
+ * account id and left as it is for support to resolve, as are numbers that
+ * cannot be normalized. Safe to run again; normalized numbers are skipped.
+ */
+const dotenv = require("dotenv");
+dotenv.config();
+
+const mongoose = require("mongoose");
+const connectDB = require("../config/db.config");
+const User = require("../models/user.model");
+const { normalizePhone } = require("../utilities/phone.util");
+const logger = require("../utilities/logger.util");
+
+const apply = process.argv.includes("--apply");
+
+// Anonymized accounts hold a placeholder, not a number
+const WITH_NUMBER = { phone: { $not: /^deleted-/ } };
+
+const run = async () => {
+  await connectDB();
+
+  const collection = User.collection;
+  // Numbers claimed earlier in this run, so a dry run sees its own collisions
+  const claimed = new Set();
+  const collisions = [];
+  const invalid = [];
+  let normalized = 0;
+
+  const users = collection.find(WITH_NUMBER, { projection: { phone: 1 } });
+  for await (const user of users) {
+    const phone = normalizePhone(user.phone);
+    if (phone === user.phone) continue;
+    if (!phone) {
+      invalid.push(user._id);
+      continue;
+    }
+
+    const taken =
+      claimed.has(phone) ||
+      (await collection.countDocuments({ phone, _id: { $ne: user._id } }, { limit: 1 }));
+    if (taken) {
+      collisions.push(user._id);
+      continue;
+    }
+
+    claimed.add(phone);
+    if (apply) await collection.updateOne({ _id: user._id }, { $set: { phone } });
+    normalized += 1;
+  }
+
+  logger.info(
+    `Migration | normalize-user-phones | ${apply ? "" : "dry run | "}` +
+      `${normalized} phones ${apply ? "normalized" : "to normalize"}, ` +
+      `${collisions.length} collisions, ${invalid.length} invalid`
+  );
+  if (collisions.length > 0) {
+    logger.warn(
+      `Migration | normalize-user-phones | collisions left unchanged | ${collisions.join(", ")}`
+    );
+  }
+  if (invalid.length > 0) {
+    logger.warn(
+      `Migration | normalize-user-phones | invalid numbers left unchanged | ${invalid.join(", ")}`
+    );
+  }
+};
+
+run()
+  .catch((err) => {
+    logger.error(`Migration | normalize-user-phones failed | ${err.message}`);
+    process.exitCode = 1;
+  })
+  .finally(() => mongoose.disconnect());
@@ -0,0 +1,66 @@
+const mongoose = require("mongoose");
+
+// Scopes an API key can carry; each is a permission from config/permissions.config.js
+const API_KEY_SCOPES = ["medicine:create", "medicine:update"];
+
+const apiKeySchema = new mongoose.Schema(
+  {
+    pharmacy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "API key must belong to a pharmacy"],
+      index: true,
+    },
+    name: {
+      type: String,
+      required: [true, "Please give the API key a name"],
+      trim: true,
+      maxlength: [100, "API key name must be at most 100 characters"],
+    },
+    // Shown in listings so owners can tell keys apart; not enough to authenticate
+    prefix: {
+      type: String,
+      required: true,
+    },
+    keyHash: {
+      type: String,
+      required: true,
+      unique: true,
+      select: false,
+    },
+    scopes: {
+      type: [
+        {
+          type: String,
+          enum: API_KEY_SCOPES,
+        },
+      ],
+      validate: {
+        validator: (scopes) => scopes.length > 0,
+        message: "An API key needs at least one scope",
+      },
+    },
+    // Exact addresses or CIDR ranges; empty allows any address
+    allowedIps: {
+      type: [String],
+      default: [],
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    lastUsedAt: Date,
+    lastUsedIp: String,
+    rotatedAt: Date,
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+apiKeySchema.statics.SCOPES = API_KEY_SCOPES;
+
+const ApiKey = mongoose.model("ApiKey", apiKeySchema);
+module.exports = ApiKey;
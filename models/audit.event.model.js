@@ -0,0 +1,57 @@
+const mongoose = require("mongoose");
+
+const AUDIT_OUTCOMES = ["success", "failure", "denied"];
+
+// One security-relevant action: who did what to which record, from where
+const auditEventSchema = new mongoose.Schema(
+  {
+    // Null when nobody is logged in, e.g. a failed login for an unknown email
+    actor: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+      index: true,
+    },
+    actorEmail: String,
+    actorRole: String,
+    // Admin acting as the actor through a support impersonation session
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    action: {
+      type: String,
+      required: [true, "Audit events need an action"],
+      index: true,
+    },
+    target: {
+      type: {
+        type: String,
+      },
+      id: {
+        type: mongoose.Schema.Types.ObjectId,
+        index: true,
+      },
+    },
+    outcome: {
+      type: String,
+      enum: AUDIT_OUTCOMES,
+      default: "success",
+    },
+    ip: String,
+    userAgent: String,
+    metadata: {
+      type: mongoose.Schema.Types.Mixed,
+      default: {},
+    },
+  },
+  { timestamps: { createdAt: true, updatedAt: false } }
+);
+
+auditEventSchema.index({ createdAt: -1 });
+
+auditEventSchema.statics.OUTCOMES = AUDIT_OUTCOMES;
+
+const AuditEvent = mongoose.model("AuditEvent", auditEventSchema);
+module.exports = AuditEvent;
@@ -1,17 +1,52 @@
 const mongoose = require('mongoose');
+const { buildSearchKeywords } = require('../utilities/search.text.util');
 const Schema = mongoose.Schema;
 
+// Fields the search keywords are built from
+const SEARCH_FIELDS = ['name', 'description', 'genericName', 'brandName'];
+
+function isUnlinked() {
+    return !this.product;
+}
+
 const medicineSchema = new Schema({
+    // Catalog entry this listing sells. Linked listings copy their name and
+    // description from it; price, quantity and image stay per pharmacy.
+    product: {
+        type: Schema.Types.ObjectId,
+        ref: 'Product',
+        default: null,
+        index: true
+    },
     name: {
         type: String,
-        required: [true, 'Medicine name is required'],
+        required: [isUnlinked, 'Medicine name is required'],
         trim: true
     },
     description: {
         type: String,
-        required: [true, 'Medicine description is required'],
+        required: [isUnlinked, 'Medicine description is required'],
+        trim: true
+    },
+    // Copied from the catalog product so search can match them
+    genericName: {
+        type: String,
+        trim: true
+    },
+    brandName: {
+        type: String,
         trim: true
     },
+    // Normalized words and sound-alike keys for the text index (see
+    // search.text.util); rebuilt whenever a search field changes
+    searchKeywords: {
+        type: [String],
+        select: false
+    },
+    fuzzyKeywords: {
+        type: [String],
+        select: false
+    },
     price: {
         type: Number,
         required: [true, 'Medicine price is required'],
@@ -30,20 +65,115 @@ const medicineSchema = new Schema({
     },
     image: {
         type: String,
-        required: [true, 'Medicine image is required'],
+        required: [isUnlinked, 'Medicine image is required'],
         trim: true
     },
     pharmacyId: {
         type: Schema.Types.ObjectId,
         ref: 'User',
-        required: [true, 'Pharmacy ID is required']
+        required: [true, 'Pharmacy ID is required'],
+        index: true
     },
     isActive: {
         type: Boolean,
         default: true
+    },
+    // Whether the pharmacy is approved and not suspended (isListedPharmacy),
+    // kept in step by the admin review, suspension and reactivation so
+    // public listings need no join or id list
+    pharmacyApproved: {
+        type: Boolean,
+        default: false
+    },
+    // The pharmacy owner or staff member who made the change
+    createdBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
+    },
+    updatedBy: {
+        type: Schema.Types.ObjectId,
+        ref: 'User'
     }
 }, {
     timestamps: true
 });
 
+medicineSchema.index({ pharmacyApproved: 1, isActive: 1 });
+
+// Stemming is off (default_language none): names are brand names, often in
+// Arabic, and the keywords are already normalized
+medicineSchema.index(
+    {
+        name: 'text',
+        brandName: 'text',
+        genericName: 'text',
+        searchKeywords: 'text',
+        description: 'text',
+        fuzzyKeywords: 'text'
+    },
+    {
+        name: 'medicine_search',
+        default_language: 'none',
+        weights: {
+            name: 10,
+            brandName: 10,
+            genericName: 8,
+            searchKeywords: 5,
+            description: 2,
+            fuzzyKeywords: 1
+        }
+    }
+);
+
+const keywordsOf = (medicine) =>
+    buildSearchKeywords(SEARCH_FIELDS.map((field) => medicine[field]));
+
+medicineSchema.pre('save', function (next) {
+    if (SEARCH_FIELDS.some((field) => this.isModified(field))) {
+        Object.assign(this, keywordsOf(this));
+    }
+    next();
+});
+
+/**
+ * Rebuilds the search keywords of the medicines matching filter from what
+ * is stored. Returns how many were updated.
+ */
+medicineSchema.statics.refreshSearchKeywords = async function (filter = {}) {
+    const medicines = await this.find(filter).select(SEARCH_FIELDS.join(' ')).lean();
+    if (medicines.length === 0) return 0;
+
+    await this.bulkWrite(medicines.map((medicine) => ({
+        updateOne: {
+            filter: { _id: medicine._id },
+            update: { $set: keywordsOf(medicine) }
+        }
+    })));
+    return medicines.length;
+};
+
+const UPDATE_OPS = ['findOneAndUpdate', 'updateOne', 'updateMany'];
+
+const changesSearchFields = (query) => {
+    const update = query.getUpdate() || {};
+    const changed = { ...update, ...update.$set, ...update.$unset };
+    return SEARCH_FIELDS.some((field) => field in changed);
+};
+
+// Query updates only carry the changed fields, so keywords are rebuilt from
+// the stored documents afterwards. The documents are picked before the
+// update, since it may change what the filter matches (merging products
+// moves listings off the product they were found by).
+medicineSchema.pre(UPDATE_OPS, async function () {
+    if (changesSearchFields(this)) {
+        this._searchKeywordIds = await this.model.find(this.getFilter()).distinct('_id');
+    }
+});
+
+medicineSchema.post(UPDATE_OPS, async function () {
+    if (this._searchKeywordIds && this._searchKeywordIds.length > 0) {
+        await this.model.refreshSearchKeywords({ _id: { $in: this._searchKeywordIds } });
+    }
+});
+
 module.exports = mongoose.model('Medicine', medicineSchema);
\ No newline at end of file
@@ -1,5 +1,88 @@
 const mongoose = require("mongoose");
 const User = require("./user.model");
+const { toGeoPoint, fromGeoPoint } = require("../utilities/location.util");
+const {
+  WEEKDAYS,
+  TIME_PATTERN,
+  DATE_PATTERN,
+  getDefaultTimeZone,
+  isValidTimeZone,
+} = require("../utilities/opening.hours.util");
+
+const VERIFICATION_STATUSES = ["pending", "approved", "rejected", "suspended"];
+
+const geoPointSchema = new mongoose.Schema(
+  {
+    type: {
+      type: String,
+      enum: ["Point"],
+      default: "Point",
+    },
+    coordinates: {
+      type: [Number],
+      required: [true, "Please provide latitude and longitude"],
+      validate: {
+        validator: ([longitude, latitude] = []) =>
+          longitude >= -180 && longitude <= 180 && latitude >= -90 && latitude <= 90,
+        message: "Location must contain a valid latitude and longitude",
+      },
+    },
+  },
+  { _id: false }
+);
+
+const intervalSchema = new mongoose.Schema(
+  {
+    open: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, "Opening time must be HH:MM"],
+    },
+    // At or before open means the interval runs past midnight
+    close: {
+      type: String,
+      required: true,
+      match: [TIME_PATTERN, "Closing time must be HH:MM"],
+    },
+  },
+  { _id: false }
+);
+
+const openingHoursSchema = new mongoose.Schema(
+  {
+    timezone: {
+      type: String,
+      default: getDefaultTimeZone,
+      validate: {
+        validator: isValidTimeZone,
+        message: "Please provide a valid IANA time zone",
+      },
+    },
+    alwaysOpen: {
+      type: Boolean,
+      default: false,
+    },
+    weekly: Object.fromEntries(WEEKDAYS.map((day) => [day, [intervalSchema]])),
+    // Holidays and one-off closures; replace the weekly hours on that date
+    exceptions: [
+      {
+        _id: false,
+        date: {
+          type: String,
+          required: true,
+          match: [DATE_PATTERN, "Exception date must be YYYY-MM-DD"],
+        },
+        closed: {
+          type: Boolean,
+          default: false,
+        },
+        intervals: [intervalSchema],
+        note: String,
+      },
+    ],
+  },
+  { _id: false }
+);
 
 const pharmacySchema = new mongoose.Schema({
   pharmacyName: {
@@ -22,17 +105,91 @@ const pharmacySchema = new mongoose.Schema({
     type: String,
     required: [true, "Owner ID back image is required"],
   },
+  // Stored as a GeoJSON point for $geoNear; assigning { latitude, longitude }
+  // converts it, and JSON output shows that shape again
   location: {
-    latitude: {
-      type: Number,
-      required: [true, "Please provide latitude"],
-    },
-    longitude: {
-      type: Number,
-      required: [true, "Please provide longitude"],
+    type: geoPointSchema,
+    required: [true, "Please provide a location"],
+    set: toGeoPoint,
+  },
+  // Unset until the pharmacy publishes its hours; open/closed is unknown then
+  openingHours: {
+    type: openingHoursSchema,
+    default: undefined,
+  },
+  // openingHours as UTC windows around today, so open-at filters can be a
+  // query (see buildOpeningWindows). Rebuilt when the hours change and
+  // rolled forward daily by the directory service.
+  openingWindows: {
+    type: [{ _id: false, opensAt: Date, closesAt: Date }],
+    default: undefined,
+    select: false,
+  },
+  verificationStatus: {
+    type: String,
+    enum: VERIFICATION_STATUSES,
+    default: "pending",
+  },
+  verificationNotes: String,
+  verificationHistory: [
+    {
+      _id: false,
+      status: {
+        type: String,
+        enum: VERIFICATION_STATUSES,
+      },
+      note: String,
+      reviewedBy: {
+        type: mongoose.Schema.Types.ObjectId,
+        ref: "User",
+      },
+      reviewedAt: {
+        type: Date,
+        default: Date.now,
+      },
     },
+  ],
+});
+
+pharmacySchema.set("toJSON", {
+  transform: (doc, ret) => {
+    if (ret.location) ret.location = fromGeoPoint(ret.location);
+    return ret;
   },
 });
 
+// Pharmacies share the users collection with customers, whose locations are
+// plain pairs, so the index only covers pharmacies
+pharmacySchema.index(
+  { location: "2dsphere" },
+  { partialFilterExpression: { kind: "Pharmacy" } }
+);
+
+pharmacySchema.index(
+  { "openingWindows.opensAt": 1, "openingWindows.closesAt": 1 },
+  { partialFilterExpression: { kind: "Pharmacy" } }
+);
+
+pharmacySchema.statics.VERIFICATION_STATUSES = VERIFICATION_STATUSES;
+
+pharmacySchema.methods.isApproved = function () {
+  return this.verificationStatus === "approved";
+};
+
+pharmacySchema.methods.setVerificationStatus = function (
+  status,
+  reviewerId,
+  note
+) {
+  this.verificationStatus = status;
+  this.verificationNotes = note;
+  this.verificationHistory.push({
+    status,
+    note,
+    reviewedBy: reviewerId,
+    reviewedAt: Date.now(),
+  });
+};
+
 const Pharmacy = User.discriminator("Pharmacy", pharmacySchema);
 module.exports = Pharmacy;
@@ -0,0 +1,59 @@
+const mongoose = require("mongoose");
+const crypto = require("crypto");
+const User = require("./user.model");
+
+const STAFF_PERMISSIONS = ["inventory:write", "orders:fulfil", "reports:read"];
+
+const pharmacyStaffSchema = new mongoose.Schema({
+  pharmacy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+    required: [true, "Staff member must belong to a pharmacy"],
+    index: true,
+  },
+  permissions: {
+    type: [
+      {
+        type: String,
+        enum: STAFF_PERMISSIONS,
+      },
+    ],
+    default: [],
+  },
+  invitedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: "User",
+  },
+  inviteToken: {
+    type: String,
+    select: false,
+  },
+  inviteExpires: {
+    type: Date,
+    select: false,
+  },
+  inviteAcceptedAt: Date,
+});
+
+pharmacyStaffSchema.statics.PERMISSIONS = STAFF_PERMISSIONS;
+
+pharmacyStaffSchema.methods.hasPermission = function (permission) {
+  return this.permissions.includes(permission);
+};
+
+pharmacyStaffSchema.methods.createInviteToken = function () {
+  const inviteToken = crypto.randomBytes(32).toString("hex");
+
+  this.inviteToken = crypto
+    .createHash("sha256")
+    .update(inviteToken)
+    .digest("hex");
+  this.inviteExpires =
+    Date.now() +
+    parseInt(process.env.STAFF_INVITE_EXPIRES_IN_HOURS || 72) * 60 * 60 * 1000;
+
+  return inviteToken;
+};
+
+const PharmacyStaff = User.discriminator("PharmacyStaff", pharmacyStaffSchema);
+module.exports = PharmacyStaff;
@@ -0,0 +1,39 @@
+const mongoose = require("mongoose");
+
+const phoneOtpSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "OTP must belong to a user"],
+      unique: true,
+    },
+    phone: {
+      type: String,
+      required: [true, "OTP phone number is required"],
+    },
+    codeHash: {
+      type: String,
+      required: [true, "OTP code hash is required"],
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "OTP expiry is required"],
+    },
+    attempts: {
+      type: Number,
+      default: 0,
+    },
+    lastSentAt: {
+      type: Date,
+      required: [true, "OTP send time is required"],
+    },
+  },
+  { timestamps: true }
+);
+
+// Clean up codes once they have expired
+phoneOtpSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const PhoneOtp = mongoose.model("PhoneOtp", phoneOtpSchema);
+module.exports = PhoneOtp;
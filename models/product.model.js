@@ -0,0 +1,90 @@
+const mongoose = require("mongoose");
+
+const DOSAGE_FORMS = [
+  "tablet",
+  "capsule",
+  "syrup",
+  "suspension",
+  "drops",
+  "injection",
+  "cream",
+  "ointment",
+  "gel",
+  "inhaler",
+  "suppository",
+  "sachet",
+  "other",
+];
+
+// One entry per drug presentation in the shared catalog. Pharmacy listings
+// (Medicine) reference it and add their own price, stock and image.
+const productSchema = new mongoose.Schema(
+  {
+    genericName: {
+      type: String,
+      required: [true, "Generic name is required"],
+      trim: true,
+    },
+    brandName: {
+      type: String,
+      trim: true,
+    },
+    strength: {
+      type: String,
+      trim: true,
+    },
+    dosageForm: {
+      type: String,
+      enum: DOSAGE_FORMS,
+    },
+    packSize: {
+      type: String,
+      trim: true,
+    },
+    manufacturer: {
+      type: String,
+      trim: true,
+    },
+    barcode: {
+      type: String,
+      trim: true,
+      unique: true,
+      sparse: true,
+    },
+    description: {
+      type: String,
+      trim: true,
+    },
+    image: {
+      type: String,
+      trim: true,
+    },
+    isActive: {
+      type: Boolean,
+      default: true,
+    },
+    // Set when curators fold a duplicate entry into another one
+    mergedInto: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "Product",
+      default: null,
+    },
+    createdBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+productSchema.index({ genericName: 1, strength: 1 });
+productSchema.index({ brandName: 1 });
+
+productSchema.statics.DOSAGE_FORMS = DOSAGE_FORMS;
+
+const Product = mongoose.model("Product", productSchema);
+module.exports = Product;
@@ -0,0 +1,56 @@
+const mongoose = require("mongoose");
+
+const refreshTokenSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Refresh token must belong to a user"],
+      index: true,
+    },
+    tokenHash: {
+      type: String,
+      required: [true, "Refresh token hash is required"],
+      unique: true,
+    },
+    family: {
+      type: String,
+      required: [true, "Refresh token family is required"],
+      index: true,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Refresh token expiry is required"],
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "rotated",
+        "logout",
+        "logout-all",
+        "reuse-detected",
+        "password-change",
+        "admin-revoked",
+        "session-revoked",
+        "account-deleted",
+        null,
+      ],
+      default: null,
+    },
+    replacedBy: {
+      type: String,
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Let MongoDB drop tokens once they can no longer be used
+refreshTokenSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const RefreshToken = mongoose.model("RefreshToken", refreshTokenSchema);
+module.exports = RefreshToken;
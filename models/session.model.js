@@ -0,0 +1,61 @@
+const mongoose = require("mongoose");
+
+const sessionSchema = new mongoose.Schema(
+  {
+    user: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      required: [true, "Session must belong to a user"],
+      index: true,
+    },
+    // Refresh token family issued for this session
+    family: {
+      type: String,
+      required: [true, "Session token family is required"],
+      unique: true,
+    },
+    // Set for support sessions an admin opened as this user
+    impersonatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+      default: null,
+    },
+    userAgent: String,
+    device: String,
+    ip: String,
+    lastSeenAt: {
+      type: Date,
+      default: Date.now,
+    },
+    expiresAt: {
+      type: Date,
+      required: [true, "Session expiry is required"],
+    },
+    revokedAt: {
+      type: Date,
+      default: null,
+    },
+    revokedReason: {
+      type: String,
+      enum: [
+        "logout",
+        "logout-all",
+        "reuse-detected",
+        "password-change",
+        "admin-revoked",
+        "session-revoked",
+        "account-deleted",
+        "impersonation-ended",
+        null,
+      ],
+      default: null,
+    },
+  },
+  { timestamps: true }
+);
+
+// Sessions end with their last refresh token
+sessionSchema.index({ expiresAt: 1 }, { expireAfterSeconds: 0 });
+
+const Session = mongoose.model("Session", sessionSchema);
+module.exports = Session;
@@ -0,0 +1,36 @@
+const mongoose = require("mongoose");
+
+const settingSchema = new mongoose.Schema(
+  {
+    key: {
+      type: String,
+      required: [true, "Setting key is required"],
+      unique: true,
+      trim: true,
+    },
+    value: {
+      type: mongoose.Schema.Types.Mixed,
+    },
+    updatedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: "User",
+    },
+  },
+  { timestamps: true }
+);
+
+settingSchema.statics.getValue = async function (key, defaultValue = null) {
+  const setting = await this.findOne({ key });
+  return setting ? setting.value : defaultValue;
+};
+
+settingSchema.statics.setValue = function (key, value, updatedBy) {
+  return this.findOneAndUpdate(
+    { key },
+    { value, updatedBy },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+};
+
+const Setting = mongoose.model("Setting", settingSchema);
+module.exports = Setting;
@@ -1,5 +1,6 @@
 const mongoose = require("mongoose");
 const bcrypt = require("bcryptjs");
+const crypto = require("crypto");
 
 const userSchema = new mongoose.Schema(
   {
@@ -20,7 +21,7 @@ const userSchema = new mongoose.Schema(
     },
     role: {
       type: String,
-      enum: ["customer", "pharmacy", "admin"],
+      enum: ["customer", "pharmacy", "staff", "admin"],
       default: "customer",
     },
     password: {
@@ -29,12 +30,94 @@ const userSchema = new mongoose.Schema(
       minlength: [8, "Password must be at least 8 characters long"],
       select: false,
     },
+    // E.164; numbers stored before normalization are rewritten by
+    // migrations/normalize.user.phones.js
     phone: {
       type: String,
       required: [true, "Please provide your phone number"],
       unique: true,
       trim: true,
     },
+    phoneVerified: {
+      type: Boolean,
+      default: false,
+    },
+    // Accounts from before verification existed get true from
+    // migrations/mark.existing.emails.verified.js
+    emailVerified: {
+      type: Boolean,
+      default: false,
+    },
+    emailVerificationToken: {
+      type: String,
+      select: false,
+    },
+    emailVerificationExpires: {
+      type: Date,
+      select: false,
+    },
+    emailVerificationSentAt: Date,
+    twoFactorEnabled: {
+      type: Boolean,
+      default: false,
+    },
+    twoFactorSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorPendingSecret: {
+      type: String,
+      select: false,
+    },
+    twoFactorBackupCodes: {
+      type: [String],
+      select: false,
+    },
+    twoFactorEnabledAt: Date,
+    // Time step of the last accepted TOTP code; codes up to it are refused
+    twoFactorLastStep: {
+      type: Number,
+      select: false,
+    },
+    failedLoginAttempts: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lockCount: {
+      type: Number,
+      default: 0,
+      select: false,
+    },
+    lockUntil: Date,
+    passwordChangedAt: Date,
+    passwordResetToken: {
+      type: String,
+      select: false,
+    },
+    passwordResetExpires: {
+      type: Date,
+      select: false,
+    },
+    passwordResetRequired: {
+      type: Boolean,
+      default: false,
+    },
+    status: {
+      type: String,
+      enum: ["active", "suspended", "deleted"],
+      default: "active",
+    },
+    suspendedAt: Date,
+    suspendedReason: String,
+    // Self-service deletion: personal data is anonymized once the grace
+    // period ends; logging in before then cancels it
+    deletionRequestedAt: Date,
+    deletionScheduledFor: {
+      type: Date,
+      index: true,
+    },
+    anonymizedAt: Date,
   },
   { discriminatorKey: "kind", timestamps: true }
 );
@@ -42,6 +125,9 @@ const userSchema = new mongoose.Schema(
 userSchema.pre("save", async function (next) {
   if (!this.isModified("password")) return next();
   this.password = await bcrypt.hash(this.password, 12);
+
+  // Back-date by a second so a token signed right after saving stays valid
+  if (!this.isNew) this.passwordChangedAt = Date.now() - 1000;
   next();
 });
 
@@ -52,5 +138,101 @@ userSchema.methods.correctPassword = async function (
   return await bcrypt.compare(candidatePassword, userPassword);
 };
 
+userSchema.methods.changedPasswordAfter = function (JWTTimestamp) {
+  if (!this.passwordChangedAt) return false;
+
+  const changedTimestamp = Math.floor(this.passwordChangedAt.getTime() / 1000);
+  return JWTTimestamp < changedTimestamp;
+};
+
+userSchema.methods.isLocked = function () {
+  return Boolean(this.lockUntil && this.lockUntil.getTime() > Date.now());
+};
+
+// Each lockout doubles the previous one, up to LOGIN_LOCK_MAX_MINUTES. The
+// counter is bumped in the database so parallel attempts all count, and only
+// the attempt that clears it sets the lock.
+userSchema.methods.registerFailedLogin = async function () {
+  const maxAttempts = parseInt(process.env.LOGIN_MAX_ATTEMPTS || 5);
+  const baseMinutes = parseInt(process.env.LOGIN_LOCK_BASE_MINUTES || 15);
+  const maxMinutes = parseInt(process.env.LOGIN_LOCK_MAX_MINUTES || 24 * 60);
+
+  const counted = await this.constructor
+    .findOneAndUpdate(
+      { _id: this._id },
+      { $inc: { failedLoginAttempts: 1 } },
+      { new: true }
+    )
+    .select("+failedLoginAttempts +lockCount");
+  if (!counted) return;
+
+  this.failedLoginAttempts = counted.failedLoginAttempts;
+  if (counted.failedLoginAttempts < maxAttempts) return;
+
+  const lockMinutes = Math.min(
+    baseMinutes * 2 ** (counted.lockCount || 0),
+    maxMinutes
+  );
+  const locked = await this.constructor
+    .findOneAndUpdate(
+      { _id: this._id, failedLoginAttempts: { $gte: maxAttempts } },
+      {
+        $set: {
+          failedLoginAttempts: 0,
+          lockUntil: new Date(Date.now() + lockMinutes * 60 * 1000),
+        },
+        $inc: { lockCount: 1 },
+      },
+      { new: true }
+    )
+    .select("+failedLoginAttempts +lockCount");
+
+  // Without a match another attempt has just locked the account
+  if (locked) {
+    this.failedLoginAttempts = locked.failedLoginAttempts;
+    this.lockCount = locked.lockCount;
+    this.lockUntil = locked.lockUntil;
+  }
+};
+
+userSchema.methods.resetLoginAttempts = async function () {
+  this.failedLoginAttempts = 0;
+  this.lockCount = 0;
+  this.lockUntil = undefined;
+  await this.save({ validateBeforeSave: false });
+};
+
+userSchema.methods.createPasswordResetToken = function () {
+  const resetToken = crypto.randomBytes(32).toString("hex");
+
+  this.passwordResetToken = crypto
+    .createHash("sha256")
+    .update(resetToken)
+    .digest("hex");
+  this.passwordResetExpires =
+    Date.now() +
+    parseInt(process.env.PASSWORD_RESET_EXPIRES_IN_MINUTES || 30) * 60 * 1000;
+
+  return resetToken;
+};
+
+userSchema.methods.createEmailVerificationToken = function () {
+  const verificationToken = crypto.randomBytes(32).toString("hex");
+
+  this.emailVerificationToken = crypto
+    .createHash("sha256")
+    .update(verificationToken)
+    .digest("hex");
+  this.emailVerificationExpires =
+    Date.now() +
+    parseInt(process.env.EMAIL_VERIFICATION_EXPIRES_IN_HOURS || 24) *
+      60 *
+      60 *
+      1000;
+  this.emailVerificationSentAt = Date.now();
+
+  return verificationToken;
+};
+
 const User = mongoose.model("User", userSchema);
 module.exports = User;
@@ -0,0 +1,579 @@
+const express = require("express");
+const router = express.Router();
+const authenticate = require("../middleware/auth.middleware");
+const requirePermission = require("../middleware/permission.middleware");
+const adminController = require("../controllers/admin.controller");
+const paginate = require("../middleware/paginate.middleware");
+const Pharmacy = require("../models/pharmacy.model");
+const User = require("../models/user.model");
+const AuditEvent = require("../models/audit.event.model");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Admin
+ *   description: Administrative APIs (Admin only)
+ */
+
+router.use(authenticate);
+
+/**
+ * @swagger
+ * /api/admin/users:
+ *   get:
+ *     summary: List users with filters, search and pagination
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: role
+ *         schema:
+ *           type: string
+ *           enum: [customer, pharmacy, staff, admin]
+ *       - in: query
+ *         name: kind
+ *         schema:
+ *           type: string
+ *           enum: [Customer, Pharmacy, PharmacyStaff]
+ *         description: Account type (discriminator)
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [active, suspended, locked, pending-deletion, deleted]
+ *       - in: query
+ *         name: createdFrom
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: createdTo
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches name, email or phone (case-insensitive)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           default: createdAt
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *     responses:
+ *       200:
+ *         description: Users retrieved successfully
+ *       400:
+ *         description: Invalid filters
+ *       403:
+ *         description: Unauthorized (Not an admin)
+ */
+router.get(
+  "/users",
+  requirePermission("user:read"),
+  adminController.userListQuery,
+  paginate(User, { populate: null }),
+  adminController.listUsers
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}:
+ *   get:
+ *     summary: Get a user's details
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User retrieved successfully
+ *       404:
+ *         description: User not found
+ *   delete:
+ *     summary: Delete a user
+ *     description: The account is anonymized rather than removed. A pharmacy's medicines are deactivated, and its API keys and staff accounts go with it. Admins cannot delete themselves or the last active admin.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User deleted successfully
+ *       400:
+ *         description: Admins cannot delete their own account
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user is the last active admin or was already deleted
+ */
+router.get("/users/:id", requirePermission("user:read"), adminController.getUser);
+router.delete(
+  "/users/:id",
+  requirePermission("user:manage"),
+  adminController.deleteUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/suspend:
+ *   patch:
+ *     summary: Suspend a user
+ *     description: Suspended users cannot log in and their existing tokens are refused. A suspended pharmacy's medicines leave public listings until it is reactivated.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Fraudulent orders"
+ *     responses:
+ *       200:
+ *         description: User suspended successfully
+ *       400:
+ *         description: Reason missing, or admin suspending their own account
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The user is the last active admin or was deleted
+ */
+router.patch(
+  "/users/:id/suspend",
+  requirePermission("user:manage"),
+  adminController.suspendUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/reactivate:
+ *   patch:
+ *     summary: Reactivate a suspended user
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User reactivated successfully
+ *       400:
+ *         description: Admins cannot reactivate their own account
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The account was deleted and cannot be brought back
+ */
+router.patch(
+  "/users/:id/reactivate",
+  requirePermission("user:manage"),
+  adminController.reactivateUser
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/force-password-reset:
+ *   post:
+ *     summary: Force a user to reset their password
+ *     description: Ends the user's sessions, blocks login until the password is reset, and emails a reset link.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: Password reset required and link sent
+ *       404:
+ *         description: User not found
+ */
+router.post(
+  "/users/:id/force-password-reset",
+  requirePermission("user:manage"),
+  adminController.forcePasswordReset
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/sessions:
+ *   delete:
+ *     summary: Log a compromised account out of every device
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: All sessions of the user were revoked
+ *       404:
+ *         description: User not found
+ */
+router.delete(
+  "/users/:id/sessions",
+  requirePermission("user:manage"),
+  adminController.revokeUserSessions
+);
+
+/**
+ * @swagger
+ * /api/admin/users/{id}/unlock:
+ *   patch:
+ *     summary: Unlock an account locked after failed login attempts
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       200:
+ *         description: User account unlocked successfully
+ *       403:
+ *         description: Unauthorized (Not an admin)
+ *       404:
+ *         description: User not found
+ */
+router.patch(
+  "/users/:id/unlock",
+  requirePermission("user:manage"),
+  adminController.unlockUser
+);
+
+/**
+ * @swagger
+ * /api/admin/audit:
+ *   get:
+ *     summary: Search the security audit log
+ *     description: Logins, signups, permission denials, admin actions and impersonation, newest first. Events older than AUDIT_RETENTION_DAYS (default 365) are pruned nightly.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: actor
+ *         schema:
+ *           type: string
+ *         description: User ID of the actor
+ *       - in: query
+ *         name: action
+ *         schema:
+ *           type: string
+ *         description: One action or a comma-separated list, e.g. auth.login,access.denied
+ *       - in: query
+ *         name: outcome
+ *         schema:
+ *           type: string
+ *           enum: [success, failure, denied]
+ *       - in: query
+ *         name: targetId
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: ip
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: from
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: to
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: order
+ *         schema:
+ *           type: string
+ *           enum: [asc, desc]
+ *           default: desc
+ *     responses:
+ *       200:
+ *         description: Audit events retrieved successfully
+ *       400:
+ *         description: Invalid filters
+ *       403:
+ *         description: Unauthorized (Not an admin)
+ */
+router.get(
+  "/audit",
+  requirePermission("audit:read"),
+  adminController.auditQuery,
+  paginate(AuditEvent, { populate: null, order: "desc" }),
+  adminController.listAuditEvents
+);
+
+/**
+ * @swagger
+ * /api/admin/impersonate/{userId}:
+ *   post:
+ *     summary: Act as a customer or pharmacy to reproduce what they see
+ *     description: Returns a short-lived access token for the user that cannot be refreshed. The session is read-only - requests that change anything are refused with 403, apart from `DELETE /api/auth/impersonation`, which ends it early. Every request made with it is logged and its responses carry an `X-Impersonated-By` header with the admin's ID.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: userId
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: User ID
+ *     responses:
+ *       201:
+ *         description: Impersonation started
+ *       403:
+ *         description: Admin accounts cannot be impersonated
+ *       404:
+ *         description: User not found
+ *       409:
+ *         description: The account is suspended or must reset its password
+ */
+router.post(
+  "/impersonate/:userId",
+  requirePermission("user:impersonate"),
+  adminController.impersonateUser
+);
+
+/**
+ * @swagger
+ * /api/admin/pharmacies:
+ *   get:
+ *     summary: List pharmacies by verification status (the review queue)
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: status
+ *         schema:
+ *           type: string
+ *           enum: [pending, approved, rejected, suspended]
+ *           default: pending
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Pharmacies retrieved successfully
+ *       400:
+ *         description: Invalid verification status
+ *       403:
+ *         description: Unauthorized (Not an admin)
+ */
+router.get(
+  "/pharmacies",
+  requirePermission("pharmacy:review"),
+  adminController.pharmacyQueueQuery,
+  paginate(Pharmacy, { populate: null }),
+  adminController.listPharmacyQueue
+);
+
+/**
+ * @swagger
+ * /api/admin/pharmacies/{id}/approve:
+ *   patch:
+ *     summary: Approve a pending, rejected or suspended pharmacy
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pharmacy ID
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "License checked against the syndicate registry"
+ *     responses:
+ *       200:
+ *         description: Pharmacy approved successfully
+ *       404:
+ *         description: Pharmacy not found
+ *       409:
+ *         description: Pharmacy is already approved
+ */
+router.patch(
+  "/pharmacies/:id/approve",
+  requirePermission("pharmacy:review"),
+  adminController.approvePharmacy
+);
+
+/**
+ * @swagger
+ * /api/admin/pharmacies/{id}/reject:
+ *   patch:
+ *     summary: Reject a pending pharmacy with a reason
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pharmacy ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "License photo is unreadable"
+ *     responses:
+ *       200:
+ *         description: Pharmacy rejected successfully
+ *       400:
+ *         description: Reason is missing
+ *       404:
+ *         description: Pharmacy not found
+ *       409:
+ *         description: Only pending pharmacies can be rejected
+ */
+router.patch(
+  "/pharmacies/:id/reject",
+  requirePermission("pharmacy:review"),
+  adminController.rejectPharmacy
+);
+
+/**
+ * @swagger
+ * /api/admin/pharmacies/{id}/suspend:
+ *   patch:
+ *     summary: Suspend an approved pharmacy with a reason
+ *     description: Suspended pharmacies are hidden from medicine search and cannot change their medicines until approved again.
+ *     tags: [Admin]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pharmacy ID
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - reason
+ *             properties:
+ *               reason:
+ *                 type: string
+ *                 example: "Selling prescription-only medicine without prescription"
+ *     responses:
+ *       200:
+ *         description: Pharmacy suspended successfully
+ *       400:
+ *         description: Reason is missing
+ *       404:
+ *         description: Pharmacy not found
+ *       409:
+ *         description: Only approved pharmacies can be suspended
+ */
+router.patch(
+  "/pharmacies/:id/suspend",
+  requirePermission("pharmacy:review"),
+  adminController.suspendPharmacy
+);
+
+module.exports = router;
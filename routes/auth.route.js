@@ -1,8 +1,15 @@
 const express = require("express");
 const router = express.Router();
 const authenticate = require("../middleware/auth.middleware");
-const authorize = require("../middleware/role.middleware");
+const requirePermission = require("../middleware/permission.middleware");
+const rateLimit = require("../middleware/rate.limit.middleware");
 const authController = require("../controllers/auth.controller");
+const phoneController = require("../controllers/phone.controller");
+const twoFactorController = require("../controllers/two.factor.controller");
+const profileController = require("../controllers/profile.controller");
+const sessionController = require("../controllers/session.controller");
+const upload = require("../middleware/upload.middleware");
+const uploadPharmacyDocuments = require("../middleware/pharmacy.documents.middleware");
 
 /**
  * @swagger
@@ -33,6 +40,7 @@ const authController = require("../controllers/auth.controller");
  *           example: ahmed@example.com
  *         password:
  *           type: string
+ *           description: 8-64 characters with an uppercase letter, a lowercase letter and a number. Must not contain the email or name, or be a commonly used password.
  *           example: StrongPass123
  *         phone:
  *           type: string
@@ -93,25 +101,20 @@ const authController = require("../controllers/auth.controller");
  *           example: LIC123456
  *         pharmacyLicensePhoto:
  *           type: string
- *           example: uploads/license.jpg
+ *           format: binary
+ *           description: Pharmacy license image (jpg, jpeg, png, max 5MB)
  *         ownerIdFront:
  *           type: string
- *           example: uploads/id_front.jpg
+ *           format: binary
+ *           description: Front of the owner's national ID (jpg, jpeg, png, max 5MB)
  *         ownerIdBack:
  *           type: string
- *           example: uploads/id_back.jpg
+ *           format: binary
+ *           description: Back of the owner's national ID (jpg, jpeg, png, max 5MB)
  *         location:
- *           type: object
- *           required:
- *             - latitude
- *             - longitude
- *           properties:
- *             latitude:
- *               type: number
- *               example: 29.9765
- *             longitude:
- *               type: number
- *               example: 31.1313
+ *           type: string
+ *           description: JSON encoded object with latitude and longitude
+ *           example: '{"latitude":29.9765,"longitude":31.1313}'
  *
  *     Admin:
  *       type: object
@@ -145,6 +148,7 @@ const authController = require("../controllers/auth.controller");
  * /api/auth/signup:
  *   post:
  *     summary: Register a new user (customer, pharmacy, or admin)
+ *     description: Pharmacies sign up with multipart/form-data so the license and owner ID images can be uploaded. They are stored privately and can only be read through /api/pharmacies/{id}/documents/{document}.
  *     tags: [Authentication]
  *     requestBody:
  *       required: true
@@ -153,15 +157,24 @@ const authController = require("../controllers/auth.controller");
  *           schema:
  *             oneOf:
  *               - $ref: '#/components/schemas/Customer'
- *               - $ref: '#/components/schemas/Pharmacy'
  *               - $ref: '#/components/schemas/Admin'
+ *         multipart/form-data:
+ *           schema:
+ *             $ref: '#/components/schemas/Pharmacy'
  *     responses:
  *       201:
  *         description: User registered successfully
  *       400:
- *         description: Invalid input or user already exists
+ *         description: Invalid input, password rejected by the password policy (see errors.password), or user already exists
+ *       429:
+ *         description: Too many signups from this IP (see the Retry-After header)
  */
-router.post("/signup", authController.signUp);
+router.post(
+  "/signup",
+  rateLimit.signup(),
+  uploadPharmacyDocuments,
+  authController.signUp
+);
 
 /**
  * @swagger
@@ -190,8 +203,12 @@ router.post("/signup", authController.signUp);
  *         description: Login successful
  *       401:
  *         description: Invalid email or password
+ *       423:
+ *         description: Account temporarily locked after too many failed attempts (see the Retry-After header)
+ *       429:
+ *         description: Too many login attempts from this IP (see the Retry-After header)
  */
-router.post("/login", authController.login);
+router.post("/login", rateLimit.login(), authController.login);
 
 /**
  * @swagger
@@ -216,21 +233,753 @@ router.post("/login", authController.login);
  *                 example: admin@example.com
  *               password:
  *                 type: string
- *                 example: AdminPass123
+ *                 example: Gr8!Keyboard
  *               phone:
  *                 type: string
  *                 example: "+201234567890"
  *     responses:
  *       201:
  *         description: Admin created successfully
+ *       400:
+ *         description: Missing fields, email already in use, or password rejected by the password policy
  *       403:
  *         description: Unauthorized (Not an admin)
  */
 router.post(
   "/add-admin",
   authenticate,
-  authorize("admin"),
+  requirePermission("admin:create"),
   authController.addAdmin
 );
 
+/**
+ * @swagger
+ * /api/auth/refresh:
+ *   post:
+ *     summary: Rotate the refresh token and issue a new access token
+ *     description: Reads the refresh token from the httpOnly `refreshToken` cookie or the request body. Every refresh token can be used once; presenting an already used token revokes its whole token family.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: 3f9a0c...e21b
+ *     responses:
+ *       200:
+ *         description: Token refreshed successfully
+ *       401:
+ *         description: Refresh token is missing, expired, revoked or reused
+ */
+router.post("/refresh", authController.refresh);
+
+/**
+ * @swagger
+ * /api/auth/logout:
+ *   post:
+ *     summary: Log out the current device
+ *     description: Revokes the presented refresh token (and its token family) and clears the auth cookies.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               refreshToken:
+ *                 type: string
+ *                 example: 3f9a0c...e21b
+ *     responses:
+ *       200:
+ *         description: Logged out successfully
+ */
+router.post("/logout", authController.logout);
+
+/**
+ * @swagger
+ * /api/auth/csrf-token:
+ *   get:
+ *     summary: Get a CSRF token for cookie-authenticated requests
+ *     description: Sets a readable `csrfToken` cookie and returns the same value. Browser clients that authenticate with the httpOnly `jwt` cookie must send it in the `X-CSRF-Token` header on POST, PUT, PATCH and DELETE requests. Requests using the Authorization header or an API key do not need it. A token is also issued at login.
+ *     tags: [Authentication]
+ *     security: []
+ *     responses:
+ *       200:
+ *         description: CSRF token issued
+ *         content:
+ *           application/json:
+ *             example:
+ *               success: true
+ *               status: success
+ *               message: CSRF token issued
+ *               data:
+ *                 csrfToken: 9f2c4e...
+ */
+router.get("/csrf-token", authController.getCsrfToken);
+
+/**
+ * @swagger
+ * /api/auth/logout-all:
+ *   post:
+ *     summary: Log out from all devices
+ *     description: Revokes every refresh token issued to the authenticated user and clears the auth cookies.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Logged out from all devices successfully
+ *       401:
+ *         description: Authentication required
+ */
+router.post("/logout-all", authenticate, authController.logoutAll);
+
+/**
+ * @swagger
+ * /api/auth/forgot-password:
+ *   post:
+ *     summary: Request a password reset link by email
+ *     description: Always answers with the same message, whether or not an account exists for the email.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - email
+ *             properties:
+ *               email:
+ *                 type: string
+ *                 example: johndoe@example.com
+ *     responses:
+ *       200:
+ *         description: Reset link sent if the account exists
+ *       400:
+ *         description: Email is missing
+ *       500:
+ *         description: The reset email could not be sent
+ */
+router.post("/forgot-password", authController.forgotPassword);
+
+/**
+ * @swagger
+ * /api/auth/reset-password/{token}:
+ *   post:
+ *     summary: Set a new password using a reset token
+ *     description: Reset tokens are single-use and expire. A successful reset revokes all refresh tokens, invalidates previously issued access tokens and logs the user in.
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Reset token received by email
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: MyNewStrongPass123
+ *     responses:
+ *       200:
+ *         description: Password reset and user logged in
+ *       400:
+ *         description: Token is invalid or has expired, or the password is missing or rejected by the password policy
+ */
+router.post("/reset-password/:token", authController.resetPassword);
+
+/**
+ * @swagger
+ * /api/auth/staff/accept-invite/{token}:
+ *   post:
+ *     summary: Accept a pharmacy staff invitation
+ *     description: Sets the staff member's password, marks their email as verified and logs them in. Invite links are single-use and expire.
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Invite token received by email
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: MyNewStrongPass123
+ *     responses:
+ *       200:
+ *         description: Invitation accepted and staff member logged in
+ *       400:
+ *         description: Invitation is invalid or has expired, or the password is missing or rejected by the password policy
+ */
+router.post("/staff/accept-invite/:token", authController.acceptStaffInvite);
+
+/**
+ * @swagger
+ * /api/auth/verify-email/{token}:
+ *   get:
+ *     summary: Verify an email address
+ *     tags: [Authentication]
+ *     security: []
+ *     parameters:
+ *       - in: path
+ *         name: token
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Verification token received by email at signup
+ *     responses:
+ *       200:
+ *         description: Email verified successfully
+ *       400:
+ *         description: Verification link is invalid or has expired
+ */
+router.get("/verify-email/:token", authController.verifyEmail);
+
+/**
+ * @swagger
+ * /api/auth/resend-verification:
+ *   post:
+ *     summary: Send a new email verification link
+ *     description: Limited to one email per cooldown window (EMAIL_VERIFICATION_RESEND_COOLDOWN_SECONDS, 60 by default).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification email sent
+ *       400:
+ *         description: Email is already verified
+ *       401:
+ *         description: Authentication required
+ *       429:
+ *         description: Cooldown still active (see the Retry-After header)
+ */
+router.post(
+  "/resend-verification",
+  authenticate,
+  authController.resendVerificationEmail
+);
+
+/**
+ * @swagger
+ * /api/auth/phone/send-otp:
+ *   post:
+ *     summary: Send a 6-digit verification code to the user's phone
+ *     description: Any previous code is replaced. Limited to one code per cooldown window (PHONE_OTP_RESEND_COOLDOWN_SECONDS, 60 by default).
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Verification code sent
+ *       400:
+ *         description: Phone number is already verified
+ *       401:
+ *         description: Authentication required
+ *       429:
+ *         description: Cooldown still active (see the Retry-After header)
+ */
+router.post("/phone/send-otp", authenticate, phoneController.sendOtp);
+
+/**
+ * @swagger
+ * /api/auth/phone/verify-otp:
+ *   post:
+ *     summary: Verify the user's phone with the code sent by SMS
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "482913"
+ *     responses:
+ *       200:
+ *         description: Phone number verified successfully
+ *       400:
+ *         description: Code is missing, incorrect or expired
+ *       401:
+ *         description: Authentication required
+ *       429:
+ *         description: Too many incorrect attempts
+ */
+router.post("/phone/verify-otp", authenticate, phoneController.verifyOtp);
+
+/**
+ * @swagger
+ * /api/auth/2fa/verify:
+ *   post:
+ *     summary: Complete a two-step login with an authenticator or backup code
+ *     description: When login answers with `twoFactorRequired`, send its `challengeToken` here together with a 6-digit `code` or one of the `backupCode`s. Backup codes work once.
+ *     tags: [Authentication]
+ *     security: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - challengeToken
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *               backupCode:
+ *                 type: string
+ *                 example: "a1b2-c3d4"
+ *     responses:
+ *       200:
+ *         description: Authentication successful
+ *       401:
+ *         description: Challenge expired or code invalid
+ */
+router.post("/2fa/verify", rateLimit.login(), twoFactorController.verifyLogin);
+
+/**
+ * @swagger
+ * /api/auth/2fa/enroll:
+ *   post:
+ *     summary: Start TOTP enrollment (Admin and Pharmacy only)
+ *     description: Returns a secret and an otpauth URI to render as a QR code. Accounts that must set up 2FA before logging in authenticate with the `challengeToken` from login instead of a bearer token.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: false
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Enrollment started
+ *       400:
+ *         description: Two-factor authentication is already enabled
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Role not allowed to use two-factor authentication
+ */
+router.post(
+  "/2fa/enroll",
+  authenticate.twoFactorSetup,
+  requirePermission("two-factor:enroll"),
+  twoFactorController.enroll
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/confirm:
+ *   post:
+ *     summary: Confirm TOTP enrollment with a first code
+ *     description: Enables 2FA and returns ten single-use backup codes, shown only once. When confirming with a setup `challengeToken`, the response also logs the user in.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *                 example: "492039"
+ *               challengeToken:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication enabled
+ *       400:
+ *         description: No pending enrollment or invalid code
+ */
+router.post(
+  "/2fa/confirm",
+  authenticate.twoFactorSetup,
+  requirePermission("two-factor:enroll"),
+  twoFactorController.confirm
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/disable:
+ *   post:
+ *     summary: Disable two-factor authentication
+ *     description: Requires the current password and a valid code. Not allowed for admins while the admin 2FA policy is on.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *               code:
+ *                 type: string
+ *               backupCode:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: Two-factor authentication disabled
+ *       401:
+ *         description: Incorrect password or code
+ *       403:
+ *         description: Two-factor authentication is required for admin accounts
+ */
+router.post("/2fa/disable", authenticate, twoFactorController.disable);
+
+/**
+ * @swagger
+ * /api/auth/2fa/backup-codes:
+ *   post:
+ *     summary: Replace all backup codes
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - code
+ *             properties:
+ *               code:
+ *                 type: string
+ *     responses:
+ *       200:
+ *         description: New backup codes generated
+ *       401:
+ *         description: Invalid authentication code
+ */
+router.post(
+  "/2fa/backup-codes",
+  authenticate,
+  twoFactorController.regenerateBackupCodes
+);
+
+/**
+ * @swagger
+ * /api/auth/2fa/policy:
+ *   get:
+ *     summary: Get the two-factor policy (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Two-factor policy retrieved successfully
+ *   patch:
+ *     summary: Require or stop requiring 2FA for the admin role (Admin only)
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - requireForAdmins
+ *             properties:
+ *               requireForAdmins:
+ *                 type: boolean
+ *                 example: true
+ *     responses:
+ *       200:
+ *         description: Two-factor policy updated successfully
+ *       403:
+ *         description: Unauthorized (Not an admin)
+ */
+router.get(
+  "/2fa/policy",
+  authenticate,
+  requirePermission("two-factor:policy"),
+  twoFactorController.getPolicy
+);
+router.patch(
+  "/2fa/policy",
+  authenticate,
+  requirePermission("two-factor:policy"),
+  twoFactorController.updatePolicy
+);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   get:
+ *     summary: Get the logged-in user's profile
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Profile retrieved successfully
+ *       401:
+ *         description: Authentication required
+ *   patch:
+ *     summary: Update the logged-in user's profile
+ *     description: Customers and pharmacies may change fullName, phone and location; admins may change fullName and phone. Any role may upload a new photo. Changing the phone number resets phone verification. Other fields (email, role, licenseNumber, ...) are rejected.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         multipart/form-data:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *                 example: "Ahmed Mohamed"
+ *               phone:
+ *                 type: string
+ *                 example: "+201012345678"
+ *               location:
+ *                 type: string
+ *                 description: JSON encoded object with latitude and longitude
+ *                 example: '{"latitude":30.0444,"longitude":31.2357}'
+ *               photo:
+ *                 type: string
+ *                 format: binary
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               location:
+ *                 type: object
+ *                 properties:
+ *                   latitude:
+ *                     type: number
+ *                   longitude:
+ *                     type: number
+ *     responses:
+ *       200:
+ *         description: Profile updated successfully
+ *       400:
+ *         description: Invalid value, duplicate phone or field not editable
+ *       401:
+ *         description: Authentication required
+ */
+router.get("/me", authenticate, profileController.getMe);
+router.patch(
+  "/me",
+  authenticate,
+  (req, res, next) => {
+    req.uploadFolder = "users";
+    next();
+  },
+  upload.single("photo"),
+  profileController.updateMe
+);
+
+/**
+ * @swagger
+ * /api/auth/me/password:
+ *   patch:
+ *     summary: Change the logged-in user's password
+ *     description: Requires the current password. All other sessions are logged out and a fresh token pair is returned.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - currentPassword
+ *               - newPassword
+ *             properties:
+ *               currentPassword:
+ *                 type: string
+ *                 example: "oldpassword123"
+ *               newPassword:
+ *                 type: string
+ *                 example: "N3wPassphrase!"
+ *     responses:
+ *       200:
+ *         description: Password changed successfully
+ *       400:
+ *         description: Missing fields, or the new password is rejected by the password policy (see errors.newPassword)
+ *       401:
+ *         description: Current password is incorrect
+ */
+router.patch("/me/password", authenticate, profileController.updateMyPassword);
+
+/**
+ * @swagger
+ * /api/auth/me/export:
+ *   get:
+ *     summary: Download a copy of the logged-in user's data
+ *     description: Returns a JSON archive (sent as an attachment) with the profile, location, orders, favourites, sessions and account activity as currently stored. Pharmacies also get their medicine listings.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Account data exported successfully
+ *       401:
+ *         description: Authentication required
+ */
+router.get("/me/export", authenticate, profileController.exportMyData);
+
+/**
+ * @swagger
+ * /api/auth/me:
+ *   delete:
+ *     summary: Delete the logged-in user's account
+ *     description: Schedules the account for deletion after a grace period (ACCOUNT_DELETION_GRACE_DAYS, default 30) and logs out every device. Logging in again before then cancels the deletion. Afterwards the personal data is anonymized, including the email, IP addresses and user agents in the audit log and sessions; the account record itself is kept. A pharmacy's medicines are deactivated and its API keys revoked right away, and its staff accounts are anonymized with it.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - password
+ *             properties:
+ *               password:
+ *                 type: string
+ *                 example: "Tr4vel!Nile9"
+ *     responses:
+ *       200:
+ *         description: Deletion scheduled; `scheduledFor` is when the data will be anonymized
+ *       400:
+ *         description: Password missing
+ *       401:
+ *         description: Password is incorrect
+ *       403:
+ *         description: Staff and admin accounts cannot delete themselves
+ */
+router.delete(
+  "/me",
+  authenticate,
+  requirePermission("account:delete"),
+  profileController.deleteMe
+);
+
+/**
+ * @swagger
+ * /api/auth/sessions:
+ *   get:
+ *     summary: List the devices the user is logged in on
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active sessions, most recently used first. The session making the request has `current` set.
+ *       401:
+ *         description: Authentication required
+ */
+router.get("/sessions", authenticate, sessionController.listSessions);
+
+/**
+ * @swagger
+ * /api/auth/sessions/{id}:
+ *   delete:
+ *     summary: Log out one of the user's sessions
+ *     description: Revokes the session and its refresh tokens. Access tokens issued for it stop working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Session ID
+ *     responses:
+ *       200:
+ *         description: Session revoked successfully
+ *       401:
+ *         description: Authentication required
+ *       404:
+ *         description: Session not found
+ */
+router.delete("/sessions/:id", authenticate, sessionController.revokeSession);
+
+/**
+ * @swagger
+ * /api/auth/impersonation:
+ *   delete:
+ *     summary: End an admin impersonation session
+ *     description: Called with the impersonation token. The token stops working immediately.
+ *     tags: [Authentication]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Impersonation ended
+ *       400:
+ *         description: The token is not an impersonation token
+ *       401:
+ *         description: Authentication required
+ */
+router.delete("/impersonation", authenticate, sessionController.endImpersonation);
+
 module.exports = router;
@@ -2,11 +2,15 @@ const express = require("express");
 const router = express.Router();
 const Medicine = require('../models/medicine.model');
 const upload = require('../middleware/upload.middleware');
-const authorize = require("../middleware/role.middleware");
+const requirePermission = require("../middleware/permission.middleware");
 const authenticate = require("../middleware/auth.middleware");
+const requireVerifiedEmail = require("../middleware/verified.middleware");
+const requireApprovedPharmacy = require("../middleware/pharmacy.approval.middleware");
+const resolveActingPharmacy = require("../middleware/acting.pharmacy.middleware");
 const medicineController = require('../controllers/medicine.controller');
 const paginate = require('../middleware/paginate.middleware');
 const search = require('../middleware/search.middleware');
+const openFilter = require('../middleware/open.filter.middleware');
 
 /**
  * @swagger
@@ -41,6 +45,10 @@ const search = require('../middleware/search.middleware');
  *         image:
  *           type: string
  *           description: URL or path to the medicine image
+ *         product:
+ *           type: string
+ *           nullable: true
+ *           description: Catalog product this listing sells; name and description are copied from it
  *         pharmacyId:
  *           oneOf:
  *             - type: string
@@ -146,7 +154,7 @@ const search = require('../middleware/search.middleware');
  *         name: search
  *         schema:
  *           type: string
- *         description: Search medicines by name or description (case-insensitive)
+ *         description: Full-text search over name, description, generic name and brand. Tolerates typos and matches Arabic spellings of Latin names (e.g. "بنادول" finds "Panadol"). Results are ordered by relevance unless sort is given or a location is used.
  *       - in: query
  *         name: latitude
  *         schema:
@@ -160,6 +168,23 @@ const search = require('../middleware/search.middleware');
  *           format: float
  *         description: User's longitude for geolocation search (returns closest pharmacies first). If authenticated user has location, it will be used automatically.
  *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only return medicines from pharmacies within this many kilometres (needs a location)
+ *       - in: query
+ *         name: openNow
+ *         schema:
+ *           type: boolean
+ *         description: Only return medicines from pharmacies that are open right now
+ *       - in: query
+ *         name: openAt
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return medicines from pharmacies open at this time, at most a day back or 7 days ahead (overrides openNow)
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
@@ -175,7 +200,7 @@ const search = require('../middleware/search.middleware');
  *         description: Sort order (ignored if latitude/longitude provided - always sorts by distance ascending)
  *     responses:
  *       200:
- *         description: List of active medicines with pagination. Each medicine includes distance (in km) if latitude/longitude provided.
+ *         description: List of active medicines with pagination. Each medicine includes distance (in km) if latitude/longitude provided, and isOpen/closesAt for its pharmacy (at openAt when given, otherwise now; null when the pharmacy has not published hours).
  *         content:
  *           application/json:
  *             schema:
@@ -202,6 +227,8 @@ const search = require('../middleware/search.middleware');
  *                       itemsPerPage: 10
  *                       hasNextPage: false
  *                       hasPrevPage: false
+ *       400:
+ *         description: radius is not a positive number or was given without a location, or openNow/openAt is invalid or openAt is out of range
  *       500:
  *         description: Internal server error
  *         content:
@@ -211,12 +238,12 @@ const search = require('../middleware/search.middleware');
  */
 router.get('/', 
     authenticate.optional, 
-    (req, res, next) => {
-        req.baseQuery = Medicine.find({ isActive: true });
-        next();
-    },
+    openFilter,
+    medicineController.medicineQuery,
     search(Medicine),
-    paginate(Medicine), 
+    paginate(Medicine, {
+        populate: { path: 'pharmacyId', select: 'pharmacyName location openingHours' }
+    }), 
     medicineController.getAllMedicines
 );
 
@@ -274,9 +301,11 @@ router.get('/:id', authenticate.optional, medicineController.getMedicineById);
  * /api/medicines:
  *   post:
  *     summary: Create a new medicine (Pharmacy only)
+ *     description: Pass a catalog `product` id or `barcode` to list a catalog product; name and description then come from the catalog and the image defaults to the catalog image.
  *     tags: [Medicines]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     requestBody:
  *       required: true
  *       content:
@@ -312,6 +341,12 @@ router.get('/:id', authenticate.optional, medicineController.getMedicineById);
  *                 type: string
  *                 format: binary
  *                 description: Medicine image file (jpg, jpeg, png, max 5MB)
+ *               product:
+ *                 type: string
+ *                 description: Catalog product ID (replaces name and description)
+ *               barcode:
+ *                 type: string
+ *                 description: Catalog product barcode, as an alternative to product
  *     responses:
  *       201:
  *         description: Medicine created successfully
@@ -329,7 +364,7 @@ router.get('/:id', authenticate.optional, medicineController.getMedicineById);
  *                 data:
  *                   $ref: '#/components/schemas/Medicine'
  *       400:
- *         description: Validation error (e.g., invalid quantity, missing fields, invalid image)
+ *         description: Validation error (e.g., invalid quantity, missing fields, invalid image, unknown catalog product)
  *         content:
  *           application/json:
  *             schema:
@@ -350,7 +385,7 @@ router.get('/:id', authenticate.optional, medicineController.getMedicineById);
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       403:
- *         description: Forbidden (Pharmacy role required)
+ *         description: Forbidden (medicine:create/medicine:update permission, verified email and approved pharmacy required)
  *         content:
  *           application/json:
  *             schema:
@@ -358,8 +393,11 @@ router.get('/:id', authenticate.optional, medicineController.getMedicineById);
  */
 router.post(
     '/',
-    authenticate,
-    authorize(['pharmacy']),
+    authenticate.allowApiKey,
+    requirePermission('medicine:create'),
+    resolveActingPharmacy,
+    requireVerifiedEmail('medicine:create'),
+    requireApprovedPharmacy,
     upload.single('image'),
     medicineController.createMedicine
 );
@@ -368,10 +406,12 @@ router.post(
  * @swagger
  * /api/medicines/{id}:
  *   put:
- *     summary: Update medicine (Pharmacy only)
+ *     summary: Update medicine (Pharmacy or admin)
+ *     description: Pharmacies and their staff can only update their own medicines; admins can update any. Name and description of a catalog-linked medicine cannot be changed here.
  *     tags: [Medicines]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -408,6 +448,12 @@ router.post(
  *                 type: string
  *                 format: binary
  *                 description: New medicine image file (jpg, jpeg, png, max 5MB) - optional
+ *               product:
+ *                 type: string
+ *                 description: Link to a catalog product by ID; send an empty value to unlink (optional)
+ *               barcode:
+ *                 type: string
+ *                 description: Link to a catalog product by barcode (optional)
  *     responses:
  *       200:
  *         description: Medicine updated successfully
@@ -425,7 +471,7 @@ router.post(
  *                 data:
  *                   $ref: '#/components/schemas/Medicine'
  *       400:
- *         description: Validation error (e.g., invalid quantity)
+ *         description: Validation error (e.g., invalid quantity, unknown catalog product, name change on a linked medicine)
  *         content:
  *           application/json:
  *             schema:
@@ -440,13 +486,13 @@ router.post(
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       403:
- *         description: Forbidden (Pharmacy role required)
+ *         description: Forbidden (medicine:create/medicine:update permission, verified email and approved pharmacy required)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
- *         description: Medicine not found
+ *         description: Medicine not found, or it belongs to another pharmacy
  *         content:
  *           application/json:
  *             schema:
@@ -457,8 +503,11 @@ router.post(
  */
 router.put(
     '/:id',
-    authenticate,
-    authorize(['pharmacy']),
+    authenticate.allowApiKey,
+    requirePermission('medicine:update'),
+    resolveActingPharmacy,
+    requireVerifiedEmail('medicine:update'),
+    requireApprovedPharmacy,
     upload.single('image'),
     medicineController.updateMedicine
 );
@@ -468,6 +517,7 @@ router.put(
  * /api/medicines/pharmacy/all:
  *   get:
  *     summary: Get all medicines for pharmacy (including inactive) with pagination and search
+ *     description: Returns the calling pharmacy's own medicines (for staff, their pharmacy's). Admins see every pharmacy's medicines.
  *     tags: [Medicines]
  *     security:
  *       - bearerAuth: []
@@ -491,7 +541,7 @@ router.put(
  *         name: search
  *         schema:
  *           type: string
- *         description: Search medicines by name or description (case-insensitive)
+ *         description: Full-text search over name, description, generic name and brand. Tolerates typos and matches Arabic spellings of Latin names (e.g. "بنادول" finds "Panadol"). Results are ordered by relevance unless sort is given or a location is used.
  *       - in: query
  *         name: latitude
  *         schema:
@@ -505,6 +555,12 @@ router.put(
  *           format: float
  *         description: User's longitude for geolocation search (returns closest pharmacies first)
  *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only return medicines from pharmacies within this many kilometres (needs a location)
+ *       - in: query
  *         name: sort
  *         schema:
  *           type: string
@@ -525,6 +581,8 @@ router.put(
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/MedicineListResponse'
+ *       400:
+ *         description: radius is not a positive number, or was given without a location
  *       401:
  *         description: Unauthorized
  *         content:
@@ -532,7 +590,7 @@ router.put(
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       403:
- *         description: Forbidden (Pharmacy role required)
+ *         description: Forbidden (medicine:list permission required)
  *         content:
  *           application/json:
  *             schema:
@@ -547,9 +605,10 @@ router.put(
 router.get(
     '/pharmacy/all',
     authenticate,
-    authorize(['pharmacy']),
+    requirePermission('medicine:list'),
+    resolveActingPharmacy,
     (req, res, next) => {
-        req.baseQuery = Medicine.find();
+        req.baseQuery = Medicine.find(medicineController.inventoryScope(req));
         next();
     },
     search(Medicine),
@@ -561,11 +620,12 @@ router.get(
  * @swagger
  * /api/medicines/{id}/deactivate:
  *   patch:
- *     summary: Deactivate medicine (soft delete) - Pharmacy only
- *     description: Deactivates a medicine by setting isActive to false. This is a soft delete operation.
+ *     summary: Deactivate medicine (soft delete) - Pharmacy or admin
+ *     description: Deactivates a medicine by setting isActive to false. This is a soft delete operation. Pharmacies and their staff can only deactivate their own medicines; admins can deactivate any.
  *     tags: [Medicines]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -596,13 +656,13 @@ router.get(
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       403:
- *         description: Forbidden (Pharmacy role required)
+ *         description: Forbidden (medicine:update permission and approved pharmacy required)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
- *         description: Medicine not found
+ *         description: Medicine not found, or it belongs to another pharmacy
  *         content:
  *           application/json:
  *             schema:
@@ -619,8 +679,10 @@ router.get(
  */
 router.patch(
     '/:id/deactivate',
-    authenticate,
-    authorize(['pharmacy']),
+    authenticate.allowApiKey,
+    requirePermission('medicine:update'),
+    resolveActingPharmacy,
+    requireApprovedPharmacy,
     medicineController.deactivateMedicine
 );
 
@@ -628,11 +690,12 @@ router.patch(
  * @swagger
  * /api/medicines/{id}/activate:
  *   patch:
- *     summary: Activate medicine - Pharmacy only
- *     description: Activates a previously deactivated medicine by setting isActive to true.
+ *     summary: Activate medicine - Pharmacy or admin
+ *     description: Activates a previously deactivated medicine by setting isActive to true. Pharmacies and their staff can only activate their own medicines; admins can activate any.
  *     tags: [Medicines]
  *     security:
  *       - bearerAuth: []
+ *       - apiKeyAuth: []
  *     parameters:
  *       - in: path
  *         name: id
@@ -663,13 +726,13 @@ router.patch(
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       403:
- *         description: Forbidden (Pharmacy role required)
+ *         description: Forbidden (medicine:create/medicine:update permission, verified email and approved pharmacy required)
  *         content:
  *           application/json:
  *             schema:
  *               $ref: '#/components/schemas/ErrorResponse'
  *       404:
- *         description: Medicine not found
+ *         description: Medicine not found, or it belongs to another pharmacy
  *         content:
  *           application/json:
  *             schema:
@@ -686,8 +749,11 @@ router.patch(
  */
 router.patch(
     '/:id/activate',
-    authenticate,
-    authorize(['pharmacy']),
+    authenticate.allowApiKey,
+    requirePermission('medicine:update'),
+    resolveActingPharmacy,
+    requireVerifiedEmail('medicine:update'),
+    requireApprovedPharmacy,
     medicineController.activateMedicine
 );
 
@@ -0,0 +1,552 @@
+const express = require("express");
+const router = express.Router();
+const authenticate = require("../middleware/auth.middleware");
+const requirePermission = require("../middleware/permission.middleware");
+const pharmacyController = require("../controllers/pharmacy.controller");
+const staffController = require("../controllers/staff.controller");
+const apiKeyController = require("../controllers/api.key.controller");
+const paginate = require("../middleware/paginate.middleware");
+const openFilter = require("../middleware/open.filter.middleware");
+const Pharmacy = require("../models/pharmacy.model");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Pharmacies
+ *   description: Pharmacy APIs
+ */
+
+/**
+ * @swagger
+ * /api/pharmacies/staff:
+ *   get:
+ *     summary: List the pharmacy's staff members (Pharmacy owner only)
+ *     tags: [Pharmacies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Staff members with their permissions
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Pharmacy owner role required
+ *   post:
+ *     summary: Invite a staff member (Pharmacy owner only)
+ *     description: Creates a PharmacyStaff account linked to the pharmacy and emails an invitation link. The account can log in once the invite is accepted through /api/auth/staff/accept-invite/{token}.
+ *     tags: [Pharmacies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [fullName, email, phone]
+ *             properties:
+ *               fullName:
+ *                 type: string
+ *               email:
+ *                 type: string
+ *               phone:
+ *                 type: string
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [inventory:write, orders:fulfil, reports:read]
+ *     responses:
+ *       201:
+ *         description: Invitation sent
+ *       400:
+ *         description: Missing fields, invalid permissions, or email/phone already registered
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Pharmacy owner role required
+ */
+router
+  .route("/staff")
+  .get(authenticate, requirePermission("staff:manage"), staffController.listStaff)
+  .post(authenticate, requirePermission("staff:manage"), staffController.inviteStaff);
+
+/**
+ * @swagger
+ * /api/pharmacies/staff/{id}:
+ *   patch:
+ *     summary: Replace a staff member's permissions (Pharmacy owner only)
+ *     tags: [Pharmacies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [permissions]
+ *             properties:
+ *               permissions:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [inventory:write, orders:fulfil, reports:read]
+ *     responses:
+ *       200:
+ *         description: Permissions updated
+ *       400:
+ *         description: Invalid permissions
+ *       404:
+ *         description: Staff member not found in this pharmacy
+ *   delete:
+ *     summary: Remove a staff member (Pharmacy owner only)
+ *     description: Deletes the staff account and ends all of its sessions.
+ *     tags: [Pharmacies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Staff member removed
+ *       404:
+ *         description: Staff member not found in this pharmacy
+ */
+router
+  .route("/staff/:id")
+  .patch(
+    authenticate,
+    requirePermission("staff:manage"),
+    staffController.updateStaffPermissions
+  )
+  .delete(authenticate, requirePermission("staff:manage"), staffController.removeStaff);
+
+/**
+ * @swagger
+ * /api/pharmacies/api-keys:
+ *   get:
+ *     summary: List the pharmacy's active API keys (Pharmacy owner only)
+ *     description: Keys are listed by their visible prefix; the full key is only shown when it is created or rotated.
+ *     tags: [Pharmacies]
+ *     security:
+ *       - bearerAuth: []
+ *     responses:
+ *       200:
+ *         description: Active API keys with scopes, IP allowlist and last use
+ *       403:
+ *         description: Pharmacy owner role required
+ *   post:
+ *     summary: Create an API key for point-of-sale integrations (Pharmacy owner only)
+ *     description: Send the key in the `X-API-Key` header to call the medicine write routes within the key's scopes.
+ *     tags: [Pharmacies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required: [name, scopes]
+ *             properties:
+ *               name:
+ *                 type: string
+ *                 example: Front counter POS
+ *               scopes:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *                   enum: [medicine:create, medicine:update]
+ *               allowedIps:
+ *                 type: array
+ *                 description: IP addresses or CIDR ranges allowed to use the key. Empty allows any address.
+ *                 items:
+ *                   type: string
+ *                 example: ["203.0.113.10", "10.0.0.0/24"]
+ *     responses:
+ *       201:
+ *         description: API key created; the response contains the full key once
+ *       400:
+ *         description: Missing name or invalid scopes or IP addresses
+ *       403:
+ *         description: Pharmacy owner role required
+ */
+router
+  .route("/api-keys")
+  .get(
+    authenticate,
+    requirePermission("api-key:manage"),
+    apiKeyController.listApiKeys
+  )
+  .post(
+    authenticate,
+    requirePermission("api-key:manage"),
+    apiKeyController.createApiKey
+  );
+
+/**
+ * @swagger
+ * /api/pharmacies/api-keys/{id}/rotate:
+ *   post:
+ *     summary: Replace an API key's secret (Pharmacy owner only)
+ *     description: The old key stops working immediately. Name, scopes and IP allowlist are kept.
+ *     tags: [Pharmacies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key rotated; the response contains the new key once
+ *       404:
+ *         description: API key not found
+ */
+router.post(
+  "/api-keys/:id/rotate",
+  authenticate,
+  requirePermission("api-key:manage"),
+  apiKeyController.rotateApiKey
+);
+
+/**
+ * @swagger
+ * /api/pharmacies/api-keys/{id}:
+ *   delete:
+ *     summary: Revoke an API key (Pharmacy owner only)
+ *     tags: [Pharmacies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: API key revoked
+ *       404:
+ *         description: API key not found
+ */
+router.delete(
+  "/api-keys/:id",
+  authenticate,
+  requirePermission("api-key:manage"),
+  apiKeyController.revokeApiKey
+);
+
+/**
+ * @swagger
+ * /api/pharmacies/{id}/documents/{document}:
+ *   get:
+ *     summary: Download a pharmacy verification document (Admin or the owning pharmacy)
+ *     description: Documents uploaded at signup are stored privately and are not served by the public /img route.
+ *     tags: [Pharmacies]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: Pharmacy ID
+ *       - in: path
+ *         name: document
+ *         required: true
+ *         schema:
+ *           type: string
+ *           enum: [pharmacyLicensePhoto, ownerIdFront, ownerIdBack]
+ *     responses:
+ *       200:
+ *         description: The document image
+ *         content:
+ *           image/*:
+ *             schema:
+ *               type: string
+ *               format: binary
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Not an admin or the owning pharmacy
+ *       404:
+ *         description: Pharmacy or document not found
+ */
+router.get(
+  "/:id/documents/:document",
+  authenticate,
+  requirePermission("pharmacy-document:read", {
+    owns: requirePermission.isSelf("id"),
+  }),
+  pharmacyController.getDocument
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     OpeningInterval:
+ *       type: object
+ *       required: [open, close]
+ *       properties:
+ *         open:
+ *           type: string
+ *           example: "09:00"
+ *         close:
+ *           type: string
+ *           description: A close at or before open runs past midnight; 24:00 is the end of the day
+ *           example: "23:00"
+ *     OpeningHours:
+ *       type: object
+ *       properties:
+ *         timezone:
+ *           type: string
+ *           description: IANA time zone the hours are in
+ *           example: "Africa/Cairo"
+ *         alwaysOpen:
+ *           type: boolean
+ *           description: Open 24 hours every day (exceptions still apply)
+ *         weekly:
+ *           type: object
+ *           description: Opening intervals per day, sunday to saturday; a missing or empty day is closed
+ *           additionalProperties:
+ *             type: array
+ *             items:
+ *               $ref: '#/components/schemas/OpeningInterval'
+ *           example:
+ *             friday: [{ open: "13:00", close: "02:00" }]
+ *             saturday: [{ open: "09:00", close: "14:00" }, { open: "17:00", close: "23:00" }]
+ *         exceptions:
+ *           type: array
+ *           description: Holidays and one-off closures; each replaces the weekly hours on its date
+ *           items:
+ *             type: object
+ *             required: [date]
+ *             properties:
+ *               date:
+ *                 type: string
+ *                 example: "2026-10-06"
+ *               closed:
+ *                 type: boolean
+ *               intervals:
+ *                 type: array
+ *                 items:
+ *                   $ref: '#/components/schemas/OpeningInterval'
+ *               note:
+ *                 type: string
+ */
+
+/**
+ * @swagger
+ * /api/pharmacies/opening-hours:
+ *   put:
+ *     summary: Replace the pharmacy's opening hours (Pharmacy owner only)
+ *     tags: [Pharmacies]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/OpeningHours'
+ *     responses:
+ *       200:
+ *         description: Saved hours, with whether the pharmacy is open now (isOpen) and when it closes (closesAt)
+ *       400:
+ *         description: Invalid times, overlapping intervals, unknown time zone or bad exception dates
+ *       401:
+ *         description: Authentication required
+ *       403:
+ *         description: Pharmacy owner role required
+ */
+router.put(
+  "/opening-hours",
+  authenticate,
+  requirePermission("opening-hours:manage"),
+  pharmacyController.updateOpeningHours
+);
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     PublicPharmacy:
+ *       type: object
+ *       properties:
+ *         _id:
+ *           type: string
+ *         pharmacyName:
+ *           type: string
+ *           example: "El Ezaby Pharmacy"
+ *         phone:
+ *           type: string
+ *           example: "+201001234567"
+ *         photo:
+ *           type: string
+ *         location:
+ *           type: object
+ *           properties:
+ *             latitude:
+ *               type: number
+ *               example: 30.0444
+ *             longitude:
+ *               type: number
+ *               example: 31.2357
+ *         openingHours:
+ *           $ref: '#/components/schemas/OpeningHours'
+ *         isOpen:
+ *           type: boolean
+ *           nullable: true
+ *           description: Whether the pharmacy is open (at openAt when filtering by it); null when it has not published hours
+ *         closesAt:
+ *           type: string
+ *           format: date-time
+ *           nullable: true
+ *           description: When the current opening ends; null when closed or open around the clock
+ *         activeMedicines:
+ *           type: integer
+ *           description: Number of active medicine listings
+ *           example: 42
+ *         distance:
+ *           type: number
+ *           description: Distance in km, only present when a location is known
+ *           example: 1.25
+ *         createdAt:
+ *           type: string
+ *           format: date-time
+ */
+
+/**
+ * @swagger
+ * /api/pharmacies:
+ *   get:
+ *     summary: List approved pharmacies (public)
+ *     description: Closest first when a location is given or the logged-in user has one saved, otherwise by name. Only public profile fields are returned.
+ *     tags: [Pharmacies]
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Filter by pharmacy name (case-insensitive)
+ *       - in: query
+ *         name: latitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: radius
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *         description: Only return pharmacies within this many kilometres (needs a location)
+ *       - in: query
+ *         name: openNow
+ *         schema:
+ *           type: boolean
+ *         description: Only return pharmacies that are open right now
+ *       - in: query
+ *         name: openAt
+ *         schema:
+ *           type: string
+ *           format: date-time
+ *         description: Only return pharmacies open at this time, at most a day back or 7 days ahead (overrides openNow)
+ *     responses:
+ *       200:
+ *         description: Paginated pharmacies
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     count:
+ *                       type: integer
+ *                     pharmacies:
+ *                       type: array
+ *                       items:
+ *                         $ref: '#/components/schemas/PublicPharmacy'
+ *                     pagination:
+ *                       type: object
+ *       400:
+ *         description: radius is not a positive number or was given without a location, or openNow/openAt is invalid or openAt is out of range
+ */
+router.get(
+  "/",
+  authenticate.optional,
+  openFilter,
+  pharmacyController.pharmacyQuery,
+  paginate(Pharmacy, { populate: null }),
+  pharmacyController.listPharmacies
+);
+
+/**
+ * @swagger
+ * /api/pharmacies/{id}:
+ *   get:
+ *     summary: Get an approved pharmacy's public profile (public)
+ *     tags: [Pharmacies]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: latitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Public profile with the number of active medicines
+ *         content:
+ *           application/json:
+ *             schema:
+ *               type: object
+ *               properties:
+ *                 data:
+ *                   type: object
+ *                   properties:
+ *                     pharmacy:
+ *                       $ref: '#/components/schemas/PublicPharmacy'
+ *       404:
+ *         description: Pharmacy not found or not publicly listed
+ */
+router.get("/:id", authenticate.optional, pharmacyController.getPharmacy);
+
+module.exports = router;
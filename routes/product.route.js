@@ -0,0 +1,403 @@
+const express = require("express");
+const router = express.Router();
+const authenticate = require("../middleware/auth.middleware");
+const requirePermission = require("../middleware/permission.middleware");
+const productController = require("../controllers/product.controller");
+const paginate = require("../middleware/paginate.middleware");
+const Product = require("../models/product.model");
+const Medicine = require("../models/medicine.model");
+
+/**
+ * @swagger
+ * tags:
+ *   name: Products
+ *   description: Shared drug catalog that pharmacy medicine listings link to
+ */
+
+/**
+ * @swagger
+ * components:
+ *   schemas:
+ *     Product:
+ *       type: object
+ *       required:
+ *         - genericName
+ *       properties:
+ *         _id:
+ *           type: string
+ *         genericName:
+ *           type: string
+ *           example: "Paracetamol"
+ *         brandName:
+ *           type: string
+ *           example: "Panadol"
+ *         strength:
+ *           type: string
+ *           example: "500mg"
+ *         dosageForm:
+ *           type: string
+ *           enum: [tablet, capsule, syrup, suspension, drops, injection, cream, ointment, gel, inhaler, suppository, sachet, other]
+ *         packSize:
+ *           type: string
+ *           example: "24 tablets"
+ *         manufacturer:
+ *           type: string
+ *           example: "GSK"
+ *         barcode:
+ *           type: string
+ *           example: "6221000000017"
+ *         description:
+ *           type: string
+ *         image:
+ *           type: string
+ *         isActive:
+ *           type: boolean
+ *         mergedInto:
+ *           type: string
+ *           nullable: true
+ *           description: Product this duplicate was merged into
+ */
+
+/**
+ * @swagger
+ * /api/products:
+ *   get:
+ *     summary: Browse the drug catalog
+ *     tags: [Products]
+ *     parameters:
+ *       - in: query
+ *         name: search
+ *         schema:
+ *           type: string
+ *         description: Matches generic name, brand name or manufacturer (case-insensitive)
+ *       - in: query
+ *         name: dosageForm
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: barcode
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: includeInactive
+ *         schema:
+ *           type: boolean
+ *         description: Also list deactivated and merged entries (product:manage only)
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Products retrieved successfully
+ *       400:
+ *         description: Invalid filters
+ *   post:
+ *     summary: Add a catalog product (Admin only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Product'
+ *     responses:
+ *       201:
+ *         description: Product created successfully
+ *       400:
+ *         description: Missing generic name or unknown dosage form
+ *       403:
+ *         description: product:manage permission required
+ *       409:
+ *         description: Barcode already registered
+ */
+router.get(
+  "/",
+  authenticate.optional,
+  productController.productQuery,
+  paginate(Product, { populate: null }),
+  productController.listProducts
+);
+router.post(
+  "/",
+  authenticate,
+  requirePermission("product:manage"),
+  productController.createProduct
+);
+
+/**
+ * @swagger
+ * /api/products/unmatched-listings:
+ *   get:
+ *     summary: Active medicines not linked to a catalog product yet (Admin only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: query
+ *         name: page
+ *         schema:
+ *           type: integer
+ *           default: 1
+ *       - in: query
+ *         name: limit
+ *         schema:
+ *           type: integer
+ *           default: 10
+ *     responses:
+ *       200:
+ *         description: Unmatched medicines retrieved successfully
+ *       403:
+ *         description: product:manage permission required
+ */
+router.get(
+  "/unmatched-listings",
+  authenticate,
+  requirePermission("product:manage"),
+  productController.unmatchedListingsQuery,
+  paginate(Medicine),
+  productController.listUnmatchedListings
+);
+
+/**
+ * @swagger
+ * /api/products/{id}:
+ *   get:
+ *     summary: Get a catalog product
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product retrieved successfully
+ *       404:
+ *         description: Product not found or no longer active
+ *   patch:
+ *     summary: Update a catalog product (Admin only)
+ *     description: The new name and description are copied to every linked medicine listing.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             $ref: '#/components/schemas/Product'
+ *     responses:
+ *       200:
+ *         description: Product updated; `listingsUpdated` counts the medicines that changed
+ *       400:
+ *         description: Nothing to update or invalid values
+ *       404:
+ *         description: Product not found
+ *       409:
+ *         description: Barcode already registered
+ */
+router.get("/:id", authenticate.optional, productController.getProduct);
+router.patch(
+  "/:id",
+  authenticate,
+  requirePermission("product:manage"),
+  productController.updateProduct
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/offers:
+ *   get:
+ *     summary: Compare prices for a product across pharmacies
+ *     description: Every active, in-stock listing of the product from an approved pharmacy, with price, distance and stock status, plus the min, max and median price. Distances are measured from latitude/longitude, or the logged-in user's saved location.
+ *     tags: [Products]
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *       - in: query
+ *         name: sort
+ *         schema:
+ *           type: string
+ *           enum: [price, distance, score]
+ *           default: price
+ *         description: "score weighs price against distance (highest score first)"
+ *       - in: query
+ *         name: priceWeight
+ *         schema:
+ *           type: number
+ *           minimum: 0
+ *           maximum: 1
+ *           default: 0.5
+ *         description: Share of the score given to price; the rest goes to distance
+ *       - in: query
+ *         name: latitude
+ *         schema:
+ *           type: number
+ *       - in: query
+ *         name: longitude
+ *         schema:
+ *           type: number
+ *     responses:
+ *       200:
+ *         description: Offers retrieved successfully
+ *         content:
+ *           application/json:
+ *             example:
+ *               status: success
+ *               message: Offers retrieved successfully
+ *               data:
+ *                 summary:
+ *                   count: 2
+ *                   minPrice: 28
+ *                   maxPrice: 32
+ *                   medianPrice: 30
+ *                 offers:
+ *                   - medicineId: "665f1c2e9b1e8a0012345678"
+ *                     price: 28
+ *                     quantity: 3
+ *                     stockStatus: low-stock
+ *                     pharmacy:
+ *                       _id: "665f1c2e9b1e8a0012340001"
+ *                       pharmacyName: "Nile Pharmacy"
+ *                     distance: 1.42
+ *                     score: 1
+ *       400:
+ *         description: Unknown sort, distance sort without a location, or priceWeight out of range
+ *       404:
+ *         description: Product not found or no longer active
+ */
+router.get("/:id/offers", authenticate.optional, productController.getOffers);
+
+/**
+ * @swagger
+ * /api/products/{id}/deactivate:
+ *   patch:
+ *     summary: Retire a catalog product (Admin only)
+ *     description: Existing listings stay up, but pharmacies can no longer link new medicines to it.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     responses:
+ *       200:
+ *         description: Product deactivated successfully
+ *       404:
+ *         description: Product not found
+ */
+router.patch(
+  "/:id/deactivate",
+  authenticate,
+  requirePermission("product:manage"),
+  productController.deactivateProduct
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/merge:
+ *   post:
+ *     summary: Merge a duplicate product into another one (Admin only)
+ *     description: Listings of the duplicate move to the target product and take its name. The duplicate is deactivated and records where it went, so ids and barcodes pointing at it still resolve.
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *         description: The duplicate product
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - into
+ *             properties:
+ *               into:
+ *                 type: string
+ *                 description: ID of the product to keep
+ *     responses:
+ *       200:
+ *         description: Products merged; `listingsMoved` counts the medicines that moved
+ *       400:
+ *         description: Missing or invalid target
+ *       404:
+ *         description: Product not found
+ */
+router.post(
+  "/:id/merge",
+  authenticate,
+  requirePermission("product:manage"),
+  productController.mergeProduct
+);
+
+/**
+ * @swagger
+ * /api/products/{id}/listings:
+ *   post:
+ *     summary: Link pharmacy medicines to a catalog product (Admin only)
+ *     tags: [Products]
+ *     security:
+ *       - bearerAuth: []
+ *     parameters:
+ *       - in: path
+ *         name: id
+ *         required: true
+ *         schema:
+ *           type: string
+ *     requestBody:
+ *       required: true
+ *       content:
+ *         application/json:
+ *           schema:
+ *             type: object
+ *             required:
+ *               - medicineIds
+ *             properties:
+ *               medicineIds:
+ *                 type: array
+ *                 items:
+ *                   type: string
+ *     responses:
+ *       200:
+ *         description: Medicines linked; `listingsLinked` counts the medicines that changed
+ *       400:
+ *         description: medicineIds missing
+ *       404:
+ *         description: Product not found or inactive
+ */
+router.post(
+  "/:id/listings",
+  authenticate,
+  requirePermission("product:manage"),
+  productController.linkListings
+);
+
+module.exports = router;
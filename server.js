@@ -1,5 +1,6 @@
 const express = require("express");
 const path = require("path");
+const cookieParser = require("cookie-parser");
 const dotenv = require("dotenv");
 const connectDB = require("./config/db.config");
 dotenv.config();
@@ -9,11 +10,18 @@ const swaggerDocs = require('./config/swagger');
 
 const AppError = require("./utilities/app.error.util");
 const errorHandler = require("./middleware/errorHandler.middleware");
+const csrfProtection = require("./middleware/csrf.middleware");
 
 const { scheduleBackup } = require("./services/backup.service");
+const { scheduleAuditRetention } = require("./services/audit.service");
+const { scheduleAccountAnonymization } = require("./services/account.service");
+const { scheduleOpeningWindowRefresh } = require("./services/pharmacy.directory.service");
 
 const authRoutes = require("./routes/auth.route");
 const medicineRoutes = require("./routes/medicine.route");
+const adminRoutes = require("./routes/admin.route");
+const pharmacyRoutes = require("./routes/pharmacy.route");
+const productRoutes = require("./routes/product.route");
 
 
 // Handle uncaught exceptions
@@ -24,22 +32,37 @@ process.on("uncaughtException", (err) => {
   process.exit(1);
 });
 
+// Emailed reset, verification and invite links are built from CLIENT_URL
+// only (see buildClientUrl), never from request headers
+if (!process.env.CLIENT_URL) {
+  logger.error("CLIENT_URL is not set; emailed links cannot be built. Shutting down...");
+  process.exit(1);
+}
+
 const PORT = process.env.PORT || 3001;
 const app = express();
 
 // Middleware
 app.use(corsHandler);
 app.use(express.json());
+app.use(cookieParser());
+app.use(csrfProtection);
 app.use("/img", express.static(path.join(__dirname, "uploads")));
 
 // Connect DB
 connectDB();
 
 scheduleBackup();
+scheduleAuditRetention();
+scheduleAccountAnonymization();
+scheduleOpeningWindowRefresh();
 
 // Routes
 app.use("/api/auth", authRoutes);
 app.use("/api/medicines", medicineRoutes);
+app.use("/api/admin", adminRoutes);
+app.use("/api/pharmacies", pharmacyRoutes);
+app.use("/api/products", productRoutes);
 
 // Swagger Docs (only if enabled and not in production)
 swaggerDocs(app);
@@ -0,0 +1,233 @@
+const crypto = require("crypto");
+const fs = require("fs");
+const cron = require("node-cron");
+const User = require("../models/user.model");
+const PharmacyStaff = require("../models/pharmacy.staff.model");
+const Medicine = require("../models/medicine.model");
+const ApiKey = require("../models/api.key.model");
+const Session = require("../models/session.model");
+const AuditEvent = require("../models/audit.event.model");
+const tokenService = require("./token.service");
+const { recordAuditEvent } = require("./audit.service");
+const { buildPublicUser } = require("./auth.service");
+const {
+  DOCUMENT_FIELDS,
+  resolveDocumentPath,
+} = require("./pharmacy.document.service");
+const logger = require("../utilities/logger.util");
+
+const getDeletionGraceDays = () =>
+  parseInt(process.env.ACCOUNT_DELETION_GRACE_DAYS || 30);
+
+// A deleted pharmacy's stock disappears from search and its POS keys stop working
+const deactivatePharmacy = (pharmacyId) =>
+  Promise.all([
+    Medicine.updateMany({ pharmacyId, isActive: true }, { isActive: false }),
+    ApiKey.updateMany({ pharmacy: pharmacyId, revokedAt: null }, { revokedAt: new Date() }),
+  ]);
+
+/**
+ * Starts the grace period: the user is logged out everywhere and, for a
+ * pharmacy, its listings are taken down right away.
+ */
+const scheduleDeletion = async (user) => {
+  user.deletionRequestedAt = new Date();
+  user.deletionScheduledFor = new Date(
+    Date.now() + getDeletionGraceDays() * 24 * 60 * 60 * 1000
+  );
+  await user.save({ validateBeforeSave: false });
+
+  await tokenService.revokeAllRefreshTokens(user._id, "account-deleted");
+  if (user.role === "pharmacy") await deactivatePharmacy(user._id);
+
+  return user.deletionScheduledFor;
+};
+
+/**
+ * Logging in during the grace period keeps the account. Listings and API
+ * keys taken down at request time stay down; the pharmacy re-enables them.
+ * Resolves to true when a pending deletion was cancelled.
+ */
+const cancelPendingDeletion = async (req, user) => {
+  if (!user.deletionScheduledFor) return false;
+
+  user.deletionRequestedAt = undefined;
+  user.deletionScheduledFor = undefined;
+  await user.save({ validateBeforeSave: false });
+
+  logger.info(`AccountDeletion | Cancelled by login | ${user.email}`);
+  await recordAuditEvent(req, "account.deletion-cancelled", { actor: user });
+  return true;
+};
+
+const removeDocumentFiles = (user) =>
+  Promise.all(
+    DOCUMENT_FIELDS.map((field) => resolveDocumentPath(user[field]))
+      .filter(Boolean)
+      .map((filePath) =>
+        fs.promises.unlink(filePath).catch((err) => {
+          logger.warn(`AccountDeletion | Could not remove ${filePath} | ${err.message}`);
+        })
+      )
+  );
+
+/**
+ * Strips the user's contact details and network traces from the audit log
+ * and their sessions. The events themselves stay, attributed to the
+ * anonymized account.
+ */
+const scrubActivity = async (user, originalEmail) => {
+  await Promise.all([
+    AuditEvent.updateMany(
+      { $or: [{ actor: user._id }, { actorEmail: originalEmail }] },
+      {
+        $set: { actorEmail: user.email },
+        $unset: { ip: "", userAgent: "", "metadata.email": "" },
+      }
+    ),
+    // Admin actions on the account keep the admin's own ip and user agent
+    AuditEvent.updateMany(
+      { "target.id": user._id },
+      { $unset: { "metadata.email": "" } }
+    ),
+    Session.updateMany({ user: user._id }, { $unset: { ip: "", userAgent: "" } }),
+  ]);
+};
+
+/**
+ * Replaces the personal data on the User document instead of deleting it,
+ * so listings (Medicine.pharmacyId) and audit events keep a valid reference.
+ * A pharmacy's staff accounts go with it.
+ */
+const anonymizeUser = async (user) => {
+  const id = String(user._id);
+  const originalEmail = user.email;
+
+  if (user.role === "pharmacy") {
+    const staff = await PharmacyStaff.find({
+      pharmacy: user._id,
+      status: { $ne: "deleted" },
+    });
+    for (const member of staff) await anonymizeUser(member);
+
+    await removeDocumentFiles(user);
+    await deactivatePharmacy(user._id);
+    DOCUMENT_FIELDS.forEach((field) => (user[field] = undefined));
+    user.licenseNumber = undefined;
+  }
+
+  // A pending staff invitation can no longer be accepted
+  if (user.role === "staff") {
+    user.inviteToken = undefined;
+    user.inviteExpires = undefined;
+  }
+
+  user.fullName = "Deleted user";
+  user.email = `deleted-${id}@deleted.invalid`;
+  user.phone = `deleted-${id}`;
+  user.photo = "default.jpg";
+  user.location = undefined;
+  // Nobody knows this password, so the account can never log in again
+  user.password = crypto.randomBytes(32).toString("hex");
+  user.emailVerified = false;
+  user.phoneVerified = false;
+  user.twoFactorEnabled = false;
+  user.twoFactorSecret = undefined;
+  user.twoFactorBackupCodes = undefined;
+  user.status = "deleted";
+  user.deletionScheduledFor = undefined;
+  user.anonymizedAt = new Date();
+  await user.save({ validateBeforeSave: false });
+
+  await tokenService.revokeAllRefreshTokens(user._id, "account-deleted");
+  await scrubActivity(user, originalEmail);
+  logger.info(`AccountDeletion | Anonymized ${user.role} ${id}`);
+};
+
+const anonymizeDueAccounts = async () => {
+  const users = await User.find({
+    deletionScheduledFor: { $lte: new Date() },
+    status: { $ne: "deleted" },
+  });
+
+  for (const user of users) {
+    try {
+      await anonymizeUser(user);
+    } catch (err) {
+      logger.error(`AccountDeletion | Failed for ${user._id} | ${err.message}`);
+    }
+  }
+
+  return users.length;
+};
+
+const scheduleAccountAnonymization = () => {
+  cron.schedule("0 4 * * *", async () => {
+    try {
+      const count = await anonymizeDueAccounts();
+      logger.info(`AccountDeletion | Anonymized ${count} accounts past their grace period`);
+    } catch (err) {
+      logger.error(`AccountDeletion | Job failed | ${err.message}`);
+    }
+  });
+};
+
+/**
+ * Everything we hold about the user, as stored. The platform has no orders
+ * or favourites yet; the keys are there so the archive format stays stable
+ * once they exist.
+ */
+const buildDataExport = async (user) => {
+  const [sessions, activity, listings] = await Promise.all([
+    Session.find({ user: user._id }).sort({ createdAt: -1 }),
+    AuditEvent.find({ actor: user._id }).sort({ createdAt: -1 }),
+    user.role === "pharmacy" ? Medicine.find({ pharmacyId: user._id }) : [],
+  ]);
+
+  const { location, ...profile } = buildPublicUser(user);
+
+  return {
+    exportedAt: new Date().toISOString(),
+    profile: {
+      ...profile,
+      createdAt: user.createdAt,
+      updatedAt: user.updatedAt,
+    },
+    location: location || null,
+    orders: [],
+    favourites: [],
+    medicines: listings.map((medicine) => ({
+      _id: medicine._id,
+      name: medicine.name,
+      price: medicine.price,
+      quantity: medicine.quantity,
+      isActive: medicine.isActive,
+      createdAt: medicine.createdAt,
+    })),
+    sessions: sessions.map((session) => ({
+      device: session.device,
+      userAgent: session.userAgent,
+      ip: session.ip,
+      createdAt: session.createdAt,
+      lastSeenAt: session.lastSeenAt,
+      revokedAt: session.revokedAt,
+    })),
+    activity: activity.map((event) => ({
+      action: event.action,
+      outcome: event.outcome,
+      ip: event.ip,
+      userAgent: event.userAgent,
+      createdAt: event.createdAt,
+    })),
+  };
+};
+
+module.exports = {
+  getDeletionGraceDays,
+  scheduleDeletion,
+  cancelPendingDeletion,
+  anonymizeUser,
+  anonymizeDueAccounts,
+  scheduleAccountAnonymization,
+  buildDataExport,
+};
@@ -0,0 +1,79 @@
+const crypto = require("crypto");
+const net = require("net");
+const ApiKey = require("../models/api.key.model");
+const { hashToken } = require("./token.service");
+
+const KEY_PREFIX = "cl";
+
+// How often a used key writes lastUsedAt back
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+/**
+ * Returns the plain key (shown to the owner once), the visible prefix and the
+ * hash that is stored. Keys look like `cl_1a2b3c4d_<secret>`.
+ */
+const generateApiKey = () => {
+  const id = crypto.randomBytes(4).toString("hex");
+  const secret = crypto.randomBytes(32).toString("base64url");
+  const key = `${KEY_PREFIX}_${id}_${secret}`;
+
+  return { key, prefix: `${KEY_PREFIX}_${id}`, keyHash: hashToken(key) };
+};
+
+const stripIpv4Mapping = (ip) => String(ip || "").replace(/^::ffff:/, "");
+
+const parseAllowedIp = (entry) => {
+  const [address, bits] = String(entry).trim().split("/");
+  const family = net.isIP(address);
+  if (!family) return null;
+
+  const type = family === 4 ? "ipv4" : "ipv6";
+  if (bits === undefined) return { address, type };
+
+  const prefix = Number(bits);
+  const max = family === 4 ? 32 : 128;
+  if (!/^\d+$/.test(bits) || prefix > max) return null;
+
+  return { address, prefix, type };
+};
+
+// Returns the entries that are neither an IP address nor a CIDR range
+const invalidAllowedIps = (entries) =>
+  entries.filter((entry) => !parseAllowedIp(entry));
+
+const isIpAllowed = (apiKey, ip) => {
+  if (!apiKey.allowedIps || apiKey.allowedIps.length === 0) return true;
+
+  const address = stripIpv4Mapping(ip);
+  const type = net.isIP(address) === 6 ? "ipv6" : "ipv4";
+  const blockList = new net.BlockList();
+
+  apiKey.allowedIps.map(parseAllowedIp).forEach((rule) => {
+    if (!rule) return;
+    if (rule.prefix === undefined) blockList.addAddress(rule.address, rule.type);
+    else blockList.addSubnet(rule.address, rule.prefix, rule.type);
+  });
+
+  return net.isIP(address) > 0 && blockList.check(address, type);
+};
+
+const findActiveKey = (key) =>
+  ApiKey.findOne({ keyHash: hashToken(key), revokedAt: null });
+
+const recordUse = async (apiKey, ip) => {
+  const lastUsed = apiKey.lastUsedAt ? new Date(apiKey.lastUsedAt).getTime() : 0;
+  if (Date.now() - lastUsed <= TOUCH_INTERVAL_MS) return;
+
+  await ApiKey.updateOne(
+    { _id: apiKey._id },
+    { lastUsedAt: new Date(), lastUsedIp: stripIpv4Mapping(ip) }
+  );
+};
+
+module.exports = {
+  generateApiKey,
+  invalidAllowedIps,
+  isIpAllowed,
+  findActiveKey,
+  recordUse,
+};
@@ -0,0 +1,58 @@
+const cron = require("node-cron");
+const AuditEvent = require("../models/audit.event.model");
+const logger = require("../utilities/logger.util");
+
+const getRetentionDays = () => parseInt(process.env.AUDIT_RETENTION_DAYS || 365);
+
+/**
+ * Stores an AuditEvent for the request. `actor` defaults to req.user; pass
+ * `{ email }` when nobody is logged in. Audit writes never fail the request:
+ * errors are logged and swallowed.
+ */
+const recordAuditEvent = async (
+  req,
+  action,
+  { outcome = "success", actor = req.user, target, metadata = {} } = {}
+) => {
+  try {
+    await AuditEvent.create({
+      actor: actor && actor._id ? actor._id : null,
+      actorEmail: actor ? actor.email : undefined,
+      actorRole: actor ? actor.role : undefined,
+      impersonatedBy: req.authSession ? req.authSession.impersonatedBy || null : null,
+      action,
+      target,
+      outcome,
+      ip: req.ip,
+      userAgent: req.get("user-agent"),
+      metadata,
+    });
+  } catch (err) {
+    logger.error(`Audit | Failed to record ${action} | ${err.message}`);
+  }
+};
+
+const pruneAuditEvents = async () => {
+  const cutoff = new Date(Date.now() - getRetentionDays() * 24 * 60 * 60 * 1000);
+  const { deletedCount } = await AuditEvent.deleteMany({ createdAt: { $lt: cutoff } });
+
+  logger.info(`Audit | Pruned ${deletedCount} events older than ${cutoff.toISOString()}`);
+  return deletedCount;
+};
+
+const scheduleAuditRetention = () => {
+  cron.schedule("30 3 * * *", async () => {
+    try {
+      await pruneAuditEvents();
+    } catch (err) {
+      logger.error(`Audit | Retention job failed | ${err.message}`);
+    }
+  });
+};
+
+module.exports = {
+  getRetentionDays,
+  recordAuditEvent,
+  pruneAuditEvents,
+  scheduleAuditRetention,
+};
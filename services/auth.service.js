@@ -0,0 +1,164 @@
+const tokenService = require("./token.service");
+const sessionService = require("./session.service");
+const csrfService = require("./csrf.service");
+const { sendSuccess, sendFail } = require("../utilities/response.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+const { fromGeoPoint } = require("../utilities/location.util");
+
+const REFRESH_COOKIE_PATH = "/api/auth";
+
+const setAuthCookies = (res, token, refreshToken) => {
+  const cookieOptions = {
+    expires: new Date(
+      Date.now() +
+        parseInt(process.env.JWT_COOKIE_EXPIRES_IN || 7) * 24 * 60 * 60 * 1000
+    ),
+    httpOnly: true,
+    sameSite: "strict",
+    secure: process.env.NODE_ENV === "production",
+  };
+
+  res.cookie("jwt", token, cookieOptions);
+  res.cookie("refreshToken", refreshToken, {
+    ...cookieOptions,
+    expires: new Date(Date.now() + tokenService.getRefreshTokenTtlMs()),
+    path: REFRESH_COOKIE_PATH,
+  });
+  csrfService.issueCsrfToken(res);
+};
+
+const clearAuthCookies = (res) => {
+  res.clearCookie("jwt");
+  res.clearCookie("refreshToken", { path: REFRESH_COOKIE_PATH });
+  csrfService.clearCsrfToken(res);
+};
+
+const getPresentedRefreshToken = (req) =>
+  (req.cookies && req.cookies.refreshToken) ||
+  (req.body && req.body.refreshToken);
+
+// Emailed links carry single-use tokens, so their base only ever comes from
+// configuration: a request's Host header can be forged
+const buildClientUrl = (pathname) => {
+  const base = process.env.CLIENT_URL;
+  if (!base) {
+    throw new Error("CLIENT_URL must be set to build links sent by email");
+  }
+  return `${base.replace(/\/$/, "")}/${pathname}`;
+};
+
+const buildPublicUser = (user) => {
+  const userObj =
+    typeof user.toObject === "function" ? user.toObject() : { ...user };
+
+  delete userObj.password;
+  delete userObj.__v;
+  delete userObj.createdAt;
+  delete userObj.updatedAt;
+
+  let publicUser = {
+    _id: userObj._id,
+    fullName: userObj.fullName,
+    email: userObj.email,
+    photo: userObj.photo,
+    role: userObj.role,
+    phone: userObj.phone,
+    location: fromGeoPoint(userObj.location),
+    emailVerified: userObj.emailVerified,
+    phoneVerified: userObj.phoneVerified,
+    twoFactorEnabled: userObj.twoFactorEnabled,
+  };
+
+  if (userObj.role === "pharmacy") {
+    publicUser = {
+      ...publicUser,
+      pharmacyName: userObj.pharmacyName,
+      licenseNumber: userObj.licenseNumber,
+      pharmacyLicensePhoto: userObj.pharmacyLicensePhoto,
+      ownerIdFront: userObj.ownerIdFront,
+      ownerIdBack: userObj.ownerIdBack,
+      verificationStatus: userObj.verificationStatus,
+      verificationNotes: userObj.verificationNotes,
+    };
+  }
+
+  if (userObj.role === "staff") {
+    publicUser = {
+      ...publicUser,
+      pharmacy: userObj.pharmacy,
+      permissions: userObj.permissions,
+    };
+  }
+
+  Object.keys(publicUser).forEach(
+    (key) => publicUser[key] == null && delete publicUser[key]
+  );
+
+  return publicUser;
+};
+
+const createSendToken = async (user, statusCode, res, extraData = {}) => {
+  const session = await sessionService.createSession(user._id, res.req);
+  const token = tokenService.signAccessToken(user._id, session._id);
+  const refreshToken = await tokenService.issueRefreshToken(
+    user._id,
+    session.family
+  );
+
+  setAuthCookies(res, token, refreshToken);
+
+  return sendSuccess(
+    res,
+    { token, refreshToken, user: buildPublicUser(user), ...extraData },
+    "Authentication successful",
+    statusCode
+  );
+};
+
+const sendAccountLocked = (res, user) => {
+  const retryAfter = Math.ceil((user.lockUntil.getTime() - Date.now()) / 1000);
+
+  res.set("Retry-After", String(retryAfter));
+  return sendFail(
+    res,
+    { lockedUntil: user.lockUntil.toISOString(), retryAfter },
+    "Account temporarily locked due to too many failed login attempts. Please try again later.",
+    STATUS_CODES.LOCKED
+  );
+};
+
+const accountRestrictionMessages = {
+  suspended: "Your account has been suspended. Please contact support.",
+  deleted: "This account has been deleted.",
+  "password-reset-required":
+    "A password reset is required. Please use the link sent to your email.",
+};
+
+// Why an account with valid credentials may not get or keep a session
+const getAccountRestriction = (user) => {
+  if (user.status === "suspended") return "suspended";
+  if (user.status === "deleted") return "deleted";
+  if (user.passwordResetRequired) return "password-reset-required";
+  return null;
+};
+
+const sendAccountRestricted = (res, restriction) =>
+  sendFail(
+    res,
+    { account: restriction },
+    accountRestrictionMessages[restriction],
+    STATUS_CODES.FORBIDDEN
+  );
+
+module.exports = {
+  setAuthCookies,
+  clearAuthCookies,
+  getPresentedRefreshToken,
+  buildClientUrl,
+  buildPublicUser,
+  createSendToken,
+  sendAccountLocked,
+  accountRestrictionMessages,
+  getAccountRestriction,
+  sendAccountRestricted,
+};
@@ -0,0 +1,84 @@
+const Product = require("../models/product.model");
+const Medicine = require("../models/medicine.model");
+
+// Merges are followed this far before giving up on a broken chain
+const MAX_MERGE_DEPTH = 5;
+
+/**
+ * Name shown on listings of a catalog product, e.g. "Panadol 500mg".
+ */
+const describeProduct = (product) =>
+  [product.brandName || product.genericName, product.strength]
+    .filter(Boolean)
+    .join(" ");
+
+/**
+ * Comparable form of a free-text medicine name: "PANADOL  500 mg." and
+ * "panadol 500mg" both become "panadol 500mg".
+ */
+const normalizeMedicineName = (name) =>
+  String(name || "")
+    .toLowerCase()
+    .replace(/(\d)\s+(mg|mcg|g|ml|iu|%)\b/g, "$1$2")
+    .replace(/[^\p{L}\p{N}%.\s]/gu, " ")
+    .replace(/\.(?!\d)/g, " ")
+    .replace(/\s+/g, " ")
+    .trim();
+
+const productNames = (product) =>
+  [product.brandName, product.genericName]
+    .filter(Boolean)
+    .map((name) =>
+      normalizeMedicineName([name, product.strength].filter(Boolean).join(" "))
+    );
+
+/**
+ * Catalog product whose brand or generic name (with strength) matches a
+ * listing name, or null when none or more than one product matches.
+ */
+const matchProduct = (name, products) => {
+  const wanted = normalizeMedicineName(name);
+  if (!wanted) return null;
+
+  const matches = products.filter((product) =>
+    productNames(product).includes(wanted)
+  );
+  return matches.length === 1 ? matches[0] : null;
+};
+
+/**
+ * Active catalog product a listing should point at, looked up by id or
+ * barcode. Products merged into another one resolve to the survivor.
+ */
+const findCatalogProduct = async ({ product, barcode }) => {
+  let found = product
+    ? await Product.findById(product)
+    : await Product.findOne({ barcode: String(barcode).trim() });
+
+  for (let depth = 0; found && found.mergedInto && depth < MAX_MERGE_DEPTH; depth++) {
+    found = await Product.findById(found.mergedInto);
+  }
+
+  return found && found.isActive && !found.mergedInto ? found : null;
+};
+
+// Catalog fields copied onto listings so search and listing pages need no join
+const listingFields = (product) => ({
+  product: product._id,
+  name: describeProduct(product),
+  description: product.description || product.genericName,
+  genericName: product.genericName,
+  brandName: product.brandName || null,
+});
+
+const syncListings = (product, filter = { product: product._id }) =>
+  Medicine.updateMany(filter, listingFields(product));
+
+module.exports = {
+  describeProduct,
+  normalizeMedicineName,
+  matchProduct,
+  findCatalogProduct,
+  listingFields,
+  syncListings,
+};
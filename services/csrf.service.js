@@ -0,0 +1,60 @@
+const crypto = require("crypto");
+const tokenService = require("./token.service");
+
+const CSRF_COOKIE = "csrfToken";
+const CSRF_HEADER = "x-csrf-token";
+
+// Cookies that a browser attaches on its own and that authenticate a request
+const CREDENTIAL_COOKIES = ["jwt", "refreshToken"];
+
+/**
+ * Double-submit token: readable by the client's scripts (not httpOnly) so it
+ * can be echoed in the X-CSRF-Token header, which another site cannot do.
+ * It lives as long as the refresh token, so a session kept alive by
+ * refreshing still has a token for its state-changing requests.
+ */
+const issueCsrfToken = (res) => {
+  const token = crypto.randomBytes(32).toString("hex");
+
+  res.cookie(CSRF_COOKIE, token, {
+    httpOnly: false,
+    sameSite: "strict",
+    secure: process.env.NODE_ENV === "production",
+    expires: new Date(Date.now() + tokenService.getRefreshTokenTtlMs()),
+  });
+
+  return token;
+};
+
+const clearCsrfToken = (res) => res.clearCookie(CSRF_COOKIE);
+
+// Bearer tokens and API keys are never sent automatically, so only requests
+// that rely on credential cookies can be forged from another site
+const usesCookieCredentials = (req) =>
+  !(req.headers.authorization || "").startsWith("Bearer ") &&
+  !req.get("x-api-key") &&
+  CREDENTIAL_COOKIES.some((name) => req.cookies && req.cookies[name]);
+
+const isValidCsrfToken = (req) => {
+  const cookieToken = req.cookies && req.cookies[CSRF_COOKIE];
+  const headerToken = req.get(CSRF_HEADER);
+
+  if (!cookieToken || !headerToken) return false;
+
+  const expected = Buffer.from(String(cookieToken));
+  const presented = Buffer.from(String(headerToken));
+
+  return (
+    expected.length === presented.length &&
+    crypto.timingSafeEqual(expected, presented)
+  );
+};
+
+module.exports = {
+  CSRF_COOKIE,
+  CSRF_HEADER,
+  issueCsrfToken,
+  clearCsrfToken,
+  usesCookieCredentials,
+  isValidCsrfToken,
+};
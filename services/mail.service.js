@@ -0,0 +1,169 @@
+const fs = require('fs');
+const path = require('path');
+const logger = require('../utilities/logger.util');
+
+/**
+ * A transport is any object exposing `send(message)` that returns a promise.
+ * The built-in ones never leave the machine and are refused in production; a
+ * real provider (SMTP, SES, ...) is plugged in at startup through
+ * `setTransport`.
+ */
+const createMemoryTransport = () => {
+    const outbox = [];
+
+    return {
+        name: 'memory',
+        outbox,
+        send: async (message) => {
+            outbox.push({ ...message, sentAt: new Date() });
+            return { id: `memory-${outbox.length}` };
+        },
+        clear: () => {
+            outbox.length = 0;
+        }
+    };
+};
+
+const createFileTransport = (directory = process.env.MAIL_OUTBOX_DIR || path.join(__dirname, '..', 'mail-outbox')) => ({
+    name: 'file',
+    directory,
+    send: async (message) => {
+        if (!fs.existsSync(directory)) {
+            fs.mkdirSync(directory, { recursive: true });
+        }
+
+        const id = `${Date.now()}-${Math.round(Math.random() * 1e9)}`;
+        const filePath = path.join(directory, `${id}.json`);
+
+        await fs.promises.writeFile(
+            filePath,
+            JSON.stringify({ ...message, sentAt: new Date() }, null, 2)
+        );
+
+        return { id, filePath };
+    }
+});
+
+const builtInTransports = {
+    memory: createMemoryTransport,
+    file: createFileTransport
+};
+
+let activeTransport = null;
+
+const getTransport = () => {
+    if (!activeTransport) {
+        // The built-in transports keep messages in memory or on disk, reset
+        // and verification tokens included, so production fails closed until
+        // a real provider is plugged in
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('No mail transport configured; plug a real provider in with setTransport');
+        }
+
+        const defaultName = process.env.NODE_ENV === 'test' ? 'memory' : 'file';
+        const name = process.env.MAIL_TRANSPORT || defaultName;
+        const factory = builtInTransports[name];
+
+        if (!factory) {
+            throw new Error(`Unknown mail transport: ${name}`);
+        }
+
+        activeTransport = factory();
+    }
+
+    return activeTransport;
+};
+
+const setTransport = (transport) => {
+    if (!transport || typeof transport.send !== 'function') {
+        throw new Error('Mail transport must implement send(message)');
+    }
+
+    activeTransport = transport;
+};
+
+const sendMail = async ({ to, subject, text, html }) => {
+    const transport = getTransport();
+    const message = {
+        from: process.env.MAIL_FROM || 'Cure-Link <no-reply@curelink.local>',
+        to,
+        subject,
+        text,
+        ...(html && { html })
+    };
+
+    const info = await transport.send(message);
+    logger.info(`[Mail] Sent "${subject}" to ${to} via ${transport.name || 'custom'} transport`);
+    return info;
+};
+
+const sendPasswordResetEmail = (user, resetUrl) => sendMail({
+    to: user.email,
+    subject: 'Reset your Cure-Link password',
+    text: [
+        `Hi ${user.fullName || 'there'},`,
+        '',
+        'We received a request to reset your password. Use the link below to choose a new one:',
+        resetUrl,
+        '',
+        `The link expires in ${process.env.PASSWORD_RESET_EXPIRES_IN_MINUTES || 30} minutes and can only be used once.`,
+        "If you didn't ask for this, you can safely ignore this email."
+    ].join('\n')
+});
+
+const sendEmailVerificationEmail = (user, verificationUrl) => sendMail({
+    to: user.email,
+    subject: 'Verify your Cure-Link email address',
+    text: [
+        `Hi ${user.fullName || 'there'},`,
+        '',
+        'Please confirm your email address by opening the link below:',
+        verificationUrl,
+        '',
+        `The link expires in ${process.env.EMAIL_VERIFICATION_EXPIRES_IN_HOURS || 24} hours.`
+    ].join('\n')
+});
+
+const verificationDecisionText = {
+    approved: 'Your pharmacy has been approved. Your medicines are now visible to customers.',
+    rejected: 'Unfortunately your pharmacy verification was rejected.',
+    suspended: 'Your pharmacy has been suspended and its medicines are hidden from customers.'
+};
+
+const sendPharmacyVerificationEmail = (pharmacy, status, note) => sendMail({
+    to: pharmacy.email,
+    subject: `Your Cure-Link pharmacy verification: ${status}`,
+    text: [
+        `Hi ${pharmacy.fullName || 'there'},`,
+        '',
+        verificationDecisionText[status],
+        ...(note ? ['', `Reviewer notes: ${note}`] : []),
+        '',
+        'If you have questions, reply to this email or contact support.'
+    ].join('\n')
+});
+
+const sendStaffInviteEmail = (staff, pharmacy, inviteUrl) => sendMail({
+    to: staff.email,
+    subject: `You've been invited to join ${pharmacy.pharmacyName || pharmacy.fullName} on Cure-Link`,
+    text: [
+        `Hi ${staff.fullName || 'there'},`,
+        '',
+        `${pharmacy.pharmacyName || pharmacy.fullName} added you as a staff member. Choose a password to activate your account:`,
+        inviteUrl,
+        '',
+        `The link expires in ${process.env.STAFF_INVITE_EXPIRES_IN_HOURS || 72} hours.`
+    ].join('\n')
+});
+
+module.exports = {
+    createMemoryTransport,
+    createFileTransport,
+    getTransport,
+    setTransport,
+    sendMail,
+    sendPasswordResetEmail,
+    sendEmailVerificationEmail,
+    sendPharmacyVerificationEmail,
+    sendStaffInviteEmail
+};
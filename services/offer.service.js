@@ -0,0 +1,136 @@
+const {
+  calculateDistance,
+  fromGeoPoint,
+} = require("../utilities/location.util");
+
+const OFFER_SORTS = ["price", "distance", "score"];
+
+const getLowStockThreshold = () =>
+  parseInt(process.env.LOW_STOCK_THRESHOLD || 5);
+
+const getDefaultPriceWeight = () =>
+  parseFloat(process.env.OFFER_PRICE_WEIGHT || 0.5);
+
+const roundTo = (value, digits) =>
+  value === null ? null : parseFloat(value.toFixed(digits));
+
+const toOffer = (listing, origin) => {
+  const pharmacy = listing.pharmacyId || {};
+  const location = fromGeoPoint(pharmacy.location);
+
+  const distance =
+    origin && location
+      ? calculateDistance(
+          origin.latitude,
+          origin.longitude,
+          location.latitude,
+          location.longitude
+        )
+      : null;
+
+  return {
+    medicineId: listing._id,
+    price: listing.price,
+    quantity: listing.quantity,
+    stockStatus:
+      listing.quantity <= getLowStockThreshold() ? "low-stock" : "in-stock",
+    image: listing.image,
+    pharmacy: {
+      _id: pharmacy._id,
+      pharmacyName: pharmacy.pharmacyName,
+      location,
+    },
+    distance: roundTo(distance, 2),
+  };
+};
+
+// 0 for the lowest value in the set, 1 for the highest
+const scaler = (values) => {
+  const min = Math.min(...values);
+  const range = Math.max(...values) - min;
+  return (value) => (range > 0 ? (value - min) / range : 0);
+};
+
+/**
+ * Adds a 0-1 `score` to each offer, higher is better. Price and distance are
+ * scaled across the offers being compared and weighted by `priceWeight`;
+ * offers without a distance get the worst distance.
+ */
+const scoreOffers = (offers, priceWeight) => {
+  if (offers.length === 0) return offers;
+
+  const priceScale = scaler(offers.map((offer) => offer.price));
+  const distances = offers
+    .map((offer) => offer.distance)
+    .filter((distance) => distance !== null);
+  const distanceScale = distances.length > 0 ? scaler(distances) : null;
+  const distanceWeight = distanceScale ? 1 - priceWeight : 0;
+  const totalWeight = (distanceScale ? 1 : priceWeight) || 1;
+
+  return offers.map((offer) => {
+    const distanceCost =
+      offer.distance === null ? 1 : distanceScale(offer.distance);
+    const cost =
+      priceWeight * priceScale(offer.price) +
+      (distanceScale ? distanceWeight * distanceCost : 0);
+
+    return { ...offer, score: roundTo(1 - cost / totalWeight, 3) };
+  });
+};
+
+const nullsLast = (a, b) => {
+  if (a === null && b === null) return 0;
+  if (a === null) return 1;
+  if (b === null) return -1;
+  return a - b;
+};
+
+const SORTERS = {
+  price: (a, b) => a.price - b.price || nullsLast(a.distance, b.distance),
+  distance: (a, b) => nullsLast(a.distance, b.distance) || a.price - b.price,
+  score: (a, b) => b.score - a.score || a.price - b.price,
+};
+
+const summarizePrices = (offers) => {
+  if (offers.length === 0) {
+    return { count: 0, minPrice: null, maxPrice: null, medianPrice: null };
+  }
+
+  const prices = offers.map((offer) => offer.price).sort((a, b) => a - b);
+  const middle = Math.floor(prices.length / 2);
+  const median =
+    prices.length % 2 === 0
+      ? (prices[middle - 1] + prices[middle]) / 2
+      : prices[middle];
+
+  return {
+    count: prices.length,
+    minPrice: prices[0],
+    maxPrice: prices[prices.length - 1],
+    medianPrice: roundTo(median, 2),
+  };
+};
+
+/**
+ * Turns populated listings into comparable offers, sorted by `sort`.
+ */
+const buildOffers = (
+  listings,
+  { origin = null, sort = "price", priceWeight = getDefaultPriceWeight() } = {}
+) => {
+  const offers = scoreOffers(
+    listings.map((listing) => toOffer(listing, origin)),
+    priceWeight
+  );
+
+  return {
+    offers: offers.sort(SORTERS[sort]),
+    summary: summarizePrices(offers),
+  };
+};
+
+module.exports = {
+  OFFER_SORTS,
+  buildOffers,
+  summarizePrices,
+};
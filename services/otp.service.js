@@ -0,0 +1,124 @@
+const crypto = require("crypto");
+const PhoneOtp = require("../models/phone.otp.model");
+const smsService = require("./sms.service");
+const logger = require("../utilities/logger.util");
+
+const OTP_LENGTH = 6;
+
+const getConfig = () => ({
+  ttlMs: parseInt(process.env.PHONE_OTP_EXPIRES_IN_MINUTES || 5) * 60 * 1000,
+  maxAttempts: parseInt(process.env.PHONE_OTP_MAX_ATTEMPTS || 5),
+  resendCooldownMs:
+    parseInt(process.env.PHONE_OTP_RESEND_COOLDOWN_SECONDS || 60) * 1000,
+});
+
+const generateCode = () =>
+  crypto.randomInt(0, 10 ** OTP_LENGTH).toString().padStart(OTP_LENGTH, "0");
+
+// Keyed hash: six digits are trivial to brute-force from a plain digest
+const hashCode = (userId, code) =>
+  crypto
+    .createHmac("sha256", process.env.OTP_SECRET || process.env.JWT_SECRET)
+    .update(`${userId}:${code}`)
+    .digest("hex");
+
+/**
+ * Sends a fresh code to the user's phone, replacing any previous one.
+ * Resolves to `{ sent: true, expiresAt }` or `{ sent: false, retryAfter }`
+ * while the resend cooldown is still running.
+ */
+const sendPhoneOtp = async (user) => {
+  const { ttlMs, resendCooldownMs } = getConfig();
+  const existing = await PhoneOtp.findOne({ user: user._id });
+
+  if (existing) {
+    const waitMs =
+      new Date(existing.lastSentAt).getTime() + resendCooldownMs - Date.now();
+    if (waitMs > 0) {
+      return { sent: false, retryAfter: Math.ceil(waitMs / 1000) };
+    }
+  }
+
+  const code = generateCode();
+  const expiresAt = new Date(Date.now() + ttlMs);
+
+  await PhoneOtp.findOneAndUpdate(
+    { user: user._id },
+    {
+      phone: user.phone,
+      codeHash: hashCode(user._id, code),
+      expiresAt,
+      attempts: 0,
+      lastSentAt: new Date(),
+    },
+    { upsert: true, new: true, setDefaultsOnInsert: true }
+  );
+
+  await smsService.sendSms({
+    to: user.phone,
+    body: `Your Cure-Link verification code is ${code}. It expires in ${Math.round(
+      ttlMs / 60000
+    )} minutes.`,
+  });
+
+  return { sent: true, expiresAt };
+};
+
+/**
+ * Checks a code against the user's pending OTP.
+ * Resolves to `{ valid: true }` or `{ valid: false, reason }` where reason is
+ * one of "missing", "expired", "phone-changed", "too-many-attempts", "mismatch".
+ */
+const verifyPhoneOtp = async (user, code) => {
+  const { maxAttempts } = getConfig();
+  const otp = await PhoneOtp.findOne({ user: user._id });
+
+  if (!otp) return { valid: false, reason: "missing" };
+
+  if (new Date(otp.expiresAt).getTime() <= Date.now()) {
+    await PhoneOtp.deleteOne({ _id: otp._id });
+    return { valid: false, reason: "expired" };
+  }
+
+  if (otp.phone !== user.phone) {
+    await PhoneOtp.deleteOne({ _id: otp._id });
+    return { valid: false, reason: "phone-changed" };
+  }
+
+  // The attempt is counted before the code is compared, and only while it is
+  // under the limit, so parallel guesses cannot all get past the check
+  const counted = await PhoneOtp.findOneAndUpdate(
+    { _id: otp._id, attempts: { $lt: maxAttempts } },
+    { $inc: { attempts: 1 } },
+    { new: true }
+  );
+  if (!counted) return { valid: false, reason: "too-many-attempts" };
+
+  const expected = Buffer.from(counted.codeHash, "hex");
+  const actual = Buffer.from(hashCode(user._id, String(code)), "hex");
+
+  if (!crypto.timingSafeEqual(expected, actual)) {
+    logger.warn(
+      `PhoneOtp | Wrong code | user ${user._id} | attempt ${counted.attempts}/${maxAttempts}`
+    );
+    return {
+      valid: false,
+      reason: counted.attempts >= maxAttempts ? "too-many-attempts" : "mismatch",
+      attemptsLeft: Math.max(maxAttempts - counted.attempts, 0),
+    };
+  }
+
+  // Deleting spends the code; a parallel request with the same code finds
+  // nothing left to delete
+  const { deletedCount } = await PhoneOtp.deleteOne({ _id: otp._id });
+  if (!deletedCount) return { valid: false, reason: "missing" };
+
+  return { valid: true };
+};
+
+module.exports = {
+  generateCode,
+  hashCode,
+  sendPhoneOtp,
+  verifyPhoneOtp,
+};
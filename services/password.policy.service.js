@@ -0,0 +1,129 @@
+const fs = require("fs");
+const path = require("path");
+const { loadPolicy } = require("../config/password.policy.config");
+const logger = require("../utilities/logger.util");
+const { sendFail } = require("../utilities/response.util");
+const STATUS_CODES = require("../utilities/response.codes.util");
+
+const BUNDLED_BLOCKLIST = path.join(__dirname, "..", "config", "common.passwords.txt");
+
+// Shorter name or email fragments match too many unrelated passwords
+const MIN_PERSONAL_FRAGMENT = 3;
+
+let commonPasswords = null;
+
+const readBlocklist = (file) =>
+  fs
+    .readFileSync(file, "utf8")
+    .split(/\r?\n/)
+    .map((line) => line.trim().toLowerCase())
+    .filter((line) => line && !line.startsWith("#"));
+
+// Loaded on first use; PASSWORD_BLOCKLIST_FILE adds a larger local list
+const getCommonPasswords = () => {
+  if (commonPasswords) return commonPasswords;
+
+  commonPasswords = new Set(readBlocklist(BUNDLED_BLOCKLIST));
+
+  if (process.env.PASSWORD_BLOCKLIST_FILE) {
+    try {
+      readBlocklist(process.env.PASSWORD_BLOCKLIST_FILE).forEach((entry) =>
+        commonPasswords.add(entry)
+      );
+    } catch (err) {
+      logger.error(`PasswordPolicy | Could not read PASSWORD_BLOCKLIST_FILE | ${err.message}`);
+    }
+  }
+
+  return commonPasswords;
+};
+
+const isCommonPassword = (password) =>
+  getCommonPasswords().has(String(password).toLowerCase());
+
+const personalFragments = ({ email, fullName } = {}) => {
+  const fragments = [];
+
+  if (email) {
+    const address = String(email).toLowerCase();
+    fragments.push({ value: address, label: "email" });
+    fragments.push({ value: address.split("@")[0], label: "email" });
+  }
+
+  if (fullName) {
+    String(fullName)
+      .toLowerCase()
+      .split(/\s+/)
+      .forEach((part) => fragments.push({ value: part, label: "name" }));
+  }
+
+  return fragments.filter(({ value }) => value.length >= MIN_PERSONAL_FRAGMENT);
+};
+
+/**
+ * Checks a new password against the configured policy. Returns the list of
+ * problems, empty when the password is acceptable. `user` supplies the email
+ * and name the password must not contain.
+ */
+const validatePassword = (password, user = {}) => {
+  const policy = loadPolicy();
+  const errors = [];
+
+  if (typeof password !== "string" || !password) {
+    return ["Password is required"];
+  }
+
+  if (password.length < policy.minLength) {
+    errors.push(`Password must be at least ${policy.minLength} characters long`);
+  }
+  if (password.length > policy.maxLength) {
+    errors.push(`Password must be at most ${policy.maxLength} characters long`);
+  }
+  if (policy.requireLowercase && !/\p{Ll}/u.test(password)) {
+    errors.push("Password must contain a lowercase letter");
+  }
+  if (policy.requireUppercase && !/\p{Lu}/u.test(password)) {
+    errors.push("Password must contain an uppercase letter");
+  }
+  if (policy.requireDigit && !/\d/.test(password)) {
+    errors.push("Password must contain a number");
+  }
+  if (policy.requireSymbol && !/[^\p{L}\d]/u.test(password)) {
+    errors.push("Password must contain a symbol");
+  }
+
+  if (policy.rejectPersonalInfo) {
+    const lowered = password.toLowerCase();
+    const found = new Set(
+      personalFragments(user)
+        .filter(({ value }) => lowered.includes(value))
+        .map(({ label }) => label)
+    );
+
+    if (found.has("email")) errors.push("Password must not contain your email address");
+    if (found.has("name")) errors.push("Password must not contain your name");
+  }
+
+  if (policy.rejectCommon && isCommonPassword(password)) {
+    errors.push(
+      "This password is too common or has appeared in a data breach. Please choose another one"
+    );
+  }
+
+  return errors;
+};
+
+// Responds with the problems under errors[field] in the usual sendFail shape
+const sendWeakPassword = (res, problems, field = "password") =>
+  sendFail(
+    res,
+    { [field]: problems },
+    "Password does not meet the requirements",
+    STATUS_CODES.BAD_REQUEST
+  );
+
+module.exports = {
+  validatePassword,
+  isCommonPassword,
+  sendWeakPassword,
+};
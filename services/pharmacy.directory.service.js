@@ -0,0 +1,245 @@
+const cron = require("node-cron");
+const Medicine = require("../models/medicine.model");
+const Pharmacy = require("../models/pharmacy.model");
+const { escapeRegex } = require("../utilities/regex.util");
+const {
+  calculateDistance,
+  fromGeoPoint,
+  geoNearStage,
+  geoPointToLocation,
+  distanceInKm,
+} = require("../utilities/location.util");
+const logger = require("../utilities/logger.util");
+const {
+  getOpeningStatus,
+  buildOpeningWindows,
+} = require("../utilities/opening.hours.util");
+
+// What anyone may see about a pharmacy. The licence number and the owner's
+// ID images stay behind the authenticated document endpoint.
+const PUBLIC_FIELDS = [
+  "pharmacyName",
+  "phone",
+  "photo",
+  "location",
+  "openingHours",
+  "createdAt",
+];
+
+// Verified, not suspended and not waiting to be anonymized. Pharmacies
+// created before account status existed have none and count as active.
+const PUBLIC_FILTER = {
+  kind: "Pharmacy",
+  verificationStatus: "approved",
+  status: { $in: ["active", null] },
+  deletionScheduledFor: null,
+};
+
+// Whether the pharmacy's stock may show up in public listings: verified and
+// not suspended. Copied onto its medicines as Medicine.pharmacyApproved.
+const isListedPharmacy = (pharmacy) =>
+  pharmacy.verificationStatus === "approved" && pharmacy.status !== "suspended";
+
+// Brings Medicine.pharmacyApproved in line after a review or account change
+const syncListingVisibility = (pharmacy) =>
+  Medicine.updateMany(
+    { pharmacyId: pharmacy._id },
+    { pharmacyApproved: isListedPharmacy(pharmacy) }
+  );
+
+// Matches pharmacies whose stored opening windows cover `at`
+const openAtFilter = (at) => ({
+  openingWindows: { $elemMatch: { opensAt: { $lte: at }, closesAt: { $gt: at } } },
+});
+
+/**
+ * Aggregation listing public pharmacies, closest first when there is an
+ * origin (optionally within radiusKm), otherwise by name. pharmacyFilter
+ * (e.g. openAtFilter) narrows the pharmacies further. The returned
+ * pageStages shape each document and only run on the requested page, so the
+ * medicine count is not worked out for every pharmacy.
+ */
+const buildDirectoryPipeline = ({ origin, radiusKm, search, pharmacyFilter } = {}) => {
+  const filter = { ...PUBLIC_FILTER, ...pharmacyFilter };
+  if (search) {
+    filter.pharmacyName = new RegExp(escapeRegex(search), "i");
+  }
+
+  const pipeline = origin
+    ? [
+        geoNearStage(origin, { radiusKm, query: filter }),
+        { $sort: { distance: 1, _id: 1 } },
+      ]
+    : [{ $match: filter }, { $sort: { pharmacyName: 1, _id: 1 } }];
+
+  const pageStages = [
+    {
+      $lookup: {
+        from: Medicine.collection.name,
+        let: { pharmacyId: "$_id" },
+        pipeline: [
+          {
+            $match: {
+              $expr: {
+                $and: [
+                  { $eq: ["$pharmacyId", "$$pharmacyId"] },
+                  { $eq: ["$isActive", true] },
+                ],
+              },
+            },
+          },
+          { $count: "count" },
+        ],
+        as: "activeMedicines",
+      },
+    },
+    {
+      $project: {
+        pharmacyName: 1,
+        phone: 1,
+        photo: 1,
+        openingHours: 1,
+        createdAt: 1,
+        location: geoPointToLocation("location"),
+        activeMedicines: {
+          $ifNull: [{ $arrayElemAt: ["$activeMedicines.count", 0] }, 0],
+        },
+        ...(origin && { distance: distanceInKm }),
+      },
+    },
+  ];
+
+  return { pipeline, pageStages };
+};
+
+// Adds isOpen and closesAt at `at` to a directory entry
+const withOpeningStatus = (entry, at) => ({
+  ...entry,
+  ...getOpeningStatus(entry.openingHours, at),
+});
+
+/**
+ * One public pharmacy in the same shape as a directory entry, or null when it
+ * is not listed.
+ */
+const findPublicPharmacy = async (id, { origin, at } = {}) => {
+  const pharmacy = await Pharmacy.findOne({ _id: id, ...PUBLIC_FILTER }).select(
+    PUBLIC_FIELDS.join(" ")
+  );
+  if (!pharmacy) return null;
+
+  const location = fromGeoPoint(pharmacy.location);
+  const activeMedicines = await Medicine.countDocuments({
+    pharmacyId: pharmacy._id,
+    isActive: true,
+  });
+
+  const entry = {
+    _id: pharmacy._id,
+    pharmacyName: pharmacy.pharmacyName,
+    phone: pharmacy.phone,
+    photo: pharmacy.photo,
+    openingHours: pharmacy.openingHours,
+    createdAt: pharmacy.createdAt,
+    location,
+    activeMedicines,
+  };
+
+  if (origin && location) {
+    const distance = calculateDistance(
+      origin.latitude,
+      origin.longitude,
+      location.latitude,
+      location.longitude
+    );
+    entry.distance = parseFloat(distance.toFixed(2));
+  }
+
+  return withOpeningStatus(entry, at);
+};
+
+// Open pharmacy ids by minute; medicine listings without a location need
+// them as a list, and many requests ask about the same minute
+const OPEN_IDS_TTL_MS = 60 * 1000;
+const OPEN_IDS_CACHE_SIZE = 100;
+const openIdsCache = new Map();
+
+/**
+ * Ids of public pharmacies open at `at` (to the minute), from their stored
+ * opening windows. Pharmacies without published hours are left out.
+ */
+const findOpenPharmacyIds = async (at) => {
+  const minute = Math.floor(at.getTime() / 60000);
+  const cached = openIdsCache.get(minute);
+  if (cached && cached.expiresAt > Date.now()) return cached.ids;
+
+  const ids = await Pharmacy.find({
+    ...PUBLIC_FILTER,
+    ...openAtFilter(new Date(minute * 60000)),
+  }).distinct("_id");
+
+  if (openIdsCache.size >= OPEN_IDS_CACHE_SIZE) openIdsCache.clear();
+  openIdsCache.set(minute, { ids, expiresAt: Date.now() + OPEN_IDS_TTL_MS });
+  return ids;
+};
+
+const REFRESH_BATCH_SIZE = 500;
+
+/**
+ * Rebuilds the stored opening windows of every pharmacy with published
+ * hours around `from`, so they keep covering the days open-at filters ask
+ * about.
+ */
+const refreshOpeningWindows = async (from = new Date()) => {
+  const pharmacies = Pharmacy.find({ openingHours: { $ne: null } })
+    .select("openingHours")
+    .lean()
+    .cursor();
+
+  let refreshed = 0;
+  let batch = [];
+  const flush = async () => {
+    if (batch.length === 0) return;
+    await Pharmacy.bulkWrite(batch);
+    refreshed += batch.length;
+    batch = [];
+  };
+
+  for await (const pharmacy of pharmacies) {
+    batch.push({
+      updateOne: {
+        filter: { _id: pharmacy._id },
+        update: { $set: { openingWindows: buildOpeningWindows(pharmacy.openingHours, from) } },
+      },
+    });
+    if (batch.length >= REFRESH_BATCH_SIZE) await flush();
+  }
+  await flush();
+
+  logger.info(`OpeningHours | Refreshed the opening windows of ${refreshed} pharmacies`);
+  return refreshed;
+};
+
+const scheduleOpeningWindowRefresh = () => {
+  cron.schedule("15 0 * * *", async () => {
+    try {
+      await refreshOpeningWindows();
+    } catch (err) {
+      logger.error(`OpeningHours | Window refresh failed | ${err.message}`);
+    }
+  });
+};
+
+module.exports = {
+  PUBLIC_FIELDS,
+  PUBLIC_FILTER,
+  isListedPharmacy,
+  syncListingVisibility,
+  openAtFilter,
+  buildDirectoryPipeline,
+  withOpeningStatus,
+  findPublicPharmacy,
+  findOpenPharmacyIds,
+  refreshOpeningWindows,
+  scheduleOpeningWindowRefresh,
+};
@@ -0,0 +1,56 @@
+const fs = require('fs');
+const path = require('path');
+const upload = require('../middleware/upload.middleware');
+const logger = require('../utilities/logger.util');
+
+const DOCUMENT_FIELDS = ['pharmacyLicensePhoto', 'ownerIdFront', 'ownerIdBack'];
+const DOCUMENT_FOLDER = 'pharmacy-documents';
+
+/**
+ * Storage key saved on the Pharmacy document, relative to the private
+ * upload root so the files can move with PRIVATE_UPLOAD_DIR.
+ */
+const toDocumentKey = (file) => `${DOCUMENT_FOLDER}/${file.filename}`;
+
+/**
+ * Absolute path of a stored document, or null when the key would point
+ * outside the private document folder.
+ */
+const resolveDocumentPath = (key) => {
+    if (typeof key !== 'string') return null;
+
+    const folder = path.resolve(upload.privateRoot, DOCUMENT_FOLDER);
+    const filePath = path.resolve(upload.privateRoot, key);
+
+    return filePath.startsWith(folder + path.sep) ? filePath : null;
+};
+
+const getUploadedDocuments = (req) => {
+    const documents = {};
+
+    DOCUMENT_FIELDS.forEach((field) => {
+        const file = req.files && req.files[field] && req.files[field][0];
+        if (file) documents[field] = toDocumentKey(file);
+    });
+
+    return documents;
+};
+
+const removeUploadedFiles = async (req) => {
+    const files = Object.values(req.files || {}).flat();
+
+    await Promise.all(files.map((file) =>
+        fs.promises.unlink(file.path).catch((err) => {
+            logger.warn(`Could not remove uploaded file ${file.path}: ${err.message}`);
+        })
+    ));
+};
+
+module.exports = {
+    DOCUMENT_FIELDS,
+    DOCUMENT_FOLDER,
+    toDocumentKey,
+    resolveDocumentPath,
+    getUploadedDocuments,
+    removeUploadedFiles
+};
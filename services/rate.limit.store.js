@@ -0,0 +1,62 @@
+/**
+ * Fixed-window counters for throttling.
+ * A store is any object exposing `increment(key, windowMs)` resolving to
+ * `{ count, resetAt }` and `reset(key)`. Swap the in-memory store for a shared
+ * one (Redis, MongoDB, ...) when running more than one API instance.
+ */
+const createMemoryStore = ({ cleanupIntervalMs = 60 * 1000 } = {}) => {
+    const hits = new Map();
+
+    const cleanup = setInterval(() => {
+        const now = Date.now();
+        for (const [key, entry] of hits) {
+            if (entry.resetAt <= now) hits.delete(key);
+        }
+    }, cleanupIntervalMs);
+
+    // Never keep the process alive just for housekeeping
+    if (typeof cleanup.unref === 'function') cleanup.unref();
+
+    return {
+        name: 'memory',
+        increment: async (key, windowMs) => {
+            const now = Date.now();
+            let entry = hits.get(key);
+
+            if (!entry || entry.resetAt <= now) {
+                entry = { count: 0, resetAt: now + windowMs };
+                hits.set(key, entry);
+            }
+
+            entry.count += 1;
+            return { count: entry.count, resetAt: entry.resetAt };
+        },
+        reset: async (key) => {
+            hits.delete(key);
+        },
+        clear: () => {
+            hits.clear();
+        }
+    };
+};
+
+let activeStore = null;
+
+const getStore = () => {
+    if (!activeStore) activeStore = createMemoryStore();
+    return activeStore;
+};
+
+const setStore = (store) => {
+    if (!store || typeof store.increment !== 'function' || typeof store.reset !== 'function') {
+        throw new Error('Rate limit store must implement increment(key, windowMs) and reset(key)');
+    }
+
+    activeStore = store;
+};
+
+module.exports = {
+    createMemoryStore,
+    getStore,
+    setStore
+};
@@ -0,0 +1,108 @@
+const crypto = require("crypto");
+const Session = require("../models/session.model");
+const tokenService = require("./token.service");
+const { describeDevice } = require("../utilities/user.agent.util");
+
+// How often authenticate writes lastSeenAt back for an active session
+const TOUCH_INTERVAL_MS = 60 * 1000;
+
+const getClientInfo = (req) => {
+  const userAgent = (req && req.get && req.get("user-agent")) || "";
+
+  return {
+    userAgent,
+    device: describeDevice(userAgent),
+    ip: req ? req.ip : undefined,
+  };
+};
+
+const createSession = (userId, req) =>
+  Session.create({
+    user: userId,
+    family: crypto.randomUUID(),
+    ...getClientInfo(req),
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + tokenService.getRefreshTokenTtlMs()),
+  });
+
+// No refresh token is issued; the family only keeps the session unique
+const createImpersonationSession = (userId, impersonatorId, req) =>
+  Session.create({
+    user: userId,
+    family: crypto.randomUUID(),
+    impersonatedBy: impersonatorId,
+    ...getClientInfo(req),
+    device: "Support (admin impersonation)",
+    lastSeenAt: new Date(),
+    expiresAt: new Date(Date.now() + tokenService.getImpersonationTtlMs()),
+  });
+
+/**
+ * Marks the session behind a refresh token family as used and extends it
+ * with the newly rotated refresh token. Returns null for ended sessions.
+ */
+const touchSessionByFamily = (family, req) => {
+  const { ip } = getClientInfo(req);
+
+  return Session.findOneAndUpdate(
+    { family, revokedAt: null, expiresAt: { $gt: new Date() } },
+    {
+      lastSeenAt: new Date(),
+      ip,
+      expiresAt: new Date(Date.now() + tokenService.getRefreshTokenTtlMs()),
+    },
+    { new: true }
+  );
+};
+
+/**
+ * Returns the active session an access token was issued for, or null when
+ * it was revoked, expired or belongs to someone else.
+ */
+const findActiveSession = async (sessionId, userId) => {
+  if (!sessionId) return null;
+
+  const session = await Session.findById(sessionId);
+  if (
+    !session ||
+    session.revokedAt ||
+    session.expiresAt <= new Date() ||
+    String(session.user) !== String(userId)
+  ) {
+    return null;
+  }
+
+  if (Date.now() - new Date(session.lastSeenAt).getTime() > TOUCH_INTERVAL_MS) {
+    await Session.updateOne({ _id: session._id }, { lastSeenAt: new Date() });
+  }
+
+  return session;
+};
+
+const listActiveSessions = (userId) =>
+  Session.find({
+    user: userId,
+    revokedAt: null,
+    expiresAt: { $gt: new Date() },
+  }).sort({ lastSeenAt: -1 });
+
+const revokeSession = async (userId, sessionId, reason = "session-revoked") => {
+  const session = await Session.findOne({
+    _id: sessionId,
+    user: userId,
+    revokedAt: null,
+  });
+  if (!session) return null;
+
+  await tokenService.revokeFamily(session.family, reason);
+  return session;
+};
+
+module.exports = {
+  createSession,
+  createImpersonationSession,
+  touchSessionByFamily,
+  findActiveSession,
+  listActiveSessions,
+  revokeSession,
+};
@@ -0,0 +1,84 @@
+const logger = require('../utilities/logger.util');
+
+/**
+ * A provider is any object exposing `send({ to, body })` that returns a promise.
+ * The built-in ones are for local use only and are refused in production; a
+ * real gateway (Twilio, Vonage, ...) is plugged in at startup through
+ * `setProvider`.
+ */
+const createConsoleProvider = () => ({
+    name: 'console',
+    send: async ({ to, body }) => {
+        logger.info(`[SMS] To ${to}: ${body}`);
+        return { id: `console-${Date.now()}` };
+    }
+});
+
+const createMemoryProvider = () => {
+    const outbox = [];
+
+    return {
+        name: 'memory',
+        outbox,
+        send: async (message) => {
+            outbox.push({ ...message, sentAt: new Date() });
+            return { id: `memory-${outbox.length}` };
+        },
+        clear: () => {
+            outbox.length = 0;
+        }
+    };
+};
+
+const builtInProviders = {
+    console: createConsoleProvider,
+    memory: createMemoryProvider
+};
+
+let activeProvider = null;
+
+const getProvider = () => {
+    if (!activeProvider) {
+        // The built-in providers log or keep the message, OTP code included,
+        // so production fails closed until a real gateway is plugged in
+        if (process.env.NODE_ENV === 'production') {
+            throw new Error('No SMS provider configured; plug a real gateway in with setProvider');
+        }
+
+        const defaultName = process.env.NODE_ENV === 'test' ? 'memory' : 'console';
+        const name = process.env.SMS_PROVIDER || defaultName;
+        const factory = builtInProviders[name];
+
+        if (!factory) {
+            throw new Error(`Unknown SMS provider: ${name}`);
+        }
+
+        activeProvider = factory();
+    }
+
+    return activeProvider;
+};
+
+const setProvider = (provider) => {
+    if (!provider || typeof provider.send !== 'function') {
+        throw new Error('SMS provider must implement send({ to, body })');
+    }
+
+    activeProvider = provider;
+};
+
+const sendSms = async ({ to, body }) => {
+    const provider = getProvider();
+    const info = await provider.send({ to, body });
+
+    logger.info(`[SMS] Sent message to ${to} via ${provider.name || 'custom'} provider`);
+    return info;
+};
+
+module.exports = {
+    createConsoleProvider,
+    createMemoryProvider,
+    getProvider,
+    setProvider,
+    sendSms
+};
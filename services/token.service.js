@@ -0,0 +1,155 @@
+const crypto = require("crypto");
+const jwt = require("jsonwebtoken");
+const RefreshToken = require("../models/refresh.token.model");
+const Session = require("../models/session.model");
+const logger = require("../utilities/logger.util");
+
+const REFRESH_TOKEN_BYTES = 48;
+
+const getRefreshTokenTtlMs = () =>
+  parseInt(process.env.REFRESH_TOKEN_EXPIRES_IN_DAYS || 30) *
+  24 *
+  60 *
+  60 *
+  1000;
+
+const hashToken = (token) =>
+  crypto.createHash("sha256").update(token).digest("hex");
+
+// `sid` binds the access token to a Session that authenticate checks
+const signAccessToken = (userId, sessionId) =>
+  jwt.sign({ id: userId, sid: sessionId }, process.env.JWT_SECRET, {
+    expiresIn: process.env.JWT_ACCESS_EXPIRES_IN || "15m",
+  });
+
+const getImpersonationTtlMs = () =>
+  parseInt(process.env.IMPERSONATION_EXPIRES_IN_MINUTES || 15) * 60 * 1000;
+
+/**
+ * Access token for an admin acting as another user. `impersonatorId` marks it
+ * so authenticate can flag the request; it cannot be refreshed.
+ */
+const signImpersonationToken = (userId, sessionId, impersonatorId) =>
+  jwt.sign(
+    { id: userId, sid: sessionId, impersonatorId },
+    process.env.JWT_SECRET,
+    { expiresIn: Math.floor(getImpersonationTtlMs() / 1000) }
+  );
+
+/**
+ * Short-lived token proving the first login step (password) succeeded.
+ * `purpose` keeps it from ever being accepted as an access token.
+ */
+const signChallengeToken = (userId, purpose) =>
+  jwt.sign({ id: userId, purpose }, process.env.JWT_SECRET, {
+    expiresIn: process.env.TWO_FACTOR_CHALLENGE_EXPIRES_IN || "5m",
+  });
+
+const verifyChallengeToken = (token, purpose) => {
+  if (!token) return null;
+
+  try {
+    const decoded = jwt.verify(token, process.env.JWT_SECRET);
+    return decoded.purpose === purpose ? decoded : null;
+  } catch (err) {
+    return null;
+  }
+};
+
+const issueRefreshToken = async (userId, family = crypto.randomUUID()) => {
+  const token = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString("hex");
+
+  await RefreshToken.create({
+    user: userId,
+    tokenHash: hashToken(token),
+    family,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  });
+
+  return token;
+};
+
+// Revoking a family also ends the session it was issued for
+const revokeFamily = (family, reason) => {
+  const update = { revokedAt: new Date(), revokedReason: reason };
+
+  return Promise.all([
+    RefreshToken.updateMany({ family, revokedAt: null }, update),
+    Session.updateOne({ family, revokedAt: null }, update),
+  ]);
+};
+
+/**
+ * Exchanges a refresh token for a new one in the same family.
+ * Presenting a token that was already rotated or revoked is treated as
+ * theft: the whole family is revoked and null is returned.
+ */
+const rotateRefreshToken = async (token) => {
+  if (!token) return null;
+
+  const tokenHash = hashToken(token);
+  const nextToken = crypto.randomBytes(REFRESH_TOKEN_BYTES).toString("hex");
+  const nextHash = hashToken(nextToken);
+
+  const current = await RefreshToken.findOneAndUpdate(
+    { tokenHash, revokedAt: null, expiresAt: { $gt: new Date() } },
+    { revokedAt: new Date(), revokedReason: "rotated", replacedBy: nextHash }
+  );
+
+  if (!current) {
+    const known = await RefreshToken.findOne({ tokenHash });
+
+    if (known && known.revokedAt) {
+      logger.warn(
+        `RefreshToken | Reuse detected | user ${known.user} | family ${known.family}`
+      );
+      await revokeFamily(known.family, "reuse-detected");
+    }
+
+    return null;
+  }
+
+  await RefreshToken.create({
+    user: current.user,
+    tokenHash: nextHash,
+    family: current.family,
+    expiresAt: new Date(Date.now() + getRefreshTokenTtlMs()),
+  });
+
+  return { userId: current.user, family: current.family, token: nextToken };
+};
+
+const revokeRefreshToken = async (token, reason = "logout") => {
+  if (!token) return null;
+
+  const existing = await RefreshToken.findOne({ tokenHash: hashToken(token) });
+  if (!existing) return null;
+
+  await revokeFamily(existing.family, reason);
+  return existing;
+};
+
+const revokeAllRefreshTokens = async (userId, reason = "logout-all") => {
+  const update = { revokedAt: new Date(), revokedReason: reason };
+
+  const [tokens] = await Promise.all([
+    RefreshToken.updateMany({ user: userId, revokedAt: null }, update),
+    Session.updateMany({ user: userId, revokedAt: null }, update),
+  ]);
+  return tokens;
+};
+
+module.exports = {
+  getRefreshTokenTtlMs,
+  hashToken,
+  signAccessToken,
+  getImpersonationTtlMs,
+  signImpersonationToken,
+  signChallengeToken,
+  verifyChallengeToken,
+  issueRefreshToken,
+  rotateRefreshToken,
+  revokeFamily,
+  revokeRefreshToken,
+  revokeAllRefreshTokens,
+};
@@ -0,0 +1,96 @@
+const crypto = require("crypto");
+const User = require("../models/user.model");
+const Setting = require("../models/setting.model");
+const { hashToken } = require("./token.service");
+const { findTotpStep } = require("../utilities/totp.util");
+
+const REQUIRE_ADMIN_TWO_FACTOR = "security.requireAdminTwoFactor";
+const BACKUP_CODE_COUNT = 10;
+
+const isTwoFactorRequired = async (user) =>
+  user.role === "admin" &&
+  Boolean(await Setting.getValue(REQUIRE_ADMIN_TWO_FACTOR, false));
+
+const normalizeBackupCode = (code) =>
+  String(code).toLowerCase().replace(/[^a-f0-9]/g, "");
+
+/**
+ * Returns the plain codes (shown to the user once) and their hashes (stored).
+ */
+const generateBackupCodes = () => {
+  const codes = Array.from({ length: BACKUP_CODE_COUNT }, () => {
+    const raw = crypto.randomBytes(4).toString("hex");
+    return `${raw.slice(0, 4)}-${raw.slice(4)}`;
+  });
+
+  return {
+    codes,
+    hashes: codes.map((code) => hashToken(normalizeBackupCode(code))),
+  };
+};
+
+/**
+ * Checks a TOTP code and records its time step, so the same code (or an
+ * older one) is refused afterwards. The check and the write are one update,
+ * so two requests racing with one code cannot both pass.
+ */
+const useTotpCode = async (user, code) => {
+  const step = findTotpStep(user.twoFactorSecret, code);
+  if (step === null) return false;
+
+  const { modifiedCount } = await User.updateOne(
+    {
+      _id: user._id,
+      $or: [{ twoFactorLastStep: null }, { twoFactorLastStep: { $lt: step } }],
+    },
+    { twoFactorLastStep: step }
+  );
+  if (modifiedCount === 0) return false;
+
+  user.twoFactorLastStep = step;
+  return true;
+};
+
+/**
+ * Spends a backup code. Like useTotpCode, the check and the removal are one
+ * update, so two logins racing with one code cannot both pass. The user
+ * document is left alone: saving a stale copy of the list would bring back
+ * codes spent meanwhile.
+ */
+const useBackupCode = async (user, backupCode) => {
+  const hash = hashToken(normalizeBackupCode(backupCode));
+  const { modifiedCount } = await User.updateOne(
+    { _id: user._id, twoFactorBackupCodes: hash },
+    { $pull: { twoFactorBackupCodes: hash } }
+  );
+  return modifiedCount === 1;
+};
+
+/**
+ * Checks a TOTP code or, failing that, a backup code, which is spent in the
+ * database. `user` must be loaded with +twoFactorSecret +twoFactorBackupCodes;
+ * backupCodesLeft is worked out from that copy.
+ */
+const verifySecondFactor = async (user, { code, backupCode }) => {
+  if (code && (await useTotpCode(user, code))) {
+    return { valid: true, method: "totp" };
+  }
+
+  if (backupCode && (await useBackupCode(user, backupCode))) {
+    return {
+      valid: true,
+      method: "backup-code",
+      backupCodesLeft: Math.max((user.twoFactorBackupCodes || []).length - 1, 0),
+    };
+  }
+
+  return { valid: false };
+};
+
+module.exports = {
+  REQUIRE_ADMIN_TWO_FACTOR,
+  isTwoFactorRequired,
+  generateBackupCodes,
+  useTotpCode,
+  verifySecondFactor,
+};
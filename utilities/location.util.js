@@ -0,0 +1,129 @@
+/**
+ * Parses a { latitude, longitude } pair from a request body.
+ * multipart/form-data sends nested objects as JSON strings, so those are
+ * accepted too. Returns null when the value is missing or out of range.
+ */
+const parseLocation = (raw) => {
+    let location = raw;
+
+    if (typeof location === 'string') {
+        try {
+            location = JSON.parse(location);
+        } catch (err) {
+            return null;
+        }
+    }
+
+    if (!location || typeof location !== 'object') return null;
+
+    const latitude = Number(location.latitude);
+    const longitude = Number(location.longitude);
+
+    if (
+        !Number.isFinite(latitude) ||
+        !Number.isFinite(longitude) ||
+        latitude < -90 ||
+        latitude > 90 ||
+        longitude < -180 ||
+        longitude > 180
+    ) {
+        return null;
+    }
+
+    return { latitude, longitude };
+};
+
+const EARTH_RADIUS_KM = 6371;
+
+// Great-circle distance in kilometres (Haversine formula)
+const calculateDistance = (lat1, lon1, lat2, lon2) => {
+    const dLat = (lat2 - lat1) * Math.PI / 180;
+    const dLon = (lon2 - lon1) * Math.PI / 180;
+    const a =
+        Math.sin(dLat / 2) * Math.sin(dLat / 2) +
+        Math.cos(lat1 * Math.PI / 180) * Math.cos(lat2 * Math.PI / 180) *
+        Math.sin(dLon / 2) * Math.sin(dLon / 2);
+    const c = 2 * Math.atan2(Math.sqrt(a), Math.sqrt(1 - a));
+    return EARTH_RADIUS_KM * c;
+};
+
+/**
+ * GeoJSON point as stored for 2dsphere queries. Note the order: longitude
+ * comes first.
+ */
+const toGeoPoint = (location) => {
+    if (!location || location.latitude === undefined) return location;
+
+    return {
+        type: 'Point',
+        coordinates: [Number(location.longitude), Number(location.latitude)]
+    };
+};
+
+/**
+ * { latitude, longitude } for a stored location, whether it is a GeoJSON
+ * point or a plain pair. Null when there is none.
+ */
+const fromGeoPoint = (location) => {
+    if (!location) return null;
+
+    if (Array.isArray(location.coordinates) && location.coordinates.length === 2) {
+        const [longitude, latitude] = location.coordinates;
+        return { latitude, longitude };
+    }
+
+    if (location.latitude === undefined) return null;
+    return { latitude: location.latitude, longitude: location.longitude };
+};
+
+const METERS_PER_KM = 1000;
+
+/**
+ * $geoNear stage measuring from origin, closest first. It has to be the first
+ * stage of a pipeline on a collection with a 2dsphere index; each document
+ * gets its distance in metres in `distance`.
+ */
+const geoNearStage = (origin, { radiusKm, query } = {}) => ({
+    $geoNear: {
+        near: { type: 'Point', coordinates: [origin.longitude, origin.latitude] },
+        distanceField: 'distance',
+        spherical: true,
+        ...(query && { query }),
+        ...(radiusKm && { maxDistance: radiusKm * METERS_PER_KM })
+    }
+});
+
+// Aggregation counterpart of fromGeoPoint for a stored GeoJSON field
+const geoPointToLocation = (field) => ({
+    latitude: { $arrayElemAt: [`$${field}.coordinates`, 1] },
+    longitude: { $arrayElemAt: [`$${field}.coordinates`, 0] }
+});
+
+// $geoNear distance (metres) as kilometres rounded to 2 decimals
+const distanceInKm = { $round: [{ $divide: ['$distance', METERS_PER_KM] }, 2] };
+
+/**
+ * Where distances should be measured from: ?latitude=&longitude= when given,
+ * otherwise the logged-in user's saved location. Null when neither is usable.
+ */
+const getRequestLocation = (req) => {
+    if (req.query.latitude !== undefined || req.query.longitude !== undefined) {
+        return parseLocation({
+            latitude: req.query.latitude,
+            longitude: req.query.longitude
+        });
+    }
+
+    return req.user ? parseLocation(fromGeoPoint(req.user.location)) : null;
+};
+
+module.exports = {
+    parseLocation,
+    toGeoPoint,
+    fromGeoPoint,
+    calculateDistance,
+    geoNearStage,
+    geoPointToLocation,
+    distanceInKm,
+    getRequestLocation
+};
@@ -0,0 +1,352 @@
+// Index matches Date#getDay()
+const WEEKDAYS = ['sunday', 'monday', 'tuesday', 'wednesday', 'thursday', 'friday', 'saturday'];
+
+const TIME_PATTERN = /^(([01]\d|2[0-3]):[0-5]\d|24:00)$/;
+const DATE_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+const MINUTES_PER_DAY = 24 * 60;
+// How far ahead closesAt is looked for; open beyond that counts as open-ended
+const LOOKAHEAD_DAYS = 7;
+// Days before and after today covered by the stored opening windows, which
+// a daily job rolls forward (see buildOpeningWindows)
+const WINDOW_DAYS_BEFORE = 2;
+const WINDOW_DAYS_AHEAD = 14;
+// How far from now openAt may ask about, well inside the stored windows
+const OPEN_AT_PAST_DAYS = 1;
+const OPEN_AT_FUTURE_DAYS = 7;
+const MS_PER_DAY = MINUTES_PER_DAY * 60 * 1000;
+
+const getDefaultTimeZone = () => process.env.DEFAULT_TIMEZONE || 'Africa/Cairo';
+
+const isValidTimeZone = (timeZone) => {
+    if (typeof timeZone !== 'string' || !timeZone) return false;
+    try {
+        new Intl.DateTimeFormat('en-US', { timeZone });
+        return true;
+    } catch (err) {
+        return false;
+    }
+};
+
+const toMinutes = (time) => {
+    const [hours, minutes] = time.split(':').map(Number);
+    return hours * 60 + minutes;
+};
+
+// [start, end] in minutes from the start of the day. A close at or before
+// the open runs past midnight, so 22:00-02:00 ends at 26:00.
+const toSpan = ({ open, close }) => {
+    const start = toMinutes(open);
+    const end = toMinutes(close);
+    return [start, end > start ? end : end + MINUTES_PER_DAY];
+};
+
+const isValidDateKey = (dateKey) => {
+    if (!DATE_PATTERN.test(dateKey)) return false;
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    return !Number.isNaN(date.getTime()) && date.toISOString().startsWith(dateKey);
+};
+
+const shiftDateKey = (dateKey, days) => {
+    const date = new Date(`${dateKey}T00:00:00Z`);
+    date.setUTCDate(date.getUTCDate() + days);
+    return date.toISOString().slice(0, 10);
+};
+
+const weekdayOf = (dateKey) => new Date(`${dateKey}T00:00:00Z`).getUTCDay();
+
+/**
+ * The wall-clock date (YYYY-MM-DD) and minute of the day at `date` in
+ * `timeZone`.
+ */
+const getLocalTime = (date, timeZone) => {
+    const parts = {};
+    new Intl.DateTimeFormat('en-US', {
+        timeZone,
+        hourCycle: 'h23',
+        year: 'numeric',
+        month: '2-digit',
+        day: '2-digit',
+        hour: '2-digit',
+        minute: '2-digit'
+    })
+        .formatToParts(date)
+        .forEach(({ type, value }) => {
+            parts[type] = value;
+        });
+
+    return {
+        dateKey: `${parts.year}-${parts.month}-${parts.day}`,
+        minutes: Number(parts.hour) * 60 + Number(parts.minute)
+    };
+};
+
+// Minutes the wall clock in `timeZone` is ahead of UTC at `date`
+const offsetMinutes = (date, timeZone) => {
+    const { dateKey, minutes } = getLocalTime(date, timeZone);
+    const wallClock = Date.parse(`${dateKey}T00:00:00Z`) + minutes * 60000;
+    return Math.round((wallClock - date.getTime()) / 60000);
+};
+
+/**
+ * The instant that is `minutes` past midnight of dateKey in `timeZone`;
+ * minutes past 24:00 run into the next day.
+ */
+const zonedTimeToUtc = (dateKey, minutes, timeZone) => {
+    const wallClock = Date.parse(`${dateKey}T00:00:00Z`) + minutes * 60000;
+    // The offset at the first guess can be off by a DST change, so it is
+    // worked out again at the corrected time
+    const guess = wallClock - offsetMinutes(new Date(wallClock), timeZone) * 60000;
+    return new Date(wallClock - offsetMinutes(new Date(guess), timeZone) * 60000);
+};
+
+const resolveTimeZone = (hours) =>
+    isValidTimeZone(hours.timezone) ? hours.timezone : getDefaultTimeZone();
+
+// Opening spans of one local date; a holiday exception replaces the weekly
+// hours (and the 24-hour flag) for that date
+const spansOn = (hours, dateKey) => {
+    const exception = (hours.exceptions || []).find((entry) => entry.date === dateKey);
+
+    if (exception) {
+        return exception.closed ? [] : (exception.intervals || []).map(toSpan);
+    }
+
+    if (hours.alwaysOpen) return [[0, MINUTES_PER_DAY]];
+
+    const weekly = hours.weekly || {};
+    return (weekly[WEEKDAYS[weekdayOf(dateKey)]] || []).map(toSpan);
+};
+
+/**
+ * Whether a pharmacy with these opening hours is open at `at`, and when it
+ * next closes. isOpen is null when the pharmacy has not published hours;
+ * closesAt is null when it is closed or stays open for the next week.
+ */
+const getOpeningStatus = (hours, at = new Date()) => {
+    if (!hours) return { isOpen: null, closesAt: null };
+
+    const timeZone = resolveTimeZone(hours);
+    const { dateKey, minutes } = getLocalTime(at, timeZone);
+
+    // Yesterday is included for spans that run past midnight into today
+    const spans = [];
+    for (let offset = -1; offset <= LOOKAHEAD_DAYS; offset += 1) {
+        const shift = offset * MINUTES_PER_DAY;
+        spansOn(hours, shiftDateKey(dateKey, offset)).forEach(([start, end]) => {
+            spans.push([start + shift, end + shift]);
+        });
+    }
+
+    const current = spans.find(([start, end]) => start <= minutes && minutes < end);
+    if (!current) return { isOpen: false, closesAt: null };
+
+    // Back-to-back spans (e.g. 18:00-24:00 then 00:00-02:00) are one opening
+    let closing = current[1];
+    let next;
+    while ((next = spans.find(([start, end]) => start <= closing && end > closing))) {
+        closing = next[1];
+    }
+
+    if (closing >= (LOOKAHEAD_DAYS + 1) * MINUTES_PER_DAY) {
+        return { isOpen: true, closesAt: null };
+    }
+
+    const startOfMinute = Math.floor(at.getTime() / 60000) * 60000;
+    return {
+        isOpen: true,
+        closesAt: new Date(startOfMinute + (closing - minutes) * 60000)
+    };
+};
+
+/**
+ * The opening hours as UTC { opensAt, closesAt } windows from
+ * WINDOW_DAYS_BEFORE days before `from` to WINDOW_DAYS_AHEAD days after,
+ * back-to-back intervals merged. Stored on the pharmacy so open-at filters
+ * can run inside the query instead of checking every pharmacy's hours.
+ */
+const buildOpeningWindows = (hours, from = new Date()) => {
+    if (!hours) return [];
+
+    const timeZone = resolveTimeZone(hours);
+    const { dateKey } = getLocalTime(from, timeZone);
+
+    const windows = [];
+    for (let offset = -WINDOW_DAYS_BEFORE; offset <= WINDOW_DAYS_AHEAD; offset += 1) {
+        const day = shiftDateKey(dateKey, offset);
+        spansOn(hours, day).forEach(([start, end]) => {
+            windows.push({
+                opensAt: zonedTimeToUtc(day, start, timeZone),
+                closesAt: zonedTimeToUtc(day, end, timeZone)
+            });
+        });
+    }
+
+    return windows
+        .sort((a, b) => a.opensAt - b.opensAt)
+        .reduce((merged, window) => {
+            const last = merged[merged.length - 1];
+            if (last && window.opensAt <= last.closesAt) {
+                if (window.closesAt > last.closesAt) last.closesAt = window.closesAt;
+            } else {
+                merged.push(window);
+            }
+            return merged;
+        }, []);
+};
+
+const validateIntervals = (intervals, path, errors) => {
+    if (!Array.isArray(intervals)) {
+        errors[path] = 'must be a list of { open, close } intervals';
+        return;
+    }
+
+    intervals.forEach((interval, index) => {
+        if (
+            !interval ||
+            !TIME_PATTERN.test(interval.open) ||
+            !TIME_PATTERN.test(interval.close) ||
+            interval.open === '24:00'
+        ) {
+            errors[`${path}[${index}]`] = 'open and close must be HH:MM times';
+        }
+    });
+    if (Object.keys(errors).some((key) => key.startsWith(`${path}[`))) return;
+
+    const spans = intervals.map(toSpan).sort((a, b) => a[0] - b[0]);
+    for (let i = 1; i < spans.length; i += 1) {
+        if (spans[i][0] < spans[i - 1][1]) {
+            errors[path] = 'intervals must not overlap';
+            return;
+        }
+    }
+};
+
+const pickIntervals = (intervals) =>
+    intervals
+        .map(({ open, close }) => ({ open, close }))
+        .sort((a, b) => toMinutes(a.open) - toMinutes(b.open));
+
+/**
+ * Checks opening hours sent by a pharmacy. Returns { errors } keyed by the
+ * offending path, or { value } with only the known fields, intervals sorted.
+ */
+const validateOpeningHours = (input) => {
+    const errors = {};
+
+    if (!input || typeof input !== 'object' || Array.isArray(input)) {
+        return { errors: { openingHours: 'openingHours must be an object' } };
+    }
+
+    const timezone = input.timezone === undefined ? getDefaultTimeZone() : input.timezone;
+    if (!isValidTimeZone(timezone)) {
+        errors.timezone = 'timezone must be an IANA time zone such as Africa/Cairo';
+    }
+
+    if (input.alwaysOpen !== undefined && typeof input.alwaysOpen !== 'boolean') {
+        errors.alwaysOpen = 'alwaysOpen must be true or false';
+    }
+
+    const weekly = input.weekly || {};
+    if (typeof weekly !== 'object' || Array.isArray(weekly)) {
+        errors.weekly = `weekly must map days (${WEEKDAYS.join(', ')}) to intervals`;
+    } else {
+        Object.keys(weekly)
+            .filter((day) => !WEEKDAYS.includes(day))
+            .forEach((day) => {
+                errors[`weekly.${day}`] = `day must be one of: ${WEEKDAYS.join(', ')}`;
+            });
+        WEEKDAYS.filter((day) => weekly[day] !== undefined).forEach((day) =>
+            validateIntervals(weekly[day], `weekly.${day}`, errors)
+        );
+    }
+
+    const exceptions = input.exceptions || [];
+    if (!Array.isArray(exceptions)) {
+        errors.exceptions = 'exceptions must be a list';
+    } else {
+        const seen = new Set();
+        exceptions.forEach((exception, index) => {
+            const path = `exceptions[${index}]`;
+            if (!exception || !isValidDateKey(exception.date)) {
+                errors[`${path}.date`] = 'date must be a YYYY-MM-DD date';
+                return;
+            }
+            if (seen.has(exception.date)) {
+                errors[`${path}.date`] = 'each date may only have one exception';
+            }
+            seen.add(exception.date);
+
+            if (!exception.closed) {
+                validateIntervals(exception.intervals || [], `${path}.intervals`, errors);
+            }
+        });
+    }
+
+    if (Object.keys(errors).length > 0) return { errors };
+
+    return {
+        value: {
+            timezone,
+            alwaysOpen: input.alwaysOpen === true,
+            weekly: Object.fromEntries(
+                WEEKDAYS.map((day) => [day, pickIntervals(weekly[day] || [])])
+            ),
+            exceptions: exceptions
+                .map((exception) => ({
+                    date: exception.date,
+                    closed: exception.closed === true,
+                    intervals: exception.closed ? [] : pickIntervals(exception.intervals || []),
+                    ...(exception.note && { note: String(exception.note) })
+                }))
+                .sort((a, b) => a.date.localeCompare(b.date))
+        }
+    };
+};
+
+/**
+ * The time an ?openNow=true or ?openAt=<ISO date> filter asks about, null
+ * when neither is set. openAt wins when both are given and has to fall in
+ * the past day or the next OPEN_AT_FUTURE_DAYS days.
+ */
+const parseOpenFilter = (query) => {
+    if (query.openAt !== undefined) {
+        const at = new Date(query.openAt);
+        if (typeof query.openAt !== 'string' || Number.isNaN(at.getTime())) {
+            return { errors: { openAt: 'openAt must be an ISO 8601 date' } };
+        }
+        const now = Date.now();
+        if (
+            at.getTime() < now - OPEN_AT_PAST_DAYS * MS_PER_DAY ||
+            at.getTime() > now + OPEN_AT_FUTURE_DAYS * MS_PER_DAY
+        ) {
+            return {
+                errors: {
+                    openAt: `openAt must be within the past day or the next ${OPEN_AT_FUTURE_DAYS} days`
+                }
+            };
+        }
+        return { at };
+    }
+
+    if (query.openNow !== undefined) {
+        if (!['true', 'false'].includes(query.openNow)) {
+            return { errors: { openNow: 'openNow must be true or false' } };
+        }
+        return { at: query.openNow === 'true' ? new Date() : null };
+    }
+
+    return { at: null };
+};
+
+module.exports = {
+    WEEKDAYS,
+    TIME_PATTERN,
+    DATE_PATTERN,
+    getDefaultTimeZone,
+    isValidTimeZone,
+    getOpeningStatus,
+    buildOpeningWindows,
+    validateOpeningHours,
+    parseOpenFilter
+};
@@ -0,0 +1,30 @@
+const E164_REGEX = /^\+[1-9]\d{7,14}$/;
+
+/**
+ * Normalizes a phone number to E.164 (+<country code><number>).
+ * Local numbers are assumed to belong to DEFAULT_PHONE_COUNTRY_CODE (Egypt).
+ * Returns null when the input cannot be turned into a valid E.164 number.
+ */
+const normalizePhone = (
+    raw,
+    defaultCountryCode = process.env.DEFAULT_PHONE_COUNTRY_CODE || '20'
+) => {
+    if (raw === undefined || raw === null) return null;
+
+    let phone = String(raw)
+        .trim()
+        .replace(/\(0\)/g, '')
+        .replace(/[\s\-().]/g, '');
+
+    if (phone.startsWith('00')) {
+        phone = `+${phone.slice(2)}`;
+    } else if (!phone.startsWith('+')) {
+        phone = `+${defaultCountryCode}${phone.replace(/^0/, '')}`;
+    }
+
+    return E164_REGEX.test(phone) ? phone : null;
+};
+
+module.exports = {
+    normalizePhone
+};
@@ -0,0 +1,6 @@
+/**
+ * Escapes user input so it can be embedded in a RegExp as a literal string.
+ */
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+module.exports = { escapeRegex };
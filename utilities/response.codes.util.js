@@ -4,6 +4,9 @@ const BAD_REQUEST = 400;
 const UNAUTHORIZED = 401;
 const FORBIDDEN = 403;
 const NOT_FOUND = 404;
+const CONFLICT = 409;
+const LOCKED = 423;
+const TOO_MANY_REQUESTS = 429;
 const INTERNAL_SERVER_ERROR = 500;
 
 module.exports = {
@@ -13,5 +16,8 @@ module.exports = {
     UNAUTHORIZED,
     FORBIDDEN,
     NOT_FOUND,
+    CONFLICT,
+    LOCKED,
+    TOO_MANY_REQUESTS,
     INTERNAL_SERVER_ERROR
 };
@@ -0,0 +1,138 @@
+// Arabic letters with a usual Latin spelling, after normalizeSearchText (so
+// alef, ya and ta-marbuta variants are already folded). Egyptian usage:
+// ج is "g", as in "جيل" for "gel".
+const ARABIC_TO_LATIN = {
+    'ا': 'a', 'ب': 'b', 'ت': 't', 'ث': 's', 'ج': 'g', 'ح': 'h', 'خ': 'kh',
+    'د': 'd', 'ذ': 'z', 'ر': 'r', 'ز': 'z', 'س': 's', 'ش': 'sh', 'ص': 's',
+    'ض': 'd', 'ط': 't', 'ظ': 'z', 'ع': 'a', 'غ': 'gh', 'ف': 'f', 'ق': 'k',
+    'ك': 'k', 'ل': 'l', 'م': 'm', 'ن': 'n', 'ه': 'h', 'و': 'o', 'ي': 'i',
+    'ء': '', 'پ': 'p', 'چ': 'ch', 'ڤ': 'v', 'گ': 'g'
+};
+
+const ARABIC_LETTER = /[؀-ۿ]/;
+
+// Search input beyond this is ignored
+const MAX_QUERY_LENGTH = 100;
+const MAX_QUERY_TERMS = 8;
+
+// Shorter words only get exact keys; below this their prefixes are noise
+const MIN_PREFIX_LENGTH = 3;
+// Typo variants are only generated for keys at least this long, so short
+// keys do not end up matching half the catalog
+const MIN_TYPO_KEY_LENGTH = 5;
+
+/**
+ * Lower case, accents and Arabic diacritics (tashkeel, tatweel) removed,
+ * alef/hamza, ya and ta-marbuta variants folded, Arabic-Indic digits made
+ * ASCII and punctuation turned into spaces.
+ */
+const normalizeSearchText = (text) =>
+    String(text || '')
+        .normalize('NFKD')
+        // Combining marks: Latin accents, tashkeel, and the hamza split off
+        // أ إ آ ؤ ئ by NFKD
+        .replace(/\p{M}/gu, '')
+        .replace(/ـ/g, '')
+        .replace(/ٱ/g, 'ا')
+        .replace(/ى/g, 'ي')
+        .replace(/ة/g, 'ه')
+        .replace(/[٠-٩]/g, (digit) => String(digit.charCodeAt(0) - 0x0660))
+        .replace(/[۰-۹]/g, (digit) => String(digit.charCodeAt(0) - 0x06F0))
+        .toLowerCase()
+        .replace(/[^\p{L}\p{N}]+/gu, ' ')
+        .trim();
+
+const tokenize = (text) => {
+    const normalized = normalizeSearchText(text);
+    return normalized ? normalized.split(' ') : [];
+};
+
+/**
+ * Latin spelling of an Arabic word ("بنادول" -> "bnadol"); other words are
+ * returned unchanged.
+ */
+const transliterate = (word) => {
+    if (!ARABIC_LETTER.test(word)) return word;
+
+    // A final ta-marbuta (folded into ه) is read as "a"
+    const letters = word.replace(/ه$/, 'ا');
+    return [...letters].map((letter) => ARABIC_TO_LATIN[letter] ?? letter).join('');
+};
+
+/**
+ * Rough sound-alike key: consonants only, with letters that are easily
+ * confused (or that Arabic has no separate letter for, like p/b and v/f)
+ * folded together. "panadol", "banadol" and "بنادول" all become "bndl".
+ */
+const phoneticKey = (word) =>
+    transliterate(word)
+        .replace(/ph/g, 'f')
+        .replace(/ck/g, 'k')
+        .replace(/c(?=[eiy])/g, 's')
+        .replace(/[cq]/g, 'k')
+        .replace(/x/g, 'ks')
+        .replace(/p/g, 'b')
+        .replace(/v/g, 'f')
+        .replace(/j/g, 'g')
+        .replace(/z/g, 's')
+        .replace(/[aeiouyhw]/g, '')
+        .replace(/([a-z])\1+/g, '$1');
+
+// A word's phonetic key plus the key with one letter dropped at each
+// position. Two words sharing any of these are a single edit apart.
+const typoKeys = (word) => {
+    const key = phoneticKey(word);
+    if (key.length < 2) return [];
+    if (key.length < MIN_TYPO_KEY_LENGTH) return [key];
+
+    return [key, ...[...key].map((letter, index) => key.slice(0, index) + key.slice(index + 1))];
+};
+
+const unique = (values) => [...new Set(values.filter(Boolean))];
+
+/**
+ * Keywords stored on a document for its text index. searchKeywords hold the
+ * normalized words and their transliterations; fuzzyKeywords hold phonetic
+ * keys, their one-edit variants and word prefixes, which the index weights
+ * lower so exact matches rank first.
+ */
+const buildSearchKeywords = (fields) => {
+    const words = unique(fields.flatMap(tokenize));
+    const searchKeywords = unique(words.flatMap((word) => [word, transliterate(word)]));
+
+    const fuzzyKeywords = unique(
+        words.flatMap((word) => {
+            const prefixes = [];
+            for (let length = MIN_PREFIX_LENGTH; length < word.length; length += 1) {
+                prefixes.push(word.slice(0, length));
+            }
+            return [...typoKeys(word), ...prefixes];
+        })
+    ).filter((keyword) => !searchKeywords.includes(keyword));
+
+    return { searchKeywords, fuzzyKeywords };
+};
+
+/**
+ * $search string for a MongoDB text index built with buildSearchKeywords:
+ * every query word with its transliteration, phonetic key and one-edit
+ * variants. Terms are OR-ed and ranked by textScore. Null when nothing
+ * searchable is left.
+ */
+const buildTextSearch = (query) => {
+    const words = tokenize(String(query).slice(0, MAX_QUERY_LENGTH)).slice(0, MAX_QUERY_TERMS);
+
+    const terms = unique(
+        words.flatMap((word) => [word, transliterate(word), ...typoKeys(word)])
+    );
+
+    return terms.length > 0 ? terms.join(' ') : null;
+};
+
+module.exports = {
+    normalizeSearchText,
+    transliterate,
+    phoneticKey,
+    buildSearchKeywords,
+    buildTextSearch
+};
@@ -0,0 +1,114 @@
+const crypto = require('crypto');
+
+// RFC 4648 base32, the encoding authenticator apps expect for secrets
+const BASE32_ALPHABET = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ234567';
+
+const base32Encode = (buffer) => {
+    let bits = 0;
+    let value = 0;
+    let output = '';
+
+    for (const byte of buffer) {
+        value = (value << 8) | byte;
+        bits += 8;
+
+        while (bits >= 5) {
+            output += BASE32_ALPHABET[(value >>> (bits - 5)) & 31];
+            bits -= 5;
+        }
+    }
+
+    if (bits > 0) {
+        output += BASE32_ALPHABET[(value << (5 - bits)) & 31];
+    }
+
+    return output;
+};
+
+const base32Decode = (input) => {
+    const cleaned = input.toUpperCase().replace(/=+$/, '').replace(/\s/g, '');
+    let bits = 0;
+    let value = 0;
+    const bytes = [];
+
+    for (const char of cleaned) {
+        const index = BASE32_ALPHABET.indexOf(char);
+        if (index === -1) {
+            throw new Error(`Invalid base32 character: ${char}`);
+        }
+
+        value = (value << 5) | index;
+        bits += 5;
+
+        if (bits >= 8) {
+            bytes.push((value >>> (bits - 8)) & 255);
+            bits -= 8;
+        }
+    }
+
+    return Buffer.from(bytes);
+};
+
+const generateSecret = (size = 20) => base32Encode(crypto.randomBytes(size));
+
+// RFC 6238 TOTP with HMAC-SHA1, 30 second steps and 6 digits
+const generateTotp = (secret, timestamp = Date.now(), step = 30, digits = 6) => {
+    const counter = Math.floor(timestamp / 1000 / step);
+    const counterBuffer = Buffer.alloc(8);
+    counterBuffer.writeBigUInt64BE(BigInt(counter));
+
+    const hmac = crypto
+        .createHmac('sha1', base32Decode(secret))
+        .update(counterBuffer)
+        .digest();
+
+    const offset = hmac[hmac.length - 1] & 0xf;
+    const code = (hmac.readUInt32BE(offset) & 0x7fffffff) % 10 ** digits;
+
+    return code.toString().padStart(digits, '0');
+};
+
+/**
+ * The time step (30 second counter) a code belongs to, or null when it does
+ * not match. Accepts codes from `window` steps before or after now to absorb
+ * clock drift.
+ */
+const findTotpStep = (secret, token, window = 1, timestamp = Date.now()) => {
+    if (!secret || !/^\d{6}$/.test(String(token))) return null;
+
+    const current = Math.floor(timestamp / 1000 / 30);
+    for (let offset = -window; offset <= window; offset++) {
+        const candidate = generateTotp(secret, timestamp + offset * 30 * 1000);
+        if (crypto.timingSafeEqual(Buffer.from(candidate), Buffer.from(String(token)))) {
+            return current + offset;
+        }
+    }
+
+    return null;
+};
+
+const verifyTotp = (secret, token, window = 1, timestamp = Date.now()) =>
+    findTotpStep(secret, token, window, timestamp) !== null;
+
+const buildOtpauthUri = ({ secret, accountName, issuer = process.env.TOTP_ISSUER || 'Cure-Link' }) => {
+    const label = encodeURIComponent(`${issuer}:${accountName}`);
+    const params = new URLSearchParams({
+        secret,
+        issuer,
+        algorithm: 'SHA1',
+        digits: '6',
+        period: '30'
+    });
+
+    return `otpauth://totp/${label}?${params.toString()}`;
+};
+
+module.exports = {
+    base32Encode,
+    base32Decode,
+    generateSecret,
+    generateTotp,
+    findTotpStep,
+    verifyTotp,
+    buildOtpauthUri
+};
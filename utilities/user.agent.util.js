@@ -0,0 +1,39 @@
+const browsers = [
+    [/Edg\//, 'Edge'],
+    [/OPR\/|Opera/, 'Opera'],
+    [/Chrome\//, 'Chrome'],
+    [/Firefox\//, 'Firefox'],
+    [/Safari\//, 'Safari'],
+    [/okhttp/i, 'Android app'],
+    [/CFNetwork|Darwin/, 'iOS app'],
+    [/PostmanRuntime/, 'Postman']
+];
+
+const systems = [
+    [/Windows/, 'Windows'],
+    [/Android/, 'Android'],
+    [/iPhone|iPad|iOS/, 'iOS'],
+    [/Mac OS X|Macintosh/, 'macOS'],
+    [/Linux/, 'Linux']
+];
+
+const match = (list, userAgent) => {
+    const found = list.find(([pattern]) => pattern.test(userAgent));
+    return found ? found[1] : null;
+};
+
+/**
+ * Short human readable label for a user agent, e.g. "Chrome on Windows".
+ * Good enough for a sessions list; not meant for feature detection.
+ */
+const describeDevice = (userAgent) => {
+    if (!userAgent) return 'Unknown device';
+
+    const browser = match(browsers, userAgent);
+    const system = match(systems, userAgent);
+
+    if (browser && system) return `${browser} on ${system}`;
+    return browser || system || 'Unknown device';
+};
+
+module.exports = { describeDevice };